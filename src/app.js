@@ -27,6 +27,9 @@ const attendanceRoutes = require('./routes/attendance.routes');
 const cronJobRoutes = require('./routes/cronJob.routes');
 const sectionRoutes = require('./routes/section.routes');
 const uploadRoutes = require('./routes/upload.routes');
+const timesheetRoutes = require('./routes/timesheet.routes');
+const complianceRoutes = require('./routes/compliance.routes');
+const projectTemplateRoutes = require('./routes/projectTemplate.routes');
 
 const errorHandler = require('./middleware/errorHandler');
 const swaggerDocs = require('./swagger/swagger');
@@ -75,6 +78,9 @@ app.use('/api/attendance', attendanceRoutes);
 app.use('/api/cronjobs', cronJobRoutes);
 app.use('/api/sections', sectionRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/project-templates', projectTemplateRoutes);
 
 // Swagger documentation
 swaggerDocs(app);
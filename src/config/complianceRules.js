@@ -0,0 +1,169 @@
+// Statutory due-date rules for the compliance calendar.
+//
+// Periods follow the Indian financial year (April to March): monthly rules
+// cover a calendar month, quarterly rules Apr-Jun / Jul-Sep / Oct-Dec /
+// Jan-Mar and yearly rules the whole financial year. A period is due
+// `monthsAfter` months after the month it ends in, on `day` (or the last day
+// of a shorter month). `overrides` replace that for single months (1-12) or
+// quarters (1-4). Instalment rules have fixed dates within each financial
+// year instead of periods.
+//
+// Dates are the statutory defaults; extensions notified by CBDT / CBIC / MCA
+// are not applied.
+
+// States whose quarterly GSTR-3B is due on the 24th instead of the 22nd
+const GSTR3B_QRMP_LATER_STATES = [
+  'Himachal Pradesh', 'Punjab', 'Uttarakhand', 'Haryana', 'Rajasthan', 'Uttar Pradesh', 'Bihar', 'Sikkim',
+  'Arunachal Pradesh', 'Nagaland', 'Manipur', 'Mizoram', 'Tripura', 'Meghalaya', 'Assam', 'West Bengal',
+  'Jharkhand', 'Odisha', 'Jammu and Kashmir', 'Ladakh', 'Chandigarh', 'Delhi',
+];
+
+module.exports = [
+  {
+    code: 'GSTR-1',
+    name: 'GSTR-1 (monthly)',
+    category: 'GST',
+    description: 'Statement of outward supplies',
+    requires: 'gstin',
+    frequency: 'monthly',
+    due: { monthsAfter: 1, day: 11 },
+  },
+  {
+    code: 'GSTR-1-QRMP',
+    name: 'GSTR-1 (quarterly, QRMP)',
+    category: 'GST',
+    description: 'Statement of outward supplies under the QRMP scheme',
+    requires: 'gstin',
+    frequency: 'quarterly',
+    due: { monthsAfter: 1, day: 13 },
+  },
+  {
+    code: 'GSTR-3B',
+    name: 'GSTR-3B (monthly)',
+    category: 'GST',
+    description: 'Summary return and payment of tax',
+    requires: 'gstin',
+    frequency: 'monthly',
+    due: { monthsAfter: 1, day: 20 },
+  },
+  {
+    code: 'GSTR-3B-QRMP',
+    name: 'GSTR-3B (quarterly, QRMP)',
+    category: 'GST',
+    description: 'Summary return under the QRMP scheme; due on the 24th in some states',
+    requires: 'gstin',
+    frequency: 'quarterly',
+    due: { monthsAfter: 1, day: 22 },
+    stateDue: { day: 24, states: GSTR3B_QRMP_LATER_STATES },
+  },
+  {
+    code: 'GSTR-9',
+    name: 'GSTR-9 (annual return)',
+    category: 'GST',
+    description: 'Annual GST return',
+    requires: 'gstin',
+    frequency: 'yearly',
+    due: { monthsAfter: 9, day: 31 },
+  },
+  {
+    code: 'TDS-PAYMENT',
+    name: 'TDS / TCS payment',
+    category: 'TDS',
+    description: 'Deposit of tax deducted or collected; March deductions are due on 30 April',
+    requires: 'tan',
+    frequency: 'monthly',
+    due: { monthsAfter: 1, day: 7 },
+    overrides: { 3: { monthsAfter: 1, day: 30 } },
+  },
+  {
+    code: 'TDS-24Q',
+    name: 'TDS return 24Q (salary)',
+    category: 'TDS',
+    description: 'Quarterly TDS statement for salary payments',
+    requires: 'tan',
+    frequency: 'quarterly',
+    due: { monthsAfter: 1, day: 31 },
+    overrides: { 4: { monthsAfter: 2, day: 31 } },
+  },
+  {
+    code: 'TDS-26Q',
+    name: 'TDS return 26Q (non-salary)',
+    category: 'TDS',
+    description: 'Quarterly TDS statement for payments other than salary',
+    requires: 'tan',
+    frequency: 'quarterly',
+    due: { monthsAfter: 1, day: 31 },
+    overrides: { 4: { monthsAfter: 2, day: 31 } },
+  },
+  {
+    code: 'ADVANCE-TAX',
+    name: 'Advance tax',
+    category: 'Income Tax',
+    description: 'Advance tax instalments',
+    requires: 'pan',
+    frequency: 'instalments',
+    instalments: [
+      { month: 6, day: 15, label: '1st instalment (15%)' },
+      { month: 9, day: 15, label: '2nd instalment (45%)' },
+      { month: 12, day: 15, label: '3rd instalment (75%)' },
+      { month: 3, day: 15, label: '4th instalment (100%)' },
+    ],
+  },
+  {
+    code: 'ITR',
+    name: 'Income tax return (non-audit)',
+    category: 'Income Tax',
+    description: 'Return of income for assessees not liable to tax audit',
+    requires: 'pan',
+    frequency: 'yearly',
+    labelAs: 'AY',
+    due: { monthsAfter: 4, day: 31 },
+  },
+  {
+    code: 'TAX-AUDIT',
+    name: 'Tax audit report (3CA/3CB-3CD)',
+    category: 'Income Tax',
+    description: 'Tax audit report under section 44AB',
+    requires: 'pan',
+    frequency: 'yearly',
+    labelAs: 'AY',
+    due: { monthsAfter: 6, day: 30 },
+  },
+  {
+    code: 'ITR-AUDIT',
+    name: 'Income tax return (audit cases)',
+    category: 'Income Tax',
+    description: 'Return of income for companies and assessees liable to tax audit',
+    requires: 'pan',
+    frequency: 'yearly',
+    labelAs: 'AY',
+    due: { monthsAfter: 7, day: 31 },
+  },
+  {
+    code: 'DPT-3',
+    name: 'DPT-3 (return of deposits)',
+    category: 'ROC',
+    description: 'Annual return of deposits and outstanding loans',
+    requires: 'cin',
+    frequency: 'yearly',
+    due: { monthsAfter: 3, day: 30 },
+  },
+  {
+    code: 'AOC-4',
+    name: 'AOC-4 (financial statements)',
+    category: 'ROC',
+    description: 'Filing of financial statements, 30 days after an AGM held by 30 September',
+    requires: 'cin',
+    frequency: 'yearly',
+    due: { monthsAfter: 7, day: 30 },
+  },
+  {
+    code: 'MGT-7',
+    name: 'MGT-7 (annual return)',
+    category: 'ROC',
+    description: 'Annual return, 60 days after an AGM held by 30 September',
+    requires: 'cin',
+    frequency: 'yearly',
+    due: { monthsAfter: 8, day: 29 },
+  },
+];
@@ -1,11 +1,15 @@
-const cron = require("node-cron");
 const User = require("../models/User");
 const Attendance = require("../models/Attendance");
 const mongoose = require("mongoose");
 const Task = require("../models/Task");
 const Notification = require("../models/Notification");
 const websocketService = require("../utils/websocket");
-exports.autoAbsent = cron.schedule("45 23 * * *", async () => {
+const mailService = require("../services/mailService");
+const dunningService = require("../services/dunningService");
+const timesheetService = require("../services/timesheetService");
+const jobLockService = require("../services/jobLockService");
+
+exports.autoAbsent = async () => {
   console.log("cron job run");
   const employee = await User.find({});
   // console.log(employee,employee.length)
@@ -33,8 +37,8 @@ exports.autoAbsent = cron.schedule("45 23 * * *", async () => {
       });
     }
   }
-});
-exports.updateCasualLeaveCount = cron.schedule("0 0 1 * *", async () => {
+};
+exports.updateCasualLeaveCount = async () => {
   console.log("Cron job running on the 1st of every month at 12:00 AM 🚀");
   const users = await User.find({});
   for (const user of users) {
@@ -45,9 +49,9 @@ exports.updateCasualLeaveCount = cron.schedule("0 0 1 * *", async () => {
       );
     }
   }
-});
+};
 
-exports.remindDuetask = cron.schedule("0 2 * * *", async () => {
+exports.remindDuetask = async () => {
   try {
     console.log("Cron job running on every day at 2:00 AM 🚀");
     const today = new Date();
@@ -100,9 +104,60 @@ exports.remindDuetask = cron.schedule("0 2 * * *", async () => {
           leaveId: notification._id,
         },
       });
+      try {
+        await mailService.queueEmailToUser(
+          dueTask.assignedTo,
+          "dueTaskReminder",
+          { task: dueTask },
+          { entityType: "task", entityId: dueTask._id }
+        );
+      } catch (mailError) {
+        console.log("Failed to queue due task email:", mailError.message);
+      }
       console.log("DONE");
     }
   } catch (error) {
     console.log(error);
   }
-});
+};
+
+// Mark unpaid invoices overdue and send payment reminders every day at 8:00 AM
+exports.invoiceDunning = async () => {
+  try {
+    await dunningService.run();
+  } catch (error) {
+    console.log("Invoice dunning failed:", error.message);
+  }
+};
+
+// Deliver queued emails and retry failed ones every minute
+exports.processEmailOutbox = async () => {
+  try {
+    await mailService.processOutbox();
+  } catch (error) {
+    console.log("Email outbox processing failed:", error.message);
+  }
+};
+
+// Remind users who have not submitted last week's timesheet every Monday at 10:00 AM
+exports.timesheetReminders = async () => {
+  try {
+    await timesheetService.sendReminders();
+  } catch (error) {
+    console.log("Timesheet reminders failed:", error.message);
+  }
+};
+
+/**
+ * Schedule the jobs above; called once by the persistent server process.
+ * Every schedule runs on all instances; jobLockService lets one of them
+ * run each execution.
+ */
+exports.startCronJobs = () => [
+  jobLockService.schedule("auto-absent", "45 23 * * *", exports.autoAbsent),
+  jobLockService.schedule("casual-leave-accrual", "0 0 1 * *", exports.updateCasualLeaveCount),
+  jobLockService.schedule("due-task-reminders", "0 2 * * *", exports.remindDuetask),
+  jobLockService.schedule("invoice-dunning", "0 8 * * *", exports.invoiceDunning),
+  jobLockService.schedule("email-outbox", "* * * * *", exports.processEmailOutbox),
+  jobLockService.schedule("timesheet-reminders", "0 10 * * 1", exports.timesheetReminders),
+];
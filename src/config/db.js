@@ -1,6 +1,5 @@
 const mongoose = require("mongoose");
 const { logger } = require("../utils/logger");
-const { autoAbsent, updateCasualLeaveCount, remindDuetask } = require("./cronJobs");
 require("dotenv").config();
 
 const connectDB = async () => {
@@ -0,0 +1,143 @@
+const moment = require('moment');
+
+// Escape user supplied values before placing them in HTML bodies
+const escapeHtml = (value) =>
+    String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? moment(date).format('DD MMM YYYY') : '-');
+
+const formatAmount = (amount, currency = 'INR') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    })}`;
+
+// Wrap a list of paragraphs in the common layout used by every email
+const layout = (companyName, heading, paragraphs) => {
+    const html = `
+<div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1f2937;">${escapeHtml(heading)}</h2>
+  ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  <hr style="border: none; border-top: 1px solid #e5e7eb;" />
+  <p style="font-size: 12px; color: #6b7280;">${escapeHtml(companyName)}</p>
+</div>`;
+    const text = [heading, '', ...paragraphs, '', '--', companyName].join('\n');
+    return { html, text };
+};
+
+/**
+ * Email templates keyed by name. `setting` is the Settings.system toggle that
+ * must be enabled (in addition to emailNotifications) for the email to be sent.
+ */
+module.exports = {
+    taskAssigned: {
+        setting: 'taskAssignments',
+        render: ({ company, user, task, assignedBy }) => ({
+            subject: `New Task Assigned: ${task.title}`,
+            ...layout(company.name, 'New Task Assigned', [
+                `Hello ${user.name},`,
+                `${assignedBy ? assignedBy.name : 'An administrator'} has assigned you the task "${task.title}"${task.taskNumber ? ` (${task.taskNumber})` : ''}.`,
+                `Priority: ${task.priority || 'medium'} | Due: ${formatDate(task.dueDate)}`,
+            ]),
+        }),
+    },
+
+    taskStatusChanged: {
+        setting: 'taskStatusChanges',
+        render: ({ company, user, task, previousStatus, changedBy }) => ({
+            subject: `Task Status Changed: ${task.title}`,
+            ...layout(company.name, 'Task Status Changed', [
+                `Hello ${user.name},`,
+                `The status of task "${task.title}" was changed from ${previousStatus} to ${task.status}${changedBy ? ` by ${changedBy.name}` : ''}.`,
+            ]),
+        }),
+    },
+
+    projectStatusChanged: {
+        setting: 'projectUpdates',
+        render: ({ company, user, project, previousStatus, changedBy }) => ({
+            subject: `Project Status Changed: ${project.name}`,
+            ...layout(company.name, 'Project Status Changed', [
+                `Hello ${user.name},`,
+                `The status of project "${project.name}" was changed from ${previousStatus} to ${project.status}${changedBy ? ` by ${changedBy.name}` : ''}.`,
+            ]),
+        }),
+    },
+
+    dueTaskReminder: {
+        setting: 'taskAssignments',
+        render: ({ company, user, task }) => ({
+            subject: `Reminder: Task Due ${formatDate(task.dueDate)} - ${task.title}`,
+            ...layout(company.name, 'Task Due Reminder', [
+                `Hello ${user.name},`,
+                `This is a reminder that the task "${task.title}" is due on ${formatDate(task.dueDate)}.`,
+                `Current status: ${task.status}`,
+            ]),
+        }),
+    },
+
+    leaveReviewed: {
+        setting: null,
+        render: ({ company, user, leave }) => ({
+            subject: `Leave ${leave.status}`,
+            ...layout(company.name, `Leave ${leave.status}`, [
+                `Hello ${user.name},`,
+                `Your ${leave.leaveType} leave request from ${formatDate(leave.startDate)} to ${formatDate(leave.endDate)} has been ${String(leave.status).toLowerCase()}.`,
+                ...(leave.reviewNotes ? [`Notes: ${leave.reviewNotes}`] : []),
+            ]),
+        }),
+    },
+
+    timesheetReminder: {
+        setting: null,
+        render: ({ company, user, weekStart, weekEnd }) => ({
+            subject: `Timesheet Reminder: Week of ${formatDate(weekStart)}`,
+            ...layout(company.name, 'Timesheet Reminder', [
+                `Hello ${user.name},`,
+                `Your timesheet for the week of ${formatDate(weekStart)} to ${formatDate(weekEnd)} has not been submitted yet.`,
+                'Please log any missing time and submit it for approval.',
+            ]),
+        }),
+    },
+
+    timesheetReviewed: {
+        setting: null,
+        render: ({ company, user, timesheet, reviewer }) => ({
+            subject: `Timesheet ${timesheet.status}: Week of ${formatDate(timesheet.weekStart)}`,
+            ...layout(company.name, `Timesheet ${timesheet.status}`, [
+                `Hello ${user.name},`,
+                `Your timesheet for the week of ${formatDate(timesheet.weekStart)} (${timesheet.totalHours} hours) has been ${timesheet.status}${reviewer ? ` by ${reviewer.name}` : ''}.`,
+                ...(timesheet.rejectionReason ? [`Reason: ${timesheet.rejectionReason}`, 'Please correct your time entries and submit it again.'] : []),
+            ]),
+        }),
+    },
+
+    invoiceSent: {
+        setting: null,
+        render: ({ company, client, invoice }) => ({
+            subject: `Invoice ${invoice.invoiceNumber} from ${company.name}`,
+            ...layout(company.name, `Invoice ${invoice.invoiceNumber}`, [
+                `Dear ${client.contactName || client.name},`,
+                `Please find attached invoice ${invoice.invoiceNumber} issued on ${formatDate(invoice.issueDate)}.`,
+                `Amount due: ${formatAmount(invoice.total, invoice.currency || company.currency)} | Due date: ${formatDate(invoice.dueDate)}`,
+                'Kindly arrange payment by the due date. Please ignore this email if payment has already been made.',
+            ]),
+        }),
+    },
+
+    testEmail: {
+        setting: null,
+        render: ({ company }) => ({
+            subject: `Test email from ${company.name}`,
+            ...layout(company.name, 'Mail Server Test', [
+                'This is a test email sent to verify the outgoing mail server settings.',
+                `Sent at ${moment().format('DD MMM YYYY HH:mm:ss')}`,
+            ]),
+        }),
+    },
+};
@@ -1,19 +0,0 @@
-
-module.exports = [
-  {
-    projectType: 'GST',
-    tasks: [
-      { title: 'Collect Client Details', department: 'Accounts', priority: 'high' },
-      { title: 'Prepare GST Form', department: 'Finance', priority: 'medium' },
-      { title: 'File Return', department: 'Finance', priority: 'high' }
-    ]
-  },
-  {
-    projectType: 'Project ',
-    tasks: [
-      { title: 'Requirement Gathering', department: 'Development', priority: 'medium' },
-      { title: 'Design UI', department: 'UI/UX', priority: 'medium' },
-      { title: 'Database Setup', department: 'Backend', priority: 'high' }
-    ]
-  }
-];
\ No newline at end of file
@@ -0,0 +1,196 @@
+const BankTransaction = require("../models/BankTransaction");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const bankReconciliationService = require("../services/bankReconciliationService");
+
+/**
+ * @desc    Import a bank statement (CSV or OFX)
+ * @route   POST /api/finance/bank-transactions/import
+ * @access  Private/Finance,Admin
+ */
+exports.importBankStatement = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ErrorResponse("Please upload a CSV or OFX bank statement", 400));
+    }
+
+    const bankAccount = (req.body.bankAccount || "default").trim();
+    const result = await bankReconciliationService.importStatement(
+      req.file,
+      bankAccount,
+      req.user
+    );
+
+    if (result.credits === 0 && result.errors.length > 0) {
+      return next(
+        new ErrorResponse(`No transactions imported: ${result.errors[0].message}`, 400)
+      );
+    }
+
+    logger.info(
+      `Bank statement ${req.file.originalname} (${bankAccount}) imported by ${req.user.name} (${req.user._id}): ${result.imported} new credit(s), ${result.duplicates} already imported`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get bank transactions; unmatched ones come with suggested invoices
+ * @route   GET /api/finance/bank-transactions
+ * @access  Private/Finance,Admin
+ */
+exports.getBankTransactions = async (req, res, next) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    // The reconciliation queue by default
+    const filter = { status: req.query.status || "unmatched" };
+
+    if (req.query.bankAccount) {
+      filter.bankAccount = req.query.bankAccount;
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = new Date(req.query.from);
+      if (req.query.to) filter.date.$lte = new Date(req.query.to);
+    }
+
+    const total = await BankTransaction.countDocuments(filter);
+    const transactions = await BankTransaction.find(filter)
+      .populate({
+        path: "payment",
+        select: "client amount allocations",
+        populate: { path: "client", select: "name" },
+      })
+      .sort({ date: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .lean();
+
+    // Suggestions are worked out on request so they reflect current balances
+    if (transactions.some((transaction) => transaction.status === "unmatched")) {
+      const invoices = await bankReconciliationService.getOpenInvoices();
+      transactions.forEach((transaction) => {
+        if (transaction.status === "unmatched") {
+          transaction.suggestions = bankReconciliationService.suggestMatches(
+            transaction,
+            invoices
+          );
+        }
+      });
+    }
+
+    // Pagination result
+    const pagination = {};
+
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      pagination,
+      total,
+      data: transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm a bank transaction as a payment
+ * @route   POST /api/finance/bank-transactions/:id/confirm
+ * @access  Private/Finance,Admin
+ */
+exports.confirmBankTransaction = async (req, res, next) => {
+  try {
+    const transaction = await BankTransaction.findById(req.params.id);
+
+    if (!transaction) {
+      return next(
+        new ErrorResponse(`Bank transaction not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const result = await bankReconciliationService.confirmMatch(
+      transaction,
+      req.body,
+      req.user
+    );
+
+    logger.info(
+      `Bank transaction ${transaction._id} (${transaction.amount}) matched to payment ${result.payment._id} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ignore a bank transaction, or return an ignored one to the queue
+ * @route   PUT /api/finance/bank-transactions/:id/ignore
+ * @access  Private/Finance,Admin
+ */
+exports.ignoreBankTransaction = async (req, res, next) => {
+  try {
+    const transaction = await BankTransaction.findById(req.params.id);
+
+    if (!transaction) {
+      return next(
+        new ErrorResponse(`Bank transaction not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (transaction.status === "matched") {
+      return next(
+        new ErrorResponse(
+          "Transaction is matched to a payment; void the payment to return it to the queue",
+          400
+        )
+      );
+    }
+
+    const ignore = req.body.ignore !== false;
+    transaction.status = ignore ? "ignored" : "unmatched";
+    transaction.ignoreReason = ignore ? req.body.reason : undefined;
+    await transaction.save();
+
+    logger.info(
+      `Bank transaction ${transaction._id} ${ignore ? "ignored" : "returned to the queue"} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
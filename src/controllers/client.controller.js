@@ -1,7 +1,12 @@
+const moment = require('moment');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
+const Settings = require('../models/Settings');
+const statementService = require('../services/statementService');
+const exchangeRateService = require('../services/exchangeRateService');
 const { ErrorResponse } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { sendCsv } = require('../utils/csv');
 
 /**
  * @desc    Get all clients
@@ -362,4 +367,60 @@ exports.getClientProjects = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get client statement of account
+ * @route   GET /api/clients/:id/statement
+ * @access  Private/Finance,Admin
+ */
+exports.getClientStatement = async (req, res, next) => {
+    try {
+        const client = await Client.findById(req.params.id);
+
+        if (!client) {
+            return next(new ErrorResponse(`Client not found with id of ${req.params.id}`, 404));
+        }
+
+        const settings = await Settings.findOne();
+        const period = statementService.getDefaultPeriod(settings);
+        const from = req.query.from ? moment(req.query.from, moment.ISO_8601, true) : moment(period.from);
+        const to = req.query.to ? moment(req.query.to, moment.ISO_8601, true) : moment(period.to);
+
+        if (!from.isValid() || !to.isValid()) {
+            return next(new ErrorResponse('Invalid from or to date', 400));
+        }
+        if (from.isAfter(to)) {
+            return next(new ErrorResponse('The from date cannot be after the to date', 400));
+        }
+
+        const statement = await statementService.build(client, from.toDate(), to.toDate(), {
+            baseCurrency: exchangeRateService.getBaseCurrency(settings),
+            currency: req.query.currency ? String(req.query.currency).toUpperCase() : undefined,
+        });
+        const filename = `statement-${client.name.replace(/[^\w.-]+/g, '_')}-${from.format('YYYYMMDD')}-${to.format('YYYYMMDD')}`;
+
+        if (req.query.format === 'csv') {
+            logger.info(`Statement exported as CSV for client ${client.name} (${client._id}) by ${req.user.name} (${req.user._id})`);
+            return sendCsv(res, `${filename}.csv`, statementService.toCsv(statement));
+        }
+
+        if (req.query.format === 'pdf') {
+            const pdf = await statementService.toPdf(statement, settings);
+            logger.info(`Statement exported as PDF for client ${client.name} (${client._id}) by ${req.user.name} (${req.user._id})`);
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+                'Content-Length': pdf.length,
+            });
+            return res.status(200).send(pdf);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: statement,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
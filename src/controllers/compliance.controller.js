@@ -0,0 +1,87 @@
+const CronJob = require('../models/CronJob');
+const Client = require('../models/Client');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const complianceService = require('../services/complianceService');
+
+/**
+ * @desc    Get the statutory compliance rules
+ * @route   GET /api/compliance/rules
+ * @access  Private
+ */
+exports.getRules = async (req, res, next) => {
+    try {
+        let rules = complianceService.getRules();
+
+        if (req.query.category) {
+            rules = rules.filter((rule) => rule.category === req.query.category);
+        }
+
+        res.status(200).json({
+            success: true,
+            count: rules.length,
+            data: rules,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the rules that apply to a client and its compliance cron jobs
+ * @route   GET /api/compliance/clients/:clientId
+ * @access  Private
+ */
+exports.getClientCompliance = async (req, res, next) => {
+    try {
+        const client = await Client.findById(req.params.clientId).select('name state gstin tan pan cin');
+
+        if (!client) {
+            return next(new ErrorResponse(`Client not found with id of ${req.params.clientId}`, 404));
+        }
+
+        const cronJobs = await CronJob.find({
+            client: client._id,
+            complianceRule: { $nin: [null, ''] },
+            deleted: { $ne: true },
+        }).select('name complianceRule leadDays isActive startDate nextRun lastPeriodKey lastDueDate section');
+
+        const rules = complianceService.getRules().map((rule) => {
+            const applies = complianceService.appliesTo(rule, client);
+            return {
+                ...rule,
+                applies,
+                nextDue: applies ? complianceService.getNextOccurrence(rule, client) : null,
+                cronJobs: cronJobs.filter((cronJob) => cronJob.complianceRule === rule.code),
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                client,
+                rules,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the compliance calendar of filings due in a date range
+ * @route   GET /api/compliance/calendar
+ * @access  Private
+ */
+exports.getCalendar = async (req, res, next) => {
+    try {
+        const entries = await complianceService.getCalendar(req.query);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,406 @@
+const CreditNote = require("../models/CreditNote");
+const Invoice = require("../models/Invoice");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const numberingService = require("../services/numberingService");
+const paymentService = require("../services/paymentService");
+const { calculateTax, round2 } = require("../utils/gst");
+
+// Split the taxable value of a credit note across the projects billed on the
+// invoice. Items naming a project are credited to it; the rest is spread in
+// proportion to what each project was invoiced for.
+const allocateToProjects = (invoice, items, taxableAmount) => {
+  const weights = new Map();
+  invoice.items.forEach((item) => {
+    if (item.project) {
+      const key = item.project.toString();
+      weights.set(key, (weights.get(key) || 0) + (item.amount || 0));
+    }
+  });
+  if (weights.size === 0 && invoice.project) {
+    weights.set(invoice.project.toString(), 1);
+  }
+
+  const totalWeight = [...weights.values()].reduce((sum, value) => sum + value, 0);
+  const subtotal = items.reduce((sum, item) => sum + (item.amount || 0), 0);
+  if (!subtotal) return [];
+
+  // Scale line amounts down by any discount carried over from the invoice
+  const factor = taxableAmount / subtotal;
+  const allocations = new Map();
+  const add = (project, amount) =>
+    allocations.set(project, (allocations.get(project) || 0) + amount);
+
+  items.forEach((item) => {
+    const amount = (item.amount || 0) * factor;
+    if (item.project) {
+      add(item.project.toString(), amount);
+    } else if (totalWeight > 0) {
+      weights.forEach((weight, project) => add(project, (amount * weight) / totalWeight));
+    }
+  });
+
+  return [...allocations.entries()].map(([project, amount]) => ({
+    project,
+    amount: round2(amount),
+  }));
+};
+
+/**
+ * @desc    Get all credit notes
+ * @route   GET /api/finance/credit-notes
+ * @access  Private/Finance,Admin
+ */
+exports.getCreditNotes = async (req, res, next) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Filtering
+    const filter = {};
+
+    if (req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    if (req.query.invoice) {
+      filter.invoice = req.query.invoice;
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.issueDate = {};
+      if (req.query.startDate) {
+        filter.issueDate.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.issueDate.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    const total = await CreditNote.countDocuments(filter);
+
+    const creditNotes = await CreditNote.find(filter)
+      .populate({
+        path: "invoice",
+        select: "invoiceNumber issueDate total status",
+      })
+      .populate({
+        path: "client",
+        select: "name contactEmail",
+      })
+      .populate({
+        path: "createdBy",
+        select: "name email",
+      })
+      .skip(startIndex)
+      .limit(limit)
+      .sort({ issueDate: -1 });
+
+    // Pagination result
+    const pagination = {};
+
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: creditNotes.length,
+      pagination,
+      total,
+      data: creditNotes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single credit note
+ * @route   GET /api/finance/credit-notes/:id
+ * @access  Private/Finance,Admin
+ */
+exports.getCreditNote = async (req, res, next) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate({
+        path: "invoice",
+        select: "invoiceNumber issueDate total creditedAmount status",
+      })
+      .populate({
+        path: "client",
+        select: "name contactEmail contactPhone",
+      })
+      .populate({
+        path: "projectAllocations.project",
+        select: "name",
+      })
+      .populate({
+        path: "createdBy",
+        select: "name email",
+      });
+
+    if (!creditNote) {
+      return next(
+        new ErrorResponse(`Credit note not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: creditNote,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Issue a credit note against an invoice
+ * @route   POST /api/finance/invoices/:id/credit-notes
+ * @access  Private/Finance,Admin
+ */
+exports.createCreditNote = async (req, res, next) => {
+  try {
+    const { type, reason, issueDate, notes } = req.body;
+    const rebill = type === "full" && req.body.rebill === true;
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(
+        new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (invoice.status === "draft") {
+      return next(
+        new ErrorResponse(
+          `Invoice ${invoice.invoiceNumber} is a draft; edit or delete it instead of issuing a credit note`,
+          400
+        )
+      );
+    }
+
+    if (invoice.status === "cancelled") {
+      return next(
+        new ErrorResponse(`Invoice ${invoice.invoiceNumber} has already been cancelled`, 400)
+      );
+    }
+
+    // Payments already received are not reversed by a credit note, so only
+    // the balance still due can be credited
+    const remaining = paymentService.getInvoiceBalance(invoice);
+    const paid = invoice.paidAmount > 0;
+
+    if (remaining <= 0) {
+      return next(
+        new ErrorResponse(`Invoice ${invoice.invoiceNumber} has no balance due to credit`, 400)
+      );
+    }
+
+    // Work out the credited lines
+    let items;
+    let discount = 0;
+
+    if (type === "full") {
+      if (invoice.creditedAmount > 0 || paid) {
+        return next(
+          new ErrorResponse(
+            `Invoice ${invoice.invoiceNumber} already has ${paid ? "payments" : "credit notes"}; issue a partial credit note for the remaining ${remaining}`,
+            400
+          )
+        );
+      }
+      items = invoice.items.map((item) => ({
+        description: item.description,
+        quantity: item.quantity,
+        rate: item.rate,
+        hsnSac: item.hsnSac,
+        taxRate: item.taxRate,
+        project: item.project,
+      }));
+      discount = invoice.discount || 0;
+    } else if (req.body.items && req.body.items.length > 0) {
+      const invoiceProjects = new Set(
+        [invoice.project, ...invoice.items.map((item) => item.project)]
+          .filter(Boolean)
+          .map((project) => project.toString())
+      );
+      const foreign = req.body.items.find(
+        (item) => item.project && !invoiceProjects.has(item.project.toString())
+      );
+      if (foreign) {
+        return next(
+          new ErrorResponse(
+            `Project ${foreign.project} is not billed on invoice ${invoice.invoiceNumber}`,
+            400
+          )
+        );
+      }
+      items = req.body.items;
+    } else if (req.body.amount) {
+      // A bare amount is credited at the invoice's GST rate, which is only
+      // unambiguous when every line was taxed at the same rate
+      const rates = [
+        ...new Set(
+          invoice.items.map((item) =>
+            item.taxRate !== undefined && item.taxRate !== null
+              ? item.taxRate
+              : invoice.taxRate || 0
+          )
+        ),
+      ];
+      if (rates.length > 1) {
+        return next(
+          new ErrorResponse(
+            `Invoice ${invoice.invoiceNumber} has items at different GST rates; specify the credited items`,
+            400
+          )
+        );
+      }
+      items = [
+        {
+          description: `Credit against invoice ${invoice.invoiceNumber}`,
+          quantity: 1,
+          rate: req.body.amount,
+          taxRate: rates[0] || 0,
+        },
+      ];
+    } else {
+      return next(
+        new ErrorResponse("Please provide the credited items or an amount", 400)
+      );
+    }
+
+    // Credit notes follow the tax treatment of the original invoice
+    const tax = calculateTax(items, {
+      taxRate: invoice.taxRate,
+      supplyType: invoice.supplyType,
+    });
+    items = items.map((item, index) => ({
+      ...item,
+      ...tax.items[index],
+    }));
+    const total = round2(tax.subtotal + tax.taxAmount - discount);
+
+    if (total <= 0) {
+      return next(new ErrorResponse("Credit note total must be greater than 0", 400));
+    }
+
+    if (total > remaining) {
+      return next(
+        new ErrorResponse(
+          `Credit note total of ${total} exceeds the balance due of ${remaining} on the invoice`,
+          400
+        )
+      );
+    }
+
+    const projectAllocations = allocateToProjects(
+      invoice,
+      items,
+      round2(tax.subtotal - discount)
+    );
+
+    const creditNote = await numberingService.generate(
+      "creditNote",
+      issueDate ? new Date(issueDate) : new Date(),
+      (creditNoteNumber) =>
+        CreditNote.create({
+          creditNoteNumber,
+          invoice: invoice._id,
+          client: invoice.client,
+          type,
+          reason,
+          issueDate,
+          items,
+          discount,
+          supplyType: invoice.supplyType,
+          placeOfSupply: invoice.placeOfSupply,
+          currency: invoice.currency,
+          exchangeRate: invoice.exchangeRate,
+          projectAllocations,
+          rebill,
+          notes,
+          createdBy: req.user.id,
+        })
+    );
+
+    // Reduce the amount due on the invoice; a full credit cancels it, while
+    // an invoice with payments is settled once nothing is left to pay
+    invoice.creditedAmount = round2((invoice.creditedAmount || 0) + creditNote.total);
+    if (!paid && (type === "full" || invoice.creditedAmount >= invoice.total)) {
+      invoice.status = "cancelled";
+      invoice.cancelledDate = new Date();
+    } else if (paid && paymentService.getInvoiceBalance(invoice) <= 0) {
+      invoice.status = "paid";
+      invoice.paidDate = invoice.paidDate || new Date();
+    }
+    await invoice.save();
+
+    // Reduce the balance on the credited projects, or release them for
+    // re-invoicing when the invoice is being replaced
+    for (const allocation of projectAllocations) {
+      const project = await Project.findById(allocation.project);
+      if (!project) continue;
+
+      if (rebill) {
+        project.invoiceStatus = "Not Created";
+        project.invoiceId = undefined;
+        project.invoiceNumber = undefined;
+        project.invoiceDate = undefined;
+      } else {
+        project.creditedAmount = round2((project.creditedAmount || 0) + allocation.amount);
+      }
+
+      // Saving recalculates balanceAmount and paymentStatus
+      await project.save();
+    }
+
+    if (rebill) {
+      for (const item of invoice.items) {
+        if (item.task) {
+          await Task.findByIdAndUpdate(item.task, {
+            "invoiceDetails.invoiced": false,
+            "invoiceDetails.invoiceDate": null,
+            "invoiceDetails.invoiceNumber": null,
+            status: "completed",
+          });
+        }
+      }
+    }
+
+    logger.info(
+      `Credit note issued: ${creditNote.creditNoteNumber} (${creditNote._id}) for ${creditNote.total} against invoice ${invoice.invoiceNumber} (${invoice._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        creditNote,
+        invoice,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,16 @@
 const CronJob = require('../models/CronJob');
+const CronJobRun = require('../models/CronJobRun');
 const Project = require('../models/Project');
 const Client = require('../models/Client');
 const { ErrorResponse } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const ActivityTracker = require('../utils/activityTracker');
 const cronService = require('../services/cronService');
+const complianceService = require('../services/complianceService');
+const recurrenceService = require('../services/recurrenceService');
+const projectTemplateService = require('../services/projectTemplateService');
+
+const findCronJob = (id) => CronJob.findOne({ _id: id, deleted: { $ne: true } });
 
 /**
  * @desc    Get all cron jobs for a client
@@ -32,6 +38,10 @@ exports.getCronJobs = async (req, res, next) => {
                 path: 'createdBy',
                 select: 'name email'
             })
+            .populate({
+                path: 'template',
+                select: 'name'
+            })
             .sort({ createdAt: -1 });
 
         res.status(200).json({
@@ -59,6 +69,10 @@ exports.getCronJob = async (req, res, next) => {
             .populate({
                 path: 'createdBy',
                 select: 'name email'
+            })
+            .populate({
+                path: 'template',
+                select: 'name'
             });
 
         if (!cronJob) {
@@ -88,33 +102,36 @@ exports.createCronJob = async (req, res, next) => {
         // Add user to req.body
         req.body.createdBy = req.user.id;
 
-        // Validate required fields
-        if (!req.body.name || !req.body.client || !req.body.section || !req.body.startDate || !req.body.frequency) {
-            return next(new ErrorResponse('Missing required fields: name, client, section, startDate, frequency', 400));
+        // Validate required fields; compliance jobs follow their rule's filing periods instead of a frequency
+        if (!req.body.name || !req.body.client || !req.body.section || !req.body.startDate || !(req.body.frequency || req.body.complianceRule)) {
+            return next(new ErrorResponse('Missing required fields: name, client, section, startDate, frequency or complianceRule', 400));
         }
 
-        // Validate frequency
-        const validFrequencies = ['weekly', 'monthly', 'yearly'];
-        if (!validFrequencies.includes(req.body.frequency)) {
-            return next(new ErrorResponse('Invalid frequency. Must be one of: weekly, monthly, yearly', 400));
-        }
-
-        // Validate start date
-        const startDate = new Date(req.body.startDate);
-        if (isNaN(startDate.getTime())) {
+        // Validate frequency, start date, end date and occurrence limit
+        if (!req.body.complianceRule) {
+            recurrenceService.validate(req.body);
+        } else if (isNaN(new Date(req.body.startDate).getTime())) {
             return next(new ErrorResponse('Invalid start date', 400));
         }
 
         // Check if client exists
-        if (req.body.client) {
-            const client = await Client.findById(req.body.client);
-            if (!client) {
-                return next(new ErrorResponse(`Client not found with id of ${req.body.client}`, 404));
-            }
+        const client = await Client.findById(req.body.client);
+        if (!client) {
+            return next(new ErrorResponse(`Client not found with id of ${req.body.client}`, 404));
+        }
+
+        // Check the project template
+        if (req.body.template) {
+            await projectTemplateService.getActive(req.body.template);
         }
 
         // Calculate next run date
-        req.body.nextRun = startDate;
+        if (req.body.complianceRule) {
+            complianceService.assertApplies(complianceService.assertRule(req.body.complianceRule), client);
+            req.body.nextRun = cronService.getComplianceNextRun(new CronJob(req.body), client);
+        } else {
+            req.body.nextRun = recurrenceService.getNextRun(req.body);
+        }
 
         const cronJob = await CronJob.create(req.body);
 
@@ -173,10 +190,53 @@ exports.updateCronJob = async (req, res, next) => {
             }
         }
 
-        // Update next run date if start date is changed
-        if (req.body.startDate) {
-            req.body.nextRun = new Date(req.body.startDate);
-            req.body.lastRun=""
+        // Check the project template; an empty value removes it
+        if (req.body.template) {
+            await projectTemplateService.getActive(req.body.template);
+        } else if (req.body.template === '') {
+            req.body.template = null;
+        }
+
+        const complianceRule = req.body.complianceRule !== undefined ? req.body.complianceRule : cronJob.complianceRule;
+
+        if (complianceRule) {
+            // Reschedule compliance jobs from the last filing created, or afresh for a new rule or client
+            if (['complianceRule', 'client', 'startDate', 'leadDays'].some((field) => req.body[field] !== undefined)) {
+                const client = await Client.findById(req.body.client || cronJob.client);
+                complianceService.assertApplies(complianceService.assertRule(complianceRule), client);
+
+                const changedFiling =
+                    complianceRule !== cronJob.complianceRule ||
+                    (req.body.client && req.body.client.toString() !== cronJob.client.toString());
+                if (changedFiling) {
+                    req.body.lastPeriodKey = null;
+                    req.body.lastDueDate = null;
+                }
+
+                const schedule = new CronJob({ ...cronJob.toObject(), ...req.body, complianceRule });
+                req.body.nextRun = cronService.getComplianceNextRun(schedule, client);
+            }
+        } else if (['frequency', 'interval', 'cronExpression', 'startDate', 'endDate', 'maxOccurrences'].some((field) => req.body[field] !== undefined)) {
+            const schedule = recurrenceService.toSchedule({ ...cronJob.toObject(), ...req.body });
+            recurrenceService.validate(schedule);
+
+            // Restart the schedule if start date is changed, otherwise continue it from the
+            // pending run (or the last scheduled one, if the schedule had ended) so late and
+            // skipped runs are not scheduled again
+            if (req.body.startDate) {
+                req.body.lastRun=""
+                req.body.occurrences = 0;
+                req.body.nextRun = recurrenceService.getNextRun({ ...schedule, occurrences: 0 });
+            } else {
+                let anchor = cronJob.nextRun ? new Date(cronJob.nextRun.getTime() - 1) : null;
+                if (!anchor) {
+                    const lastScheduled = await CronJobRun.findOne({ cronJob: cronJob._id })
+                        .sort({ scheduledFor: -1 })
+                        .select('scheduledFor');
+                    anchor = lastScheduled ? lastScheduled.scheduledFor : cronJob.lastRun;
+                }
+                req.body.nextRun = recurrenceService.getNextRun(schedule, anchor);
+            }
         }
 
         cronJob = await CronJob.findByIdAndUpdate(req.params.id, req.body, {
@@ -244,6 +304,190 @@ exports.deleteCronJob = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Preview the next run dates of a schedule before saving it
+ * @route   POST /api/cronjobs/preview
+ * @access  Private
+ */
+exports.previewSchedule = async (req, res, next) => {
+    try {
+        recurrenceService.validate(req.body);
+
+        res.status(200).json({
+            success: true,
+            data: recurrenceService.preview(req.body, null, req.body.count),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the next run dates of a cron job
+ * @route   GET /api/cronjobs/:id/preview
+ * @access  Private
+ */
+exports.getCronJobPreview = async (req, res, next) => {
+    try {
+        const cronJob = await CronJob.findById(req.params.id);
+
+        if (!cronJob || cronJob.deleted) {
+            return next(new ErrorResponse(`Cron job not found with id of ${req.params.id}`, 404));
+        }
+
+        if (cronJob.complianceRule) {
+            return next(new ErrorResponse('Compliance cron jobs run ahead of filing due dates; see the compliance calendar', 400));
+        }
+
+        // From the pending run onwards
+        const runs = cronJob.nextRun
+            ? recurrenceService.preview(cronJob, new Date(cronJob.nextRun.getTime() - 1), req.query.count)
+            : [];
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            data: runs,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the run history of a cron job and its pending occurrence
+ * @route   GET /api/cronjobs/:id/runs
+ * @access  Private
+ */
+exports.getCronJobRuns = async (req, res, next) => {
+    try {
+        const cronJob = await findCronJob(req.params.id);
+
+        if (!cronJob) {
+            return next(new ErrorResponse(`Cron job not found with id of ${req.params.id}`, 404));
+        }
+
+        // Pagination
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 25;
+        const startIndex = (page - 1) * limit;
+
+        const filter = { cronJob: cronJob._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const total = await CronJobRun.countDocuments(filter);
+        const runs = await CronJobRun.find(filter)
+            .populate({
+                path: 'project',
+                select: 'name status dueDate'
+            })
+            .populate({
+                path: 'triggeredBy',
+                select: 'name email'
+            })
+            .sort({ scheduledFor: -1, createdAt: -1 })
+            .skip(startIndex)
+            .limit(limit);
+
+        let pending = null;
+        if (cronJob.isActive && cronJob.nextRun) {
+            const period = await cronService.getPendingPeriod(cronJob);
+            pending = { periodKey: period.key, periodLabel: period.label, scheduledFor: period.scheduledFor };
+        }
+
+        // Pagination result
+        const pagination = {};
+
+        if (startIndex + limit < total) {
+            pagination.next = {
+                page: page + 1,
+                limit,
+            };
+        }
+
+        if (startIndex > 0) {
+            pagination.prev = {
+                page: page - 1,
+                limit,
+            };
+        }
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            pagination,
+            total,
+            pending,
+            data: runs,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Run a cron job's pending occurrence now
+ * @route   POST /api/cronjobs/:id/run
+ * @access  Private
+ */
+exports.runCronJob = async (req, res, next) => {
+    try {
+        const cronJob = await findCronJob(req.params.id);
+
+        if (!cronJob) {
+            return next(new ErrorResponse(`Cron job not found with id of ${req.params.id}`, 404));
+        }
+
+        const run = await cronService.runNow(cronJob, { user: req.user, periodKey: req.body.periodKey });
+
+        if (run.status === 'failed') {
+            return next(new ErrorResponse(`Cron job run for ${run.periodLabel} failed: ${run.error}`, 500));
+        }
+
+        // Reschedule in case the run ended the schedule or this process has not scheduled the job
+        await cronService.updateCronJob(cronJob);
+
+        logger.info(`Cron job ${cronJob.name} (${cronJob._id}) run for ${run.periodLabel} by ${req.user.name} (${req.user._id}): ${run.status}`);
+
+        res.status(200).json({
+            success: true,
+            data: run,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Skip a cron job's pending occurrence
+ * @route   POST /api/cronjobs/:id/skip
+ * @access  Private
+ */
+exports.skipCronJobRun = async (req, res, next) => {
+    try {
+        const cronJob = await findCronJob(req.params.id);
+
+        if (!cronJob) {
+            return next(new ErrorResponse(`Cron job not found with id of ${req.params.id}`, 404));
+        }
+
+        const run = await cronService.skipNextRun(cronJob, { user: req.user, periodKey: req.body.periodKey });
+
+        if (cronJob.isActive) {
+            await cronService.updateCronJob(cronJob);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: run,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get sections for a client
  * @route   GET /api/cronjobs/sections/:clientId
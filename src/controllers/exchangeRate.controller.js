@@ -0,0 +1,177 @@
+const moment = require("moment");
+const ExchangeRate = require("../models/ExchangeRate");
+const Settings = require("../models/Settings");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const exchangeRateService = require("../services/exchangeRateService");
+
+/**
+ * @desc    Get exchange rates, or the rate in force on a date
+ * @route   GET /api/finance/exchange-rates
+ * @access  Private/Finance,Admin
+ */
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    // Rate an invoice issued on the date would use
+    if (req.query.asOf) {
+      if (!req.query.currency) {
+        return next(new ErrorResponse("Please specify the currency", 400));
+      }
+
+      const settings = await Settings.findOne().select("company.currency");
+      const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+      const currency = req.query.currency.toUpperCase();
+      const rate = await exchangeRateService.getRate(
+        currency,
+        new Date(req.query.asOf),
+        baseCurrency
+      );
+
+      if (!rate) {
+        return next(
+          new ErrorResponse(
+            `No ${currency} exchange rate recorded on or before ${moment(req.query.asOf).format("DD MMM YYYY")}`,
+            404
+          )
+        );
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { currency, baseCurrency, ...rate },
+      });
+    }
+
+    const filter = {};
+
+    if (req.query.currency) {
+      filter.currency = req.query.currency.toUpperCase();
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = new Date(req.query.from);
+      if (req.query.to) filter.date.$lte = new Date(req.query.to);
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .populate({ path: "createdBy", select: "name" })
+      .sort({ currency: 1, date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add an exchange rate
+ * @route   POST /api/finance/exchange-rates
+ * @access  Private/Finance,Admin
+ */
+exports.createExchangeRate = async (req, res, next) => {
+  try {
+    const settings = await Settings.findOne().select("company.currency");
+    const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+
+    if (req.body.currency === baseCurrency) {
+      return next(
+        new ErrorResponse(`${baseCurrency} is the base currency and needs no rate`, 400)
+      );
+    }
+
+    const date = moment(req.body.date).startOf("day").toDate();
+    const existing = await ExchangeRate.findOne({ currency: req.body.currency, date });
+    if (existing) {
+      return next(
+        new ErrorResponse(
+          `A ${req.body.currency} rate is already recorded for ${moment(date).format("DD MMM YYYY")}; update it instead`,
+          400
+        )
+      );
+    }
+
+    const rate = await ExchangeRate.create({
+      ...req.body,
+      date,
+      createdBy: req.user.id,
+    });
+
+    logger.info(
+      `Exchange rate added: 1 ${rate.currency} = ${rate.rate} ${baseCurrency} from ${moment(date).format("YYYY-MM-DD")} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: rate,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an exchange rate; invoices already raised keep their rate
+ * @route   PUT /api/finance/exchange-rates/:id
+ * @access  Private/Finance,Admin
+ */
+exports.updateExchangeRate = async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+
+    if (!rate) {
+      return next(
+        new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const previous = rate.rate;
+    rate.set(req.body);
+    await rate.save();
+
+    logger.info(
+      `Exchange rate updated: ${rate.currency} on ${moment(rate.date).format("YYYY-MM-DD")} from ${previous} to ${rate.rate} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rate,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an exchange rate
+ * @route   DELETE /api/finance/exchange-rates/:id
+ * @access  Private/Finance,Admin
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+
+    if (!rate) {
+      return next(
+        new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    await rate.deleteOne();
+
+    logger.info(
+      `Exchange rate deleted: ${rate.currency} ${rate.rate} on ${moment(rate.date).format("YYYY-MM-DD")} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
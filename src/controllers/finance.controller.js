@@ -1,9 +1,22 @@
 const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
 const Task = require("../models/Task");
 const Project = require("../models/Project");
 const Client = require("../models/Client");
+const Settings = require("../models/Settings");
 const { ErrorResponse } = require("../middleware/errorHandler");
 const { logger } = require("../utils/logger");
+const mailService = require("../services/mailService");
+const invoicePdfService = require("../services/invoicePdfService");
+const numberingService = require("../services/numberingService");
+const invoiceService = require("../services/invoiceService");
+const dunningService = require("../services/dunningService");
+const paymentService = require("../services/paymentService");
+const exchangeRateService = require("../services/exchangeRateService");
+const taskWorkflowService = require("../services/taskWorkflowService");
+const subtaskService = require("../services/subtaskService");
+const dependencyService = require("../services/dependencyService");
+const { getSupplyType, calculateTax, round2 } = require("../utils/gst");
 const path = require("path");
 
 /**
@@ -122,6 +135,15 @@ exports.getInvoice = async (req, res, next) => {
       .populate({
         path: "items.task",
         select: "title description",
+      })
+      .populate({
+        path: "creditNotes",
+        select: "creditNoteNumber type reason issueDate total",
+      })
+      .populate({
+        path: "payments",
+        match: { status: "active" },
+        select: "date amount tdsAmount method reference allocations",
       });
 
     if (!invoice) {
@@ -139,6 +161,67 @@ exports.getInvoice = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Preview the next invoice number
+ * @route   GET /api/finance/invoices/next-number
+ * @access  Private/Finance,Admin
+ */
+exports.getNextInvoiceNumber = async (req, res, next) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return next(new ErrorResponse("Invalid date", 400));
+    }
+
+    const invoiceNumber = await numberingService.peek("invoice", date);
+
+    res.status(200).json({
+      success: true,
+      data: { invoiceNumber },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download invoice as PDF
+ * @route   GET /api/finance/invoices/:id/pdf
+ * @access  Private/Finance,Admin
+ */
+exports.downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return next(
+        new ErrorResponse(`Invoice not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const client = await Client.findById(invoice.client);
+    const settings = await Settings.findOne();
+
+    const pdf = await invoicePdfService.generate(invoice, client, settings);
+    const filename = `${invoice.invoiceNumber.replace(/[^\w.-]+/g, "_")}.pdf`;
+
+    logger.info(
+      `Invoice PDF downloaded: ${invoice.invoiceNumber} (${invoice._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${
+        req.query.inline === "true" ? "inline" : "attachment"
+      }; filename="${filename}"`,
+      "Content-Length": pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new invoice
  * @route   POST /api/finance/invoices
@@ -158,6 +241,7 @@ exports.createInvoice = async (req, res, next) => {
     }
 
     // Validate projects if provided
+    const projects = [];
     if (req.body.projects && req.body.projects.length > 0) {
       for (const projectData of req.body.projects) {
         const project = await Project.findById(projectData.projectId);
@@ -196,19 +280,10 @@ exports.createInvoice = async (req, res, next) => {
             )
           );
         }
+        projects.push(project);
       }
     }
 
-    // Generate invoice number if not provided
-    if (!req.body.invoiceNumber) {
-      const prefix = "INV";
-      const date = new Date().toISOString().slice(2, 10).replace(/-/g, "");
-      const count = (await Invoice.countDocuments()) + 1;
-      req.body.invoiceNumber = `${prefix}-${date}-${count
-        .toString()
-        .padStart(4, "0")}`;
-    }
-
     // Create invoice items from projects
     if (req.body.projects && req.body.projects.length > 0) {
       req.body.items = req.body.projects.map((projectData) => ({
@@ -216,23 +291,57 @@ exports.createInvoice = async (req, res, next) => {
         quantity: 1,
         rate: projectData.amount || 0,
         amount: projectData.amount || 0,
-        projectId: projectData.projectId,
+        hsnSac: projectData.hsnSac,
+        taxRate: projectData.taxRate,
+        project: projectData.projectId,
       }));
     }
 
-    // Calculate totals
-    const subtotal = req.body.items
-      ? req.body.items.reduce((sum, item) => sum + (item.amount || 0), 0)
-      : 0;
-    const taxAmount = (subtotal * (req.body.taxRate || 0)) / 100;
-    const total = subtotal + taxAmount - (req.body.discount || 0);
-
-    req.body.subtotal = subtotal;
-    req.body.taxAmount = taxAmount;
-    req.body.total = total;
+    // Intra-state supplies are taxed as CGST + SGST, inter-state as IGST
+    const settings = await Settings.findOne();
+    req.body.supplyType = getSupplyType(settings?.company, client);
+    req.body.placeOfSupply =
+      client.state || settings?.company?.address?.state || "";
+
+    // Invoice currency and rate to the base currency; projects priced in a
+    // foreign currency are billed in it
+    const issueDate = req.body.issueDate ? new Date(req.body.issueDate) : new Date();
+    const currency = await exchangeRateService.resolveInvoiceCurrency({
+      currency: req.body.currency || projects.find((project) => project.currency)?.currency,
+      exchangeRate: req.body.exchangeRate,
+      client,
+      settings,
+      date: issueDate,
+    });
+    const mismatched = projects.find(
+      (project) => (project.currency || currency.baseCurrency) !== currency.currency
+    );
+    if (mismatched) {
+      return next(
+        new ErrorResponse(
+          `Project ${mismatched.name} is priced in ${mismatched.currency || currency.baseCurrency} and cannot be billed on a ${currency.currency} invoice`,
+          400
+        )
+      );
+    }
+    Object.assign(req.body, currency);
 
-    // Create invoice
-    const invoice = await Invoice.create(req.body);
+    // Calculate totals
+    const tax = calculateTax(req.body.items || [], {
+      taxRate: req.body.taxRate,
+      supplyType: req.body.supplyType,
+    });
+    req.body.subtotal = tax.subtotal;
+    req.body.cgstAmount = tax.cgstAmount;
+    req.body.sgstAmount = tax.sgstAmount;
+    req.body.igstAmount = tax.igstAmount;
+    req.body.taxAmount = tax.taxAmount;
+    req.body.total = tax.subtotal + tax.taxAmount - (req.body.discount || 0);
+
+    // Invoices created as sent take the next number in the financial year
+    // sequence; drafts are numbered when they are issued
+    const invoice = await invoiceService.create({ ...req.body, issueDate });
+    req.body.invoiceNumber = invoice.invoiceNumber;
 
     // Update project invoice status and link projects to invoice
     if (req.body.projects && req.body.projects.length > 0) {
@@ -310,16 +419,53 @@ exports.updateInvoice = async (req, res, next) => {
       );
     }
 
-    // Don't allow updating if invoice is already paid
-    if (invoice.status === "paid" && !req.user.role.includes("admin")) {
-      return next(new ErrorResponse(`Cannot update a paid invoice`, 400));
+    // Issued invoices are immutable; corrections go through credit notes
+    if (invoice.status !== "draft") {
+      return next(
+        new ErrorResponse(
+          `Invoice ${invoice.invoiceNumber} has been issued and cannot be modified; issue a credit note instead`,
+          400
+        )
+      );
     }
 
-    // Update the invoice
-    invoice = await Invoice.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Update the invoice; saving recalculates the GST split and totals
+    invoice.set(req.body);
+
+    // Re-evaluate intra/inter-state supply when the client changes
+    let client;
+    let settings;
+    if (req.body.client) {
+      client = await Client.findById(req.body.client);
+      if (!client) {
+        return next(
+          new ErrorResponse(`Client not found with id of ${req.body.client}`, 404)
+        );
+      }
+      settings = await Settings.findOne();
+      invoice.supplyType = getSupplyType(settings?.company, client);
+      invoice.placeOfSupply =
+        client.state || settings?.company?.address?.state || "";
+    }
+
+    // Look the rate up again when the currency or the issue date changes,
+    // unless a rate is given
+    if (req.body.client || req.body.currency || req.body.issueDate || req.body.exchangeRate) {
+      settings = settings || (await Settings.findOne());
+      Object.assign(
+        invoice,
+        await exchangeRateService.resolveInvoiceCurrency({
+          // A new client brings its own currency unless one is given
+          currency: req.body.currency || (client ? undefined : invoice.currency),
+          exchangeRate: req.body.exchangeRate,
+          client,
+          settings,
+          date: invoice.issueDate,
+        })
+      );
+    }
+
+    await invoice.save();
 
     // Log the invoice update
     logger.info(
@@ -350,26 +496,57 @@ exports.deleteInvoice = async (req, res, next) => {
       );
     }
 
-    // Don't allow deleting if invoice is already sent or paid
-    if (["sent", "paid"].includes(invoice.status)) {
+    // Only drafts can be deleted; issued invoices are cancelled with a credit note
+    if (invoice.status !== "draft") {
       return next(
         new ErrorResponse(
-          `Cannot delete an invoice that has been sent or paid`,
+          `Only draft invoices can be deleted; cancel issued invoices with a credit note`,
           400
         )
       );
     }
 
-    // Update tasks to remove invoice reference
-    for (const item of invoice.items) {
-      if (item.task) {
-        await Task.findByIdAndUpdate(item.task, {
-          "invoiceDetails.invoiced": false,
-          "invoiceDetails.invoiceDate": null,
-          "invoiceDetails.invoiceNumber": null,
-          status: "completed",
-        });
+    // Drafts numbered before numbering moved to issue hold a number in the
+    // sequence; deleting one would leave a gap
+    if (invoiceService.isNumbered(invoice)) {
+      return next(
+        new ErrorResponse(
+          `Draft ${invoice.invoiceNumber} already has an invoice number; issue it and cancel it with a credit note instead`,
+          400
+        )
+      );
+    }
+
+    // Tasks billed on the draft go back to completed, if still invoiced,
+    // subject to the same checks as any other move to completed
+    const workflow = await taskWorkflowService.getWorkflow();
+    const completed = taskWorkflowService.assertKnownStatus(workflow, "completed");
+    const tasks = await Task.find({
+      _id: { $in: invoice.items.map((item) => item.task).filter(Boolean) },
+    });
+    const reopened = tasks.filter((task) => task.status === "invoiced");
+    for (const task of reopened) {
+      await subtaskService.assertCanSetStatus(task, completed);
+      await dependencyService.assertCanSetStatus(task, completed);
+    }
+
+    // Release projects billed on the draft so they can be invoiced again
+    await Project.updateMany(
+      { invoiceId: invoice._id },
+      {
+        invoiceStatus: "Not Created",
+        $unset: { invoiceId: 1, invoiceNumber: 1, invoiceDate: 1 },
       }
+    );
+
+    // Update tasks to remove invoice reference
+    for (const task of tasks) {
+      await Task.findByIdAndUpdate(task._id, {
+        "invoiceDetails.invoiced": false,
+        "invoiceDetails.invoiceDate": null,
+        "invoiceDetails.invoiceNumber": null,
+        ...(reopened.includes(task) && { status: completed, updatedBy: req.user._id }),
+      });
     }
 
     // Delete the invoice
@@ -403,7 +580,7 @@ exports.updateInvoiceStatus = async (req, res, next) => {
       return next(new ErrorResponse(`Invalid status: ${status}`, 400));
     }
 
-    const invoice = await Invoice.findById(req.params.id);
+    let invoice = await Invoice.findById(req.params.id);
 
     if (!invoice) {
       return next(
@@ -411,19 +588,75 @@ exports.updateInvoiceStatus = async (req, res, next) => {
       );
     }
 
-    // If setting to paid, update paidDate
+    if (invoice.status === "cancelled") {
+      return next(
+        new ErrorResponse(`Invoice ${invoice.invoiceNumber} has been cancelled`, 400)
+      );
+    }
+
+    // Issued invoices cannot go back to draft, and are cancelled by
+    // issuing a full credit note rather than by changing the status
+    if (invoice.status !== "draft" && ["draft", "cancelled"].includes(status)) {
+      return next(
+        new ErrorResponse(
+          status === "cancelled"
+            ? `Issued invoices can only be cancelled by issuing a credit note`
+            : `Issued invoices cannot be moved back to draft`,
+          400
+        )
+      );
+    }
+
+    // Paid follows from the payments recorded against the invoice, so it
+    // is neither set nor undone by hand
     if (status === "paid" && invoice.status !== "paid") {
-      invoice.paidDate = new Date();
-      invoice.paidAmount = invoice.total;
+      return next(
+        new ErrorResponse(
+          `Record a payment against invoice ${invoice.invoiceNumber} to mark it paid`,
+          400
+        )
+      );
+    }
+    if (invoice.status === "paid" && status !== "paid") {
+      return next(
+        new ErrorResponse(
+          `Invoice ${invoice.invoiceNumber} is paid; void its payment to reopen it`,
+          400
+        )
+      );
+    }
+
+    if (status === "cancelled") {
+      invoice.cancelledDate = new Date();
     }
 
     // If setting to sent, update sentDate
-    if (status === "sent" && invoice.status !== "sent") {
-      invoice.sentDate = new Date();
+    const isBeingSent = status === "sent" && invoice.status !== "sent";
+
+    if (invoice.status === "draft" && !["draft", "cancelled"].includes(status)) {
+      // Issuing a draft gives it its number in the financial year sequence
+      invoice = await invoiceService.issue(invoice, status);
+    } else {
+      if (isBeingSent) {
+        invoice.sentDate = new Date();
+      }
+      invoice.status = status;
+      await invoice.save();
     }
 
-    invoice.status = status;
-    await invoice.save();
+    // Email the invoice to the client
+    if (isBeingSent) {
+      try {
+        const client = await Client.findById(invoice.client);
+        if (client) {
+          await mailService.queueInvoiceEmail(invoice, client);
+        }
+      } catch (mailError) {
+        logger.error(
+          `Failed to queue email for invoice ${invoice._id}: ${mailError.message}`
+        );
+      }
+    }
 
     // Log the status update
     logger.info(
@@ -439,6 +672,28 @@ exports.updateInvoiceStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Mark overdue invoices and send due payment reminders now
+ * @route   POST /api/finance/dunning/run
+ * @access  Private/Admin
+ */
+exports.runDunning = async (req, res, next) => {
+  try {
+    const result = await dunningService.run();
+
+    logger.info(
+      `Invoice dunning run manually by ${req.user.name} (${req.user._id}): ${result.overdue} marked overdue, ${result.reminders} reminder(s) sent`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get completed tasks available for invoicing
  * @route   GET /api/finance/tasks/completed
@@ -496,13 +751,18 @@ exports.getCompletedTasks = async (req, res, next) => {
  */
 exports.getInvoiceStats = async (req, res, next) => {
   try {
+    // Amounts are in the base currency, at each document's own exchange rate
+    const settings = await Settings.findOne().select("company.currency");
+    const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+    const inBase = (field) => exchangeRateService.atStoredRate(field);
+
     // Get total counts by status
     const statusCounts = await Invoice.aggregate([
       {
         $group: {
           _id: "$status",
           count: { $sum: 1 },
-          total: { $sum: "$total" },
+          total: { $sum: inBase("$total") },
         },
       },
     ]);
@@ -522,7 +782,12 @@ exports.getInvoiceStats = async (req, res, next) => {
       {
         $group: {
           _id: { $month: "$issueDate" },
-          total: { $sum: "$total" },
+          total: { $sum: inBase("$total") },
+          taxableAmount: { $sum: inBase("$subtotal") },
+          cgstAmount: { $sum: inBase("$cgstAmount") },
+          sgstAmount: { $sum: inBase("$sgstAmount") },
+          igstAmount: { $sum: inBase("$igstAmount") },
+          taxAmount: { $sum: inBase("$taxAmount") },
           count: { $sum: 1 },
         },
       },
@@ -531,6 +796,94 @@ exports.getInvoiceStats = async (req, res, next) => {
       },
     ]);
 
+    // GST collected on issued invoices, split by component and supply type
+    const taxSummary = await Invoice.aggregate([
+      {
+        $match: { status: { $nin: ["draft", "cancelled"] } },
+      },
+      {
+        $group: {
+          _id: "$supplyType",
+          count: { $sum: 1 },
+          taxableAmount: { $sum: inBase("$subtotal") },
+          cgstAmount: { $sum: inBase("$cgstAmount") },
+          sgstAmount: { $sum: inBase("$sgstAmount") },
+          igstAmount: { $sum: inBase("$igstAmount") },
+          taxAmount: { $sum: inBase("$taxAmount") },
+        },
+      },
+    ]);
+
+    const taxTotals = taxSummary.reduce(
+      (acc, row) => ({
+        taxableAmount: acc.taxableAmount + row.taxableAmount,
+        cgstAmount: acc.cgstAmount + row.cgstAmount,
+        sgstAmount: acc.sgstAmount + row.sgstAmount,
+        igstAmount: acc.igstAmount + row.igstAmount,
+        taxAmount: acc.taxAmount + row.taxAmount,
+      }),
+      { taxableAmount: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, taxAmount: 0 }
+    );
+
+    // Credit notes reduce the billed amount and the GST payable
+    const creditNoteSummary = await CreditNote.aggregate([
+      {
+        $group: {
+          _id: "$type",
+          count: { $sum: 1 },
+          total: { $sum: inBase("$total") },
+          taxableAmount: { $sum: inBase({ $subtract: ["$subtotal", "$discount"] }) },
+          cgstAmount: { $sum: inBase("$cgstAmount") },
+          sgstAmount: { $sum: inBase("$sgstAmount") },
+          igstAmount: { $sum: inBase("$igstAmount") },
+          taxAmount: { $sum: inBase("$taxAmount") },
+        },
+      },
+    ]);
+
+    const creditTotals = creditNoteSummary.reduce(
+      (acc, row) => ({
+        count: acc.count + row.count,
+        total: acc.total + row.total,
+        taxableAmount: acc.taxableAmount + row.taxableAmount,
+        cgstAmount: acc.cgstAmount + row.cgstAmount,
+        sgstAmount: acc.sgstAmount + row.sgstAmount,
+        igstAmount: acc.igstAmount + row.igstAmount,
+        taxAmount: acc.taxAmount + row.taxAmount,
+      }),
+      { count: 0, total: 0, taxableAmount: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, taxAmount: 0 }
+    );
+
+    // Invoices cancelled by a full credit note are still issued documents
+    // for GST purposes, so they are counted here and reversed by the credit
+    const issuedSummary = await Invoice.aggregate([
+      {
+        $match: {
+          $or: [
+            { status: { $nin: ["draft", "cancelled"] } },
+            { status: "cancelled", creditedAmount: { $gt: 0 } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: inBase("$total") },
+          cgstAmount: { $sum: inBase("$cgstAmount") },
+          sgstAmount: { $sum: inBase("$sgstAmount") },
+          igstAmount: { $sum: inBase("$igstAmount") },
+          taxAmount: { $sum: inBase("$taxAmount") },
+        },
+      },
+    ]);
+    const issued = issuedSummary[0] || {
+      total: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      taxAmount: 0,
+    };
+
     // Get overdue invoices
     const overdue = await Invoice.countDocuments({
       status: "overdue",
@@ -543,7 +896,7 @@ exports.getInvoiceStats = async (req, res, next) => {
       {
         $group: {
           _id: null,
-          total: { $sum: "$total" },
+          total: { $sum: inBase("$total") },
         },
       },
     ]);
@@ -553,7 +906,7 @@ exports.getInvoiceStats = async (req, res, next) => {
       {
         $group: {
           _id: "$client",
-          total: { $sum: "$total" },
+          total: { $sum: inBase("$total") },
           count: { $sum: 1 },
         },
       },
@@ -584,8 +937,24 @@ exports.getInvoiceStats = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
         statusCounts,
         monthlyTotals,
+        tax: {
+          ...taxTotals,
+          bySupplyType: taxSummary,
+        },
+        creditNotes: {
+          ...creditTotals,
+          byType: creditNoteSummary,
+        },
+        net: {
+          invoiced: round2(issued.total - creditTotals.total),
+          cgstAmount: round2(issued.cgstAmount - creditTotals.cgstAmount),
+          sgstAmount: round2(issued.sgstAmount - creditTotals.sgstAmount),
+          igstAmount: round2(issued.igstAmount - creditTotals.igstAmount),
+          taxAmount: round2(issued.taxAmount - creditTotals.taxAmount),
+        },
         overdue: {
           count: overdue,
           amount: overdueAmount.length > 0 ? overdueAmount[0].total : 0,
@@ -605,7 +974,7 @@ exports.getInvoiceStats = async (req, res, next) => {
  */
 exports.recordPayment = async (req, res, next) => {
   try {
-    const { amount, method, reference, notes } = req.body;
+    const { amount, tdsAmount, tdsSection, tdsRate, method, reference, notes } = req.body;
 
     // Validate required fields
     if (!amount || amount <= 0) {
@@ -628,37 +997,45 @@ exports.recordPayment = async (req, res, next) => {
       );
     }
 
-    // Create payment record
-    const paymentRecord = {
-      amount: Number(amount),
-      method,
-      reference: reference || "",
-      notes: notes || "",
-      recordedBy: req.user.id,
-    };
-
-    // Add payment to history
-    project.paymentHistory.push(paymentRecord);
-
-    // Update received amount
-    project.receivedAmount += Number(amount);
-
-    // Update last payment date
-    project.lastPaymentDate = new Date();
+    // Invoiced projects are settled through their invoice; anything above
+    // the amount due is held as client advance
+    const settled = round2(Number(amount) + Number(tdsAmount || 0));
+    const allocations = [];
+    if (project.invoiceId) {
+      const invoice = await Invoice.findById(project.invoiceId);
+      const balance = invoice ? paymentService.getInvoiceBalance(invoice) : 0;
+      if (invoice && ["sent", "overdue"].includes(invoice.status) && balance > 0) {
+        allocations.push({ invoice: invoice._id, amount: Math.min(settled, balance) });
+      }
+    } else if (project.balanceAmount > 0) {
+      allocations.push({ project: project._id, amount: Math.min(settled, project.balanceAmount) });
+    }
 
-    // Save project (this will trigger the pre-save middleware to update balance and status)
-    await project.save();
+    const payment = await paymentService.create(
+      {
+        client: project.client,
+        amount: Number(amount),
+        tdsAmount: Number(tdsAmount || 0),
+        tdsSection,
+        tdsRate,
+        method,
+        reference: reference || "",
+        notes: notes || "",
+        allocations,
+      },
+      req.user
+    );
 
     // Log the payment
     logger.info(
-      `Payment recorded for project ${project.name} (${project._id}): ${amount} by ${req.user.name} (${req.user._id})`
+      `Payment recorded for project ${project.name} (${project._id}): ${amount} by ${req.user.name} (${req.user._id}); ${payment.unallocatedAmount} held as advance`
     );
 
     res.status(200).json({
       success: true,
       data: {
-        project,
-        payment: paymentRecord,
+        project: await Project.findById(project._id),
+        payment,
       },
     });
   } catch (error) {
@@ -697,6 +1074,7 @@ exports.getPaymentHistory = async (req, res, next) => {
           name: project.name,
           amount: project.amount,
           receivedAmount: project.receivedAmount,
+          creditedAmount: project.creditedAmount,
           balanceAmount: project.balanceAmount,
           paymentStatus: project.paymentStatus,
           lastPaymentDate: project.lastPaymentDate,
@@ -717,15 +1095,30 @@ exports.getPaymentHistory = async (req, res, next) => {
  */
 exports.getFinancialSummary = async (req, res, next) => {
   try {
+    // Amounts are reported in the base currency; project amounts in other
+    // currencies are converted at the latest rate recorded for them
+    const settings = await Settings.findOne().select("company.currency");
+    const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+    const projectCurrencies = await Project.distinct("currency", {
+      currency: { $nin: [null, baseCurrency] },
+    });
+    const { rates, missing: missingRates } = await exchangeRateService.getRates(
+      projectCurrencies,
+      new Date(),
+      baseCurrency
+    );
+    const toBase = (field) => exchangeRateService.toBaseExpression(field, rates);
+
     // Get total amounts by payment status
     const paymentStatusSummary = await Project.aggregate([
       {
         $group: {
           _id: "$paymentStatus",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          totalReceived: { $sum: "$receivedAmount" },
-          totalBalance: { $sum: "$balanceAmount" },
+          totalAmount: { $sum: toBase("$amount") },
+          totalReceived: { $sum: toBase("$receivedAmount") },
+          totalCredited: { $sum: toBase("$creditedAmount") },
+          totalBalance: { $sum: toBase("$balanceAmount") },
         },
       },
     ]);
@@ -739,9 +1132,10 @@ exports.getFinancialSummary = async (req, res, next) => {
         $group: {
           _id: null,
           totalProjects: { $sum: 1 },
-          totalAmount: { $sum: "$amount" },
-          totalReceived: { $sum: "$receivedAmount" },
-          totalBalance: { $sum: "$balanceAmount" },
+          totalAmount: { $sum: toBase("$amount") },
+          totalReceived: { $sum: toBase("$receivedAmount") },
+          totalCredited: { $sum: toBase("$creditedAmount") },
+          totalBalance: { $sum: toBase("$balanceAmount") },
           totalInvoiced: {
             $sum: { $cond: [{ $eq: ["$invoiceStatus", "Created"] }, 1, 0] },
           },
@@ -752,6 +1146,32 @@ exports.getFinancialSummary = async (req, res, next) => {
       },
     ]);
 
+    // Invoice totals by status, converted at each invoice's own rate
+    const invoiceRate = { $ifNull: ["$exchangeRate", 1] };
+    const invoiceSummary = await Invoice.aggregate([
+      { $match: { status: { $ne: "cancelled" } } },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          totalAmount: { $sum: { $multiply: ["$total", invoiceRate] } },
+          totalPaid: {
+            $sum: { $multiply: [{ $ifNull: ["$paidAmount", 0] }, invoiceRate] },
+          },
+          totalCredited: {
+            $sum: { $multiply: [{ $ifNull: ["$creditedAmount", 0] }, invoiceRate] },
+          },
+          currencies: { $addToSet: { $ifNull: ["$currency", baseCurrency] } },
+        },
+      },
+    ]);
+    invoiceSummary.forEach((row) => {
+      row.totalAmount = round2(row.totalAmount);
+      row.totalPaid = round2(row.totalPaid);
+      row.totalCredited = round2(row.totalCredited);
+      row.totalBalance = round2(row.totalAmount - row.totalPaid - row.totalCredited);
+    });
+
     // Get recent payments
     const recentPayments = await Project.aggregate([
       {
@@ -789,12 +1209,26 @@ exports.getFinancialSummary = async (req, res, next) => {
       },
     ]);
 
+    // Get recent credit notes
+    const recentCreditNotes = await CreditNote.find()
+      .select("creditNoteNumber invoice client type reason issueDate total")
+      .populate({ path: "invoice", select: "invoiceNumber" })
+      .populate({ path: "client", select: "name" })
+      .sort({ issueDate: -1 })
+      .limit(10);
+
     res.status(200).json({
       success: true,
       data: {
+        baseCurrency,
+        exchangeRates: rates,
+        // Currencies without a recorded rate are left unconverted
+        missingRates,
         paymentStatusSummary,
         totalOverview: totalOverview[0] || {},
+        invoiceSummary,
         recentPayments,
+        recentCreditNotes,
       },
     });
   } catch (error) {
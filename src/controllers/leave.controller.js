@@ -4,6 +4,7 @@ const Attendance = require("../models/Attendance");
 const catchAsync = require("../utils/catchAsync");
 const websocketService = require("../utils/websocket");
 const Notification = require("../models/Notification");
+const mailService = require("../services/mailService");
 const { createError } = require("../utils/errors");
 const User = require("../models/User");
 const moment = require("moment-timezone");
@@ -731,6 +732,16 @@ exports.reviewLeave = catchAsync(async (req, res) => {
     await leave.save();
 
     // Send Notification to the employee
+    try {
+      await mailService.queueEmailToUser(
+        leave.employee._id,
+        "leaveReviewed",
+        { leave },
+        { entityType: "leave", entityId: leave._id }
+      );
+    } catch (mailError) {
+      console.error("Failed to queue leave review email:", mailError.message);
+    }
 
     res.status(200).json({
       status: "success",
@@ -0,0 +1,250 @@
+const Payment = require("../models/Payment");
+const Client = require("../models/Client");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const paymentService = require("../services/paymentService");
+
+/**
+ * @desc    Get all payments
+ * @route   GET /api/finance/payments
+ * @access  Private/Finance,Admin
+ */
+exports.getPayments = async (req, res, next) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Filtering
+    const filter = {};
+
+    if (req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    if (req.query.invoice) {
+      filter["allocations.invoice"] = req.query.invoice;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Payments with money held as advance
+    if (req.query.unallocated === "true") {
+      filter.unallocatedAmount = { $gt: 0 };
+    }
+
+    const total = await Payment.countDocuments(filter);
+
+    const payments = await Payment.find(filter)
+      .populate({
+        path: "client",
+        select: "name",
+      })
+      .populate({
+        path: "allocations.invoice",
+        select: "invoiceNumber total",
+      })
+      .populate({
+        path: "allocations.project",
+        select: "name",
+      })
+      .sort({ date: -1, createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    // Pagination result
+    const pagination = {};
+
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      pagination,
+      total,
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single payment
+ * @route   GET /api/finance/payments/:id
+ * @access  Private/Finance,Admin
+ */
+exports.getPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate({
+        path: "client",
+        select: "name contactName contactEmail",
+      })
+      .populate({
+        path: "allocations.invoice",
+        select: "invoiceNumber issueDate dueDate total paidAmount creditedAmount status",
+      })
+      .populate({
+        path: "allocations.project",
+        select: "name amount receivedAmount balanceAmount paymentStatus",
+      })
+      .populate({
+        path: "allocations.projectShares.project",
+        select: "name",
+      })
+      .populate({
+        path: "createdBy",
+        select: "name email",
+      })
+      .populate({
+        path: "voidedBy",
+        select: "name email",
+      });
+
+    if (!payment) {
+      return next(
+        new ErrorResponse(`Payment not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a payment and allocate it across invoices/projects
+ * @route   POST /api/finance/payments
+ * @access  Private/Finance,Admin
+ */
+exports.createPayment = async (req, res, next) => {
+  try {
+    const client = await Client.findById(req.body.client);
+    if (!client) {
+      return next(
+        new ErrorResponse(`Client not found with id of ${req.body.client}`, 404)
+      );
+    }
+
+    const payment = await paymentService.create(req.body, req.user);
+
+    logger.info(
+      `Payment recorded for client ${client.name} (${client._id}): ${payment.amount} (TDS ${payment.tdsAmount}), ${payment.allocations.length} allocation(s), ${payment.unallocatedAmount} held as advance, by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Allocate the unallocated (advance) part of a payment
+ * @route   POST /api/finance/payments/:id/allocate
+ * @access  Private/Finance,Admin
+ */
+exports.allocatePayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return next(
+        new ErrorResponse(`Payment not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    await paymentService.allocate(payment, req.body.allocations, req.user);
+
+    logger.info(
+      `Payment ${payment._id} allocated: ${req.body.allocations.length} allocation(s), ${payment.unallocatedAmount} left as advance, by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Void a payment, reversing its allocations
+ * @route   DELETE /api/finance/payments/:id
+ * @access  Private/Finance,Admin
+ */
+exports.voidPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return next(
+        new ErrorResponse(`Payment not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    await paymentService.void(payment, req.body.reason, req.user);
+
+    logger.info(
+      `Payment ${payment._id} voided by ${req.user.name} (${req.user._id})${req.body.reason ? `: ${req.body.reason}` : ""}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Client advances (payments not yet allocated)
+ * @route   GET /api/finance/payments/advances
+ * @access  Private/Finance,Admin
+ */
+exports.getClientAdvances = async (req, res, next) => {
+  try {
+    const advances = await paymentService.getClientAdvances(req.query.client);
+    const clients = await Client.find({
+      _id: { $in: advances.map((row) => row.client) },
+    }).select("name");
+    const names = new Map(clients.map((client) => [client._id.toString(), client.name]));
+
+    res.status(200).json({
+      success: true,
+      count: advances.length,
+      data: advances
+        .map((row) => ({
+          ...row,
+          client: { _id: row.client, name: names.get(row.client.toString()) },
+        }))
+        .sort((a, b) => b.advance - a.advance),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
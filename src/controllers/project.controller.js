@@ -5,7 +5,10 @@ const Invoice = require("../models/Invoice");
 const { ErrorResponse } = require("../middleware/errorHandler");
 const { logger } = require("../utils/logger");
 const ActivityTracker = require("../utils/activityTracker");
-const taskPresets = require("../config/taskPresets");
+const projectTemplateService = require("../services/projectTemplateService");
+const mailService = require("../services/mailService");
+const profitabilityService = require("../services/profitabilityService");
+const dependencyService = require("../services/dependencyService");
 
 const updateProjectTeamFromTasks = async (projectId) => {
   try {
@@ -426,29 +429,16 @@ exports.createProject = async (req, res, next) => {
       req.body.projectNumber = `PRJ-${year}${month}-${sequence}`;
     }
 
-    const project = await Project.create(req.body);
+    // Check the selected template before creating anything
+    const template = req.body.template
+      ? await projectTemplateService.getActive(req.body.template)
+      : null;
 
-    //  Check for task presets based on projectType
-    if (req.body.name) {
-      const preset = taskPresets.find(p => p.projectType === req.body.name);
-      if (preset) { 
-        const createdTasks = await Promise.all(
-          preset.tasks.map(async (t) => { 
-            const task = await Task.create({ 
-              title: t.title,
-              project: project._id,
-              priority: t.priority || 'medium',
-              department: t.department,
-              createdBy: req.user._id
-            });
-            return task._id;
-          })
-        );
+    const project = await Project.create(req.body);
 
-        // Attach created tasks to project
-        project.tasks = createdTasks;
-        await project.save();
-      }
+    // Create the template's tasks
+    if (template) {
+      await projectTemplateService.instantiate(template, project, req.user);
     }
     // Log the project creation
     logger.info(
@@ -612,6 +602,33 @@ exports.updateProject = async (req, res, next) => {
       );
     }
 
+    // Email the manager and team when the project status changes
+    if (req.body.status && originalProject.status !== project.status) {
+      const recipients = [project.manager, ...(project.team || [])]
+        .filter(Boolean)
+        .map((id) => id.toString())
+        .filter((id, index, ids) => ids.indexOf(id) === index)
+        .filter((id) => id !== req.user.id.toString());
+      for (const recipient of recipients) {
+        try {
+          await mailService.queueEmailToUser(
+            recipient,
+            "projectStatusChanged",
+            {
+              project,
+              previousStatus: originalProject.status,
+              changedBy: req.user,
+            },
+            { entityType: "project", entityId: project._id }
+          );
+        } catch (mailError) {
+          logger.error(
+            `Failed to queue status change email for project ${project._id}: ${mailError.message}`
+          );
+        }
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: project,
@@ -754,7 +771,7 @@ exports.getProjectTasks = async (req, res, next) => {
       count: tasks.length,
       // pagination,
       // total,
-      data: tasks,
+      data: await dependencyService.annotateBlocked(tasks),
     });
   } catch (error) {
     next(error);
@@ -862,3 +879,39 @@ exports.updateProjectInvoiceStatus = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Get project profitability: effort and cost against billing
+ * @route   GET /api/projects/:id/profitability
+ * @access  Private/Admin,Finance,Manager (own projects)
+ */
+exports.getProjectProfitability = async (req, res, next) => {
+  try {
+    const profitability = await profitabilityService.getProjectProfitability(
+      req.params.id,
+      { from: req.query.from, to: req.query.to }
+    );
+
+    if (!profitability) {
+      return next(
+        new ErrorResponse(`Project not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (
+      req.user.role === "manager" &&
+      profitability.manager?._id?.toString() !== req.user.id.toString()
+    ) {
+      return next(
+        new ErrorResponse("User not authorized to view the profitability of this project", 403)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: profitability,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
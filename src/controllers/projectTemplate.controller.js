@@ -0,0 +1,166 @@
+const ProjectTemplate = require("../models/ProjectTemplate");
+const CronJob = require("../models/CronJob");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+
+const findTemplate = (id) => ProjectTemplate.findOne({ _id: id, deleted: { $ne: true } });
+
+/**
+ * @desc    Get all project templates
+ * @route   GET /api/project-templates
+ * @access  Private
+ */
+exports.getProjectTemplates = async (req, res, next) => {
+  try {
+    const filter = { deleted: { $ne: true } };
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const templates = await ProjectTemplate.find(filter)
+      .populate({ path: "createdBy", select: "name" })
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single project template with the cron jobs using it
+ * @route   GET /api/project-templates/:id
+ * @access  Private
+ */
+exports.getProjectTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id)
+      .populate({ path: "tasks.department", select: "name" })
+      .populate({ path: "tasks.assignedTo", select: "name email" })
+      .populate({ path: "createdBy", select: "name email" });
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Project template not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const cronJobs = await CronJob.find({ template: template._id, deleted: { $ne: true } })
+      .select("name client isActive nextRun")
+      .populate({ path: "client", select: "name" });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        cronJobs,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create project template
+ * @route   POST /api/project-templates
+ * @access  Private/Admin,Manager
+ */
+exports.createProjectTemplate = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const template = await ProjectTemplate.create(req.body);
+
+    logger.info(
+      `Project template created: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update project template (projects already created keep their tasks)
+ * @route   PUT /api/project-templates/:id
+ * @access  Private/Admin,Manager
+ */
+exports.updateProjectTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Project template not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    template.set(req.body);
+    await template.save();
+
+    logger.info(
+      `Project template updated: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete project template
+ * @route   DELETE /api/project-templates/:id
+ * @access  Private/Admin,Manager
+ */
+exports.deleteProjectTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Project template not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Cron jobs would silently stop creating tasks
+    const cronJobs = await CronJob.countDocuments({ template: template._id, deleted: { $ne: true } });
+    if (cronJobs > 0) {
+      return next(
+        new ErrorResponse(
+          `Project template is used by ${cronJobs} cron job(s); remove it from them or deactivate the template instead`,
+          400
+        )
+      );
+    }
+
+    // Soft delete
+    template.deleted = true;
+    template.isActive = false;
+    await template.save();
+
+    logger.info(
+      `Project template deleted: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
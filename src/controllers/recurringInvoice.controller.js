@@ -0,0 +1,212 @@
+const RecurringInvoice = require("../models/RecurringInvoice");
+const Invoice = require("../models/Invoice");
+const Client = require("../models/Client");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const cronService = require("../services/cronService");
+
+// Fields that affect when the template's invoices are issued
+const SCHEDULE_FIELDS = ["frequency", "startDate", "endDate", "isActive"];
+
+const findTemplate = (id) => RecurringInvoice.findOne({ _id: id, deleted: { $ne: true } });
+
+/**
+ * @desc    Get all recurring invoice templates
+ * @route   GET /api/finance/recurring-invoices
+ * @access  Private/Finance,Admin
+ */
+exports.getRecurringInvoices = async (req, res, next) => {
+  try {
+    const filter = { deleted: { $ne: true } };
+
+    if (req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const templates = await RecurringInvoice.find(filter)
+      .populate({
+        path: "client",
+        select: "name contactEmail",
+      })
+      .populate({
+        path: "lastInvoice",
+        select: "invoiceNumber issueDate total status",
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single recurring invoice template with its generated invoices
+ * @route   GET /api/finance/recurring-invoices/:id
+ * @access  Private/Finance,Admin
+ */
+exports.getRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id)
+      .populate({
+        path: "client",
+        select: "name contactEmail contactPhone",
+      })
+      .populate({
+        path: "createdBy",
+        select: "name email",
+      });
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Recurring invoice not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const invoices = await Invoice.find({ recurringInvoice: template._id })
+      .select("invoiceNumber issueDate dueDate billingPeriodStart total status")
+      .sort({ billingPeriodStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        invoices,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create recurring invoice template
+ * @route   POST /api/finance/recurring-invoices
+ * @access  Private/Finance,Admin
+ */
+exports.createRecurringInvoice = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const client = await Client.findById(req.body.client);
+    if (!client) {
+      return next(
+        new ErrorResponse(`Client not found with id of ${req.body.client}`, 404)
+      );
+    }
+
+    const template = new RecurringInvoice(req.body);
+    if (template.endDate && template.endDate < template.startDate) {
+      return next(new ErrorResponse("End date cannot be before the start date", 400));
+    }
+    cronService.resetRecurringSchedule(template);
+    await template.save();
+
+    // Issue invoices straight away when the start date is today or in the past
+    const generated = await cronService.catchUpRecurringInvoice(template);
+
+    logger.info(
+      `Recurring invoice created: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id}); ${generated} invoice(s) generated`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update recurring invoice template
+ * @route   PUT /api/finance/recurring-invoices/:id
+ * @access  Private/Finance,Admin
+ */
+exports.updateRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Recurring invoice not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (req.body.client) {
+      const client = await Client.findById(req.body.client);
+      if (!client) {
+        return next(
+          new ErrorResponse(`Client not found with id of ${req.body.client}`, 404)
+        );
+      }
+    }
+
+    template.set(req.body);
+    if (template.endDate && template.endDate < template.startDate) {
+      return next(new ErrorResponse("End date cannot be before the start date", 400));
+    }
+
+    // Changes only apply to invoices not yet generated; periods that passed
+    // while the template was paused are not billed when it is resumed
+    if (SCHEDULE_FIELDS.some((field) => template.isModified(field))) {
+      const resumed = template.isModified("isActive") && template.isActive;
+      cronService.resetRecurringSchedule(template, resumed ? new Date() : undefined);
+    }
+    await template.save();
+
+    const generated = await cronService.catchUpRecurringInvoice(template);
+
+    logger.info(
+      `Recurring invoice updated: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id}); ${generated} invoice(s) generated`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete recurring invoice template (generated invoices are kept)
+ * @route   DELETE /api/finance/recurring-invoices/:id
+ * @access  Private/Finance,Admin
+ */
+exports.deleteRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Recurring invoice not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Soft delete
+    template.deleted = true;
+    template.isActive = false;
+    await template.save();
+
+    logger.info(
+      `Recurring invoice deleted: ${template.name} (${template._id}) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
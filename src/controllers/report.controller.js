@@ -0,0 +1,397 @@
+const moment = require("moment");
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+const Client = require("../models/Client");
+const Settings = require("../models/Settings");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const { round2 } = require("../utils/gst");
+const { toCsv, sendCsv } = require("../utils/csv");
+const paymentService = require("../services/paymentService");
+const exchangeRateService = require("../services/exchangeRateService");
+const tdsService = require("../services/tdsService");
+const profitabilityService = require("../services/profitabilityService");
+
+// Ageing buckets by days past the due date
+const AGEING_BUCKETS = [
+  { key: "current", label: "Not yet due", min: -Infinity, max: -1 },
+  { key: "0-30", label: "0-30 days", min: 0, max: 30 },
+  { key: "31-60", label: "31-60 days", min: 31, max: 60 },
+  { key: "61-90", label: "61-90 days", min: 61, max: 90 },
+  { key: "90+", label: "90+ days", min: 91, max: Infinity },
+];
+
+const emptyBuckets = () =>
+  AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.key]: 0 }), { total: 0 });
+
+// Parse the asOf query parameter (defaults to today)
+const parseAsOf = (value) => {
+  const asOf = value ? moment(value, moment.ISO_8601, true) : moment();
+  return asOf.isValid() ? asOf.endOf("day") : null;
+};
+
+/**
+ * Outstanding balances of issued invoices as of a date, with the number of
+ * days each is past due and its ageing bucket. Balances are what was unpaid
+ * at the end of that date: the current balance plus payments allocated and
+ * credit notes issued since, less payments in place then and voided since.
+ * They are given in the invoice currency and, as baseBalance, in the base
+ * currency at the invoice's rate (null if a foreign invoice has no rate).
+ */
+const getOutstandingInvoices = async (asOf, client, baseCurrency) => {
+  const filter = {
+    // Invoices cancelled by a credit note were outstanding until then
+    $or: [
+      { status: { $nin: ["draft", "cancelled"] } },
+      { status: "cancelled", creditedAmount: { $gt: 0 } },
+    ],
+    issueDate: { $lte: asOf.toDate() },
+  };
+  if (client) {
+    filter.client = client;
+  }
+
+  const invoices = await Invoice.find(filter)
+    .select("invoiceNumber client issueDate dueDate currency exchangeRate total paidAmount creditedAmount status")
+    .populate({ path: "client", select: "name" })
+    .sort({ dueDate: 1 })
+    .lean();
+
+  const invoiceIds = invoices.map((invoice) => invoice._id);
+  const settledSince = await paymentService.getSettledSince(invoiceIds, asOf.toDate());
+  const creditedSince = new Map(
+    (
+      await CreditNote.aggregate([
+        { $match: { invoice: { $in: invoiceIds }, issueDate: { $gt: asOf.toDate() } } },
+        { $group: { _id: "$invoice", total: { $sum: "$total" } } },
+      ])
+    ).map((row) => [row._id.toString(), row.total])
+  );
+
+  const asOfDay = asOf.clone().startOf("day");
+  return invoices
+    .map((invoice) => {
+      const id = invoice._id.toString();
+      const balance = round2(
+        paymentService.getInvoiceBalance(invoice) +
+          (settledSince.get(id) || 0) +
+          (creditedSince.get(id) || 0)
+      );
+      const daysPastDue = asOfDay.diff(moment(invoice.dueDate).startOf("day"), "days");
+      const bucket = AGEING_BUCKETS.find(
+        (b) => daysPastDue >= b.min && daysPastDue <= b.max
+      );
+      const foreign = invoice.currency && invoice.currency !== baseCurrency;
+      const baseBalance =
+        foreign && !invoice.exchangeRate
+          ? null
+          : round2(balance * (invoice.exchangeRate || 1));
+      return { ...invoice, balance, baseBalance, daysPastDue, bucket: bucket.key };
+    })
+    .filter((invoice) => invoice.balance > 0);
+};
+
+/**
+ * @desc    Accounts receivable ageing by client
+ * @route   GET /api/finance/reports/ageing
+ * @access  Private/Finance,Admin
+ */
+exports.getAgeingReport = async (req, res, next) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) {
+      return next(new ErrorResponse("Invalid asOf date", 400));
+    }
+
+    const settings = await Settings.findOne().select("company.currency");
+    const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+    const invoices = await getOutstandingInvoices(asOf, req.query.client, baseCurrency);
+
+    // Amounts that cannot be converted are reported rather than taken 1:1
+    const missingRates = new Set();
+
+    // Bucket balances per client, in the base currency
+    const byClient = new Map();
+    const clientRow = (clientId, client) => {
+      if (!byClient.has(clientId)) {
+        byClient.set(clientId, {
+          client: client ? { _id: client._id, name: client.name } : null,
+          invoiceCount: 0,
+          ...emptyBuckets(),
+          advance: 0,
+        });
+      }
+      return byClient.get(clientId);
+    };
+    const totals = emptyBuckets();
+    for (const invoice of invoices) {
+      if (invoice.baseBalance === null) {
+        missingRates.add(invoice.currency);
+        continue;
+      }
+      const row = clientRow(invoice.client?._id?.toString() || "unknown", invoice.client);
+      row[invoice.bucket] = round2(row[invoice.bucket] + invoice.baseBalance);
+      row.total = round2(row.total + invoice.baseBalance);
+      row.invoiceCount += 1;
+      totals[invoice.bucket] = round2(totals[invoice.bucket] + invoice.baseBalance);
+      totals.total = round2(totals.total + invoice.baseBalance);
+    }
+
+    // Unallocated payments (client advance) as of the date offset what the
+    // client owes, including clients with nothing outstanding; advances in
+    // another currency are converted at the rate in force on the date
+    const advances = await paymentService.getClientAdvances(req.query.client, asOf.toDate());
+    const { rates, missing } = await exchangeRateService.getRates(
+      [...new Set(advances.map((a) => a.currency).filter((currency) => currency !== baseCurrency))],
+      asOf.toDate(),
+      baseCurrency
+    );
+    missing.forEach((currency) => missingRates.add(currency));
+
+    const advanceClients = await Client.find({
+      _id: { $in: advances.map((a) => a.client).filter((id) => !byClient.has(id.toString())) },
+    })
+      .select("name")
+      .lean();
+    const clientsById = new Map(advanceClients.map((client) => [client._id.toString(), client]));
+
+    totals.advance = 0;
+    for (const advance of advances) {
+      const rate = advance.currency === baseCurrency ? 1 : rates[advance.currency];
+      if (!rate) continue;
+      const clientId = advance.client.toString();
+      const row = clientRow(clientId, clientsById.get(clientId) || { _id: advance.client, name: "Unknown" });
+      row.advance = round2(row.advance + advance.advance * rate);
+      totals.advance = round2(totals.advance + advance.advance * rate);
+    }
+    for (const row of byClient.values()) {
+      row.net = round2(row.total - row.advance);
+    }
+    totals.net = round2(totals.total - totals.advance);
+
+    const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+
+    if (req.query.format === "csv") {
+      const csv = toCsv(
+        [
+          { header: "Client", value: (row) => row.client?.name || "Unknown" },
+          { header: "Invoices", value: "invoiceCount" },
+          ...AGEING_BUCKETS.map((bucket) => ({ header: bucket.label, value: bucket.key })),
+          { header: "Total", value: "total" },
+          { header: "Advance", value: "advance" },
+          { header: "Net", value: "net" },
+        ],
+        [
+          ...clients,
+          {
+            client: { name: "Total" },
+            invoiceCount: clients.reduce((sum, row) => sum + row.invoiceCount, 0),
+            ...totals,
+          },
+        ]
+      );
+      logger.info(
+        `Ageing report exported as of ${asOf.format("YYYY-MM-DD")} by ${req.user.name} (${req.user._id})`
+      );
+      return sendCsv(res, `ageing-${asOf.format("YYYY-MM-DD")}.csv`, csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: asOf.toDate(),
+        baseCurrency,
+        // Currencies without a recorded rate are left out of the totals
+        missingRates: [...missingRates],
+        buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals,
+        clients,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Outstanding invoices behind the ageing report (drill-down)
+ * @route   GET /api/finance/reports/ageing/invoices
+ * @access  Private/Finance,Admin
+ */
+exports.getAgeingInvoices = async (req, res, next) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) {
+      return next(new ErrorResponse("Invalid asOf date", 400));
+    }
+
+    if (req.query.bucket && !AGEING_BUCKETS.some((b) => b.key === req.query.bucket)) {
+      return next(
+        new ErrorResponse(
+          `Invalid bucket. Must be one of: ${AGEING_BUCKETS.map((b) => b.key).join(", ")}`,
+          400
+        )
+      );
+    }
+
+    const settings = await Settings.findOne().select("company.currency");
+    let invoices = await getOutstandingInvoices(
+      asOf,
+      req.query.client,
+      exchangeRateService.getBaseCurrency(settings)
+    );
+    if (req.query.bucket) {
+      invoices = invoices.filter((invoice) => invoice.bucket === req.query.bucket);
+    }
+
+    if (req.query.format === "csv") {
+      const csv = toCsv(
+        [
+          { header: "Client", value: (row) => row.client?.name || "Unknown" },
+          { header: "Invoice Number", value: "invoiceNumber" },
+          { header: "Currency", value: (row) => row.currency || "" },
+          { header: "Issue Date", value: "issueDate" },
+          { header: "Due Date", value: "dueDate" },
+          { header: "Total", value: "total" },
+          { header: "Paid", value: (row) => row.paidAmount || 0 },
+          { header: "Credited", value: (row) => row.creditedAmount || 0 },
+          { header: "Balance", value: "balance" },
+          { header: "Balance (Base)", value: "baseBalance" },
+          { header: "Days Past Due", value: (row) => Math.max(row.daysPastDue, 0) },
+          {
+            header: "Bucket",
+            value: (row) => AGEING_BUCKETS.find((b) => b.key === row.bucket).label,
+          },
+        ],
+        invoices
+      );
+      return sendCsv(res, `ageing-invoices-${asOf.format("YYYY-MM-DD")}.csv`, csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    TDS receivable by client and quarter, reconciled with Form 26AS
+ * @route   GET /api/finance/reports/tds
+ * @access  Private/Finance,Admin
+ */
+exports.getTdsReceivableReport = async (req, res, next) => {
+  try {
+    const financialYear =
+      req.query.financialYear || tdsService.getQuarter(new Date()).financialYear;
+    if (!tdsService.getFinancialYearRange(financialYear)) {
+      return next(
+        new ErrorResponse("Invalid financial year. Use the format 2024-25", 400)
+      );
+    }
+
+    const report = await tdsService.getReceivableReport(financialYear, req.query.client);
+
+    if (req.query.format === "csv") {
+      const csv = toCsv(
+        [
+          { header: "Client", value: (row) => row.client.name },
+          { header: "TAN", value: (row) => row.client.tan || "" },
+          { header: "Quarter", value: "quarter" },
+          { header: "Payments", value: "payments" },
+          { header: "Amount Received (incl. TDS)", value: "amountReceived" },
+          { header: "TDS Booked", value: "tdsBooked" },
+          { header: "26AS Entries", value: "form26asEntries" },
+          { header: "26AS Amount Paid", value: "form26asAmountPaid" },
+          { header: "TDS as per 26AS", value: "tds26AS" },
+          { header: "Difference", value: "difference" },
+          { header: "Status", value: "status" },
+        ],
+        report.clients
+      );
+      logger.info(
+        `TDS receivable report exported for ${report.financialYear} by ${req.user.name} (${req.user._id})`
+      );
+      return sendCsv(res, `tds-receivable-${report.financialYear}.csv`, csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Firm-wide project profitability by project, client and manager
+ * @route   GET /api/finance/reports/profitability
+ * @access  Private/Finance,Admin
+ */
+exports.getProfitabilityReport = async (req, res, next) => {
+  try {
+    const { from, to, client, manager, status } = req.query;
+    const invalid = [from, to].find(
+      (value) => value && !moment(value, moment.ISO_8601, true).isValid()
+    );
+    if (invalid) {
+      return next(new ErrorResponse(`Invalid date ${invalid}`, 400));
+    }
+
+    const report = await profitabilityService.getReport({ from, to, client, manager, status });
+
+    if (req.query.format === "csv") {
+      const groupBy = ["client", "manager"].includes(req.query.groupBy)
+        ? req.query.groupBy
+        : "project";
+      const rows = { project: report.projects, client: report.clients, manager: report.managers }[groupBy];
+      const csv = toCsv(
+        [
+          ...(groupBy === "project"
+            ? [
+                { header: "Project", value: (row) => row.project.name },
+                { header: "Client", value: (row) => row.client?.name || "" },
+                { header: "Manager", value: (row) => row.manager?.name || "" },
+                { header: "Status", value: (row) => row.project.status },
+              ]
+            : [
+                {
+                  header: groupBy === "client" ? "Client" : "Manager",
+                  value: (row) => row[groupBy]?.name || "None",
+                },
+                { header: "Projects", value: "projectCount" },
+              ]),
+          { header: "Fee", value: "fee" },
+          { header: "Estimated Hours", value: "estimatedHours" },
+          { header: "Hours Logged", value: "hours" },
+          { header: "Hours Approved", value: "approvedHours" },
+          { header: "Hours Without Cost Rate", value: "unratedHours" },
+          { header: "Labour Cost", value: "labourCost" },
+          { header: "Incentives", value: "incentives" },
+          { header: "Total Cost", value: "cost" },
+          { header: "Billed", value: "billed" },
+          { header: "Received", value: "received" },
+          { header: "Margin", value: "margin" },
+          { header: "Margin %", value: (row) => (row.marginPercent === null ? "" : row.marginPercent) },
+          { header: "Budget Used %", value: (row) => (row.budgetUsedPercent === null ? "" : row.budgetUsedPercent) },
+        ],
+        rows
+      );
+      logger.info(
+        `Profitability report (${groupBy}) exported by ${req.user.name} (${req.user._id})`
+      );
+      return sendCsv(res, `profitability-${groupBy}-${moment().format("YYYY-MM-DD")}.csv`, csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
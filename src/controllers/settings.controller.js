@@ -1,7 +1,25 @@
 const Settings = require('../models/Settings');
+const EmailOutbox = require('../models/EmailOutbox');
+const Task = require('../models/Task');
+const mailService = require('../services/mailService');
+const taskWorkflowService = require('../services/taskWorkflowService');
 const { ErrorResponse } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
+// Dot-notation $set paths for a partial settings update, so nested fields
+// not sent (e.g. the mail server when saving other system settings) are kept
+const toSetPaths = (value, prefix = '', paths = {}) => {
+    Object.entries(value).forEach(([key, field]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (field && typeof field === 'object' && !Array.isArray(field) && !(field instanceof Date)) {
+            toSetPaths(field, path, paths);
+        } else {
+            paths[path] = field;
+        }
+    });
+    return paths;
+};
+
 /**
  * @desc    Get settings
  * @route   GET /api/settings
@@ -89,8 +107,15 @@ exports.updateSettings = async (req, res, next) => {
             // Log the settings creation
             logger.info(`Settings created by ${req.user.name} (${req.user._id})`);
         } else {
+            if (req.body.system?.mailServer) {
+                req.body.system.mailServer = Settings.keepMailPassword(
+                    req.body.system.mailServer,
+                    settings.system?.mailServer
+                );
+            }
+
             // Update existing settings
-            settings = await Settings.findByIdAndUpdate(settings._id, req.body, {
+            settings = await Settings.findByIdAndUpdate(settings._id, { $set: toSetPaths(req.body) }, {
                 new: true,
                 runValidators: true,
             });
@@ -175,10 +200,10 @@ exports.getMailSettings = async (req, res, next) => {
             return next(new ErrorResponse('Settings not found', 404));
         }
 
-        // Return only the mail settings
+        // Return only the mail settings, with the password masked
         res.status(200).json({
             success: true,
-            data: settings.system.mailServer,
+            data: settings.toJSON().system.mailServer,
         });
     } catch (error) {
         next(error);
@@ -200,7 +225,7 @@ exports.updateMailSettings = async (req, res, next) => {
         }
 
         // Update mail settings
-        settings.system.mailServer = req.body;
+        settings.system.mailServer = Settings.keepMailPassword(req.body, settings.system.mailServer);
         settings.updatedBy = req.user.id;
         await settings.save();
 
@@ -209,7 +234,121 @@ exports.updateMailSettings = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: settings.system.mailServer,
+            data: settings.toJSON().system.mailServer,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Send a test email using the current mail settings
+ * @route   POST /api/settings/mail/test
+ * @access  Private/Admin
+ */
+exports.sendTestEmail = async (req, res, next) => {
+    try {
+        const to = req.body.to || req.user.email;
+
+        if (!to) {
+            return next(new ErrorResponse('Please provide a recipient email address', 400));
+        }
+
+        let info;
+        try {
+            info = await mailService.sendTestEmail(to);
+        } catch (mailError) {
+            logger.error(`Test email to ${to} failed: ${mailError.message}`);
+            return next(new ErrorResponse(`Failed to send test email: ${mailError.message}`, 502));
+        }
+
+        logger.info(`Test email sent to ${to} by ${req.user.name} (${req.user._id})`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                to,
+                messageId: info.messageId,
+                accepted: info.accepted,
+                rejected: info.rejected,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get email outbox entries
+ * @route   GET /api/settings/mail/outbox
+ * @access  Private/Admin
+ */
+exports.getEmailOutbox = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const startIndex = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const total = await EmailOutbox.countDocuments(filter);
+        const emails = await EmailOutbox.find(filter)
+            .select('-html -text -attachments.content')
+            .sort({ createdAt: -1 })
+            .skip(startIndex)
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: emails.length,
+            total,
+            data: emails,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Retry a failed email from the outbox
+ * @route   POST /api/settings/mail/outbox/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryEmail = async (req, res, next) => {
+    try {
+        let email = await EmailOutbox.findById(req.params.id);
+
+        if (!email) {
+            return next(new ErrorResponse(`Email not found with id of ${req.params.id}`, 404));
+        }
+
+        if (email.status === 'sent') {
+            return next(new ErrorResponse('Email has already been sent', 400));
+        }
+
+        email.status = 'pending';
+        email.attempts = 0;
+        email.nextAttemptAt = new Date();
+        await email.save();
+
+        email = (await mailService.deliver(email._id)) || email;
+
+        logger.info(`Email ${email._id} retried by ${req.user.name} (${req.user._id})`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                _id: email._id,
+                to: email.to,
+                subject: email.subject,
+                status: email.status,
+                attempts: email.attempts,
+                lastError: email.lastError,
+                sentAt: email.sentAt,
+            },
         });
     } catch (error) {
         next(error);
@@ -252,4 +391,93 @@ exports.getCompanyInfo = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get the task status workflow
+ * @route   GET /api/settings/task-workflow
+ * @access  Private (all authenticated users)
+ */
+exports.getTaskWorkflow = async (req, res, next) => {
+    try {
+        const workflow = await taskWorkflowService.getWorkflow();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...workflow,
+                requiredFields: taskWorkflowService.requiredFields,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Replace the task status workflow
+ * @route   PUT /api/settings/task-workflow
+ * @access  Private/Admin
+ */
+exports.updateTaskWorkflow = async (req, res, next) => {
+    try {
+        const workflow = taskWorkflowService.validate(req.body);
+
+        // States still used by tasks cannot be removed
+        const current = await taskWorkflowService.getWorkflow();
+        const keys = workflow.states.map((state) => state.key);
+        const removed = current.states.map((state) => state.key).filter((key) => !keys.includes(key));
+        if (removed.length) {
+            const inUse = await Task.distinct('status', { status: { $in: removed }, deleted: { $ne: true } });
+            if (inUse.length) {
+                return next(new ErrorResponse(`Tasks are still in status ${inUse.join(', ')}; move them before removing the state`, 400));
+            }
+        }
+
+        let settings = await Settings.findOne();
+        if (!settings) {
+            settings = new Settings();
+        }
+        settings.taskWorkflow = workflow;
+        settings.updatedBy = req.user.id;
+        await settings.save();
+
+        logger.info(`Task workflow updated (${workflow.states.length} states, ${workflow.transitions.length} transitions) by ${req.user.name} (${req.user._id})`);
+
+        res.status(200).json({
+            success: true,
+            data: await taskWorkflowService.getWorkflow(),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Go back to the default task status workflow
+ * @route   DELETE /api/settings/task-workflow
+ * @access  Private/Admin
+ */
+exports.resetTaskWorkflow = async (req, res, next) => {
+    try {
+        const defaults = taskWorkflowService.statusesIn(taskWorkflowService.defaultWorkflow, ['open', 'done', 'cancelled']);
+        const inUse = await Task.distinct('status', {
+            status: { $nin: defaults },
+            deleted: { $ne: true },
+        });
+        if (inUse.length) {
+            return next(new ErrorResponse(`Tasks are still in status ${inUse.join(', ')}; move them before resetting the workflow`, 400));
+        }
+
+        await Settings.updateOne({}, { $set: { taskWorkflow: { states: [], transitions: [] }, updatedBy: req.user.id } });
+
+        logger.info(`Task workflow reset to default by ${req.user.name} (${req.user._id})`);
+
+        res.status(200).json({
+            success: true,
+            data: await taskWorkflowService.getWorkflow(),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
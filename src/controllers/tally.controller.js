@@ -0,0 +1,57 @@
+const moment = require("moment");
+const Settings = require("../models/Settings");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const tallyService = require("../services/tallyService");
+
+/**
+ * @desc    Export invoices, credit notes and payments as Tally XML vouchers
+ * @route   GET /api/finance/export/tally
+ * @access  Private/Finance,Admin
+ */
+exports.exportTallyVouchers = async (req, res, next) => {
+  try {
+    const from = moment(req.query.from, moment.ISO_8601, true);
+    const to = req.query.to ? moment(req.query.to, moment.ISO_8601, true) : moment();
+
+    if (!req.query.from || !from.isValid() || !to.isValid()) {
+      return next(new ErrorResponse("Please provide a valid from date (and optional to date)", 400));
+    }
+    if (from.isAfter(to)) {
+      return next(new ErrorResponse("The from date cannot be after the to date", 400));
+    }
+
+    const types = req.query.types
+      ? req.query.types.split(",").map((type) => type.trim())
+      : tallyService.voucherKinds;
+    const unknown = types.filter((type) => !tallyService.voucherKinds.includes(type));
+    if (unknown.length > 0) {
+      return next(
+        new ErrorResponse(
+          `Invalid voucher type(s): ${unknown.join(", ")}. Must be one of: ${tallyService.voucherKinds.join(", ")}`,
+          400
+        )
+      );
+    }
+
+    const settings = await Settings.findOne();
+    const { xml, counts } = await tallyService.buildExport({
+      from: from.toDate(),
+      to: to.toDate(),
+      types,
+      settings,
+    });
+
+    logger.info(
+      `Tally export ${from.format("YYYY-MM-DD")} to ${to.format("YYYY-MM-DD")} by ${req.user.name} (${req.user._id}): ${JSON.stringify(counts)}`
+    );
+
+    res.set({
+      "Content-Type": "application/xml; charset=utf-8",
+      "Content-Disposition": `attachment; filename="tally-${from.format("YYYYMMDD")}-${to.format("YYYYMMDD")}.xml"`,
+    });
+    res.status(200).send(xml);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -11,6 +11,13 @@ const Notification = require("../models/Notification");
 const ActivityTracker = require("../utils/activityTracker");
 const webhookService = require("../services/webhookService");
 const verificationService = require("../services/verificationService");
+const mailService = require("../services/mailService");
+const timesheetService = require("../services/timesheetService");
+const timeEntryService = require("../services/timeEntryService");
+const timerService = require("../services/timerService");
+const subtaskService = require("../services/subtaskService");
+const dependencyService = require("../services/dependencyService");
+const taskWorkflowService = require("../services/taskWorkflowService");
 /**
  * @desc    Get all tasks
  * @route   GET /api/tasks
@@ -32,6 +39,10 @@ exports.getTasks = async (req, res, next) => {
     if (req.query.priority) {
       filter.priority = req.query.priority;
     }
+    // parent=none lists top-level tasks only
+    if (req.query.parent) {
+      filter.parent = req.query.parent === "none" ? null : req.query.parent;
+    }
     filter.deleted = { $ne: true };
 
     // Add project filter to only get tasks with non-deleted projects
@@ -139,7 +150,7 @@ exports.getTasks = async (req, res, next) => {
       count: validTasks.length,
       pagination,
       total: total, // Use the total count from countDocuments
-      data: validTasks,
+      data: await dependencyService.annotateBlocked(validTasks),
     });
   } catch (error) {
     next(error);
@@ -172,6 +183,19 @@ exports.getTask = async (req, res, next) => {
       .populate({
         path: "createdBy",
         select: "name email",
+      })
+      .populate({
+        path: "parent",
+        select: "title status",
+      })
+      .populate({
+        path: "dependsOn",
+        select: "title status assignedTo",
+      })
+      .populate({
+        path: "subtasks",
+        select: "title status assignedTo dueDate estimatedHours rollup parent",
+        populate: { path: "assignedTo", select: "name email" },
       });
 
     if (!task) {
@@ -185,9 +209,11 @@ exports.getTask = async (req, res, next) => {
     //     return next(new ErrorResponse(`User not authorized to access this task`, 403));
     // }
 
+    const [data] = await dependencyService.annotateBlocked([task]);
+
     res.status(200).json({
       success: true,
-      data: task,
+      data,
     });
   } catch (error) {
     next(error);
@@ -229,6 +255,30 @@ exports.createTask = async (req, res, next) => {
       }
     }
 
+    if (req.body.status) {
+      req.body.status = taskWorkflowService.assertKnownStatus(
+        await taskWorkflowService.getWorkflow(),
+        req.body.status
+      );
+    }
+
+    // A subtask must sit in the same project as its parent
+    if (req.body.parent) {
+      await subtaskService.validateParent(null, req.body.parent, req.body.project);
+    }
+
+    if (req.body.dependsOn) {
+      req.body.dependsOn = await dependencyService.validateDependencies(
+        null,
+        req.body.dependsOn,
+        req.body.project
+      );
+      await dependencyService.assertCanSetStatus(
+        { dependsOn: req.body.dependsOn },
+        req.body.status || "pending"
+      );
+    }
+
     // Ensure amount is a number and always present
     if ("amount" in req.body) {
       req.body.amount = parseFloat(req.body.amount);
@@ -292,6 +342,10 @@ exports.createTask = async (req, res, next) => {
       `Task created: ${task.title} (${task._id}) by ${req.user.name} (${req.user._id})`
     );
 
+    if (task.parent) {
+      await subtaskService.refreshRollup(task.parent);
+    }
+
     // Create notification for assigned user
     if (task.assignedTo) {
       try {
@@ -335,6 +389,19 @@ exports.createTask = async (req, res, next) => {
         );
         // Note: We don't fail the task creation if notification fails
       }
+
+      try {
+        await mailService.queueEmailToUser(
+          task.assignedTo,
+          "taskAssigned",
+          { task, assignedBy: req.user },
+          { entityType: "task", entityId: task._id }
+        );
+      } catch (mailError) {
+        logger.error(
+          `Failed to queue assignment email for task ${task._id}: ${mailError.message}`
+        );
+      }
     }
 
     try {
@@ -426,7 +493,8 @@ const ACTIVITY_FIELDS = [
   "priority",
   "comments",
   "attachments",
-  "subtasks",
+  "parent",
+  "dependsOn",
   "amount",
   "timeTracking",
   "estimatedHours",
@@ -450,6 +518,41 @@ exports.updateTask = async (req, res, next) => {
       );
     }
 
+    // Time entries in submitted or approved weeks cannot be changed
+    if (req.body.timeTracking) {
+      await timesheetService.assertEntriesEditable(
+        task.timeTracking?.entries || [],
+        req.body.timeTracking.entries || []
+      );
+    }
+
+    // Moving the task under another parent (an empty parent detaches it)
+    if ("parent" in req.body) {
+      if (!req.body.parent) {
+        req.body.parent = null;
+      } else {
+        await subtaskService.validateParent(
+          task,
+          req.body.parent,
+          req.body.project || task.project?._id
+        );
+      }
+    } else if (
+      req.body.project &&
+      task.parent &&
+      req.body.project.toString() !== task.project?._id?.toString()
+    ) {
+      await subtaskService.validateParent(task, task.parent, req.body.project);
+    }
+
+    if ("dependsOn" in req.body) {
+      req.body.dependsOn = await dependencyService.validateDependencies(
+        task,
+        req.body.dependsOn || [],
+        req.body.project || task.project?._id
+      );
+    }
+
     // --- Begin: Handle file upload and attachments accumulation ---
    if (req.files && req.files.length > 0) {
   const uploadedFiles = req.files.map((file) => ({
@@ -477,6 +580,26 @@ exports.updateTask = async (req, res, next) => {
     }
     // --- End: Handle file upload and attachments accumulation ---
 
+    // Status changes must follow the task workflow
+    let workflow;
+    if (req.body.status) {
+      workflow = await taskWorkflowService.getWorkflow();
+      req.body.status = taskWorkflowService.assertTransition(
+        workflow,
+        { ...task.toObject(), ...req.body, status: task.status },
+        req.body.status,
+        req.user
+      );
+      await subtaskService.assertCanSetStatus(task, req.body.status);
+      await dependencyService.assertCanSetStatus(
+        {
+          status: task.status,
+          dependsOn: req.body.dependsOn || task.dependsOn,
+        },
+        req.body.status
+      );
+    }
+
     // Merge original and incoming for comparison
     const originalTaskObj = task.toObject();
     const mergedTaskObj = { ...originalTaskObj, ...req.body };
@@ -498,10 +621,45 @@ exports.updateTask = async (req, res, next) => {
       .populate("assignedTo", "name email")
       .populate("createdBy", "name email");
 
+    // Keep the rollups of the task and its old and new parents current
+    if (
+      ["parent", "status", "estimatedHours", "timeTracking", "deleted"].some(
+        (field) => field in req.body
+      )
+    ) {
+      await subtaskService.refreshRollups([task._id, originalTaskObj.parent]);
+    }
+
+    if (
+      workflow &&
+      taskWorkflowService.isClosed(workflow, task.status) &&
+      !taskWorkflowService.isClosed(workflow, originalTaskObj.status)
+    ) {
+      await dependencyService.notifySuccessors(task, req.user);
+    }
+
+    // Email the new assignee when the task is reassigned
+    if (
+      task.assignedTo &&
+      originalTaskObj.assignedTo?.toString() !== task.assignedTo._id.toString()
+    ) {
+      try {
+        await mailService.queueEmailToUser(
+          task.assignedTo._id,
+          "taskAssigned",
+          { task, assignedBy: req.user },
+          { entityType: "task", entityId: task._id }
+        );
+      } catch (mailError) {
+        logger.error(
+          `Failed to queue assignment email for task ${task._id}: ${mailError.message}`
+        );
+      }
+    }
+
     // Build concise, readable change summary
     let changesSummaryArr = [];
     let commentAdded = false;
-    let subtaskAdded = false;
     let attachmentAdded = false;
     for (const field of changedFields) {
       let oldVal = originalTaskObj[field];
@@ -534,30 +692,6 @@ exports.updateTask = async (req, res, next) => {
           commentAdded = true;
         }
         continue;
-      } else if (field === "subtasks") {
-        const oldArr = Array.isArray(originalTaskObj[field])
-          ? originalTaskObj[field]
-          : [];
-        const newArr = Array.isArray(mergedTaskObj[field])
-          ? mergedTaskObj[field]
-          : [];
-        if (newArr.length > oldArr.length) {
-          const added = newArr.slice(oldArr.length);
-          for (const subtask of added) {
-            changesSummaryArr.push(
-              `subtask added: "${
-                subtask.title || subtask.name || subtask.id || "[no title]"
-              }"`
-            );
-            subtaskAdded = true;
-          }
-        } else if (newArr.length < oldArr.length) {
-          changesSummaryArr.push(
-            `subtasks: ${oldArr.length - newArr.length} subtask(s) removed`
-          );
-          subtaskAdded = true;
-        }
-        continue;
       } else if (field === "attachments") {
         const oldArr = Array.isArray(originalTaskObj[field])
           ? originalTaskObj[field]
@@ -606,15 +740,11 @@ exports.updateTask = async (req, res, next) => {
       }
       changesSummaryArr.push(`${field}: ${oldVal} → ${newVal}`);
     }
-    // If a comment, subtask, or attachment was added, suppress all other changes in the summary
+    // If a comment or attachment was added, suppress all other changes in the summary
     if (commentAdded) {
       changesSummaryArr = changesSummaryArr.filter((s) =>
         s.startsWith("comment")
       );
-    } else if (subtaskAdded) {
-      changesSummaryArr = changesSummaryArr.filter((s) =>
-        s.startsWith("subtask")
-      );
     } else if (attachmentAdded) {
       changesSummaryArr = changesSummaryArr.filter((s) =>
         s.startsWith("attachment")
@@ -775,6 +905,19 @@ exports.deleteTask = async (req, res, next) => {
       );
     }
 
+    const subtaskCount = await Task.countDocuments({
+      parent: task._id,
+      deleted: { $ne: true },
+    });
+    if (subtaskCount > 0) {
+      return next(
+        new ErrorResponse(
+          `Task has ${subtaskCount} subtask(s); delete or move them first`,
+          400
+        )
+      );
+    }
+
     // Remove task from project and clean up team before deleting
     const project = await Project.findById(task.project);
     if (project) {
@@ -809,6 +952,11 @@ exports.deleteTask = async (req, res, next) => {
     );
 
     await task.deleteOne();
+    await dependencyService.removeTask(task._id);
+
+    if (task.parent) {
+      await subtaskService.refreshRollup(task.parent);
+    }
 
     // Log the task deletion activity
     try {
@@ -845,7 +993,7 @@ exports.deleteTask = async (req, res, next) => {
  */
 exports.updateTaskStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
+    let { status } = req.body;
 
     if (!status) {
       return next(new ErrorResponse("Please provide a status", 400));
@@ -869,6 +1017,15 @@ exports.updateTaskStatus = async (req, res, next) => {
       );
     }
 
+    // The move must be allowed by the task workflow
+    const workflow = await taskWorkflowService.getWorkflow();
+    status = taskWorkflowService.assertTransition(workflow, task, status, req.user);
+
+    await subtaskService.assertCanSetStatus(task, status);
+    await dependencyService.assertCanSetStatus(task, status);
+
+    const previousStatus = task.status;
+
     // If status is completed, set completedAt date
     const updateData = {
       status,
@@ -890,6 +1047,38 @@ exports.updateTaskStatus = async (req, res, next) => {
       `Task status updated for ${task.title} (${task._id}) to ${status} by ${req.user.name} (${req.user._id})`
     );
 
+    await subtaskService.refreshRollup(task._id);
+
+    // Let the assignees of tasks waiting on this one know it is done
+    if (
+      taskWorkflowService.isClosed(workflow, status) &&
+      !taskWorkflowService.isClosed(workflow, previousStatus)
+    ) {
+      await dependencyService.notifySuccessors(task, req.user);
+    }
+
+    // Email the other party (creator or assignee) about the status change
+    if (previousStatus !== status) {
+      const recipient =
+        task.createdBy && task.createdBy.toString() !== req.user.id.toString()
+          ? task.createdBy
+          : task.assignedTo;
+      if (recipient && recipient.toString() !== req.user.id.toString()) {
+        try {
+          await mailService.queueEmailToUser(
+            recipient,
+            "taskStatusChanged",
+            { task, previousStatus, changedBy: req.user },
+            { entityType: "task", entityId: task._id }
+          );
+        } catch (mailError) {
+          logger.error(
+            `Failed to queue status change email for task ${task._id}: ${mailError.message}`
+          );
+        }
+      }
+    }
+
     if (status === "completed") {
       try {
         if (task.title === "Project Verification Task") {
@@ -982,14 +1171,25 @@ exports.addTaskRating = async (req, res, next) => {
       );
     }
 
-    // Mark task as completed and store rating
-    task.status = "completed";
+    // Store the rating and mark the task completed, as the workflow allows
     task.rating = Number(rating);
+    const workflow = await taskWorkflowService.getWorkflow();
+    const status = taskWorkflowService.assertTransition(workflow, task, "completed", req.user);
+    await subtaskService.assertCanSetStatus(task, status);
+    await dependencyService.assertCanSetStatus(task, status);
+
+    const previousStatus = task.status;
+    task.status = status;
 
     task.updatedBy = req.user._id;
 
     await task.save();
 
+    await subtaskService.refreshRollup(task._id);
+    if (!taskWorkflowService.isClosed(workflow, previousStatus)) {
+      await dependencyService.notifySuccessors(task, req.user);
+    }
+
     //trigger verification completion logic
     const verificationResult = await verificationService.handleVerificationTaskCompletion(
       task._id,
@@ -1096,77 +1296,127 @@ exports.updateTaskTime = async (req, res, next) => {
     }
 
     // Check access - only admin and assigned users can update
-    if (
-      req.user.role !== "admin" &&
-      task.assignedTo.toString() !== req.user.id.toString()
-    ) {
-      return next(
-        new ErrorResponse(`User not authorized to update this task`, 403)
-      );
-    }
+    timeEntryService.assertCanLogTime(task, req.user);
 
-    // Add time entry
-    const timeEntry = {
-      hours: parseFloat(hours),
-      description,
-      date: date || Date.now(),
-      user: req.user.id,
-    };
+    const result = await timeEntryService.addEntry(
+      task,
+      { hours, description, date },
+      req.user
+    );
+    req.suppressTaskUpdateActivity = true; // Suppress generic update activity
 
-    task.timeTracking.entries.push(timeEntry);
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Update total actual hours
-    task.timeTracking.actualHours = task.timeTracking.entries.reduce(
-      (total, entry) => total + entry.hours,
-      0
-    );
+/**
+ * @desc    Get the subtasks of a task with its rollup
+ * @route   GET /api/tasks/:id/subtasks
+ * @access  Private
+ */
+exports.getSubtasks = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      deleted: { $ne: true },
+    }).select("rollup");
 
-    task.updatedBy = req.user.id;
+    if (!task) {
+      return next(
+        new ErrorResponse(`Task not found with id of ${req.params.id}`, 404)
+      );
+    }
 
-    await task.save();
-    req.suppressTaskUpdateActivity = true; // Suppress generic update activity
+    const subtasks = await Task.find({ parent: task._id, deleted: { $ne: true } })
+      .sort({ dueDate: 1, createdAt: 1 })
+      .populate({
+        path: "assignedTo",
+        select: "name email",
+      });
 
-    // Populate the user in the newly added time entry
-    const populatedTask = await Task.findById(req.params.id).populate({
-      path: "timeTracking.entries.user",
-      select: "name email",
+    res.status(200).json({
+      success: true,
+      count: subtasks.length,
+      rollup: task.rollup,
+      data: subtasks,
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get the newly added time entry
-    const newEntry =
-      populatedTask.timeTracking.entries[
-        populatedTask.timeTracking.entries.length - 1
-      ];
+/**
+ * @desc    Create a subtask under a task, in the parent's project
+ * @route   POST /api/tasks/:id/subtasks
+ * @access  Private
+ */
+exports.createSubtask = async (req, res, next) => {
+  try {
+    const parent = await Task.findOne({
+      _id: req.params.id,
+      deleted: { $ne: true },
+    }).select("project");
 
-    // Log the time entry addition
-    logger.info(
-      `Time entry added to task ${task.title} (${task._id}) by ${req.user.name} (${req.user._id}): ${hours} hours`
-    );
+    if (!parent) {
+      return next(
+        new ErrorResponse(`Task not found with id of ${req.params.id}`, 404)
+      );
+    }
 
-    // Activity log for time entry
-    try {
-      await ActivityTracker.track({
-        type: "task_time_entry",
-        title: "Time Entry Added",
-        description: `Time entry of ${hours} hour(s) added to task "${task.title}": ${description}`,
-        entityType: "task",
-        entityId: task._id,
-        userId: req.user._id,
-        link: `/tasks/${task._id}`,
-        project: task.project,
+    req.body.parent = parent._id.toString();
+    req.body.project = parent.project.toString();
+
+    return exports.createTask(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the predecessors and successors of a task
+ * @route   GET /api/tasks/:id/dependencies
+ * @access  Private
+ */
+exports.getTaskDependencies = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      deleted: { $ne: true },
+    })
+      .select("title status dependsOn")
+      .populate({
+        path: "dependsOn",
+        select: "title status assignedTo dueDate",
+        populate: { path: "assignedTo", select: "name email" },
       });
-    } catch (activityError) {
-      logger.error(
-        `Failed to track activity for time entry: ${activityError.message}`
+
+    if (!task) {
+      return next(
+        new ErrorResponse(`Task not found with id of ${req.params.id}`, 404)
       );
     }
 
+    const successors = await Task.find({
+      dependsOn: task._id,
+      deleted: { $ne: true },
+    })
+      .select("title status assignedTo dueDate dependsOn")
+      .populate({ path: "assignedTo", select: "name email" });
+
+    const blockers = await dependencyService.getBlockers(task);
+
     res.status(200).json({
       success: true,
       data: {
-        entry: newEntry,
-        totalActualHours: task.timeTracking.actualHours,
-        estimatedHours: task.timeTracking.estimatedHours,
+        blocked: blockers.length > 0,
+        blockedBy: blockers,
+        predecessors: task.dependsOn.filter(Boolean),
+        successors: await dependencyService.annotateBlocked(successors),
       },
     });
   } catch (error) {
@@ -1174,6 +1424,104 @@ exports.updateTaskTime = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the current user's active timer
+ * @route   GET /api/tasks/timer
+ * @access  Private
+ */
+exports.getTimer = async (req, res, next) => {
+  try {
+    const timer = await timerService.getState(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: timer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start or resume a timer on a task
+ * @route   POST /api/tasks/:id/timer/start
+ * @access  Private
+ */
+exports.startTimer = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deleted: { $ne: true } });
+
+    if (!task) {
+      return next(
+        new ErrorResponse(`Task not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Check access - only admin and assigned users can log time
+    timeEntryService.assertCanLogTime(task, req.user);
+
+    const result = await timerService.start(task, req.user, req.body.description);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ensure the user's timer is on the task in the route
+ */
+const assertTimerOnTask = async (req) => {
+  const timer = await timerService.getState(req.user.id);
+
+  if (!timer || timer.task?._id?.toString() !== req.params.id) {
+    throw new ErrorResponse("No active timer on this task", 400);
+  }
+};
+
+/**
+ * @desc    Pause the timer on a task
+ * @route   POST /api/tasks/:id/timer/pause
+ * @access  Private
+ */
+exports.pauseTimer = async (req, res, next) => {
+  try {
+    await assertTimerOnTask(req);
+
+    const timer = await timerService.pause(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: timer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop the timer on a task and log its time
+ * @route   POST /api/tasks/:id/timer/stop
+ * @access  Private
+ */
+exports.stopTimer = async (req, res, next) => {
+  try {
+    await assertTimerOnTask(req);
+
+    const result = await timerService.stop(req.user, req.body.description);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get tasks for current user
  * @route   GET /api/tasks/me
@@ -1218,7 +1566,7 @@ exports.getMyTasks = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: tasks.length,
-      data: tasks,
+      data: await dependencyService.annotateBlocked(tasks),
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,86 @@
+const Form26ASEntry = require("../models/Form26ASEntry");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const tdsService = require("../services/tdsService");
+
+/**
+ * @desc    Import Form 26AS TDS entries from CSV
+ * @route   POST /api/finance/tds/form26as/import
+ * @access  Private/Finance,Admin
+ */
+exports.importForm26AS = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ErrorResponse("Please upload a Form 26AS CSV file", 400));
+    }
+
+    const result = await tdsService.importForm26AS(req.file.buffer, req.user);
+
+    if (result.rows === 0) {
+      return next(
+        new ErrorResponse(
+          `No TDS entries found in the file${result.errors.length > 0 ? `: ${result.errors[0].message}` : ""}`,
+          400
+        )
+      );
+    }
+
+    logger.info(
+      `Form 26AS imported from ${req.file.originalname} by ${req.user.name} (${req.user._id}): ${result.inserted} new, ${result.updated} updated, ${result.errors.length} rejected`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get imported Form 26AS entries
+ * @route   GET /api/finance/tds/form26as
+ * @access  Private/Finance,Admin
+ */
+exports.getForm26ASEntries = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.financialYear) {
+      filter.financialYear = req.query.financialYear;
+    }
+
+    if (req.query.quarter) {
+      filter.quarter = req.query.quarter;
+    }
+
+    if (req.query.client) {
+      filter.client = req.query.client;
+    }
+
+    if (req.query.tan) {
+      filter.deductorTan = req.query.tan.toUpperCase();
+    }
+
+    // Entries whose TAN is not recorded on any client
+    if (req.query.unmatched === "true") {
+      filter.client = null;
+    }
+
+    const entries = await Form26ASEntry.find(filter)
+      .populate({
+        path: "client",
+        select: "name tan",
+      })
+      .sort({ transactionDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,256 @@
+const Timesheet = require("../models/Timesheet");
+const { ErrorResponse } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+const timesheetService = require("../services/timesheetService");
+
+// Roles that can see and review other users' timesheets
+const REVIEWER_ROLES = ["admin", "manager"];
+
+const isReviewer = (user) => REVIEWER_ROLES.includes(user.role);
+
+/**
+ * @desc    Get a week's timesheet (the current user's unless reviewing)
+ * @route   GET /api/timesheets/week
+ * @access  Private
+ */
+exports.getWeek = async (req, res, next) => {
+  try {
+    const userId = req.query.user || req.user.id;
+
+    if (userId.toString() !== req.user.id.toString() && !isReviewer(req.user)) {
+      return next(
+        new ErrorResponse("User not authorized to view this timesheet", 403)
+      );
+    }
+
+    const week = await timesheetService.getWeekView(
+      userId,
+      req.query.date ? new Date(req.query.date) : new Date()
+    );
+
+    res.status(200).json({
+      success: true,
+      data: week,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get timesheets; reviewers see everyone's, others their own
+ * @route   GET /api/timesheets
+ * @access  Private
+ */
+exports.getTimesheets = async (req, res, next) => {
+  try {
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    if (!isReviewer(req.user)) {
+      filter.user = req.user.id;
+    } else if (req.query.user) {
+      filter.user = req.query.user;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.weekStart = {};
+      if (req.query.from) filter.weekStart.$gte = timesheetService.getWeek(req.query.from).weekStart;
+      if (req.query.to) filter.weekStart.$lte = new Date(req.query.to);
+    }
+
+    const total = await Timesheet.countDocuments(filter);
+    const timesheets = await Timesheet.find(filter)
+      .select("-entries")
+      .populate({ path: "user", select: "name email" })
+      .populate({ path: "reviewedBy", select: "name" })
+      .sort({ weekStart: -1, submittedAt: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    // Pagination result
+    const pagination = {};
+
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      pagination,
+      total,
+      data: timesheets,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a timesheet with its entries
+ * @route   GET /api/timesheets/:id
+ * @access  Private
+ */
+exports.getTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id).select("user weekStart");
+
+    if (!timesheet) {
+      return next(
+        new ErrorResponse(`Timesheet not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    if (timesheet.user.toString() !== req.user.id.toString() && !isReviewer(req.user)) {
+      return next(
+        new ErrorResponse("User not authorized to view this timesheet", 403)
+      );
+    }
+
+    const week = await timesheetService.getWeekView(timesheet.user, timesheet.weekStart);
+
+    res.status(200).json({
+      success: true,
+      data: week,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit the current user's timesheet for a week
+ * @route   POST /api/timesheets/submit
+ * @access  Private
+ */
+exports.submitTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await timesheetService.submit(
+      req.user,
+      req.body.date ? new Date(req.body.date) : new Date(),
+      req.body.notes
+    );
+
+    logger.info(
+      `Timesheet submitted for the week of ${timesheet.weekStart.toDateString()} (${timesheet.totalHours} hours) by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: timesheet,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a submitted timesheet
+ * @route   PUT /api/timesheets/:id/approve
+ * @access  Private/Admin,Manager
+ */
+exports.approveTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return next(
+        new ErrorResponse(`Timesheet not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const approved = await timesheetService.review(
+      timesheet,
+      req.user,
+      true,
+      req.body.comment
+    );
+
+    logger.info(
+      `Timesheet ${approved._id} of user ${approved.user} for the week of ${approved.weekStart.toDateString()} approved by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: approved,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a submitted timesheet, unlocking its week for corrections
+ * @route   PUT /api/timesheets/:id/reject
+ * @access  Private/Admin,Manager
+ */
+exports.rejectTimesheet = async (req, res, next) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return next(
+        new ErrorResponse(`Timesheet not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const rejected = await timesheetService.review(
+      timesheet,
+      req.user,
+      false,
+      req.body.reason
+    );
+
+    logger.info(
+      `Timesheet ${rejected._id} of user ${rejected.user} for the week of ${rejected.weekStart.toDateString()} rejected by ${req.user.name} (${req.user._id}): ${req.body.reason}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rejected,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send last week's timesheet reminders now
+ * @route   POST /api/timesheets/reminders
+ * @access  Private/Admin
+ */
+exports.sendTimesheetReminders = async (req, res, next) => {
+  try {
+    const result = await timesheetService.sendReminders();
+
+    logger.info(
+      `Timesheet reminders run by ${req.user.name} (${req.user._id}): ${result.reminded} user(s) reminded`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -574,4 +574,81 @@ exports.getUsersByDepartment = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get a user's cost rate history
+ * @route   GET /api/users/:id/cost-rates
+ * @access  Private/Admin/Finance
+ */
+exports.getCostRates = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("name +costRates")
+      .populate({ path: "costRates.setBy", select: "name" });
+
+    if (!user) {
+      return next(
+        new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const costRates = [...user.costRates].sort(
+      (a, b) => b.effectiveFrom - a.effectiveFrom
+    );
+
+    res.status(200).json({
+      success: true,
+      count: costRates.length,
+      data: costRates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a user's hourly cost rate from a date; a rate already set
+ *          for the same date is replaced
+ * @route   POST /api/users/:id/cost-rates
+ * @access  Private/Admin/Finance
+ */
+exports.setCostRate = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select("name +costRates");
+
+    if (!user) {
+      return next(
+        new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const effectiveFrom = new Date(req.body.effectiveFrom);
+    effectiveFrom.setHours(0, 0, 0, 0);
+
+    const existing = user.costRates.find(
+      (entry) => entry.effectiveFrom.getTime() === effectiveFrom.getTime()
+    );
+    if (existing) {
+      user.costRates.pull(existing._id);
+    }
+    user.costRates.push({
+      rate: req.body.rate,
+      effectiveFrom,
+      notes: req.body.notes,
+      setBy: req.user._id,
+    });
+    await user.save({ validateModifiedOnly: true });
+
+    logger.info(
+      `Cost rate of ${user.name} (${user._id}) set to ${req.body.rate}/hour from ${effectiveFrom.toDateString()} by ${req.user.name} (${req.user._id})`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: [...user.costRates].sort((a, b) => b.effectiveFrom - a.effectiveFrom),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
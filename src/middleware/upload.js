@@ -99,6 +99,8 @@ const storage = {
           cb(null, file.originalname);
         },
     }),
+    // Imported data files are parsed straight from memory
+    imports: multer.memoryStorage(),
 };
 
 // File filter to check file types
@@ -126,6 +128,14 @@ const fileFilter = (req, file, cb) => {
             ],
             avatars: ['image/jpeg', 'image/png', 'image/gif'],
             receipts: ['image/jpeg', 'image/png', 'application/pdf'],
+            imports: [
+                'text/csv',
+                'text/plain',
+                'application/vnd.ms-excel',
+                'application/octet-stream',
+                'application/x-ofx',
+                'application/vnd.intu.qfx',
+            ],
             logos: ['image/jpeg', 'image/png', 'image/svg+xml'],
             taskFiles: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/vnd.ms-excel', 'image/jpeg', 'image/png', 'application/zip', 'application/x-zip-compressed'],
             tagDocuments: [
@@ -151,9 +161,11 @@ const fileFilter = (req, file, cb) => {
             uploadType = 'logos';
         } else if (req.originalUrl.includes('tag-documents')) {
             uploadType = 'tagDocuments';
-        }else if (req.originalUrl.includes('upload-receipt')) {
-    uploadType = 'receipts';
-}
+        } else if (req.originalUrl.includes('upload-receipt')) {
+            uploadType = 'receipts';
+        } else if (req.originalUrl.includes('/import')) {
+            uploadType = 'imports';
+        }
 
 
         // Check if the file type is allowed
@@ -195,5 +207,6 @@ module.exports = {
     uploadLogo: upload('logos'),
     uploadTaskFile: upload('taskFiles'),
     uploadTagDocument: upload('tagDocuments'),
-    uploadReceipt:upload('receipts')
+    uploadReceipt:upload('receipts'),
+    uploadImport: upload('imports')
 }; 
\ No newline at end of file
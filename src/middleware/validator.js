@@ -39,6 +39,11 @@ const validate = (schema) => {
     };
 };
 
+// ISO 4217 currency code
+const currencyCode = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).messages({
+    'string.pattern.base': '{{#label}} must be a 3-letter ISO currency code',
+});
+
 // User validation schemas
 const userValidation = {
     create: Joi.object({
@@ -93,6 +98,17 @@ const userValidation = {
             verificationStaff: Joi.boolean(),
         }),
     }),
+
+    costRate: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            rate: Joi.number().min(0).required(),
+            effectiveFrom: Joi.date().required(),
+            notes: Joi.string().max(200).allow(''),
+        }),
+    }),
 };
 
 // Client validation schemas
@@ -109,6 +125,7 @@ const clientValidation = {
             pin: Joi.string().max(20).allow("").optional(),
             gstin: Joi.string().max(20).allow("").optional(),
             pan: Joi.string().max(10).allow("").optional(),
+            tan: Joi.string().max(10).allow("").optional(),
             cin: Joi.string().max(21).allow("").optional(),
             currencyFormat: Joi.string().max(10).allow("").optional(),
             website: Joi.string().allow("").optional(),
@@ -135,6 +152,7 @@ const clientValidation = {
             pin: Joi.string().max(20).allow("").optional(),
             gstin: Joi.string().max(20).allow("").optional(),
             pan: Joi.string().max(10).allow("").optional(),
+            tan: Joi.string().max(10).allow("").optional(),
             cin: Joi.string().max(21).allow("").optional(),
             currencyFormat: Joi.string().max(10).allow("").optional(),
             website: Joi.string().allow("").optional(),
@@ -160,7 +178,9 @@ const projectValidation = {
             startDate: Joi.date().allow(null),
             dueDate: Joi.date().allow(null),
             amount: Joi.number().min(0),
+            currency: currencyCode,
             receipts: Joi.string().allow(""),
+            template: Joi.string(),
         }),
     }),
 
@@ -179,6 +199,7 @@ const projectValidation = {
             startDate: Joi.date().allow(null),
             dueDate: Joi.date().allow(null),
             budget: Joi.number().min(0),
+            currency: currencyCode,
             deleted: Joi.boolean(),
             notes: Joi.array().items(
                 Joi.object({
@@ -202,11 +223,13 @@ const taskValidation = {
             amount: Joi.number().min(0),
             taskIncentivePercentage: Joi.number().min(0).max(100).default(4),
             verificationIncentivePercentage: Joi.number().min(0).max(100).default(1),
-            status: Joi.string().valid('pending', 'in-progress', 'under-review', 'completed', 'invoiceable', 'invoiced', 'cancelled', 'review'),
+            // Checked against the task workflow
+            status: Joi.string(),
             priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
             dueDate: Joi.date().required(),
             estimatedHours: Joi.number().min(0),
             parent: Joi.string(),
+            dependsOn: Joi.array().items(Joi.string()),
             tags: Joi.array().items(Joi.string()).default([]),
             fileUrl: Joi.string().uri(),
             fileType: Joi.string(),
@@ -226,11 +249,13 @@ const taskValidation = {
             description: Joi.string().max(500),
             project: Joi.string(),
             assignedTo: Joi.string(),
-            status: Joi.string().valid('pending', 'in-progress', 'under-review', 'completed', 'invoiceable', 'invoiced', 'cancelled', 'review'),
+            // Checked against the task workflow
+            status: Joi.string(),
             priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
             dueDate: Joi.date(),
             estimatedHours: Joi.number().min(0),
-            parent: Joi.string(),
+            parent: Joi.string().allow(null, ''),
+            dependsOn: Joi.array().items(Joi.string()),
             deleted: Joi.boolean(),
             tags: Joi.array().items(Joi.string()),
             fileUrl: Joi.string().uri(),
@@ -243,6 +268,27 @@ const taskValidation = {
         }),
     }),
 
+    createSubtask: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            title: Joi.string().max(100).required(),
+            description: Joi.string().max(500).required(),
+            assignedTo: Joi.string().required(),
+            amount: Joi.number().min(0),
+            taskIncentivePercentage: Joi.number().min(0).max(100).default(4),
+            verificationIncentivePercentage: Joi.number().min(0).max(100).default(1),
+            // Checked against the task workflow
+            status: Joi.string(),
+            priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+            dueDate: Joi.date().required(),
+            estimatedHours: Joi.number().min(0),
+            dependsOn: Joi.array().items(Joi.string()),
+            tags: Joi.array().items(Joi.string()).default([]),
+        }),
+    }),
+
     addTimeEntry: Joi.object({
         params: Joi.object({
             id: Joi.string().required(),
@@ -253,6 +299,14 @@ const taskValidation = {
             date: Joi.date(),
         }),
     }),
+    timer: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            description: Joi.string().allow(''),
+        }),
+    }),
 };
 
 // Document validation schemas
@@ -291,14 +345,15 @@ const documentValidation = {
 const invoiceValidation = {
     create: Joi.object({
         body: Joi.object({
-            invoiceNumber: Joi.string().required(),
             client: Joi.string().required(),
             projects: Joi.array().items(
                 Joi.object({
                     projectId: Joi.string().required(),
                     name: Joi.string().required(),
                     amount: Joi.number().min(0).required(),
-                    description: Joi.string()
+                    description: Joi.string(),
+                    hsnSac: Joi.string().max(8).allow(''),
+                    taxRate: Joi.number().min(0).max(100),
                 })
             ),
             items: Joi.array().items(
@@ -307,15 +362,22 @@ const invoiceValidation = {
                     quantity: Joi.number().min(0).required(),
                     rate: Joi.number().min(0).required(),
                     amount: Joi.number().min(0).required(),
+                    hsnSac: Joi.string().max(8).allow(''),
+                    taxRate: Joi.number().min(0).max(100),
                     task: Joi.string(),
                 })
             ),
             amount: Joi.number().min(0),
             tax: Joi.number().min(0),
-            status: Joi.string().valid('draft', 'sent', 'paid', 'cancelled', 'overdue'),
+            taxRate: Joi.number().min(0).max(100),
+            discount: Joi.number().min(0),
+            currency: currencyCode,
+            exchangeRate: Joi.number().greater(0),
+            status: Joi.string().valid('draft', 'sent'),
             issueDate: Joi.date(),
             dueDate: Joi.date().required(),
             notes: Joi.string().max(500),
+            terms: Joi.string().max(1000).allow(''),
         }),
     }),
 
@@ -324,13 +386,298 @@ const invoiceValidation = {
             id: Joi.string().required(),
         }),
         body: Joi.object({
-            status: Joi.string().valid('draft', 'sent', 'paid', 'cancelled', 'overdue'),
+            client: Joi.string(),
+            items: Joi.array().items(
+                Joi.object({
+                    description: Joi.string().required(),
+                    quantity: Joi.number().min(0).required(),
+                    rate: Joi.number().min(0).required(),
+                    amount: Joi.number().min(0),
+                    hsnSac: Joi.string().max(8).allow(''),
+                    taxRate: Joi.number().min(0).max(100),
+                    task: Joi.string(),
+                })
+            ),
+            taxRate: Joi.number().min(0).max(100),
+            discount: Joi.number().min(0),
+            currency: currencyCode,
+            exchangeRate: Joi.number().greater(0),
+            // Drafts are issued (and numbered) through the status endpoint
+            status: Joi.string().valid('draft'),
+            issueDate: Joi.date(),
+            dueDate: Joi.date(),
             paidDate: Joi.date(),
             notes: Joi.string().max(500),
+            terms: Joi.string().max(1000).allow(''),
+        }),
+    }),
+
+    updateStatus: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            status: Joi.string().valid('draft', 'sent', 'cancelled', 'overdue').required(),
+        }),
+    }),
+};
+
+// Credit note validation schemas
+const creditNoteValidation = {
+    create: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            type: Joi.string().valid('full', 'partial').required(),
+            reason: Joi.string().max(500).required(),
+            issueDate: Joi.date(),
+            items: Joi.array().items(
+                Joi.object({
+                    description: Joi.string().required(),
+                    quantity: Joi.number().min(0).required(),
+                    rate: Joi.number().min(0).required(),
+                    hsnSac: Joi.string().max(8).allow(''),
+                    taxRate: Joi.number().min(0).max(100),
+                    project: Joi.string(),
+                })
+            ),
+            amount: Joi.number().greater(0),
+            rebill: Joi.boolean(),
+            notes: Joi.string().max(500).allow(''),
+        }),
+    }),
+};
+
+// Payment validation schemas
+const paymentAllocation = Joi.object({
+    invoice: Joi.string(),
+    project: Joi.string(),
+    amount: Joi.number().greater(0).required(),
+}).xor('invoice', 'project');
+
+const paymentValidation = {
+    create: Joi.object({
+        body: Joi.object({
+            client: Joi.string().required(),
+            date: Joi.date(),
+            amount: Joi.number().greater(0).required(),
+            currency: currencyCode,
+            tdsAmount: Joi.number().min(0),
+            tdsSection: Joi.string().max(10).when('tdsAmount', {
+                is: Joi.number().greater(0),
+                then: Joi.required(),
+            }),
+            tdsRate: Joi.number().min(0).max(100),
+            method: Joi.string().max(50).required(),
+            reference: Joi.string().max(100).allow(''),
+            notes: Joi.string().max(500).allow(''),
+            allocations: Joi.array().items(paymentAllocation),
+        }),
+    }),
+    allocate: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            allocations: Joi.array().items(paymentAllocation).min(1).required(),
+        }),
+    }),
+    void: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            reason: Joi.string().max(500).allow(''),
         }),
     }),
 };
 
+// Bank reconciliation validation schemas
+const bankTransactionValidation = {
+    confirm: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            client: Joi.string(),
+            allocations: Joi.array().items(paymentAllocation),
+            tdsAmount: Joi.number().min(0),
+            tdsSection: Joi.string().max(10).when('tdsAmount', {
+                is: Joi.number().greater(0),
+                then: Joi.required(),
+            }),
+            tdsRate: Joi.number().min(0).max(100),
+            notes: Joi.string().max(500).allow(''),
+        }).or('client', 'allocations'),
+    }),
+    ignore: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            ignore: Joi.boolean(),
+            reason: Joi.string().max(500).allow(''),
+        }),
+    }),
+};
+
+// Exchange rate validation schemas
+const exchangeRateValidation = {
+    create: Joi.object({
+        body: Joi.object({
+            currency: currencyCode.required(),
+            date: Joi.date().required(),
+            rate: Joi.number().greater(0).required(),
+            notes: Joi.string().max(200).allow(''),
+        }),
+    }),
+    update: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            rate: Joi.number().greater(0),
+            notes: Joi.string().max(200).allow(''),
+        }),
+    }),
+};
+
+// Timesheet validation schemas
+const timesheetValidation = {
+    submit: Joi.object({
+        body: Joi.object({
+            date: Joi.date(),
+            notes: Joi.string().max(500).allow(''),
+        }),
+    }),
+    approve: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            comment: Joi.string().max(500).allow(''),
+        }),
+    }),
+    reject: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            reason: Joi.string().max(500).required(),
+        }),
+    }),
+};
+
+// Compliance calendar validation schemas
+const complianceValidation = {
+    calendar: Joi.object({
+        query: Joi.object({
+            from: Joi.date(),
+            to: Joi.date().min(Joi.ref('from')),
+            client: Joi.string(),
+            category: Joi.string(),
+            rule: Joi.string(),
+        }),
+    }),
+};
+
+// Project template validation schemas
+const templateTask = Joi.object({
+    title: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow(''),
+    department: Joi.string().allow(null),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+    dueDays: Joi.number().integer().min(-365).max(365).allow(null),
+    dueFrom: Joi.string().valid('start', 'due'),
+    estimatedHours: Joi.number().min(0),
+    assignedTo: Joi.string().allow(null),
+    amount: Joi.number().min(0),
+    taskIncentivePercentage: Joi.number().min(0).max(100),
+    verificationIncentivePercentage: Joi.number().min(0).max(100),
+    tags: Joi.array().items(Joi.string()),
+});
+
+const projectTemplateValidation = {
+    create: Joi.object({
+        body: Joi.object({
+            name: Joi.string().max(100).required(),
+            description: Joi.string().max(500).allow(''),
+            tasks: Joi.array().items(templateTask).min(1).required(),
+            isActive: Joi.boolean(),
+        }),
+    }),
+
+    update: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            name: Joi.string().max(100),
+            description: Joi.string().max(500).allow(''),
+            tasks: Joi.array().items(templateTask).min(1),
+            isActive: Joi.boolean(),
+        }),
+    }),
+};
+
+// Recurring invoice template validation schemas
+const recurringInvoiceItem = Joi.object({
+    description: Joi.string().required(),
+    quantity: Joi.number().min(0).required(),
+    rate: Joi.number().min(0).required(),
+    hsnSac: Joi.string().max(8).allow(''),
+    taxRate: Joi.number().min(0).max(100),
+});
+
+const recurringInvoiceValidation = {
+    create: Joi.object({
+        body: Joi.object({
+            name: Joi.string().max(100).required(),
+            client: Joi.string().required(),
+            items: Joi.array().items(recurringInvoiceItem).min(1).required(),
+            taxRate: Joi.number().min(0).max(100),
+            discount: Joi.number().min(0),
+            notes: Joi.string().max(500).allow(''),
+            terms: Joi.string().max(1000).allow(''),
+            frequency: Joi.string().valid('weekly', 'monthly', 'quarterly', 'yearly').required(),
+            startDate: Joi.date().required(),
+            endDate: Joi.date().allow(null),
+            dueInDays: Joi.number().integer().min(0).max(365),
+            invoiceStatus: Joi.string().valid('draft', 'sent'),
+            isActive: Joi.boolean(),
+        }),
+    }),
+
+    update: Joi.object({
+        params: Joi.object({
+            id: Joi.string().required(),
+        }),
+        body: Joi.object({
+            name: Joi.string().max(100),
+            client: Joi.string(),
+            items: Joi.array().items(recurringInvoiceItem).min(1),
+            taxRate: Joi.number().min(0).max(100),
+            discount: Joi.number().min(0),
+            notes: Joi.string().max(500).allow(''),
+            terms: Joi.string().max(1000).allow(''),
+            frequency: Joi.string().valid('weekly', 'monthly', 'quarterly', 'yearly'),
+            startDate: Joi.date(),
+            endDate: Joi.date().allow(null),
+            dueInDays: Joi.number().integer().min(0).max(365),
+            invoiceStatus: Joi.string().valid('draft', 'sent'),
+            isActive: Joi.boolean(),
+        }),
+    }),
+};
+
+// Document numbering pattern (Settings.numbering.<type>)
+const numberingPattern = Joi.object({
+    prefix: Joi.string().max(10).allow(''),
+    format: Joi.string().max(50).pattern(/\{SEQ\}/, 'sequence token {SEQ}'),
+    padding: Joi.number().integer().min(1).max(10),
+});
+
 // Settings validation schema
 const settingsValidation = {
     update: Joi.object({
@@ -366,7 +713,72 @@ const settingsValidation = {
                 autoArchiveCompletedProjects: Joi.boolean(),
                 autoArchiveDays: Joi.number().min(1),
                 autoAssignToProjectManager: Joi.boolean(),
+                mailServer: Joi.object({
+                    host: Joi.string().allow(''),
+                    port: Joi.number().integer().min(1).max(65535),
+                    secure: Joi.boolean(),
+                    from: Joi.string().allow(''),
+                    auth: Joi.object({
+                        user: Joi.string().allow(''),
+                        pass: Joi.string().allow(''),
+                    }),
+                }),
+            }),
+            numbering: Joi.object({
+                invoice: numberingPattern,
+                creditNote: numberingPattern,
+            }),
+            dunning: Joi.object({
+                enabled: Joi.boolean(),
+                steps: Joi.array().items(Joi.number().integer().min(-90).max(365)).unique().max(10),
+                notifyClient: Joi.boolean(),
             }),
+            tally: Joi.object({
+                companyName: Joi.string().max(100).allow(''),
+                ledgers: Joi.object({
+                    sales: Joi.string().max(100),
+                    cgst: Joi.string().max(100),
+                    sgst: Joi.string().max(100),
+                    igst: Joi.string().max(100),
+                    discount: Joi.string().max(100),
+                    roundOff: Joi.string().max(100),
+                    bank: Joi.string().max(100),
+                    cash: Joi.string().max(100),
+                    tds: Joi.string().max(100),
+                }),
+                voucherTypes: Joi.object({
+                    sales: Joi.string().max(100),
+                    creditNote: Joi.string().max(100),
+                    receipt: Joi.string().max(100),
+                }),
+                partyLedgers: Joi.array().items(
+                    Joi.object({
+                        client: Joi.string().required(),
+                        ledger: Joi.string().max(100).required(),
+                    })
+                ),
+            }),
+        }),
+    }),
+
+    taskWorkflow: Joi.object({
+        body: Joi.object({
+            states: Joi.array().items(
+                Joi.object({
+                    key: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(40).required()
+                        .messages({ 'string.pattern.base': 'State keys must be lowercase words joined by hyphens' }),
+                    label: Joi.string().max(60),
+                    category: Joi.string().valid('open', 'done', 'cancelled').required(),
+                })
+            ).min(1).required(),
+            transitions: Joi.array().items(
+                Joi.object({
+                    from: Joi.string().required(),
+                    to: Joi.string().required(),
+                    roles: Joi.array().items(Joi.string().valid('admin', 'manager', 'staff', 'finance')).default([]),
+                    requiredFields: Joi.array().items(Joi.string()).default([]),
+                })
+            ).required(),
         }),
     }),
 };
@@ -379,5 +791,13 @@ module.exports = {
     taskValidation,
     documentValidation,
     invoiceValidation,
+    creditNoteValidation,
+    paymentValidation,
+    bankTransactionValidation,
+    exchangeRateValidation,
+    timesheetValidation,
+    complianceValidation,
+    projectTemplateValidation,
+    recurringInvoiceValidation,
     settingsValidation,
 }; 
\ No newline at end of file
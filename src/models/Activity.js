@@ -20,6 +20,9 @@ const activitySchema = new mongoose.Schema({
 
       'cronjob_created',
       'cronjob_executed',
+      'invoice_generated',
+      'invoice_overdue',
+      'invoice_reminder_sent',
 
       'task_time_entry'
 
@@ -41,7 +44,7 @@ const activitySchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['task', 'client', 'project', 'document', 'cronjob']
+    enum: ['task', 'client', 'project', 'document', 'cronjob', 'invoice']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
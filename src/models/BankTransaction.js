@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the transaction
+ *         bankAccount:
+ *           type: string
+ *           description: Account the statement belongs to (as named on import)
+ *         date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *           description: Narration from the bank statement
+ *         reference:
+ *           type: string
+ *           description: Cheque / UTR / reference number
+ *         amount:
+ *           type: number
+ *           description: Amount credited
+ *         balance:
+ *           type: number
+ *           description: Running balance reported by the bank, if any
+ *         status:
+ *           type: string
+ *           enum: [unmatched, matched, ignored]
+ *         payment:
+ *           type: string
+ *           description: Payment recorded when the transaction was matched
+ *         importBatch:
+ *           type: string
+ */
+
+const BankTransactionSchema = new mongoose.Schema({
+    bankAccount: {
+        type: String,
+        trim: true,
+        default: 'default'
+    },
+    date: {
+        type: Date,
+        required: [true, 'Please add the transaction date']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Please add the amount'],
+        min: [0.01, 'Amount must be greater than 0']
+    },
+    balance: {
+        type: Number
+    },
+    // OFX FITID, or a hash of the transaction details for CSV statements
+    externalId: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['unmatched', 'matched', 'ignored'],
+        default: 'unmatched'
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    matchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    matchedAt: {
+        type: Date
+    },
+    ignoreReason: {
+        type: String,
+        trim: true
+    },
+    importBatch: {
+        type: String
+    },
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Importing an overlapping statement does not duplicate transactions
+BankTransactionSchema.index({ bankAccount: 1, externalId: 1 }, { unique: true });
+BankTransactionSchema.index({ status: 1, date: -1 });
+
+module.exports = mongoose.model('BankTransaction', BankTransactionSchema);
@@ -43,6 +43,9 @@ const mongoose = require("mongoose");
  *         pan:
  *           type: string
  *           description: PAN of the client
+ *         tan:
+ *           type: string
+ *           description: TAN of the client, used to match TDS credits in Form 26AS
  *         cin:
  *           type: string
  *           description: CIN of the client
@@ -140,6 +143,12 @@ const ClientSchema = new mongoose.Schema(
       type: String,
       maxlength: [10, "PAN cannot be more than 10 characters"],
     },
+    tan: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      maxlength: [10, "TAN cannot be more than 10 characters"],
+    },
     cin: {
       type: String,
       maxlength: [21, "CIN cannot be more than 21 characters"],
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Atomic sequence counters used for document numbering (e.g. "invoice:2025-26")
+const CounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Counter', CounterSchema);
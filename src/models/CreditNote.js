@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const { calculateTax, round2 } = require('../utils/gst');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreditNote:
+ *       type: object
+ *       required:
+ *         - creditNoteNumber
+ *         - invoice
+ *         - reason
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the credit note
+ *         creditNoteNumber:
+ *           type: string
+ *           description: Unique credit note number
+ *         invoice:
+ *           type: string
+ *           description: ID of the invoice being credited
+ *         client:
+ *           type: string
+ *           description: Client ID (copied from the invoice)
+ *         type:
+ *           type: string
+ *           enum: [full, partial]
+ *           description: A full credit reverses the whole invoice and cancels it
+ *         reason:
+ *           type: string
+ *           description: Reason for issuing the credit note
+ *         issueDate:
+ *           type: string
+ *           format: date
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               rate:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *               hsnSac:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *               project:
+ *                 type: string
+ *           description: Credited line items
+ *         supplyType:
+ *           type: string
+ *           enum: [intra-state, inter-state]
+ *         subtotal:
+ *           type: number
+ *         discount:
+ *           type: number
+ *         cgstAmount:
+ *           type: number
+ *         sgstAmount:
+ *           type: number
+ *         igstAmount:
+ *           type: number
+ *         taxAmount:
+ *           type: number
+ *         total:
+ *           type: number
+ *           description: Total amount credited, including tax
+ *         currency:
+ *           type: string
+ *           description: Currency of the credited invoice
+ *         exchangeRate:
+ *           type: number
+ *           description: Exchange rate of the credited invoice
+ *         projectAllocations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               project:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *           description: Taxable value credited against each project on the invoice
+ *         rebill:
+ *           type: boolean
+ *           description: Whether the invoiced projects were released for re-invoicing
+ *       example:
+ *         creditNoteNumber: CN/2023-24/0001
+ *         invoice: 60d0fe4f5311236168a109cd
+ *         client: 60d0fe4f5311236168a109ca
+ *         type: partial
+ *         reason: Discount agreed after invoicing
+ *         items:
+ *           - description: Financial Statement Preparation
+ *             quantity: 1
+ *             rate: 500
+ *             amount: 500
+ *             hsnSac: "998222"
+ *             taxRate: 18
+ *         supplyType: intra-state
+ *         subtotal: 500
+ *         cgstAmount: 45
+ *         sgstAmount: 45
+ *         taxAmount: 90
+ *         total: 590
+ */
+
+const CreditNoteItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: [true, 'Please add a description']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity'],
+        min: [0, 'Quantity cannot be negative']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Please add a rate'],
+        min: [0, 'Rate cannot be negative']
+    },
+    amount: {
+        type: Number,
+        min: [0, 'Amount cannot be negative']
+    },
+    hsnSac: {
+        type: String,
+        trim: true,
+        maxlength: [8, 'HSN/SAC code cannot be more than 8 characters']
+    },
+    taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    },
+    cgstAmount: {
+        type: Number,
+        default: 0
+    },
+    sgstAmount: {
+        type: Number,
+        default: 0
+    },
+    igstAmount: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    }
+});
+
+const CreditNoteSchema = new mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        required: [true, 'Please add a credit note number'],
+        unique: true,
+        trim: true
+    },
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: [true, 'Please add the invoice being credited']
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please add a reason for the credit note'],
+        trim: true,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    issueDate: {
+        type: Date,
+        default: Date.now
+    },
+    items: {
+        type: [CreditNoteItemSchema],
+        validate: [(items) => items.length > 0, 'A credit note needs at least one item']
+    },
+    supplyType: {
+        type: String,
+        enum: ['intra-state', 'inter-state'],
+        default: 'intra-state'
+    },
+    placeOfSupply: {
+        type: String,
+        trim: true
+    },
+    subtotal: {
+        type: Number,
+        min: [0, 'Subtotal cannot be negative']
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    cgstAmount: {
+        type: Number,
+        default: 0
+    },
+    sgstAmount: {
+        type: Number,
+        default: 0
+    },
+    igstAmount: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        min: [0, 'Total cannot be negative']
+    },
+    // Credited in the invoice's currency and at its rate
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
+    projectAllocations: [
+        {
+            project: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Project'
+            },
+            amount: {
+                type: Number,
+                default: 0
+            }
+        }
+    ],
+    rebill: {
+        type: Boolean,
+        default: false
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Calculate line amounts, GST split and totals before saving
+CreditNoteSchema.pre('save', function (next) {
+    const tax = calculateTax(this.items, { supplyType: this.supplyType });
+
+    this.items.forEach((item, index) => {
+        Object.assign(item, tax.items[index]);
+    });
+
+    this.subtotal = tax.subtotal;
+    this.cgstAmount = tax.cgstAmount;
+    this.sgstAmount = tax.sgstAmount;
+    this.igstAmount = tax.igstAmount;
+    this.taxAmount = tax.taxAmount;
+    this.total = round2(this.subtotal + this.taxAmount - (this.discount || 0));
+
+    next();
+});
+
+CreditNoteSchema.index({ invoice: 1 });
+CreditNoteSchema.index({ client: 1 });
+CreditNoteSchema.index({ issueDate: 1 });
+
+module.exports = mongoose.model('CreditNote', CreditNoteSchema);
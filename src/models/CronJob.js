@@ -9,7 +9,6 @@ const mongoose = require('mongoose');
  *       required:
  *         - name
  *         - client
- *         - frequency
  *         - startDate
  *       properties:
  *         name:
@@ -20,8 +19,44 @@ const mongoose = require('mongoose');
  *           description: Client ID the cron job belongs to
  *         frequency:
  *           type: string
- *           enum: [weekly, monthly, yearly]
- *           description: Frequency of project creation
+ *           enum: [weekly, monthly, quarterly, half-yearly, yearly, every-n-days, last-business-day, custom]
+ *           description: |
+ *             Frequency of project creation (required unless complianceRule is set). Runs are counted from the
+ *             start date; last-business-day runs on the last Monday to Friday of each month at the start time.
+ *         interval:
+ *           type: integer
+ *           description: Number of days between runs for every-n-days
+ *         cronExpression:
+ *           type: string
+ *           description: Cron expression for custom schedules (e.g. "0 9 1-7 * mon" for the first Monday of each month)
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: No runs after this date
+ *         maxOccurrences:
+ *           type: integer
+ *           description: Stop after this many runs
+ *         occurrences:
+ *           type: integer
+ *           description: Number of runs made so far
+ *         template:
+ *           type: string
+ *           description: ID of the project template whose tasks are created on every generated project
+ *         complianceRule:
+ *           type: string
+ *           description: |
+ *             Statutory compliance rule code (e.g. GSTR-3B, TDS-24Q). Projects are created once per filing
+ *             period, leadDays before the statutory due date, and are due on it.
+ *         leadDays:
+ *           type: integer
+ *           description: Days before the due date that compliance projects are created
+ *         lastPeriodKey:
+ *           type: string
+ *           description: Filing period of the last compliance project created
+ *         lastDueDate:
+ *           type: string
+ *           format: date
+ *           description: Due date of the last compliance project created
  *         startDate:
  *           type: string
  *           format: date
@@ -57,8 +92,52 @@ const CronJobSchema = new mongoose.Schema(
         },
         frequency: {
             type: String,
-            enum: ['weekly', 'monthly', 'yearly'],
-            required: [true, 'Please specify frequency'],
+            enum: ['weekly', 'monthly', 'quarterly', 'half-yearly', 'yearly', 'every-n-days', 'last-business-day', 'custom'],
+            required: [
+                function () {
+                    return !this.complianceRule;
+                },
+                'Please specify frequency',
+            ],
+        },
+        interval: {
+            type: Number,
+            min: [1, 'Interval must be at least 1 day'],
+        },
+        cronExpression: {
+            type: String,
+            trim: true,
+        },
+        endDate: {
+            type: Date,
+        },
+        maxOccurrences: {
+            type: Number,
+            min: [1, 'Occurrence limit must be at least 1'],
+        },
+        occurrences: {
+            type: Number,
+            default: 0,
+        },
+        template: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProjectTemplate',
+        },
+        complianceRule: {
+            type: String,
+            trim: true,
+        },
+        leadDays: {
+            type: Number,
+            min: [0, 'Lead days cannot be negative'],
+            max: [90, 'Lead days cannot be more than 90'],
+            default: 7,
+        },
+        lastPeriodKey: {
+            type: String,
+        },
+        lastDueDate: {
+            type: Date,
         },
         startDate: {
             type: Date,
@@ -104,28 +183,9 @@ const CronJobSchema = new mongoose.Schema(
 CronJobSchema.index({ client: 1, isActive: 1, nextRun: 1 });
 CronJobSchema.index({ deleted: 1 });
 
-// Virtual for calculating next run date
+// Kept for API compatibility; run dates are calculated by the cron service
 CronJobSchema.virtual('nextRunDate').get(function() {
-    if (!this.lastRun) {
-        return this.startDate;
-    }
-    
-    const lastRun = new Date(this.lastRun);
-    let nextRun = new Date(lastRun);
-    
-    switch (this.frequency) {
-        case 'weekly':
-            nextRun.setDate(nextRun.getDate() + 7);
-            break;
-        case 'monthly':
-            nextRun.setMonth(nextRun.getMonth() + 1);
-            break;
-        case 'yearly':
-            nextRun.setFullYear(nextRun.getFullYear() + 1);
-            break;
-    }
-    
-    return nextRun;
+    return this.nextRun;
 });
 
 module.exports = mongoose.model('CronJob', CronJobSchema); 
\ No newline at end of file
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CronJobRun:
+ *       type: object
+ *       properties:
+ *         cronJob:
+ *           type: string
+ *           description: Cron job ID
+ *         periodKey:
+ *           type: string
+ *           description: |
+ *             The occurrence the run is for: the scheduled time (YYYY-MM-DD HH:mm) or, for compliance jobs,
+ *             the filing period (e.g. 2024-25-Q1). A cron job runs each occurrence at most once.
+ *         periodLabel:
+ *           type: string
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When the occurrence was due to run
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the run actually happened
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         trigger:
+ *           type: string
+ *           enum: [schedule, catch-up, manual, skip]
+ *         status:
+ *           type: string
+ *           enum: [running, success, skipped, failed]
+ *         project:
+ *           type: string
+ *           description: Project created by the run
+ *         error:
+ *           type: string
+ *         attempts:
+ *           type: integer
+ *           description: Number of times the occurrence was attempted (failed runs are retried)
+ *         triggeredBy:
+ *           type: string
+ *           description: User who ran or skipped the occurrence manually
+ */
+
+const CronJobRunSchema = new mongoose.Schema(
+    {
+        cronJob: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CronJob',
+            required: true,
+        },
+        periodKey: {
+            type: String,
+            required: true,
+        },
+        periodLabel: {
+            type: String,
+        },
+        scheduledFor: {
+            type: Date,
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        finishedAt: {
+            type: Date,
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'catch-up', 'manual', 'skip'],
+            default: 'schedule',
+        },
+        status: {
+            type: String,
+            enum: ['running', 'success', 'skipped', 'failed'],
+            default: 'running',
+        },
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+        },
+        error: {
+            type: String,
+        },
+        attempts: {
+            type: Number,
+            default: 1,
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One run per occurrence, so retries and concurrent triggers cannot create a second project
+CronJobRunSchema.index({ cronJob: 1, periodKey: 1 }, { unique: true });
+CronJobRunSchema.index({ cronJob: 1, scheduledFor: -1 });
+
+module.exports = mongoose.model('CronJobRun', CronJobRunSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailOutbox:
+ *       type: object
+ *       required:
+ *         - to
+ *         - subject
+ *         - template
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the outbox entry
+ *         to:
+ *           type: string
+ *           description: Recipient email address
+ *         subject:
+ *           type: string
+ *           description: Rendered email subject
+ *         template:
+ *           type: string
+ *           description: Name of the template used to render the email
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *           description: Delivery status of the email
+ *         attempts:
+ *           type: number
+ *           description: Number of delivery attempts made so far
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earliest time the next delivery attempt may run
+ *         lastError:
+ *           type: string
+ *           description: Error message from the last failed attempt
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date and time the email was delivered
+ */
+
+const EmailOutboxSchema = new mongoose.Schema(
+    {
+        to: {
+            type: String,
+            required: [true, 'Please add a recipient'],
+            trim: true,
+        },
+        subject: {
+            type: String,
+            required: [true, 'Please add a subject'],
+        },
+        html: {
+            type: String,
+        },
+        text: {
+            type: String,
+        },
+        template: {
+            type: String,
+            required: [true, 'Please specify a template'],
+        },
+        attachments: [
+            {
+                filename: { type: String },
+                contentType: { type: String },
+                content: { type: Buffer },
+            },
+        ],
+        status: {
+            type: String,
+            enum: ['pending', 'sending', 'sent', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 5,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lastError: {
+            type: String,
+        },
+        messageId: {
+            type: String,
+        },
+        sentAt: {
+            type: Date,
+        },
+        entityType: {
+            type: String,
+        },
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Index for picking up due deliveries
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailOutbox', EmailOutboxSchema);
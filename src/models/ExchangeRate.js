@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       required:
+ *         - currency
+ *         - date
+ *         - rate
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the rate
+ *         currency:
+ *           type: string
+ *           description: ISO currency code (e.g. USD)
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date the rate applies from, until the next rate for the currency
+ *         rate:
+ *           type: number
+ *           description: Base currency amount for one unit of the currency
+ *         notes:
+ *           type: string
+ *           description: Source of the rate (e.g. RBI reference rate)
+ *       example:
+ *         currency: USD
+ *         date: 2024-04-01
+ *         rate: 83.35
+ *         notes: RBI reference rate
+ */
+
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Please add a currency'],
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    date: {
+        type: Date,
+        required: [true, 'Please add the date the rate applies from']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Please add the rate'],
+        min: [0.000001, 'Rate must be greater than 0']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Notes cannot be more than 200 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+ExchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Form26ASEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the entry
+ *         deductorTan:
+ *           type: string
+ *           description: TAN of the deductor (our client)
+ *         deductorName:
+ *           type: string
+ *         client:
+ *           type: string
+ *           description: Client matched by TAN, if any
+ *         section:
+ *           type: string
+ *           description: Section the tax was deducted under (e.g. 194J)
+ *         transactionDate:
+ *           type: string
+ *           format: date
+ *         amountPaid:
+ *           type: number
+ *           description: Amount paid / credited by the deductor
+ *         tdsAmount:
+ *           type: number
+ *           description: Tax deducted
+ *         bookingStatus:
+ *           type: string
+ *           description: Status of booking reported in Form 26AS (F = final, U = unmatched, P = provisional, ...)
+ *         financialYear:
+ *           type: string
+ *           description: Financial year of the transaction (e.g. 2024-25)
+ *         quarter:
+ *           type: string
+ *           enum: [Q1, Q2, Q3, Q4]
+ *         importBatch:
+ *           type: string
+ *           description: Identifies the import the entry came from
+ */
+
+const Form26ASEntrySchema = new mongoose.Schema({
+    deductorTan: {
+        type: String,
+        required: [true, 'Please add the deductor TAN'],
+        uppercase: true,
+        trim: true
+    },
+    deductorName: {
+        type: String,
+        trim: true
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client'
+    },
+    section: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    transactionDate: {
+        type: Date,
+        required: [true, 'Please add the transaction date']
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    tdsAmount: {
+        type: Number,
+        required: [true, 'Please add the tax deducted']
+    },
+    bookingStatus: {
+        type: String,
+        trim: true
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    quarter: {
+        type: String,
+        enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+        required: true
+    },
+    importBatch: {
+        type: String
+    },
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Re-importing the same statement updates entries instead of duplicating them
+Form26ASEntrySchema.index(
+    { deductorTan: 1, section: 1, transactionDate: 1, amountPaid: 1, tdsAmount: 1 },
+    { unique: true }
+);
+Form26ASEntrySchema.index({ financialYear: 1, client: 1 });
+
+module.exports = mongoose.model('Form26ASEntry', Form26ASEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { calculateTax, round2 } = require('../utils/gst');
 
 /**
  * @swagger
@@ -36,15 +37,61 @@ const mongoose = require('mongoose');
  *                 type: number
  *               amount:
  *                 type: number
+ *               hsnSac:
+ *                 type: string
+ *                 description: HSN or SAC code of the item
+ *               taxRate:
+ *                 type: number
+ *                 description: GST rate (%) applied to the item
+ *               cgstAmount:
+ *                 type: number
+ *               sgstAmount:
+ *                 type: number
+ *               igstAmount:
+ *                 type: number
  *               task:
  *                 type: string
+ *               project:
+ *                 type: string
+ *                 description: Project the item bills for
  *           description: Line items on the invoice
+ *         supplyType:
+ *           type: string
+ *           enum: [intra-state, inter-state]
+ *           description: Intra-state supplies are taxed as CGST + SGST, inter-state supplies as IGST
+ *         placeOfSupply:
+ *           type: string
+ *           description: State of the place of supply
+ *         taxRate:
+ *           type: number
+ *           description: Default GST rate (%) for items without their own rate
+ *         cgstAmount:
+ *           type: number
+ *           description: Total CGST
+ *         sgstAmount:
+ *           type: number
+ *           description: Total SGST
+ *         igstAmount:
+ *           type: number
+ *           description: Total IGST
  *         amount:
  *           type: number
  *           description: Total invoice amount
- *         tax:
+ *         taxAmount:
  *           type: number
- *           description: Tax amount
+ *           description: Total tax amount (CGST + SGST + IGST)
+ *         currency:
+ *           type: string
+ *           description: ISO code of the invoice currency (defaults to the client's currency)
+ *         exchangeRate:
+ *           type: number
+ *           description: Base currency amount for one unit of the invoice currency
+ *         baseCurrency:
+ *           type: string
+ *           description: Reporting currency the rate converts to
+ *         baseTotal:
+ *           type: number
+ *           description: Total converted to the base currency
  *         status:
  *           type: string
  *           enum: [draft, sent, paid, cancelled, overdue]
@@ -61,6 +108,42 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date
  *           description: Date the invoice was paid (if applicable)
+ *         creditedAmount:
+ *           type: number
+ *           description: Total of credit notes issued against the invoice
+ *         balanceDue:
+ *           type: number
+ *           description: Total less payments and credit notes (virtual)
+ *         recurringInvoice:
+ *           type: string
+ *           description: Recurring invoice template that generated the invoice (if any)
+ *         billingPeriodStart:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the billing period for generated invoices
+ *         overdueDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the invoice was marked overdue
+ *         reminders:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               step:
+ *                 type: number
+ *                 description: Dunning step (days relative to the due date)
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ *               webhookStatus:
+ *                 type: string
+ *                 enum: [sent, failed, skipped]
+ *               error:
+ *                 type: string
+ *               notifiedUsers:
+ *                 type: number
+ *           description: Payment reminder attempts
  *         notes:
  *           type: string
  *           description: Additional notes on the invoice
@@ -69,7 +152,7 @@ const mongoose = require('mongoose');
  *           format: date-time
  *           description: Date and time when the invoice was created
  *       example:
- *         invoiceNumber: INV-2023-0001
+ *         invoiceNumber: INV/2023-24/0001
  *         client: 60d0fe4f5311236168a109ca
  *         project: 60d0fe4f5311236168a109cb
  *         items:
@@ -77,9 +160,14 @@ const mongoose = require('mongoose');
  *             quantity: 10
  *             rate: 150
  *             amount: 1500
+ *             hsnSac: "998222"
+ *             taxRate: 18
  *             task: 60d0fe4f5311236168a109cc
  *         amount: 1500
- *         tax: 150
+ *         supplyType: intra-state
+ *         cgstAmount: 135
+ *         sgstAmount: 135
+ *         taxAmount: 270
  *         status: sent
  *         issueDate: 2023-04-01
  *         dueDate: 2023-04-30
@@ -104,9 +192,39 @@ const InvoiceItemSchema = new mongoose.Schema({
         type: Number,
         min: [0, 'Amount cannot be negative']
     },
+    hsnSac: {
+        type: String,
+        trim: true,
+        maxlength: [8, 'HSN/SAC code cannot be more than 8 characters']
+    },
+    taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    },
+    cgstAmount: {
+        type: Number,
+        default: 0
+    },
+    sgstAmount: {
+        type: Number,
+        default: 0
+    },
+    igstAmount: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
     task: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Task'
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
     }
 });
 
@@ -156,6 +274,27 @@ const InvoiceSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Tax amount cannot be negative']
     },
+    supplyType: {
+        type: String,
+        enum: ['intra-state', 'inter-state'],
+        default: 'intra-state'
+    },
+    placeOfSupply: {
+        type: String,
+        trim: true
+    },
+    cgstAmount: {
+        type: Number,
+        default: 0
+    },
+    sgstAmount: {
+        type: Number,
+        default: 0
+    },
+    igstAmount: {
+        type: Number,
+        default: 0
+    },
     discount: {
         type: Number,
         default: 0,
@@ -165,6 +304,25 @@ const InvoiceSchema = new mongoose.Schema({
         type: Number,
         min: [0, 'Total cannot be negative']
     },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    exchangeRate: {
+        type: Number,
+        default: 1,
+        min: [0.000001, 'Exchange rate must be greater than 0']
+    },
+    baseCurrency: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    baseTotal: {
+        type: Number
+    },
     status: {
         type: String,
         enum: ['draft', 'sent', 'paid', 'overdue', 'cancelled'],
@@ -188,6 +346,48 @@ const InvoiceSchema = new mongoose.Schema({
         type: Number,
         min: [0, 'Paid amount cannot be negative']
     },
+    creditedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credited amount cannot be negative']
+    },
+    cancelledDate: {
+        type: Date
+    },
+    recurringInvoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringInvoice'
+    },
+    billingPeriodStart: {
+        type: Date
+    },
+    overdueDate: {
+        type: Date
+    },
+    // Payment reminders sent for the invoice, one entry per attempt
+    reminders: [
+        {
+            step: {
+                type: Number,
+                required: true
+            },
+            sentAt: {
+                type: Date,
+                default: Date.now
+            },
+            webhookStatus: {
+                type: String,
+                enum: ['sent', 'failed', 'skipped']
+            },
+            error: {
+                type: String
+            },
+            notifiedUsers: {
+                type: Number,
+                default: 0
+            }
+        }
+    ],
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -199,16 +399,40 @@ const InvoiceSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
-// Calculate subtotal, tax and total before saving
+// Drafts take a number from the sequence only when they are issued
+const DRAFT_NUMBER_PREFIX = 'DRAFT-';
+
+InvoiceSchema.statics.isDraftNumber = function (invoiceNumber) {
+    return !invoiceNumber || invoiceNumber.startsWith(DRAFT_NUMBER_PREFIX);
+};
+
+InvoiceSchema.pre('validate', function (next) {
+    if (!this.invoiceNumber) {
+        this.invoiceNumber = `${DRAFT_NUMBER_PREFIX}${this._id}`;
+    }
+    next();
+});
+
+// Calculate line amounts, GST split and totals before saving
 InvoiceSchema.pre('save', function (next) {
-    // Calculate subtotal
-    this.subtotal = this.items.reduce((acc, item) => acc + item.amount, 0);
+    const tax = calculateTax(this.items, {
+        taxRate: this.taxRate,
+        supplyType: this.supplyType
+    });
+
+    this.items.forEach((item, index) => {
+        Object.assign(item, tax.items[index]);
+    });
 
-    // Calculate tax amount
-    this.taxAmount = this.subtotal * (this.taxRate / 100);
+    this.subtotal = tax.subtotal;
+    this.cgstAmount = tax.cgstAmount;
+    this.sgstAmount = tax.sgstAmount;
+    this.igstAmount = tax.igstAmount;
+    this.taxAmount = tax.taxAmount;
 
     // Calculate total
-    this.total = this.subtotal + this.taxAmount - this.discount;
+    this.total = round2(this.subtotal + this.taxAmount - (this.discount || 0));
+    this.baseTotal = round2(this.total * (this.exchangeRate || 1));
 
     next();
 });
@@ -217,17 +441,39 @@ InvoiceSchema.pre('save', function (next) {
 InvoiceSchema.pre('save', function (next) {
     if (this.status === 'sent' && this.dueDate < new Date() && !this.isNew) {
         this.status = 'overdue';
+        this.overdueDate = this.overdueDate || new Date();
     }
     next();
 });
 
+// Virtual for the amount still owed after payments and credit notes
+InvoiceSchema.virtual('balanceDue').get(function () {
+    return round2((this.total || 0) - (this.paidAmount || 0) - (this.creditedAmount || 0));
+});
+
 // Virtual for payment status (fully paid, partially paid, unpaid)
 InvoiceSchema.virtual('paymentStatus').get(function () {
     if (!this.paidAmount || this.paidAmount === 0) return 'unpaid';
-    if (this.paidAmount < this.total) return 'partially paid';
+    if (this.paidAmount < (this.total || 0) - (this.creditedAmount || 0)) return 'partially paid';
     return 'fully paid';
 });
 
+// Credit notes issued against the invoice
+InvoiceSchema.virtual('creditNotes', {
+    ref: 'CreditNote',
+    localField: '_id',
+    foreignField: 'invoice',
+    justOne: false
+});
+
+// Payments allocated to the invoice
+InvoiceSchema.virtual('payments', {
+    ref: 'Payment',
+    localField: '_id',
+    foreignField: 'allocations.invoice',
+    justOne: false
+});
+
 // Virtual for overdue days
 InvoiceSchema.virtual('overdueDays').get(function () {
     if (this.status !== 'overdue' && this.status !== 'sent') return 0;
@@ -246,5 +492,11 @@ InvoiceSchema.index({ client: 1 });
 InvoiceSchema.index({ status: 1 });
 InvoiceSchema.index({ dueDate: 1 });
 InvoiceSchema.index({ invoiceNumber: 1 });
+// One invoice per recurring template and billing period, so a run that is
+// retried or picked up by two processes cannot bill the client twice
+InvoiceSchema.index(
+    { recurringInvoice: 1, billingPeriodStart: 1 },
+    { unique: true, partialFilterExpression: { recurringInvoice: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Invoice', InvoiceSchema); 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Lease on a scheduled job, so that each execution runs on one instance only (see jobLockService)
+const JobLockSchema = new mongoose.Schema(
+    {
+        // Job name, e.g. "due-task-reminders" or "cron-job:<id>"
+        _id: {
+            type: String,
+        },
+        // Instance holding the lease
+        owner: {
+            type: String,
+        },
+        acquiredAt: {
+            type: Date,
+        },
+        // The lease can be taken over once it expires (e.g. the instance died)
+        lockedUntil: {
+            type: Date,
+        },
+        // Scheduled execution last started
+        lastRunKey: {
+            type: String,
+        },
+        // Scheduled execution last finished, so it is not repeated; one left
+        // unfinished by a dead instance is taken over when its lease expires
+        completedRunKey: {
+            type: String,
+        },
+        releasedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
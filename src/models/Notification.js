@@ -17,7 +17,7 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['TASK_ASSIGNED','Due_Task', 'TASK_UPDATED', 'TASK_COMPLETED', 'DOCUMENT_REQUIRED', 'COMPLIANCE_DUE', 'INVOICE_REQUIRED','LEAVE_REVIEW','LEAVE_REQUEST']
+    enum: ['TASK_ASSIGNED','Due_Task', 'TASK_UPDATED', 'TASK_COMPLETED', 'DOCUMENT_REQUIRED', 'COMPLIANCE_DUE', 'INVOICE_REQUIRED','INVOICE_OVERDUE','LEAVE_REVIEW','LEAVE_REQUEST','TIMESHEET_SUBMITTED','TIMESHEET_REVIEWED','TIMESHEET_REMINDER','TASK_UNBLOCKED']
   },
   read: {
     type: Boolean,
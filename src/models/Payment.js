@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { round2 } = require('../utils/gst');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       required:
+ *         - client
+ *         - amount
+ *         - method
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the payment
+ *         client:
+ *           type: string
+ *           description: Client ID the payment was received from
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date the payment was received
+ *         amount:
+ *           type: number
+ *           description: Amount received
+ *         currency:
+ *           type: string
+ *           description: Currency of the payment and of everything it is allocated to
+ *         tdsAmount:
+ *           type: number
+ *           description: Tax deducted at source by the client; settles invoices along with the amount received
+ *         tdsSection:
+ *           type: string
+ *           description: Income-tax section the TDS was deducted under (e.g. 194J)
+ *         tdsRate:
+ *           type: number
+ *           description: TDS rate in percent
+ *         method:
+ *           type: string
+ *           description: Payment method (bank transfer, cheque, UPI, cash, ...)
+ *         reference:
+ *           type: string
+ *           description: Bank / cheque / UTR reference number
+ *         notes:
+ *           type: string
+ *         allocations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               invoice:
+ *                 type: string
+ *                 description: Invoice settled (either invoice or project is set)
+ *               project:
+ *                 type: string
+ *                 description: Project settled directly, for projects without an invoice
+ *               amount:
+ *                 type: number
+ *               projectShares:
+ *                 type: array
+ *                 description: Part of the allocation credited to each project on the invoice
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     project:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *         allocatedAmount:
+ *           type: number
+ *         unallocatedAmount:
+ *           type: number
+ *           description: Amount not yet allocated, held as client advance
+ *         status:
+ *           type: string
+ *           enum: [active, void]
+ *       example:
+ *         client: 60d0fe4f5311236168a109ca
+ *         date: 2023-05-10
+ *         amount: 10620
+ *         tdsAmount: 180
+ *         tdsSection: 194J
+ *         tdsRate: 10
+ *         method: Bank Transfer
+ *         reference: UTR123456789
+ *         allocations:
+ *           - invoice: 60d0fe4f5311236168a109cd
+ *             amount: 5900
+ *           - invoice: 60d0fe4f5311236168a109ce
+ *             amount: 4900
+ */
+
+const AllocationSchema = new mongoose.Schema({
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Allocated amount must be greater than 0']
+    },
+    projectShares: [
+        {
+            _id: false,
+            project: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Project'
+            },
+            amount: Number
+        }
+    ],
+    allocatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    allocatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+const PaymentSchema = new mongoose.Schema({
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: [true, 'Please add a client']
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Please add the amount received'],
+        min: [0.01, 'Payment amount must be greater than 0']
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    tdsAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'TDS amount cannot be negative']
+    },
+    tdsSection: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        maxlength: [10, 'TDS section cannot be more than 10 characters']
+    },
+    tdsRate: {
+        type: Number,
+        min: [0, 'TDS rate cannot be negative'],
+        max: [100, 'TDS rate cannot exceed 100%']
+    },
+    method: {
+        type: String,
+        required: [true, 'Please add a payment method'],
+        trim: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    allocations: [AllocationSchema],
+    allocatedAmount: {
+        type: Number,
+        default: 0
+    },
+    unallocatedAmount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'void'],
+        default: 'active'
+    },
+    voidedAt: {
+        type: Date
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidReason: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+PaymentSchema.index({ client: 1, date: -1 });
+PaymentSchema.index({ 'allocations.invoice': 1 });
+PaymentSchema.index({ tdsAmount: 1, date: 1 });
+
+// The amount settled by a payment includes the TDS withheld by the client
+PaymentSchema.virtual('settledAmount').get(function () {
+    return round2((this.amount || 0) + (this.tdsAmount || 0));
+});
+
+// Keep allocated / unallocated totals in step with the allocations
+PaymentSchema.pre('save', function (next) {
+    if (this.status === 'void') {
+        this.allocatedAmount = 0;
+        this.unallocatedAmount = 0;
+        return next();
+    }
+
+    this.allocatedAmount = round2(
+        this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0)
+    );
+    this.unallocatedAmount = round2(this.settledAmount - this.allocatedAmount);
+
+    if (this.unallocatedAmount < 0) {
+        return next(new Error('Allocations cannot exceed the amount received plus TDS'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -43,9 +43,37 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date
  *           description: Project end date or deadline
+ *         cronJob:
+ *           type: string
+ *           description: ID of the cron job that created the project
+ *         cronPeriodKey:
+ *           type: string
+ *           description: Occurrence of the cron job the project was created for
+ *         template:
+ *           type: string
+ *           description: ID of the project template the project's tasks were created from
+ *         compliance:
+ *           type: object
+ *           description: Statutory filing the project was created for by a compliance cron job
+ *           properties:
+ *             rule:
+ *               type: string
+ *             periodKey:
+ *               type: string
+ *             periodLabel:
+ *               type: string
+ *             dueDate:
+ *               type: string
+ *               format: date
  *         amount:
  *           type: number
  *           description: Project amount
+ *         currency:
+ *           type: string
+ *           description: ISO code of the currency the amount is in (base currency if not set)
+ *         creditedAmount:
+ *           type: number
+ *           description: Amount credited back to the client through credit notes
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -109,6 +137,23 @@ const ProjectSchema = new mongoose.Schema(
         dueDate: {
             type: Date,
         },
+        cronJob: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CronJob',
+        },
+        cronPeriodKey: {
+            type: String,
+        },
+        template: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProjectTemplate',
+        },
+        compliance: {
+            rule: String,
+            periodKey: String,
+            periodLabel: String,
+            dueDate: Date,
+        },
         priority: {
             type: String,
         },
@@ -140,14 +185,35 @@ const ProjectSchema = new mongoose.Schema(
             enum: ['Not Created', 'Created'],
             default: 'Not Created'
         },
+        invoiceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice'
+        },
+        invoiceNumber: {
+            type: String
+        },
+        invoiceDate: {
+            type: Date
+        },
         amount: {
             type: Number,
             default: 0
         },
+        // Base currency when not set
+        currency: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+        },
         receivedAmount: {
             type: Number,
             default: 0
         },
+        creditedAmount: {
+            type: Number,
+            default: 0
+        },
         balanceAmount: {
             type: Number,
             default: 0
@@ -177,6 +243,11 @@ const ProjectSchema = new mongoose.Schema(
                 recordedAt: {
                     type: Date,
                     default: Date.now
+                },
+                // Payment the entry was allocated from
+                payment: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Payment'
                 }
             }
         ],
@@ -198,13 +269,15 @@ ProjectSchema.pre('remove', async function (next) {
 
 // Pre-save middleware to update payment status and balance
 ProjectSchema.pre('save', function(next) {
-    // Calculate balance amount
-    this.balanceAmount = (this.amount || 0) - (this.receivedAmount || 0);
+    // Calculate balance amount (credit notes reduce the amount due)
+    const netAmount = (this.amount || 0) - (this.creditedAmount || 0);
+    this.balanceAmount = netAmount - (this.receivedAmount || 0);
 
     // Update payment status
-    if (this.receivedAmount <= 0) {
+    // A project credited down to nothing has nothing left to pay
+    if (this.receivedAmount <= 0 && (netAmount > 0 || !this.creditedAmount)) {
         this.paymentStatus = 'Not Paid';
-    } else if (this.receivedAmount >= this.amount) {
+    } else if (this.receivedAmount >= netAmount) {
         this.paymentStatus = 'Fully Paid';
     } else {
         this.paymentStatus = 'Partially Paid';
@@ -213,6 +286,12 @@ ProjectSchema.pre('save', function(next) {
     next();
 });
 
+// Compliance projects by client and filing period
+ProjectSchema.index({ client: 1, 'compliance.rule': 1, 'compliance.periodKey': 1 });
+
+// Projects by the cron job occurrence that created them
+ProjectSchema.index({ cronJob: 1, cronPeriodKey: 1 });
+
 // Virtual for progress calculation
 ProjectSchema.virtual('progress').get(function () {
     if (!this.tasks || this.tasks.length === 0) {
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - tasks
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the project template
+ *         name:
+ *           type: string
+ *           description: Name of the template, e.g. "GST monthly return"
+ *         description:
+ *           type: string
+ *         tasks:
+ *           type: array
+ *           description: Tasks created on every project made from the template
+ *           items:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *                 description: Department ID
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               dueDays:
+ *                 type: integer
+ *                 description: Days from the project start (or due) date to the task's due date; negative for before
+ *               dueFrom:
+ *                 type: string
+ *                 enum: [start, due]
+ *                 description: Project date dueDays counts from (default start)
+ *               estimatedHours:
+ *                 type: number
+ *               assignedTo:
+ *                 type: string
+ *                 description: Default assignee (user ID)
+ *               amount:
+ *                 type: number
+ *               taskIncentivePercentage:
+ *                 type: number
+ *               verificationIncentivePercentage:
+ *                 type: number
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive templates cannot be selected for new projects or cron jobs
+ *         createdBy:
+ *           type: string
+ *           description: User ID who created the template
+ *       example:
+ *         name: GST monthly return
+ *         tasks:
+ *           - title: Collect sales and purchase data
+ *             priority: high
+ *             dueDays: 5
+ *           - title: File GSTR-3B
+ *             priority: high
+ *             dueDays: -1
+ *             dueFrom: due
+ *             amount: 1500
+ */
+
+const TemplateTaskSchema = new mongoose.Schema(
+    {
+        title: {
+            type: String,
+            required: [true, 'Please add a task title'],
+            trim: true,
+            maxlength: [100, 'Task title cannot be more than 100 characters'],
+        },
+        description: {
+            type: String,
+            maxlength: [500, 'Description cannot be more than 500 characters'],
+        },
+        department: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        },
+        priority: {
+            type: String,
+            enum: ['low', 'medium', 'high', 'urgent'],
+            default: 'medium',
+        },
+        dueDays: {
+            type: Number,
+        },
+        dueFrom: {
+            type: String,
+            enum: ['start', 'due'],
+            default: 'start',
+        },
+        estimatedHours: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        assignedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        amount: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        taskIncentivePercentage: {
+            type: Number,
+            min: 0,
+            max: 100,
+        },
+        verificationIncentivePercentage: {
+            type: Number,
+            min: 0,
+            max: 100,
+        },
+        tags: {
+            type: [String],
+            default: [],
+        },
+    },
+    { _id: false }
+);
+
+const ProjectTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Please add a template name'],
+            trim: true,
+            maxlength: [100, 'Template name cannot be more than 100 characters'],
+        },
+        description: {
+            type: String,
+            maxlength: [500, 'Description cannot be more than 500 characters'],
+        },
+        tasks: {
+            type: [TemplateTaskSchema],
+            validate: [(tasks) => tasks.length > 0, 'A template needs at least one task'],
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        deleted: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+ProjectTemplateSchema.index({ deleted: 1, name: 1 });
+
+module.exports = mongoose.model('ProjectTemplate', ProjectTemplateSchema);
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringInvoice:
+ *       type: object
+ *       required:
+ *         - name
+ *         - client
+ *         - items
+ *         - frequency
+ *         - startDate
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the recurring invoice template
+ *         name:
+ *           type: string
+ *           description: Name of the template, e.g. "Monthly retainer"
+ *         client:
+ *           type: string
+ *           description: Client ID the invoices are raised for
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 description: "Line description; {PERIOD}, {MONTH} and {YEAR} are replaced with the billing period"
+ *               quantity:
+ *                 type: number
+ *               rate:
+ *                 type: number
+ *               hsnSac:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *           description: Line items copied onto every invoice
+ *         taxRate:
+ *           type: number
+ *           description: Default GST rate (%) for items without their own rate
+ *         discount:
+ *           type: number
+ *         notes:
+ *           type: string
+ *         terms:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, monthly, quarterly, yearly]
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Date of the first invoice
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: No invoices are issued after this date (optional)
+ *         dueInDays:
+ *           type: number
+ *           description: Days between the issue date and the due date
+ *         invoiceStatus:
+ *           type: string
+ *           enum: [draft, sent]
+ *           description: Status of generated invoices; sent invoices are emailed to the client
+ *         isActive:
+ *           type: boolean
+ *         occurrences:
+ *           type: number
+ *           description: Number of invoices generated so far
+ *         lastRun:
+ *           type: string
+ *           format: date-time
+ *           description: When the template last generated an invoice
+ *         lastPeriodStart:
+ *           type: string
+ *           format: date-time
+ *           description: Billing period of the last generated invoice
+ *         nextRun:
+ *           type: string
+ *           format: date-time
+ *           description: Issue date of the next invoice (empty once the template has ended)
+ *         lastInvoice:
+ *           type: string
+ *           description: ID of the most recently generated invoice
+ *       example:
+ *         name: Monthly retainer
+ *         client: 60d0fe4f5311236168a109ca
+ *         items:
+ *           - description: Accounting retainer for {PERIOD}
+ *             quantity: 1
+ *             rate: 25000
+ *             hsnSac: "998222"
+ *             taxRate: 18
+ *         frequency: monthly
+ *         startDate: 2024-04-01T09:00:00.000Z
+ *         dueInDays: 15
+ *         invoiceStatus: sent
+ */
+
+const RecurringInvoiceItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: [true, 'Please add a description']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity'],
+        min: [0, 'Quantity cannot be negative']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Please add a rate'],
+        min: [0, 'Rate cannot be negative']
+    },
+    hsnSac: {
+        type: String,
+        trim: true,
+        maxlength: [8, 'HSN/SAC code cannot be more than 8 characters']
+    },
+    taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    }
+}, { _id: false });
+
+const RecurringInvoiceSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Please add a name'],
+            trim: true,
+            maxlength: [100, 'Name cannot be more than 100 characters'],
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Client',
+            required: [true, 'Please specify a client'],
+        },
+        items: {
+            type: [RecurringInvoiceItemSchema],
+            validate: [(items) => items.length > 0, 'Please add at least one item'],
+        },
+        taxRate: {
+            type: Number,
+            default: 0,
+            min: [0, 'Tax rate cannot be negative'],
+            max: [100, 'Tax rate cannot exceed 100%'],
+        },
+        discount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Discount cannot be negative'],
+        },
+        notes: {
+            type: String,
+            trim: true,
+        },
+        terms: {
+            type: String,
+            trim: true,
+        },
+        frequency: {
+            type: String,
+            enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+            required: [true, 'Please specify frequency'],
+        },
+        startDate: {
+            type: Date,
+            required: [true, 'Please specify start date'],
+        },
+        endDate: {
+            type: Date,
+        },
+        dueInDays: {
+            type: Number,
+            default: 15,
+            min: [0, 'Due days cannot be negative'],
+        },
+        invoiceStatus: {
+            type: String,
+            enum: ['draft', 'sent'],
+            default: 'draft',
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        occurrences: {
+            type: Number,
+            default: 0,
+        },
+        lastRun: {
+            type: Date,
+        },
+        lastPeriodStart: {
+            type: Date,
+        },
+        nextRun: {
+            type: Date,
+        },
+        lastInvoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+        },
+        lastError: {
+            type: String,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        deleted: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+RecurringInvoiceSchema.index({ isActive: 1, deleted: 1, nextRun: 1 });
+RecurringInvoiceSchema.index({ client: 1 });
+
+module.exports = mongoose.model('RecurringInvoice', RecurringInvoiceSchema);
@@ -74,7 +74,104 @@ const mongoose = require('mongoose');
  *               type: number
  *             autoAssignToProjectManager:
  *               type: boolean
+ *             mailServer:
+ *               type: object
+ *               properties:
+ *                 host:
+ *                   type: string
+ *                 port:
+ *                   type: number
+ *                 secure:
+ *                   type: boolean
+ *                 from:
+ *                   type: string
+ *                 auth:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: string
+ *                     pass:
+ *                       type: string
  *           description: System-wide settings and preferences
+ *         numbering:
+ *           type: object
+ *           properties:
+ *             invoice:
+ *               type: object
+ *               properties:
+ *                 prefix:
+ *                   type: string
+ *                 format:
+ *                   type: string
+ *                   description: "Pattern using {PREFIX}, {FY}, {FYS}, {YYYY}, {YY}, {MM} and {SEQ}"
+ *                 padding:
+ *                   type: number
+ *                   description: Minimum number of digits in the sequence
+ *             creditNote:
+ *               type: object
+ *               description: Same fields as invoice; credit notes have their own sequence
+ *           description: Document numbering patterns (sequences reset every financial year)
+ *         dunning:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             steps:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: Days relative to the due date on which reminders are sent (negative = before the due date)
+ *             notifyClient:
+ *               type: boolean
+ *               description: Send reminders to the client through the reminder webhook
+ *           description: Payment reminders for unpaid invoices
+ *         tally:
+ *           type: object
+ *           properties:
+ *             companyName:
+ *               type: string
+ *               description: Company name in Tally the vouchers are imported into
+ *             ledgers:
+ *               type: object
+ *               properties:
+ *                 sales:
+ *                   type: string
+ *                 cgst:
+ *                   type: string
+ *                 sgst:
+ *                   type: string
+ *                 igst:
+ *                   type: string
+ *                 discount:
+ *                   type: string
+ *                 roundOff:
+ *                   type: string
+ *                 bank:
+ *                   type: string
+ *                 cash:
+ *                   type: string
+ *                 tds:
+ *                   type: string
+ *             voucherTypes:
+ *               type: object
+ *               properties:
+ *                 sales:
+ *                   type: string
+ *                 creditNote:
+ *                   type: string
+ *                 receipt:
+ *                   type: string
+ *             partyLedgers:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   client:
+ *                     type: string
+ *                   ledger:
+ *                     type: string
+ *               description: Tally ledger names for clients whose ledger is not named after the client
+ *           description: Ledger and voucher type names used in the Tally XML export
  *         updatedBy:
  *           type: string
  *           description: User ID of the person who last updated settings
@@ -213,6 +310,85 @@ const SettingsSchema = new mongoose.Schema(
                 type: Boolean,
                 default: true,
             },
+
+            // Outgoing mail (SMTP) settings
+            mailServer: {
+                host: { type: String, default: '' },
+                port: { type: Number, default: 587 },
+                secure: { type: Boolean, default: false },
+                from: { type: String, default: '' },
+                auth: {
+                    user: { type: String, default: '' },
+                    pass: { type: String, default: '' },
+                },
+            },
+        },
+        numbering: {
+            invoice: {
+                prefix: { type: String, trim: true, default: 'INV' },
+                format: { type: String, trim: true, default: '{PREFIX}/{FY}/{SEQ}' },
+                padding: { type: Number, min: 1, max: 10, default: 4 },
+            },
+            creditNote: {
+                prefix: { type: String, trim: true, default: 'CN' },
+                format: { type: String, trim: true, default: '{PREFIX}/{FY}/{SEQ}' },
+                padding: { type: Number, min: 1, max: 10, default: 4 },
+            },
+        },
+        dunning: {
+            enabled: { type: Boolean, default: true },
+            // Reminder days relative to the invoice due date (negative = before)
+            steps: { type: [Number], default: [-3, 0, 7, 30] },
+            notifyClient: { type: Boolean, default: true },
+        },
+        tally: {
+            companyName: { type: String, trim: true },
+            ledgers: {
+                sales: { type: String, trim: true, default: 'Professional Fees' },
+                cgst: { type: String, trim: true, default: 'Output CGST' },
+                sgst: { type: String, trim: true, default: 'Output SGST' },
+                igst: { type: String, trim: true, default: 'Output IGST' },
+                discount: { type: String, trim: true, default: 'Discount Allowed' },
+                roundOff: { type: String, trim: true, default: 'Round Off' },
+                bank: { type: String, trim: true, default: 'Bank Account' },
+                cash: { type: String, trim: true, default: 'Cash' },
+                tds: { type: String, trim: true, default: 'TDS Receivable' },
+            },
+            voucherTypes: {
+                sales: { type: String, trim: true, default: 'Sales' },
+                creditNote: { type: String, trim: true, default: 'Credit Note' },
+                receipt: { type: String, trim: true, default: 'Receipt' },
+            },
+            // Clients are posted to a ledger named after them unless mapped here
+            partyLedgers: [
+                {
+                    _id: false,
+                    client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+                    ledger: { type: String, trim: true },
+                },
+            ],
+        },
+        // Task statuses and the moves between them; the default workflow applies while empty
+        taskWorkflow: {
+            states: [
+                {
+                    _id: false,
+                    key: { type: String, trim: true },
+                    label: { type: String, trim: true },
+                    category: { type: String, enum: ['open', 'done', 'cancelled'], default: 'open' },
+                },
+            ],
+            transitions: [
+                {
+                    _id: false,
+                    from: { type: String, trim: true },
+                    to: { type: String, trim: true },
+                    // Roles allowed to make the move (any role when empty; admins always can)
+                    roles: [{ type: String, enum: ['admin', 'manager', 'staff', 'finance'] }],
+                    // Task fields that must be filled in first, e.g. rating
+                    requiredFields: [String],
+                },
+            ],
         },
         updatedBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -224,4 +400,33 @@ const SettingsSchema = new mongoose.Schema(
     }
 );
 
+// Shown in place of the SMTP password in API responses
+const MASKED_PASSWORD = '********';
+
+SettingsSchema.set('toJSON', {
+    transform(doc, ret) {
+        if (ret.system?.mailServer?.auth?.pass) {
+            ret.system.mailServer.auth.pass = MASKED_PASSWORD;
+        }
+        return ret;
+    },
+});
+
+/**
+ * Mail server settings from a request, keeping the stored SMTP password
+ * when the request leaves it blank or sends back the mask
+ * @param {Object} mailServer - Mail server settings from the request
+ * @param {Object} stored - Mail server settings currently saved
+ */
+SettingsSchema.statics.keepMailPassword = function (mailServer, stored) {
+    const pass = mailServer?.auth?.pass;
+    if (!mailServer || (pass && pass !== MASKED_PASSWORD)) {
+        return mailServer;
+    }
+    return {
+        ...mailServer,
+        auth: { ...mailServer.auth, pass: stored?.auth?.pass || '' },
+    };
+};
+
 module.exports = mongoose.model('Settings', SettingsSchema); 
\ No newline at end of file
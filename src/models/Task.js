@@ -21,11 +21,14 @@ const mongoose = require('mongoose');
  *           type: string
  *         assignedTo:
  *           type: string
+ *         department:
+ *           type: string
+ *           description: Department ID responsible for the task
  *         createdBy:
  *           type: string
  *         status:
  *           type: string
- *           enum: [pending, in-progress, under-review, completed, invoiceable, invoiced, cancelled, review]
+ *           description: A state of the configurable task workflow (default pending, in-progress, under-review, completed, invoiceable, invoiced, cancelled)
  *         rating:
  *           type: number
  *           minimum: 0
@@ -74,6 +77,26 @@ const mongoose = require('mongoose');
  *           type: array
  *           items:
  *             type: string
+ *         parent:
+ *           type: string
+ *           description: Parent task ID if this is a subtask
+ *         dependsOn:
+ *           type: array
+ *           description: IDs of tasks that must be finished before this one can start
+ *           items:
+ *             type: string
+ *         blocked:
+ *           type: boolean
+ *           description: Set in listings when a predecessor is not finished (read-only)
+ *         rollup:
+ *           type: object
+ *           description: Totals of the task and all its subtasks
+ *           properties:
+ *             subtasks: { type: number, description: Number of direct subtasks }
+ *             completedSubtasks: { type: number }
+ *             progress: { type: number, description: Percentage of subtasks done }
+ *             estimatedHours: { type: number }
+ *             actualHours: { type: number }
  *         deleted:
  *           type: boolean
  *         incentiveAwarded:
@@ -129,9 +152,13 @@ const TaskSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
         },
+        department: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department',
+        },
+        // One of the states of the task workflow (see taskWorkflowService)
         status: {
             type: String,
-            enum: ['pending', 'in-progress', 'under-review', 'completed', 'invoiceable', 'invoiced', 'cancelled', 'review'],
             default: 'pending',
         },
         rating: {
@@ -207,14 +234,24 @@ const TaskSchema = new mongoose.Schema(
         parent: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Task',
+            index: true,
         },
-        subtasks: [
+        // Finish-to-start predecessors: the task is blocked until they are done
+        dependsOn: [
             {
-                id: String,
-                title: String,
-                status: { type: String, enum: ['pending', 'in progress', 'completed'] }
-            }
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Task',
+                index: true,
+            },
         ],
+        // Totals of the task and its subtasks, kept up to date by subtaskService
+        rollup: {
+            subtasks: Number,
+            completedSubtasks: Number,
+            progress: Number,
+            estimatedHours: Number,
+            actualHours: Number,
+        },
         timeTracking: {
             entries: [
                 {
@@ -234,6 +271,11 @@ const TaskSchema = new mongoose.Schema(
                         ref: 'User',
                         required: [true, 'Please specify the user for this time entry'],
                     },
+                    // Set when the user's timesheet for the week is approved
+                    approved: {
+                        type: Boolean,
+                        default: false,
+                    },
                 }
             ]
         },
@@ -323,11 +365,19 @@ const TaskSchema = new mongoose.Schema(
 
 // Calculate total hours spent on a task
 TaskSchema.virtual('actualHours').get(function () {
-    if (!this.timeEntries || this.timeEntries.length === 0) {
+    if (!this.timeTracking?.entries || this.timeTracking.entries.length === 0) {
         return 0;
     }
 
-    return this.timeEntries.reduce((total, entry) => total + entry.hours, 0);
+    return this.timeTracking.entries.reduce((total, entry) => total + entry.hours, 0);
+});
+
+// Child tasks, for populate
+TaskSchema.virtual('subtasks', {
+    ref: 'Task',
+    localField: '_id',
+    foreignField: 'parent',
+    match: { deleted: { $ne: true } },
 });
 
 // Add task reference to project when a task is created
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskTimer:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: User running the timer (one timer per user)
+ *         task:
+ *           type: string
+ *           description: Task the time is tracked against
+ *         status:
+ *           type: string
+ *           enum: [running, paused]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the timer was first started
+ *         resumedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the current running stretch (not set while paused)
+ *         elapsedMs:
+ *           type: number
+ *           description: Time accumulated before the current running stretch
+ *         description:
+ *           type: string
+ *           description: Work description used for the time entry on stop
+ */
+
+const TaskTimerSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'paused'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    resumedAt: {
+        type: Date
+    },
+    elapsedMs: {
+        type: Number,
+        default: 0
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('TaskTimer', TaskTimerSchema);
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Timesheet:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated ID of the timesheet
+ *         user:
+ *           type: string
+ *           description: User the timesheet belongs to
+ *         weekStart:
+ *           type: string
+ *           format: date
+ *           description: Monday of the week
+ *         weekEnd:
+ *           type: string
+ *           format: date
+ *           description: Sunday of the week
+ *         status:
+ *           type: string
+ *           enum: [draft, submitted, approved, rejected]
+ *           description: Submitted and approved weeks are locked against time entry changes
+ *         entries:
+ *           type: array
+ *           description: Time entries of the week as submitted
+ *           items:
+ *             type: object
+ *             properties:
+ *               entryId:
+ *                 type: string
+ *                 description: Time entry ID on the task
+ *               task:
+ *                 type: string
+ *               project:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               hours:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *         totalHours:
+ *           type: number
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [submitted, approved, rejected, reminded]
+ *               by:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               comment:
+ *                 type: string
+ */
+
+const TimesheetSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    weekStart: {
+        type: Date,
+        required: true
+    },
+    weekEnd: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'submitted', 'approved', 'rejected'],
+        default: 'draft'
+    },
+    entries: [
+        {
+            entryId: {
+                type: mongoose.Schema.Types.ObjectId
+            },
+            task: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Task'
+            },
+            project: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Project'
+            },
+            date: {
+                type: Date
+            },
+            hours: {
+                type: Number,
+                default: 0
+            },
+            description: {
+                type: String
+            }
+        }
+    ],
+    totalHours: {
+        type: Number,
+        default: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot be more than 500 characters']
+    },
+    submittedAt: {
+        type: Date
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    lastReminderAt: {
+        type: Date
+    },
+    history: [
+        {
+            action: {
+                type: String,
+                enum: ['submitted', 'approved', 'rejected', 'reminded'],
+                required: true
+            },
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            },
+            comment: {
+                type: String
+            }
+        }
+    ]
+}, {
+    timestamps: true
+});
+
+// One timesheet per user and week
+TimesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+TimesheetSchema.index({ status: 1, weekStart: -1 });
+
+module.exports = mongoose.model('Timesheet', TimesheetSchema);
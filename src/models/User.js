@@ -63,6 +63,19 @@ require("dotenv").config();
  *             type: string
  *             description: ObjectId reference to Incentive
  *           description: Array of Incentive ObjectIds for this user
+ *         costRates:
+ *           type: array
+ *           description: Hourly cost to the firm in the base currency; each rate applies from its date until the next one (not returned unless selected)
+ *           items:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
  *       example:
  *         name: Admin User
  *         email: admin@ca-erp.com
@@ -157,6 +170,35 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Hourly cost rate history, used for project profitability
+  costRates: {
+    type: [
+      {
+        rate: {
+          type: Number,
+          required: true,
+          min: [0, "Cost rate cannot be negative"],
+        },
+        effectiveFrom: {
+          type: Date,
+          required: true,
+        },
+        notes: {
+          type: String,
+          trim: true,
+        },
+        setBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        setAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    select: false,
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdAt: {
@@ -7,7 +7,8 @@ const {
     updateClient,
     deleteClient,
     uploadLogo,
-    getClientProjects
+    getClientProjects,
+    getClientStatement
 } = require('../controllers/client.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -324,4 +325,106 @@ router.route('/:id/logo')
 router.route('/:id/projects')
     .get(protect, getClientProjects);
 
+/**
+ * @swagger
+ * /api/clients/{id}/statement:
+ *   get:
+ *     summary: Get a client's statement of account
+ *     description: |
+ *       Running ledger of issued invoices (debit), credit notes and payments (credit) with opening and
+ *       closing balance. Defaults to the current financial year up to today.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Statement currency (defaults to the client's only currency, else the base currency)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf, csv]
+ *     responses:
+ *       200:
+ *         description: Statement of account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     currencies:
+ *                       type: array
+ *                       description: Currencies the client has entries in
+ *                       items:
+ *                         type: string
+ *                     openingBalance:
+ *                       type: number
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date-time
+ *                           type:
+ *                             type: string
+ *                             enum: [invoice, credit_note, payment, tds]
+ *                           reference:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           debit:
+ *                             type: number
+ *                           credit:
+ *                             type: number
+ *                           balance:
+ *                             type: number
+ *                     totalDebit:
+ *                       type: number
+ *                     totalCredit:
+ *                       type: number
+ *                     closingBalance:
+ *                       type: number
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Client not found
+ */
+router.route('/:id/statement')
+    .get(protect, authorize('admin', 'finance'), getClientStatement);
+
 module.exports = router; 
\ No newline at end of file
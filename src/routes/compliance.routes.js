@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRules,
+    getClientCompliance,
+    getCalendar
+} = require('../controllers/compliance.controller');
+
+const { protect } = require('../middleware/auth');
+const { validate, complianceValidation } = require('../middleware/validator');
+
+/**
+ * @swagger
+ * /api/compliance/rules:
+ *   get:
+ *     summary: Get the statutory compliance rules
+ *     description: |
+ *       Built-in Indian filing rules (GST returns, TDS payments and returns, advance tax, income tax returns,
+ *       ROC filings) with their frequency and due-date rule. A rule applies to clients with the identifier in
+ *       `requires` (gstin, tan, pan or cin).
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [GST, TDS, Income Tax, ROC]
+ *     responses:
+ *       200:
+ *         description: List of compliance rules
+ */
+router.get('/rules', protect, getRules);
+
+/**
+ * @swagger
+ * /api/compliance/clients/{clientId}:
+ *   get:
+ *     summary: Get a client's compliance rules
+ *     description: Every rule with whether it applies to the client, its next filing and the client's cron jobs for it
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client compliance rules
+ *       404:
+ *         description: Client not found
+ */
+router.get('/clients/:clientId', protect, getClientCompliance);
+
+/**
+ * @swagger
+ * /api/compliance/calendar:
+ *   get:
+ *     summary: Get the compliance calendar
+ *     description: |
+ *       Filings due in the date range for clients with active compliance cron jobs, with the project created
+ *       for each filing and its status (filed, overdue, in-progress or upcoming). Defaults to this month and
+ *       the next two.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [GST, TDS, Income Tax, ROC]
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *         description: Rule code, e.g. GSTR-3B
+ *     responses:
+ *       200:
+ *         description: Filings by due date
+ */
+router.get('/calendar', protect, validate(complianceValidation.calendar), getCalendar);
+
+module.exports = router;
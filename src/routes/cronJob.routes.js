@@ -5,7 +5,12 @@ const {
     createCronJob,
     updateCronJob,
     deleteCronJob,
-    getSections
+    getSections,
+    previewSchedule,
+    getCronJobPreview,
+    getCronJobRuns,
+    runCronJob,
+    skipCronJobRun
 } = require('../controllers/cronJob.controller');
 
 const router = express.Router();
@@ -19,11 +24,26 @@ router.route('/')
     .get(getCronJobs)
     .post(createCronJob);
 
+router.route('/preview')
+    .post(previewSchedule);
+
 router.route('/:id')
     .get(getCronJob)
     .put(updateCronJob)
     .delete(deleteCronJob);
 
+router.route('/:id/preview')
+    .get(getCronJobPreview);
+
+router.route('/:id/runs')
+    .get(getCronJobRuns);
+
+router.route('/:id/run')
+    .post(runCronJob);
+
+router.route('/:id/skip')
+    .post(skipCronJobRun);
+
 router.route('/sections/:clientId')
     .get(getSections);
 
@@ -3,10 +3,13 @@ const router = express.Router();
 const {
     getInvoices,
     getInvoice,
+    getNextInvoiceNumber,
+    downloadInvoicePdf,
     createInvoice,
     updateInvoice,
     deleteInvoice,
     updateInvoiceStatus,
+    runDunning,
     getCompletedTasks,
     getInvoiceStats,
     recordPayment,
@@ -16,10 +19,64 @@ const {
     uploadReceipt,
     downloadReceipt
 } = require('../controllers/finance.controller');
+const {
+    getCreditNotes,
+    getCreditNote,
+    createCreditNote
+} = require('../controllers/creditNote.controller');
+const {
+    getRecurringInvoices,
+    getRecurringInvoice,
+    createRecurringInvoice,
+    updateRecurringInvoice,
+    deleteRecurringInvoice
+} = require('../controllers/recurringInvoice.controller');
+const {
+    getPayments,
+    getPayment,
+    createPayment,
+    allocatePayment,
+    voidPayment,
+    getClientAdvances
+} = require('../controllers/payment.controller');
+const {
+    getAgeingReport,
+    getAgeingInvoices,
+    getTdsReceivableReport,
+    getProfitabilityReport
+} = require('../controllers/report.controller');
+const {
+    importForm26AS,
+    getForm26ASEntries
+} = require('../controllers/tds.controller');
+const {
+    importBankStatement,
+    getBankTransactions,
+    confirmBankTransaction,
+    ignoreBankTransaction
+} = require('../controllers/bankTransaction.controller');
+const { exportTallyVouchers } = require('../controllers/tally.controller');
+const {
+    getExchangeRates,
+    createExchangeRate,
+    updateExchangeRate,
+    deleteExchangeRate
+} = require('../controllers/exchangeRate.controller');
 
 const { protect, authorize } = require('../middleware/auth');
-const { validate, invoiceValidation } = require('../middleware/validator');
-const { uploadReceipt: uploadReceiptMiddleware } = require('../middleware/upload');
+const {
+    validate,
+    invoiceValidation,
+    creditNoteValidation,
+    paymentValidation,
+    bankTransactionValidation,
+    exchangeRateValidation,
+    recurringInvoiceValidation
+} = require('../middleware/validator');
+const {
+    uploadReceipt: uploadReceiptMiddleware,
+    uploadImport
+} = require('../middleware/upload');
 
 /**
  * @swagger
@@ -97,6 +154,35 @@ router.get(
     getInvoices
 );
 
+/**
+ * @swagger
+ * /api/finance/invoices/next-number:
+ *   get:
+ *     summary: Preview the next invoice number
+ *     description: Returns the number the next issued invoice would receive without reserving it
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Issue date used to pick the financial year (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Next invoice number
+ *       400:
+ *         description: Invalid date
+ */
+router.get(
+    '/invoices/next-number',
+    protect,
+    authorize('admin', 'finance'),
+    getNextInvoiceNumber
+);
+
 /**
  * @swagger
  * /api/finance/invoices/{id}:
@@ -135,6 +221,45 @@ router.get(
     getInvoice
 );
 
+/**
+ * @swagger
+ * /api/finance/invoices/{id}/pdf:
+ *   get:
+ *     summary: Download invoice PDF
+ *     description: Renders a GST tax invoice as PDF using company details from Settings and the client's GSTIN/PAN/address
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: Display in the browser instead of downloading
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invoice not found
+ */
+router.get(
+    '/invoices/:id/pdf',
+    protect,
+    authorize('admin', 'finance'),
+    downloadInvoicePdf
+);
+
 /**
  * @swagger
  * /api/finance/invoices:
@@ -210,7 +335,7 @@ router.post(
  *       404:
  *         description: Invoice not found
  *       400:
- *         description: Bad request or invoice cannot be updated
+ *         description: Bad request, or the invoice has been issued and can no longer be modified
  */
 router.put(
     '/invoices/:id',
@@ -265,7 +390,11 @@ router.delete(
  * /api/finance/invoices/{id}/status:
  *   put:
  *     summary: Update invoice status
- *     description: Updates the status of an invoice
+ *     description: |
+ *       Updates the status of an invoice. Issuing a draft gives it the next number in the financial year
+ *       sequence; drafts carry a placeholder number until then. Issued invoices cannot be moved back to draft
+ *       or cancelled here; issue a full credit note instead. Invoices are marked paid by recording payments
+ *       against them, and reopened by voiding those payments, not through this endpoint.
  *     tags: [Finance]
  *     security:
  *       - bearerAuth: []
@@ -287,7 +416,7 @@ router.delete(
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [draft, sent, paid, overdue, cancelled]
+ *                 enum: [draft, sent, overdue, cancelled]
  *     responses:
  *       200:
  *         description: Invoice status updated successfully
@@ -315,27 +444,172 @@ router.put(
 
 /**
  * @swagger
- * /api/finance/tasks/completed:
+ * /api/finance/invoices/{id}/credit-notes:
+ *   post:
+ *     summary: Issue a credit note
+ *     description: |
+ *       Issues a credit note against an issued invoice. A full credit note reverses the whole invoice
+ *       and cancels it; partial credit notes reduce the amount due. The credited taxable value is
+ *       deducted from the balance of the projects billed on the invoice, unless `rebill` is set on a
+ *       full credit note, in which case the projects and tasks are released to be invoiced again.
+ *       Only the balance still due can be credited: invoices with payments take partial credit notes
+ *       only and are never cancelled, and credited items can only name projects billed on the invoice.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [full, partial]
+ *               reason:
+ *                 type: string
+ *               issueDate:
+ *                 type: string
+ *                 format: date
+ *               items:
+ *                 type: array
+ *                 description: Credited lines (partial credit notes)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     rate:
+ *                       type: number
+ *                     hsnSac:
+ *                       type: string
+ *                     taxRate:
+ *                       type: number
+ *                     project:
+ *                       type: string
+ *               amount:
+ *                 type: number
+ *                 description: Taxable value to credit when no items are given (partial credit notes on single-rate invoices)
+ *               rebill:
+ *                 type: boolean
+ *                 description: Release the invoiced projects for re-invoicing (full credit notes only)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Credit note issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     creditNote:
+ *                       $ref: '#/components/schemas/CreditNote'
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invoice is a draft or cancelled, the credit exceeds the balance due, or an item names another project
+ *       404:
+ *         description: Invoice not found
+ */
+router.post(
+    '/invoices/:id/credit-notes',
+    protect,
+    authorize('admin', 'finance'),
+    validate(creditNoteValidation.create),
+    createCreditNote
+);
+
+/**
+ * @swagger
+ * /api/finance/credit-notes:
  *   get:
- *     summary: Get completed tasks for invoicing
- *     description: Retrieves a list of completed tasks that are available for invoicing
+ *     summary: Get all credit notes
+ *     description: Retrieves credit notes with optional filtering and pagination
  *     tags: [Finance]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: project
+ *         name: page
  *         schema:
- *           type: string
- *         description: Filter by project ID
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *       - in: query
  *         name: client
  *         schema:
  *           type: string
  *         description: Filter by client ID
+ *       - in: query
+ *         name: invoice
+ *         schema:
+ *           type: string
+ *         description: Filter by invoice ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [full, partial]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: List of completed tasks
+ *         description: List of credit notes
+ */
+router.get(
+    '/credit-notes',
+    protect,
+    authorize('admin', 'finance'),
+    getCreditNotes
+);
+
+/**
+ * @swagger
+ * /api/finance/credit-notes/{id}:
+ *   get:
+ *     summary: Get a single credit note
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Credit note ID
+ *     responses:
+ *       200:
+ *         description: Credit note details
  *         content:
  *           application/json:
  *             schema:
@@ -343,32 +617,32 @@ router.put(
  *               properties:
  *                 success:
  *                   type: boolean
- *                 count:
- *                   type: integer
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Task'
+ *                   $ref: '#/components/schemas/CreditNote'
+ *       404:
+ *         description: Credit note not found
  */
 router.get(
-    '/tasks/completed',
+    '/credit-notes/:id',
     protect,
     authorize('admin', 'finance'),
-    getCompletedTasks
+    getCreditNote
 );
 
 /**
  * @swagger
- * /api/finance/stats:
- *   get:
- *     summary: Get invoice statistics
- *     description: Retrieves statistics about invoices
+ * /api/finance/dunning/run:
+ *   post:
+ *     summary: Run invoice dunning now
+ *     description: |
+ *       Marks sent invoices past their due date with an outstanding balance as overdue and sends the
+ *       payment reminders that are due according to Settings.dunning. This also runs every day at 8:00 AM.
  *     tags: [Finance]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Invoice statistics
+ *         description: Number of invoices marked overdue and reminders sent
  *         content:
  *           application/json:
  *             schema:
@@ -379,28 +653,92 @@ router.get(
  *                 data:
  *                   type: object
  *                   properties:
- *                     statusCounts:
- *                       type: array
- *                     monthlyTotals:
- *                       type: array
  *                     overdue:
- *                       type: object
- *                     topClients:
- *                       type: array
+ *                       type: integer
+ *                     reminders:
+ *                       type: integer
  */
-router.get(
-    '/stats',
+router.post(
+    '/dunning/run',
     protect,
-    authorize('admin', 'finance'),
-    getInvoiceStats
+    authorize('admin'),
+    runDunning
 );
 
 /**
  * @swagger
- * /api/finance/projects/{id}/payment:
+ * /api/finance/recurring-invoices:
+ *   get:
+ *     summary: Get recurring invoice templates
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Filter by client ID
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of recurring invoice templates
  *   post:
- *     summary: Record payment for a project
- *     description: Records a payment for a specific project
+ *     summary: Create a recurring invoice template
+ *     description: |
+ *       Creates a template from which the scheduler issues an invoice every billing period.
+ *       If the start date is in the past, invoices for every period up to today are issued immediately.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringInvoice'
+ *     responses:
+ *       201:
+ *         description: Recurring invoice template created
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Client not found
+ */
+router.route('/recurring-invoices')
+    .get(protect, authorize('admin', 'finance'), getRecurringInvoices)
+    .post(
+        protect,
+        authorize('admin', 'finance'),
+        validate(recurringInvoiceValidation.create),
+        createRecurringInvoice
+    );
+
+/**
+ * @swagger
+ * /api/finance/recurring-invoices/{id}:
+ *   get:
+ *     summary: Get a recurring invoice template and the invoices it generated
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring invoice template
+ *       404:
+ *         description: Recurring invoice not found
+ *   put:
+ *     summary: Update a recurring invoice template
+ *     description: Changes apply to invoices not yet generated. Resuming a paused template does not bill the periods it was paused for.
  *     tags: [Finance]
  *     security:
  *       - bearerAuth: []
@@ -410,20 +748,1050 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *         description: Project ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - amount
- *               - method
- *             properties:
- *               amount:
- *                 type: number
- *                 description: Payment amount
+ *             $ref: '#/components/schemas/RecurringInvoice'
+ *     responses:
+ *       200:
+ *         description: Recurring invoice template updated
+ *       404:
+ *         description: Recurring invoice not found
+ *   delete:
+ *     summary: Delete a recurring invoice template
+ *     description: Stops the template; invoices already generated are kept
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring invoice template deleted
+ *       404:
+ *         description: Recurring invoice not found
+ */
+router.route('/recurring-invoices/:id')
+    .get(protect, authorize('admin', 'finance'), getRecurringInvoice)
+    .put(
+        protect,
+        authorize('admin', 'finance'),
+        validate(recurringInvoiceValidation.update),
+        updateRecurringInvoice
+    )
+    .delete(protect, authorize('admin', 'finance'), deleteRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/finance/payments:
+ *   get:
+ *     summary: Get payments received
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Filter by client ID
+ *       - in: query
+ *         name: invoice
+ *         schema:
+ *           type: string
+ *         description: Payments allocated to this invoice
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, void]
+ *       - in: query
+ *         name: unallocated
+ *         schema:
+ *           type: boolean
+ *         description: Only payments with an amount held as advance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of payments
+ *   post:
+ *     summary: Record a payment
+ *     description: |
+ *       Records money received from a client (plus any TDS withheld) and allocates it across the client's
+ *       invoices, or projects that have not been invoiced. Each allocation updates the invoice's paid amount
+ *       and status and the received amount, balance and payment status of the projects it covers.
+ *       Whatever is not allocated is held as client advance.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Payment'
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invalid allocation
+ *       404:
+ *         description: Client, invoice or project not found
+ */
+router.route('/payments')
+    .get(protect, authorize('admin', 'finance'), getPayments)
+    .post(
+        protect,
+        authorize('admin', 'finance'),
+        validate(paymentValidation.create),
+        createPayment
+    );
+
+/**
+ * @swagger
+ * /api/finance/payments/advances:
+ *   get:
+ *     summary: Client advances
+ *     description: Unallocated payment amounts held as advance, per client and payment currency
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Limit to one client
+ *     responses:
+ *       200:
+ *         description: Advance held per client
+ */
+router.get(
+    '/payments/advances',
+    protect,
+    authorize('admin', 'finance'),
+    getClientAdvances
+);
+
+/**
+ * @swagger
+ * /api/finance/payments/{id}:
+ *   get:
+ *     summary: Get a payment with its allocations
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment
+ *       404:
+ *         description: Payment not found
+ *   delete:
+ *     summary: Void a payment
+ *     description: Reverses every allocation of the payment. The payment is kept with status void.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment voided
+ *       400:
+ *         description: Payment is already void
+ *       404:
+ *         description: Payment not found
+ */
+router.route('/payments/:id')
+    .get(protect, authorize('admin', 'finance'), getPayment)
+    .delete(
+        protect,
+        authorize('admin', 'finance'),
+        validate(paymentValidation.void),
+        voidPayment
+    );
+
+/**
+ * @swagger
+ * /api/finance/payments/{id}/allocate:
+ *   post:
+ *     summary: Allocate a client advance
+ *     description: Allocates the unallocated part of a payment to invoices or projects of the same client
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allocations
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       type: string
+ *                     project:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Payment allocated
+ *       400:
+ *         description: Allocations exceed the unallocated amount
+ *       404:
+ *         description: Payment not found
+ */
+router.post(
+    '/payments/:id/allocate',
+    protect,
+    authorize('admin', 'finance'),
+    validate(paymentValidation.allocate),
+    allocatePayment
+);
+
+/**
+ * @swagger
+ * /api/finance/tasks/completed:
+ *   get:
+ *     summary: Get completed tasks for invoicing
+ *     description: Retrieves a list of completed tasks that are available for invoicing
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Filter by project ID
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Filter by client ID
+ *     responses:
+ *       200:
+ *         description: List of completed tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ */
+router.get(
+    '/tasks/completed',
+    protect,
+    authorize('admin', 'finance'),
+    getCompletedTasks
+);
+
+/**
+ * @swagger
+ * /api/finance/stats:
+ *   get:
+ *     summary: Get invoice statistics
+ *     description: Retrieves statistics about invoices
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoice statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statusCounts:
+ *                       type: array
+ *                     monthlyTotals:
+ *                       type: array
+ *                     tax:
+ *                       type: object
+ *                       description: Taxable value and CGST/SGST/IGST totals of issued invoices, overall and by supply type
+ *                     creditNotes:
+ *                       type: object
+ *                       description: Credit note totals and GST reversed, overall and by type
+ *                     net:
+ *                       type: object
+ *                       description: Amount invoiced and GST after deducting credit notes
+ *                     overdue:
+ *                       type: object
+ *                     topClients:
+ *                       type: array
+ */
+router.get(
+    '/stats',
+    protect,
+    authorize('admin', 'finance'),
+    getInvoiceStats
+);
+
+/**
+ * @swagger
+ * /api/finance/reports/ageing:
+ *   get:
+ *     summary: Accounts receivable ageing report
+ *     description: |
+ *       Outstanding balances of issued invoices (total less payments and credit notes) per client as they stood
+ *       on the asOf date, bucketed by days past the due date: not yet due, 0-30, 31-60, 61-90 and 90+ days.
+ *       Each client row also shows the advance held from unallocated payments on that date and the net amount
+ *       receivable; clients with only an advance are listed too. Amounts are in the base currency: invoice
+ *       balances at each invoice's exchange rate, and advances in another currency at the rate in force on the
+ *       date. Currencies with no recorded rate are listed in missingRates and left out of the amounts.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age the invoices at (defaults to today). Only invoices issued by this date are included.
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Limit the report to one client
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *     responses:
+ *       200:
+ *         description: Ageing report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     asOf:
+ *                       type: string
+ *                       format: date-time
+ *                     buckets:
+ *                       type: array
+ *                     totals:
+ *                       type: object
+ *                     clients:
+ *                       type: array
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid asOf date
+ */
+router.get(
+    '/reports/ageing',
+    protect,
+    authorize('admin', 'finance'),
+    getAgeingReport
+);
+
+/**
+ * @swagger
+ * /api/finance/reports/ageing/invoices:
+ *   get:
+ *     summary: Invoices behind the ageing report
+ *     description: Lists the outstanding invoices for a client and/or ageing bucket
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [current, 0-30, 31-60, 61-90, 90+]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *     responses:
+ *       200:
+ *         description: Outstanding invoices with balance (in the invoice currency and the base currency), days past due and bucket
+ *       400:
+ *         description: Invalid asOf date or bucket
+ */
+router.get(
+    '/reports/ageing/invoices',
+    protect,
+    authorize('admin', 'finance'),
+    getAgeingInvoices
+);
+
+/**
+ * @swagger
+ * /api/finance/reports/tds:
+ *   get:
+ *     summary: TDS receivable report
+ *     description: |
+ *       TDS deducted by clients on recorded payments, per client and quarter of the financial year,
+ *       reconciled against the imported Form 26AS entries. Status is matched, short (less TDS in 26AS
+ *       than booked), missing (nothing in 26AS) or excess (more TDS in 26AS than booked).
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: 2024-25
+ *         description: Financial year (defaults to the current one)
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Limit the report to one client
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *     responses:
+ *       200:
+ *         description: TDS receivable report
+ *       400:
+ *         description: Invalid financial year
+ */
+router.get(
+    '/reports/tds',
+    protect,
+    authorize('admin', 'finance'),
+    getTdsReceivableReport
+);
+
+/**
+ * @swagger
+ * /api/finance/reports/profitability:
+ *   get:
+ *     summary: Project profitability report
+ *     description: |
+ *       Budget against actuals across the firm, per project and rolled up by client and manager, in the base
+ *       currency. Cost is hours logged at each user's cost rate on the day plus incentives paid; margin is the
+ *       amount billed (net of credit notes, excluding GST) less cost. Hours logged by users without a cost
+ *       rate are reported in unratedHours and unratedUsers; approvedHours are those on approved timesheets. The date range applies to time logged, incentives,
+ *       invoices, credit notes and receipts.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: manager
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Project status
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [project, client, manager]
+ *         description: Rows of the CSV export (projects by default)
+ *     responses:
+ *       200:
+ *         description: Profitability report
+ *       400:
+ *         description: Invalid date
+ */
+router.get(
+    '/reports/profitability',
+    protect,
+    authorize('admin', 'finance'),
+    getProfitabilityReport
+);
+
+/**
+ * @swagger
+ * /api/finance/export/tally:
+ *   get:
+ *     summary: Export vouchers for Tally
+ *     description: |
+ *       Tally XML import file with a sales voucher per issued invoice (client, sales and GST ledgers),
+ *       a credit note voucher per credit note and a receipt voucher per payment (bank or cash, TDS
+ *       receivable and client, billed against the allocated invoices) dated in the range.
+ *       Ledger and voucher type names come from the tally section of Settings.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: invoices,creditNotes,payments
+ *         description: Comma-separated voucher kinds to export (all by default)
+ *     responses:
+ *       200:
+ *         description: Tally XML file
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range or voucher type
+ */
+router.get(
+    '/export/tally',
+    protect,
+    authorize('admin', 'finance'),
+    exportTallyVouchers
+);
+
+/**
+ * @swagger
+ * /api/finance/exchange-rates:
+ *   get:
+ *     summary: Get exchange rates
+ *     description: |
+ *       Rates to the base currency (Settings company.currency). A rate applies from its date until the
+ *       next rate for the currency. With asOf and currency, returns the single rate in force on that date.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Return the rate in force on this date (requires currency)
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ *       404:
+ *         description: No rate recorded on or before asOf
+ *   post:
+ *     summary: Add an exchange rate
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       201:
+ *         description: Exchange rate added
+ *       400:
+ *         description: Base currency, or a rate already recorded for the date
+ */
+router.route('/exchange-rates')
+    .get(protect, authorize('admin', 'finance'), getExchangeRates)
+    .post(
+        protect,
+        authorize('admin', 'finance'),
+        validate(exchangeRateValidation.create),
+        createExchangeRate
+    );
+
+/**
+ * @swagger
+ * /api/finance/exchange-rates/{id}:
+ *   put:
+ *     summary: Update an exchange rate
+ *     description: Invoices already raised keep the rate they were raised at
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate updated
+ *       404:
+ *         description: Exchange rate not found
+ *   delete:
+ *     summary: Delete an exchange rate
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.route('/exchange-rates/:id')
+    .put(
+        protect,
+        authorize('admin', 'finance'),
+        validate(exchangeRateValidation.update),
+        updateExchangeRate
+    )
+    .delete(protect, authorize('admin', 'finance'), deleteExchangeRate);
+
+/**
+ * @swagger
+ * /api/finance/tds/form26as:
+ *   get:
+ *     summary: Get imported Form 26AS entries
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quarter
+ *         schema:
+ *           type: string
+ *           enum: [Q1, Q2, Q3, Q4]
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tan
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unmatched
+ *         schema:
+ *           type: boolean
+ *         description: Only entries whose TAN did not match a client
+ *     responses:
+ *       200:
+ *         description: List of Form 26AS entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Form26ASEntry'
+ */
+router.get(
+    '/tds/form26as',
+    protect,
+    authorize('admin', 'finance'),
+    getForm26ASEntries
+);
+
+/**
+ * @swagger
+ * /api/finance/tds/form26as/import:
+ *   post:
+ *     summary: Import Form 26AS from CSV
+ *     description: |
+ *       Imports Part I of Form 26AS saved as CSV. Columns are found by their headings (TAN of Deductor,
+ *       Name of Deductor, Section, Transaction Date, Status of Booking, Amount Paid / Credited, Tax Deducted).
+ *       Deductors are matched to clients by TAN. Importing the same entries again updates them.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import summary with rejected rows
+ *       400:
+ *         description: No file or no TDS entries found
+ */
+router.post(
+    '/tds/form26as/import',
+    protect,
+    authorize('admin', 'finance'),
+    uploadImport.single('file'),
+    importForm26AS
+);
+
+/**
+ * @swagger
+ * /api/finance/bank-transactions/import:
+ *   post:
+ *     summary: Import a bank statement
+ *     description: |
+ *       Imports the credits from a bank statement in CSV (Date, Narration/Description, Reference,
+ *       Credit or signed Amount columns) or OFX format into the reconciliation queue. Debits are skipped.
+ *       Transactions already imported for the same account are not duplicated.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               bankAccount:
+ *                 type: string
+ *                 description: Name of the account the statement belongs to
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *       400:
+ *         description: No file or no transactions found
+ */
+router.post(
+    '/bank-transactions/import',
+    protect,
+    authorize('admin', 'finance'),
+    uploadImport.single('file'),
+    importBankStatement
+);
+
+/**
+ * @swagger
+ * /api/finance/bank-transactions:
+ *   get:
+ *     summary: Get bank transactions (reconciliation queue)
+ *     description: |
+ *       Lists imported bank credits, by default those not yet matched. Unmatched transactions include
+ *       up to three suggested open invoices scored on amount, invoice number and client name.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unmatched, matched, ignored]
+ *           default: unmatched
+ *       - in: query
+ *         name: bankAccount
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of bank transactions
+ */
+router.get(
+    '/bank-transactions',
+    protect,
+    authorize('admin', 'finance'),
+    getBankTransactions
+);
+
+/**
+ * @swagger
+ * /api/finance/bank-transactions/{id}/confirm:
+ *   post:
+ *     summary: Confirm a bank transaction match
+ *     description: |
+ *       Records the bank credit as a payment from the client, allocated to the given invoices or projects
+ *       (anything unallocated is held as client advance), and removes it from the queue.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client:
+ *                 type: string
+ *                 description: Required when no invoice is allocated
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       type: string
+ *                     project:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               tdsAmount:
+ *                 type: number
+ *               tdsSection:
+ *                 type: string
+ *               tdsRate:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transaction matched and payment recorded
+ *       400:
+ *         description: Transaction already matched or invalid allocation
+ *       404:
+ *         description: Bank transaction not found
+ */
+router.post(
+    '/bank-transactions/:id/confirm',
+    protect,
+    authorize('admin', 'finance'),
+    validate(bankTransactionValidation.confirm),
+    confirmBankTransaction
+);
+
+/**
+ * @swagger
+ * /api/finance/bank-transactions/{id}/ignore:
+ *   put:
+ *     summary: Ignore a bank transaction
+ *     description: Takes a credit that is not a client payment off the queue. Send ignore false to return it.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ignore:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ *       400:
+ *         description: Transaction is matched to a payment
+ *       404:
+ *         description: Bank transaction not found
+ */
+router.put(
+    '/bank-transactions/:id/ignore',
+    protect,
+    authorize('admin', 'finance'),
+    validate(bankTransactionValidation.ignore),
+    ignoreBankTransaction
+);
+
+/**
+ * @swagger
+ * /api/finance/projects/{id}/payment:
+ *   post:
+ *     summary: Record payment for a project
+ *     description: |
+ *       Records a payment for a specific project. The payment is allocated to the project's invoice when it
+ *       has been invoiced, or to the project otherwise; any excess is held as client advance.
+ *       Use POST /api/finance/payments to allocate one payment across several invoices.
+ *     tags: [Finance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Payment amount
+ *               tdsAmount:
+ *                 type: number
+ *                 description: TDS deducted by the client
+ *               tdsSection:
+ *                 type: string
+ *                 description: Section the TDS was deducted under (e.g. 194J)
+ *               tdsRate:
+ *                 type: number
+ *                 description: TDS rate in percent
  *               method:
  *                 type: string
  *                 enum: [Cash, Bank Transfer, Cheque, Online Payment, Other]
@@ -483,7 +1851,10 @@ router.get(
  * /api/finance/summary:
  *   get:
  *     summary: Get financial summary
- *     description: Retrieves financial summary for all projects
+ *     description: |
+ *       Retrieves financial summary for all projects and invoices, in the base currency (Settings company.currency).
+ *       Project amounts in other currencies are converted at the latest recorded rate; invoices at their own rate.
+ *       Currencies without a recorded rate are listed in missingRates and left unconverted.
  *     tags: [Finance]
  *     security:
  *       - bearerAuth: []
@@ -9,6 +9,7 @@ const {
     getProjectTasks,
     updateProjectStatus,
     updateProjectInvoiceStatus,
+    getProjectProfitability,
 } = require('../controllers/project.controller');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -352,6 +353,50 @@ router.route('/:id/status')
     
 router.put('/:id/invoice', protect, updateProjectInvoiceStatus);
 
+/**
+ * @swagger
+ * /api/projects/{id}/profitability:
+ *   get:
+ *     summary: Get project profitability
+ *     description: |
+ *       Budget against actuals for a project, in the base currency: the fee and estimated hours against
+ *       hours logged at each user's cost rate, incentives paid, amounts billed (net of credit notes,
+ *       excluding GST) and received, and the margin. Managers can view their own projects only.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Project profitability
+ *       403:
+ *         description: Not the manager of this project
+ *       404:
+ *         description: Project not found
+ */
+router.get(
+    '/:id/profitability',
+    protect,
+    authorize('admin', 'finance', 'manager'),
+    getProjectProfitability
+);
+
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getProjectTemplates,
+    getProjectTemplate,
+    createProjectTemplate,
+    updateProjectTemplate,
+    deleteProjectTemplate
+} = require('../controllers/projectTemplate.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, projectTemplateValidation } = require('../middleware/validator');
+
+/**
+ * @swagger
+ * /api/project-templates:
+ *   get:
+ *     summary: Get project templates
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of project templates
+ *   post:
+ *     summary: Create a project template
+ *     description: |
+ *       A list of tasks created on projects made from the template, either when creating a project
+ *       (`template` field) or on every run of a cron job that has the template.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectTemplate'
+ *     responses:
+ *       201:
+ *         description: Project template created
+ *       400:
+ *         description: Bad request
+ */
+router.route('/')
+    .get(protect, getProjectTemplates)
+    .post(
+        protect,
+        authorize('admin', 'manager'),
+        validate(projectTemplateValidation.create),
+        createProjectTemplate
+    );
+
+/**
+ * @swagger
+ * /api/project-templates/{id}:
+ *   get:
+ *     summary: Get a project template and the cron jobs using it
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project template
+ *       404:
+ *         description: Project template not found
+ *   put:
+ *     summary: Update a project template
+ *     description: Changes apply to projects created afterwards; existing projects keep their tasks
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectTemplate'
+ *     responses:
+ *       200:
+ *         description: Project template updated
+ *       404:
+ *         description: Project template not found
+ *   delete:
+ *     summary: Delete a project template
+ *     description: Templates used by cron jobs cannot be deleted; deactivate them instead
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project template deleted
+ *       400:
+ *         description: Template is used by cron jobs
+ *       404:
+ *         description: Project template not found
+ */
+router.route('/:id')
+    .get(protect, getProjectTemplate)
+    .put(
+        protect,
+        authorize('admin', 'manager'),
+        validate(projectTemplateValidation.update),
+        updateProjectTemplate
+    )
+    .delete(protect, authorize('admin', 'manager'), deleteProjectTemplate);
+
+module.exports = router;
@@ -6,10 +6,16 @@ const {
     uploadLogo,
     getMailSettings,
     updateMailSettings,
-    getCompanyInfo
+    sendTestEmail,
+    getEmailOutbox,
+    retryEmail,
+    getCompanyInfo,
+    getTaskWorkflow,
+    updateTaskWorkflow,
+    resetTaskWorkflow
 } = require('../controllers/settings.controller');
 
-const { protect, authorizeSuperadmin } = require('../middleware/auth');
+const { protect, authorize, authorizeSuperadmin } = require('../middleware/auth');
 const { uploadLogo: uploadLogoMiddleware } = require('../middleware/upload');
 const { validate } = require('../middleware/validator');
 const { settingsValidation } = require('../middleware/validator');
@@ -166,7 +172,7 @@ router.route('/company/logo')
  * /api/settings/mail:
  *   get:
  *     summary: Get mail settings
- *     description: Get the mail server settings (Superadmin only)
+ *     description: Get the mail server settings (Superadmin only). The SMTP password is masked.
  *     tags: [Settings]
  *     security:
  *       - bearerAuth: []
@@ -234,6 +240,7 @@ router.route('/mail')
  *                     type: string
  *                   pass:
  *                     type: string
+ *                     description: Leave blank or send the mask to keep the current password
  *     responses:
  *       200:
  *         description: Mail settings updated successfully
@@ -271,4 +278,200 @@ router.route('/mail')
      */
     .put(protect, authorizeSuperadmin(), updateMailSettings);
 
+/**
+ * @swagger
+ * /api/settings/mail/test:
+ *   post:
+ *     summary: Send a test email
+ *     description: Send a test email using the configured mail server (Superadmin only)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Recipient address (defaults to the current user's email)
+ *     responses:
+ *       200:
+ *         description: Test email sent successfully
+ *       400:
+ *         description: No recipient address
+ *       502:
+ *         description: Mail server rejected or could not deliver the email
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Superadmin access required
+ */
+router.post('/mail/test', protect, authorizeSuperadmin(), sendTestEmail);
+
+/**
+ * @swagger
+ * /api/settings/mail/outbox:
+ *   get:
+ *     summary: Get email outbox
+ *     description: List queued, sent and failed emails (Superadmin only)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailOutbox'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Superadmin access required
+ */
+router.get('/mail/outbox', protect, authorizeSuperadmin(), getEmailOutbox);
+
+/**
+ * @swagger
+ * /api/settings/mail/outbox/{id}/retry:
+ *   post:
+ *     summary: Retry an email
+ *     description: Reset the attempts of a pending or failed email and deliver it again (Superadmin only)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbox entry ID
+ *     responses:
+ *       200:
+ *         description: Delivery attempted
+ *       400:
+ *         description: Email has already been sent
+ *       404:
+ *         description: Email not found
+ */
+router.post('/mail/outbox/:id/retry', protect, authorizeSuperadmin(), retryEmail);
+
+/**
+ * @swagger
+ * /api/settings/task-workflow:
+ *   get:
+ *     summary: Get the task status workflow
+ *     description: |
+ *       Task states (each in the open, done or cancelled category) and the allowed moves between them,
+ *       with the roles that can make each move and the task fields required first. The default
+ *       workflow applies until an admin saves one.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workflow, with the field names transitions can require
+ *   put:
+ *     summary: Replace the task status workflow
+ *     description: |
+ *       Must keep the system states pending, completed, invoiceable, invoiced and cancelled. States that
+ *       tasks are still in cannot be removed. Admins can make any defined move regardless of its roles.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - states
+ *               - transitions
+ *             properties:
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: awaiting-client
+ *                     label:
+ *                       type: string
+ *                     category:
+ *                       type: string
+ *                       enum: [open, done, cancelled]
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     roles:
+ *                       type: array
+ *                       description: Roles allowed to make the move (any when empty)
+ *                       items:
+ *                         type: string
+ *                         enum: [admin, manager, staff, finance]
+ *                     requiredFields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [rating, assignedTo, dueDate, estimatedHours, timeEntries, attachments, comments]
+ *     responses:
+ *       200:
+ *         description: Workflow saved
+ *       400:
+ *         description: Invalid workflow, or a removed state is still in use
+ *   delete:
+ *     summary: Reset the task status workflow to the default
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Default workflow restored
+ *       400:
+ *         description: Tasks are in states the default workflow does not have
+ */
+router.route('/task-workflow')
+    .get(protect, getTaskWorkflow)
+    .put(protect, authorize('admin'), validate(settingsValidation.taskWorkflow), updateTaskWorkflow)
+    .delete(protect, authorize('admin'), resetTaskWorkflow);
+
 module.exports = router; 
\ No newline at end of file
@@ -17,6 +17,13 @@ const {
   remindClientForDocument,
   addTaskRating,
   removeDoc,
+  getTimer,
+  startTimer,
+  pauseTimer,
+  stopTimer,
+  getSubtasks,
+  createSubtask,
+  getTaskDependencies,
 } = require("../controllers/task.controller");
 
 const { protect, authorize } = require("../middleware/auth");
@@ -89,6 +96,25 @@ const ensureFileArray = (req, res, next) => {
  *         description: Unauthorized
  */
 router.route("/me").get(protect, getMyTasks);
+
+/**
+ * @swagger
+ * /api/tasks/timer:
+ *   get:
+ *     summary: Get the current user's active timer
+ *     description: |
+ *       Each user has at most one timer. The same state is pushed over the websocket as
+ *       `{ type: 'timer', data }` on connection and whenever the timer changes (data is null when no timer is active).
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active timer with elapsed time, or null
+ *       401:
+ *         description: Unauthorized
+ */
+router.route("/timer").get(protect, getTimer);
 router.route("/removedoc/:id").put(removeDoc);
 /**
  * @swagger
@@ -131,6 +157,11 @@ router.route("/removedoc/:id").put(removeDoc);
  *           type: string
  *         description: Filter by priority (e.g., low, medium, high)
  *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Filter by parent task ID, or "none" for top-level tasks only
+ *       - in: query
  *         name: dueBefore
  *         schema:
  *           type: string
@@ -380,7 +411,9 @@ router
  * /api/tasks/{id}/status:
  *   put:
  *     summary: Update task status
- *     description: Update the status of a task
+ *     description: |
+ *       Move a task to another status. The move must be a transition of the task workflow
+ *       (GET /api/settings/task-workflow) open to the user's role, with its required fields filled in.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -400,8 +433,7 @@ router
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [to-do, in-progress, review, completed, cancelled]
- *                 description: Task status
+ *                 description: Task status (a workflow state key)
  *     responses:
  *       200:
  *         description: Task status updated successfully
@@ -415,13 +447,13 @@ router
  *                 data:
  *                   $ref: '#/components/schemas/Task'
  *       400:
- *         description: Bad request
+ *         description: Move not allowed by the workflow, required fields missing, task blocked by an unfinished predecessor, or subtasks still open
  *       404:
  *         description: Task not found
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Not authorized to update this task
+ *         description: Not authorized to update this task, or the move is not open to the user's role
  */
 router.route("/:id/status").put(protect, updateTaskStatus);
 
@@ -554,6 +586,198 @@ router.route("/:id/comments").post(protect, addTaskComment);
  */
 router.route("/:id/time").put(protect, updateTaskTime);
 
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/start:
+ *   post:
+ *     summary: Start or resume a timer on a task
+ *     description: A timer running on another task is stopped first and its time logged on that task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 description: Description of the work, used for the time entry on stop
+ *     responses:
+ *       200:
+ *         description: Timer running, with the result of stopping any previous timer
+ *       400:
+ *         description: Timer already running on this task
+ *       403:
+ *         description: Not authorized to log time on this task
+ *       404:
+ *         description: Task not found
+ */
+router.route("/:id/timer/start").post(protect, validate(taskValidation.timer), startTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/pause:
+ *   post:
+ *     summary: Pause the timer on a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Timer paused
+ *       400:
+ *         description: No running timer on this task
+ */
+router.route("/:id/timer/pause").post(protect, pauseTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/stop:
+ *   post:
+ *     summary: Stop the timer on a task and log its time
+ *     description: Adds a time entry for the elapsed hours in the same way as PUT /api/tasks/{id}/time
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 description: Description of work done (defaults to the one given on start)
+ *     responses:
+ *       200:
+ *         description: Timer stopped with the time entry added
+ *       400:
+ *         description: No active timer on this task, no description, or the week's timesheet is locked
+ */
+router.route("/:id/timer/stop").post(protect, validate(taskValidation.timer), stopTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Get the subtasks of a task
+ *     description: Direct subtasks with the parent's rollup of progress and estimated vs actual hours
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Subtasks and rollup
+ *       404:
+ *         description: Task not found
+ *   post:
+ *     summary: Create a subtask
+ *     description: Creates a task under the parent, in the parent's project
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - description
+ *               - assignedTo
+ *               - dueDate
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               assignedTo:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               estimatedHours:
+ *                 type: number
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Subtask created
+ *       404:
+ *         description: Parent task not found
+ */
+router
+  .route("/:id/subtasks")
+  .get(protect, getSubtasks)
+  .post(protect, validate(taskValidation.createSubtask), createSubtask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get task dependencies
+ *     description: |
+ *       Predecessors (tasks that must finish before this one can start, set through dependsOn on create
+ *       or update) and successors (tasks waiting on this one), and whether the task is blocked
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Predecessors, successors and blocked state
+ *       404:
+ *         description: Task not found
+ */
+router.route("/:id/dependencies").get(protect, getTaskDependencies);
+
 /**
  * @swagger
  * /api/tasks/{id}/rating:
@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getWeek,
+    getTimesheets,
+    getTimesheet,
+    submitTimesheet,
+    approveTimesheet,
+    rejectTimesheet,
+    sendTimesheetReminders
+} = require('../controllers/timesheet.controller');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, timesheetValidation } = require('../middleware/validator');
+
+/**
+ * @swagger
+ * /api/timesheets/week:
+ *   get:
+ *     summary: Get a weekly timesheet
+ *     description: |
+ *       The Monday to Sunday week containing the date, with hours per day and the time entries logged on tasks.
+ *       Draft and rejected weeks show the entries as currently logged; submitted and approved weeks show the
+ *       entries as submitted and are locked against changes. Admins and managers can view any user's week.
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any day of the week (defaults to today)
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID (defaults to the current user)
+ *     responses:
+ *       200:
+ *         description: Weekly timesheet
+ *       403:
+ *         description: Not authorized to view the user's timesheet
+ */
+router.get('/week', protect, getWeek);
+
+/**
+ * @swagger
+ * /api/timesheets/submit:
+ *   post:
+ *     summary: Submit a weekly timesheet for approval
+ *     description: Records the week's time entries on the timesheet and locks them until the timesheet is rejected
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Any day of the week (defaults to today)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Timesheet submitted
+ *       400:
+ *         description: Week already submitted or approved, or not started yet
+ */
+router.post('/submit', protect, validate(timesheetValidation.submit), submitTimesheet);
+
+/**
+ * @swagger
+ * /api/timesheets/reminders:
+ *   post:
+ *     summary: Send timesheet reminders
+ *     description: Reminds users who have not submitted last week's timesheet (runs automatically on Mondays)
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of users reminded
+ */
+router.post('/reminders', protect, authorize('admin'), sendTimesheetReminders);
+
+/**
+ * @swagger
+ * /api/timesheets:
+ *   get:
+ *     summary: Get timesheets
+ *     description: Admins and managers see all timesheets (e.g. status=submitted for the approval queue); others their own
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, submitted, approved, rejected]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of timesheets
+ */
+router.get('/', protect, getTimesheets);
+
+/**
+ * @swagger
+ * /api/timesheets/{id}:
+ *   get:
+ *     summary: Get a timesheet
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Weekly timesheet
+ *       403:
+ *         description: Not authorized to view the timesheet
+ *       404:
+ *         description: Timesheet not found
+ */
+router.get('/:id', protect, getTimesheet);
+
+/**
+ * @swagger
+ * /api/timesheets/{id}/approve:
+ *   put:
+ *     summary: Approve a submitted timesheet
+ *     description: Marks the week's time entries as approved; the week stays locked
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Timesheet approved
+ *       400:
+ *         description: Timesheet is not submitted
+ *       403:
+ *         description: Managers cannot approve their own timesheet
+ *       404:
+ *         description: Timesheet not found
+ */
+router.put(
+    '/:id/approve',
+    protect,
+    authorize('admin', 'manager'),
+    validate(timesheetValidation.approve),
+    approveTimesheet
+);
+
+/**
+ * @swagger
+ * /api/timesheets/{id}/reject:
+ *   put:
+ *     summary: Reject a submitted timesheet
+ *     description: Unlocks the week so the user can correct their time entries and submit again
+ *     tags: [Timesheets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Timesheet rejected
+ *       400:
+ *         description: Timesheet is not submitted
+ *       404:
+ *         description: Timesheet not found
+ */
+router.put(
+    '/:id/reject',
+    protect,
+    authorize('admin', 'manager'),
+    validate(timesheetValidation.reject),
+    rejectTimesheet
+);
+
+module.exports = router;
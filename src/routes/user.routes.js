@@ -11,6 +11,8 @@ const {
   getVerificationStaff,
   lastMonthMembersPer,
   getUsersByDepartment,
+  getCostRates,
+  setCostRate,
 } = require("../controllers/user.controller");
 
 const { protect, authorize } = require("../middleware/auth");
@@ -336,4 +338,69 @@ router
   .route("/department/:department")
   .get(protect, authorize("admin", "manager"), getUsersByDepartment);
 
+/**
+ * @swagger
+ * /api/users/{id}/cost-rates:
+ *   get:
+ *     summary: Get a user's cost rate history
+ *     description: Hourly cost rates (base currency) used to cost logged time in profitability reports
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cost rates, latest first
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Set a user's hourly cost rate
+ *     description: The rate applies to time logged from effectiveFrom until the next rate. A rate set for the same date is replaced.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *               - effectiveFrom
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cost rate set
+ *       404:
+ *         description: User not found
+ */
+router
+  .route("/:id/cost-rates")
+  .get(protect, authorize("admin", "finance"), getCostRates)
+  .post(
+    protect,
+    authorize("admin", "finance"),
+    validate(userValidation.costRate),
+    setCostRate
+  );
+
 module.exports = router;
@@ -10,6 +10,7 @@ config();
 const { logger } = require('./utils/logger');
 const { connectDB } = require('./config/db');
 const cronService = require('./services/cronService');
+const { startCronJobs } = require('./config/cronJobs');
 const websocketService = require('./utils/websocket');
 const seedSuperAdmin = require('./utils/seedSuperAdmin').seedSuperAdmin;
 
@@ -38,6 +39,14 @@ const server = app.listen(PORT, async () => {
             logger.error('Failed to initialize cron service:', err);
         }
 
+        // Start the built-in scheduled jobs (attendance, leave, reminders, dunning, outbox)
+        try {
+            startCronJobs();
+            logger.info('Scheduled jobs started');
+        } catch (err) {
+            logger.error('Failed to start scheduled jobs:', err);
+        }
+
         // Initialize WebSocket server (only when running a persistent server)
         try {
             websocketService.init(server);
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const BankTransaction = require('../models/BankTransaction');
+const Invoice = require('../models/Invoice');
+const paymentService = require('./paymentService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { round2 } = require('../utils/gst');
+const { parseCsv, findHeaderRow } = require('../utils/csv');
+
+// Accepted bank statement column headings (normalized)
+const STATEMENT_COLUMNS = {
+    date: ['date', 'txndate', 'transactiondate', 'valuedate', 'postingdate', 'trandate'],
+    description: ['description', 'narration', 'particulars', 'remarks', 'details', 'transactiondetails'],
+    reference: ['reference', 'referenceno', 'refno', 'chequeno', 'chqrefno', 'chequerefno', 'utr', 'utrno'],
+    credit: ['credit', 'deposit', 'deposits', 'depositamt', 'creditamount', 'cr', 'creditamt'],
+    debit: ['debit', 'withdrawal', 'withdrawals', 'withdrawalamt', 'debitamount', 'dr', 'debitamt'],
+    amount: ['amount', 'transactionamount'],
+    balance: ['balance', 'closingbalance', 'runningbalance'],
+};
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'DD/MM/YY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'DD MMM YYYY', 'YYYY-MM-DD', 'DD.MM.YYYY'];
+
+// Words ignored when looking for a client's name in a narration
+const NAME_STOPWORDS = ['pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'company', 'the', 'and', 'corporation', 'corp'];
+
+// Suggestions scoring below this are not shown
+const MIN_SUGGESTION_SCORE = 30;
+
+const parseAmount = (value) => {
+    const text = String(value || '').replace(/[,\s]/g, '').replace(/(cr|dr)$/i, '');
+    const amount = parseFloat(text);
+    return Number.isNaN(amount) ? null : amount;
+};
+
+const compact = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class BankReconciliationService {
+    /**
+     * Parse a bank statement exported as CSV. Either separate credit / debit
+     * columns or a single signed amount column are accepted.
+     * @returns {{transactions: Array<Object>, skipped: Number, errors: Array}}
+     */
+    parseCsvStatement(file) {
+        const rows = parseCsv(file.toString('utf8'));
+        const header = findHeaderRow(rows, STATEMENT_COLUMNS, ['date']);
+        if (!header || (header.columns.credit === undefined && header.columns.amount === undefined)) {
+            return {
+                transactions: [],
+                skipped: 0,
+                errors: [{ row: 0, message: 'Header row not found; expected Date and Credit (or Amount) columns' }],
+            };
+        }
+
+        const { index: headerIndex, columns } = header;
+        const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] || '').trim());
+        const occurrences = new Map();
+        const transactions = [];
+        const errors = [];
+        let skipped = 0;
+
+        rows.slice(headerIndex + 1).forEach((row, index) => {
+            const rowNumber = headerIndex + index + 2;
+            const date = moment(cell(row, 'date'), DATE_FORMATS, true);
+            if (!date.isValid()) {
+                // Opening / closing balance and footer lines have no date
+                if (cell(row, 'date')) errors.push({ row: rowNumber, message: `Invalid date "${cell(row, 'date')}"` });
+                return;
+            }
+
+            const amount = columns.credit !== undefined
+                ? parseAmount(cell(row, 'credit'))
+                : parseAmount(cell(row, 'amount'));
+            // Only money received is reconciled against invoices
+            if (!amount || amount <= 0) {
+                skipped += 1;
+                return;
+            }
+
+            const details = [date.format('YYYY-MM-DD'), amount, cell(row, 'description'), cell(row, 'reference'), cell(row, 'balance')].join('|');
+            const occurrence = (occurrences.get(details) || 0) + 1;
+            occurrences.set(details, occurrence);
+
+            transactions.push({
+                date: date.toDate(),
+                description: cell(row, 'description'),
+                reference: cell(row, 'reference'),
+                amount: round2(amount),
+                balance: parseAmount(cell(row, 'balance')) ?? undefined,
+                externalId: crypto.createHash('sha1').update(`${details}#${occurrence}`).digest('hex'),
+            });
+        });
+
+        return { transactions, skipped, errors };
+    }
+
+    /**
+     * Parse an OFX (1.x SGML or 2.x XML) bank statement
+     */
+    parseOfxStatement(file) {
+        const text = file.toString('utf8');
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+
+        const transactions = [];
+        const errors = [];
+        let skipped = 0;
+
+        blocks.forEach((block, index) => {
+            const date = moment(tag(block, 'DTPOSTED').slice(0, 8), 'YYYYMMDD', true);
+            const amount = parseAmount(tag(block, 'TRNAMT'));
+            if (!date.isValid() || amount === null) {
+                errors.push({ row: index + 1, message: 'Transaction without a valid DTPOSTED or TRNAMT' });
+                return;
+            }
+            if (amount <= 0) {
+                skipped += 1;
+                return;
+            }
+
+            const fitId = tag(block, 'FITID');
+            transactions.push({
+                date: date.toDate(),
+                description: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' - '),
+                reference: tag(block, 'CHECKNUM') || tag(block, 'REFNUM'),
+                amount: round2(amount),
+                externalId: fitId || crypto.createHash('sha1').update(block).digest('hex'),
+            });
+        });
+
+        if (blocks.length === 0) {
+            errors.push({ row: 0, message: 'No transactions (STMTTRN) found in the OFX file' });
+        }
+
+        return { transactions, skipped, errors };
+    }
+
+    /**
+     * Import a bank statement. Transactions already imported for the
+     * account are left untouched.
+     * @param {Object} file - Uploaded file (multer memory storage)
+     * @param {String} bankAccount - Account name
+     * @param {Object} user
+     */
+    async importStatement(file, bankAccount, user) {
+        const isOfx = /\.(ofx|qfx)$/i.test(file.originalname) || /<OFX>/i.test(file.buffer.toString('utf8', 0, 4096));
+        const { transactions, skipped, errors } = isOfx
+            ? this.parseOfxStatement(file.buffer)
+            : this.parseCsvStatement(file.buffer);
+        const importBatch = crypto.randomBytes(8).toString('hex');
+
+        let imported = 0;
+        if (transactions.length > 0) {
+            const result = await BankTransaction.bulkWrite(
+                transactions.map((transaction) => ({
+                    updateOne: {
+                        filter: { bankAccount, externalId: transaction.externalId },
+                        update: {
+                            $setOnInsert: { ...transaction, bankAccount, importBatch, importedBy: user._id },
+                        },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+            imported = result.upsertedCount;
+        }
+
+        return {
+            importBatch,
+            format: isOfx ? 'ofx' : 'csv',
+            credits: transactions.length,
+            imported,
+            duplicates: transactions.length - imported,
+            skipped,
+            errors,
+        };
+    }
+
+    /**
+     * Open invoices that can be matched against bank credits. Statements
+     * are in the base currency, so only invoices billed in it can be
+     * settled by a credit as it stands.
+     */
+    async getOpenInvoices() {
+        const baseCurrency = await paymentService.getBaseCurrency();
+        return Invoice.find({
+            status: { $in: ['sent', 'overdue'] },
+            currency: { $in: [baseCurrency, null] },
+            $expr: {
+                $gt: ['$total', { $add: [{ $ifNull: ['$paidAmount', 0] }, { $ifNull: ['$creditedAmount', 0] }] }],
+            },
+        })
+            .select('invoiceNumber client issueDate dueDate total paidAmount creditedAmount status')
+            .populate({ path: 'client', select: 'name' })
+            .lean();
+    }
+
+    /**
+     * Score open invoices against a bank credit on amount, invoice number
+     * in the narration / reference, and client name
+     * @returns {Array<{invoice: Object, score: Number, reasons: Array<String>}>} Best matches first
+     */
+    suggestMatches(transaction, invoices, limit = 3) {
+        const narration = compact(`${transaction.description} ${transaction.reference}`);
+        const words = String(`${transaction.description} ${transaction.reference}`).toLowerCase().split(/[^a-z0-9]+/);
+
+        return invoices
+            .map((invoice) => {
+                const balance = paymentService.getInvoiceBalance(invoice);
+                const reasons = [];
+                let score = 0;
+
+                if (Math.abs(transaction.amount - balance) < 0.01) {
+                    score += 50;
+                    reasons.push('Amount equals the balance due');
+                } else if (Math.abs(transaction.amount - invoice.total) < 0.01) {
+                    score += 40;
+                    reasons.push('Amount equals the invoice total');
+                } else if (transaction.amount < balance && transaction.amount >= balance * 0.8) {
+                    // Typically the balance less TDS deducted by the client
+                    score += 20;
+                    reasons.push('Amount is slightly below the balance due (TDS deducted?)');
+                }
+
+                const invoiceNumber = compact(invoice.invoiceNumber);
+                if (invoiceNumber && narration.includes(invoiceNumber)) {
+                    score += 40;
+                    reasons.push(`Narration mentions ${invoice.invoiceNumber}`);
+                }
+
+                const nameWords = String(invoice.client?.name || '')
+                    .toLowerCase()
+                    .split(/[^a-z0-9]+/)
+                    .filter((word) => word.length > 2 && !NAME_STOPWORDS.includes(word));
+                if (nameWords.length > 0 && nameWords.every((word) => words.includes(word) || narration.includes(word))) {
+                    score += 30;
+                    reasons.push(`Narration mentions ${invoice.client.name}`);
+                } else if (nameWords.some((word) => words.includes(word))) {
+                    score += 10;
+                    reasons.push(`Narration partly matches ${invoice.client.name}`);
+                }
+
+                return { invoice: { ...invoice, balance }, score, reasons };
+            })
+            .filter((suggestion) => suggestion.score >= MIN_SUGGESTION_SCORE)
+            .sort((a, b) => b.score - a.score || new Date(a.invoice.dueDate) - new Date(b.invoice.dueDate))
+            .slice(0, limit);
+    }
+
+    /**
+     * Confirm a match: record the bank credit as a payment through the
+     * payment service and take the transaction off the queue
+     * @param {Object} transaction - BankTransaction document
+     * @param {Object} data - client, allocations, tdsAmount, tdsSection, tdsRate, notes
+     * @param {Object} user
+     */
+    async confirmMatch(transaction, data, user) {
+        if (transaction.status !== 'unmatched') {
+            throw new ErrorResponse(`Transaction is already ${transaction.status}`, 400);
+        }
+
+        let { client } = data;
+        const allocations = data.allocations || [];
+        if (!client) {
+            const first = allocations.find((allocation) => allocation.invoice);
+            const invoice = first && (await Invoice.findById(first.invoice).select('client'));
+            client = invoice?.client;
+        }
+        if (!client) {
+            throw new ErrorResponse('Select the client or an invoice to match the transaction to', 400);
+        }
+
+        // Claim the transaction first so it cannot be matched twice
+        const claimed = await BankTransaction.findOneAndUpdate(
+            { _id: transaction._id, status: 'unmatched' },
+            { $set: { status: 'matched', matchedBy: user._id, matchedAt: new Date() } },
+            { new: true }
+        );
+        if (!claimed) {
+            throw new ErrorResponse('Transaction was matched by someone else', 409);
+        }
+
+        // The bank credit is in the base currency whatever the invoices are
+        // billed in; allocations to invoices in another currency are refused
+        const baseCurrency = await paymentService.getBaseCurrency();
+
+        let payment;
+        try {
+            payment = await paymentService.create(
+                {
+                    client,
+                    date: transaction.date,
+                    amount: transaction.amount,
+                    currency: baseCurrency,
+                    tdsAmount: data.tdsAmount || 0,
+                    tdsSection: data.tdsSection,
+                    tdsRate: data.tdsRate,
+                    method: 'Bank Transfer',
+                    reference: transaction.reference || '',
+                    notes: data.notes || transaction.description || '',
+                    allocations,
+                },
+                user
+            );
+        } catch (error) {
+            await BankTransaction.updateOne(
+                { _id: transaction._id },
+                { $set: { status: 'unmatched' }, $unset: { matchedBy: 1, matchedAt: 1 } }
+            );
+            throw error;
+        }
+
+        claimed.payment = payment._id;
+        await claimed.save();
+        return { transaction: claimed, payment };
+    }
+}
+
+module.exports = new BankReconciliationService();
@@ -0,0 +1,122 @@
+const moment = require('moment');
+const bankReconciliationService = require('./bankReconciliationService');
+
+const day = (date) => moment(date).format('YYYY-MM-DD');
+
+const invoice = (fields = {}) => ({
+    invoiceNumber: 'INV/2025-26/0001',
+    client: { name: 'Iyer Traders Pvt Ltd' },
+    dueDate: new Date(2025, 5, 30),
+    total: 11800,
+    paidAmount: 0,
+    creditedAmount: 0,
+    ...fields,
+});
+
+describe('bankReconciliationService', () => {
+    describe('parseCsvStatement', () => {
+        it('finds the header below the bank preamble and keeps only credits', () => {
+            const csv = [
+                'Account Statement,,,,,',
+                'Account No: 1234,,,,,',
+                'Txn Date,Narration,Chq/Ref No,Withdrawal Amt,Deposit Amt,Closing Balance',
+                ',Opening Balance,,,,"10,000.00"',
+                '02/06/2025,NEFT-IYER TRADERS-INV/2025-26/0001,UTR1,,"11,800.00","21,800.00"',
+                '03-Jun-2025,RENT,CHQ9,"5,000.00",,"16,800.00"',
+                '31/13/2025,BAD ROW,,,100,',
+            ].join('\n');
+
+            const { transactions, skipped, errors } = bankReconciliationService.parseCsvStatement(Buffer.from(csv));
+
+            expect(transactions).toHaveLength(1);
+            expect(transactions[0]).toMatchObject({
+                description: 'NEFT-IYER TRADERS-INV/2025-26/0001',
+                reference: 'UTR1',
+                amount: 11800,
+                balance: 21800,
+            });
+            expect(day(transactions[0].date)).toBe('2025-06-02');
+            expect(skipped).toBe(1);
+            expect(errors).toEqual([{ row: 7, message: 'Invalid date "31/13/2025"' }]);
+        });
+
+        it('reads a signed amount column and tells identical rows apart', () => {
+            const csv = ['Date,Description,Amount', '2025-06-02,UPI credit,500', '2025-06-02,UPI credit,500', '2025-06-03,Charges,-20'].join('\n');
+
+            const { transactions, skipped } = bankReconciliationService.parseCsvStatement(Buffer.from(csv));
+
+            expect(transactions.map((transaction) => transaction.amount)).toEqual([500, 500]);
+            expect(transactions[0].externalId).not.toBe(transactions[1].externalId);
+            expect(skipped).toBe(1);
+        });
+
+        it('reports a statement without recognisable headings', () => {
+            const { errors } = bankReconciliationService.parseCsvStatement(Buffer.from('a,b,c\n1,2,3'));
+
+            expect(errors[0].message).toMatch(/Header row not found/);
+        });
+    });
+
+    describe('parseOfxStatement', () => {
+        it('reads SGML transactions, using FITID to recognise them again', () => {
+            const ofx = [
+                '<OFX><BANKTRANLIST>',
+                '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250602120000<TRNAMT>11800.00<FITID>F1<NAME>IYER TRADERS<MEMO>INV 0001',
+                '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250603<TRNAMT>-500.00<FITID>F2<NAME>RENT',
+                '</BANKTRANLIST></OFX>',
+            ].join('\n');
+
+            const { transactions, skipped, errors } = bankReconciliationService.parseOfxStatement(Buffer.from(ofx));
+
+            expect(transactions).toEqual([
+                expect.objectContaining({ description: 'IYER TRADERS - INV 0001', amount: 11800, externalId: 'F1' }),
+            ]);
+            expect(day(transactions[0].date)).toBe('2025-06-02');
+            expect(skipped).toBe(1);
+            expect(errors).toEqual([]);
+        });
+    });
+
+    describe('suggestMatches', () => {
+        it('ranks invoices by amount, invoice number and client name', () => {
+            const named = invoice();
+            const sameAmount = invoice({ invoiceNumber: 'INV/2025-26/0002', client: { name: 'Rao Exports' } });
+            const unrelated = invoice({ invoiceNumber: 'INV/2025-26/0003', client: { name: 'Rao Exports' }, total: 999 });
+
+            const suggestions = bankReconciliationService.suggestMatches(
+                { amount: 11800, description: 'NEFT IYER TRADERS INV/2025-26/0001', reference: '' },
+                [sameAmount, unrelated, named]
+            );
+
+            expect(suggestions.map((suggestion) => [suggestion.invoice.invoiceNumber, suggestion.score])).toEqual([
+                ['INV/2025-26/0001', 120],
+                ['INV/2025-26/0002', 50],
+            ]);
+            expect(suggestions[0].reasons).toEqual([
+                'Amount equals the balance due',
+                'Narration mentions INV/2025-26/0001',
+                'Narration mentions Iyer Traders Pvt Ltd',
+            ]);
+        });
+
+        it('recognises a credit short by the TDS the client deducted', () => {
+            const [suggestion] = bankReconciliationService.suggestMatches(
+                { amount: 10800, description: 'IYER TRADERS', reference: '' },
+                [invoice()]
+            );
+
+            expect(suggestion.score).toBe(50);
+            expect(suggestion.reasons[0]).toMatch(/TDS deducted/);
+        });
+
+        it('matches on the balance left after part payment', () => {
+            const [suggestion] = bankReconciliationService.suggestMatches(
+                { amount: 1800, description: 'transfer', reference: '' },
+                [invoice({ paidAmount: 10000 })]
+            );
+
+            expect(suggestion.invoice.balance).toBe(1800);
+            expect(suggestion.score).toBe(50);
+        });
+    });
+});
@@ -0,0 +1,268 @@
+const moment = require('moment');
+const CronJob = require('../models/CronJob');
+const Project = require('../models/Project');
+const complianceRules = require('../config/complianceRules');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// The financial year starts in April (moment months are 0-based)
+const FY_START_MONTH = 3;
+
+// Client fields that make each group of rules applicable
+const IDENTIFIER_LABELS = {
+    gstin: 'GSTIN',
+    tan: 'TAN',
+    pan: 'PAN',
+    cin: 'CIN',
+};
+
+class ComplianceService {
+    getRules() {
+        return complianceRules;
+    }
+
+    getRule(code) {
+        return complianceRules.find((rule) => rule.code === code);
+    }
+
+    /**
+     * @throws {ErrorResponse} 400 for an unknown rule code
+     */
+    assertRule(code) {
+        const rule = this.getRule(code);
+        if (!rule) {
+            throw new ErrorResponse(
+                `Unknown compliance rule "${code}". Valid rules: ${complianceRules.map((candidate) => candidate.code).join(', ')}`,
+                400
+            );
+        }
+        return rule;
+    }
+
+    /**
+     * A rule applies to clients with the identifier it requires (GSTIN for GST returns, TAN for TDS, ...)
+     */
+    appliesTo(rule, client) {
+        return !!(client && client[rule.requires]);
+    }
+
+    assertApplies(rule, client) {
+        if (!this.appliesTo(rule, client)) {
+            throw new ErrorResponse(
+                `${client?.name || 'The client'} has no ${IDENTIFIER_LABELS[rule.requires]}, so ${rule.name} does not apply`,
+                400
+            );
+        }
+    }
+
+    fyStartYear(date) {
+        const day = moment(date);
+        return day.month() >= FY_START_MONTH ? day.year() : day.year() - 1;
+    }
+
+    fyLabel(startYear) {
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * The rule's period containing a date, with its key and label
+     * (e.g. "2024-04" / "April 2024", "2024-25-Q1" / "Q1 FY 2024-25 (Apr-Jun 2024)")
+     */
+    getPeriod(rule, date) {
+        const day = moment(date);
+        const fy = this.fyStartYear(day);
+
+        if (rule.frequency === 'monthly') {
+            const start = day.clone().startOf('month');
+            return {
+                index: start.month() + 1,
+                key: start.format('YYYY-MM'),
+                label: start.format('MMMM YYYY'),
+                start: start.toDate(),
+                end: start.clone().endOf('month').toDate(),
+            };
+        }
+
+        const fyStart = moment([fy, FY_START_MONTH, 1]);
+
+        if (rule.frequency === 'quarterly') {
+            const quarter = Math.floor(day.diff(fyStart, 'months') / 3) + 1;
+            const start = fyStart.clone().add((quarter - 1) * 3, 'months');
+            const end = start.clone().add(2, 'months').endOf('month');
+            return {
+                index: quarter,
+                key: `${this.fyLabel(fy)}-Q${quarter}`,
+                label: `Q${quarter} FY ${this.fyLabel(fy)} (${start.format('MMM')}-${end.format('MMM YYYY')})`,
+                start: start.toDate(),
+                end: end.toDate(),
+            };
+        }
+
+        return {
+            key: this.fyLabel(fy),
+            label: rule.labelAs === 'AY' ? `AY ${this.fyLabel(fy + 1)}` : `FY ${this.fyLabel(fy)}`,
+            start: fyStart.toDate(),
+            end: fyStart.clone().add(11, 'months').endOf('month').toDate(),
+        };
+    }
+
+    /**
+     * Statutory due date of a period, with the client's state where the date depends on it
+     */
+    getDueDate(rule, period, client) {
+        const { monthsAfter, day } = (rule.overrides && rule.overrides[period.index]) || rule.due;
+
+        let dueDay = day;
+        const state = client?.state?.trim().toLowerCase();
+        if (rule.stateDue && state && rule.stateDue.states.some((candidate) => candidate.toLowerCase() === state)) {
+            dueDay = rule.stateDue.day;
+        }
+
+        const month = moment(period.end).startOf('month').add(monthsAfter, 'months');
+        return month.date(Math.min(dueDay, month.daysInMonth())).startOf('day').toDate();
+    }
+
+    toOccurrence(rule, period, dueDate) {
+        return {
+            rule: rule.code,
+            name: rule.name,
+            category: rule.category,
+            periodKey: period.key,
+            periodLabel: period.label,
+            periodStart: period.start,
+            periodEnd: period.end,
+            dueDate,
+        };
+    }
+
+    /**
+     * Filings of a rule for a client due between two dates (inclusive), by due date
+     * @returns {Array<Object>} rule, name, category, periodKey, periodLabel, periodStart, periodEnd, dueDate
+     */
+    getOccurrences(rule, client, from, to) {
+        const first = moment(from).startOf('day');
+        const last = moment(to).endOf('day');
+        const inRange = (date) => !moment(date).isBefore(first) && !moment(date).isAfter(last);
+        const occurrences = [];
+
+        if (rule.frequency === 'instalments') {
+            for (let fy = this.fyStartYear(first); fy <= this.fyStartYear(last); fy += 1) {
+                const year = this.getPeriod(rule, moment([fy, FY_START_MONTH, 1]));
+                rule.instalments.forEach((instalment, index) => {
+                    const calendarYear = instalment.month - 1 >= FY_START_MONTH ? fy : fy + 1;
+                    const dueDate = moment([calendarYear, instalment.month - 1, instalment.day]).toDate();
+                    if (!inRange(dueDate)) return;
+                    occurrences.push(this.toOccurrence(
+                        rule,
+                        { ...year, key: `${year.key}-${index + 1}`, label: `${instalment.label}, FY ${year.key}` },
+                        dueDate
+                    ));
+                });
+            }
+            return occurrences;
+        }
+
+        // Due dates fall up to a year and three quarters after the period starts
+        let period = this.getPeriod(rule, first.clone().subtract(2, 'years'));
+        while (!moment(period.start).isAfter(last)) {
+            const dueDate = this.getDueDate(rule, period, client);
+            if (inRange(dueDate)) {
+                occurrences.push(this.toOccurrence(rule, period, dueDate));
+            }
+            period = this.getPeriod(rule, moment(period.end).add(1, 'day'));
+        }
+
+        return occurrences.sort((a, b) => a.dueDate - b.dueDate);
+    }
+
+    /**
+     * The first filing due on or after a date and after the last one already generated
+     * @param {Object} options - from: earliest due date; afterDueDate: due date of the last generated filing
+     */
+    getNextOccurrence(rule, client, { from, afterDueDate } = {}) {
+        let start = moment(from || new Date()).startOf('day');
+        if (afterDueDate && !moment(afterDueDate).isBefore(start)) {
+            start = moment(afterDueDate).add(1, 'day').startOf('day');
+        }
+        return this.getOccurrences(rule, client, start, start.clone().add(2, 'years'))[0] || null;
+    }
+
+    /**
+     * When the project for a filing should be created: lead days before it is due
+     */
+    getGenerationDate(occurrence, leadDays = 0) {
+        return moment(occurrence.dueDate).subtract(leadDays, 'days').startOf('day').toDate();
+    }
+
+    /**
+     * Filings due between two dates for clients with active compliance cron
+     * jobs, with the project created for each filing
+     * @param {Object} options - from, to (default this month and the next two), client, category, rule
+     * @returns {Promise<Array<Object>>} Occurrences with client, cronJob, project and status
+     *   (filed, overdue, in-progress or upcoming), by due date
+     */
+    async getCalendar({ from, to, client, category, rule } = {}) {
+        const start = from ? moment(from).startOf('day') : moment().startOf('month');
+        const end = to ? moment(to).endOf('day') : start.clone().add(2, 'months').endOf('month');
+
+        const filter = {
+            complianceRule: rule || { $nin: [null, ''] },
+            isActive: true,
+            deleted: { $ne: true },
+        };
+        if (client) filter.client = client;
+
+        const cronJobs = await CronJob.find(filter)
+            .select('name client complianceRule startDate')
+            .populate({ path: 'client', select: 'name state gstin tan pan cin' });
+
+        const entries = [];
+        cronJobs.forEach((cronJob) => {
+            const jobRule = this.getRule(cronJob.complianceRule);
+            if (!jobRule || !cronJob.client || (category && jobRule.category !== category)) return;
+
+            const first = moment.max(start, moment(cronJob.startDate).startOf('day'));
+            this.getOccurrences(jobRule, cronJob.client, first, end).forEach((occurrence) => {
+                entries.push({
+                    ...occurrence,
+                    client: { _id: cronJob.client._id, name: cronJob.client.name },
+                    cronJob: { _id: cronJob._id, name: cronJob.name },
+                });
+            });
+        });
+
+        const projects = entries.length
+            ? await Project.find({
+                client: { $in: [...new Set(entries.map((entry) => entry.client._id.toString()))] },
+                'compliance.periodKey': { $in: [...new Set(entries.map((entry) => entry.periodKey))] },
+                deleted: { $ne: true },
+            }).select('name status client compliance')
+            : [];
+        const projectKey = (clientId, ruleCode, periodKey) => `${clientId}:${ruleCode}:${periodKey}`;
+        const byFiling = new Map(
+            projects.map((project) => [
+                projectKey(project.client, project.compliance.rule, project.compliance.periodKey),
+                project,
+            ])
+        );
+
+        const today = moment().startOf('day');
+        return entries
+            .map((entry) => {
+                const project = byFiling.get(projectKey(entry.client._id, entry.rule, entry.periodKey));
+                let status = project ? 'in-progress' : 'upcoming';
+                if (project && project.status === 'completed') {
+                    status = 'filed';
+                } else if (moment(entry.dueDate).isBefore(today)) {
+                    status = 'overdue';
+                }
+                return {
+                    ...entry,
+                    project: project ? { _id: project._id, name: project.name, status: project.status } : null,
+                    status,
+                };
+            })
+            .sort((a, b) => a.dueDate - b.dueDate);
+    }
+}
+
+module.exports = new ComplianceService();
@@ -0,0 +1,91 @@
+const moment = require('moment');
+const complianceService = require('./complianceService');
+
+const rule = (code) => complianceService.getRule(code);
+const day = (date) => moment(date).format('YYYY-MM-DD');
+const dueDates = (code, client, from, to) =>
+    complianceService.getOccurrences(rule(code), client, from, to).map((occurrence) => `${occurrence.periodKey} ${day(occurrence.dueDate)}`);
+
+const client = { name: 'Iyer Traders', gstin: '33AAAAA0000A1Z5', tan: 'CHEI00000A', pan: 'AAAAA0000A', state: 'Tamil Nadu' };
+
+describe('complianceService', () => {
+    describe('assertRule and assertApplies', () => {
+        it('refuses unknown rules and rules the client has no identifier for', () => {
+            expect(() => complianceService.assertRule('GSTR-4')).toThrow('Unknown compliance rule "GSTR-4"');
+            expect(() => complianceService.assertApplies(rule('DPT-3'), client)).toThrow(
+                'Iyer Traders has no CIN, so DPT-3 (return of deposits) does not apply'
+            );
+            expect(() => complianceService.assertApplies(rule('GSTR-1'), client)).not.toThrow();
+        });
+    });
+
+    describe('getPeriod', () => {
+        it('labels months, financial year quarters and assessment years', () => {
+            const date = new Date(2025, 1, 10);
+
+            expect(complianceService.getPeriod(rule('GSTR-1'), date)).toMatchObject({ index: 2, key: '2025-02', label: 'February 2025' });
+            expect(complianceService.getPeriod(rule('TDS-26Q'), date)).toMatchObject({
+                index: 4,
+                key: '2024-25-Q4',
+                label: 'Q4 FY 2024-25 (Jan-Mar 2025)',
+            });
+            expect(complianceService.getPeriod(rule('ITR'), date)).toMatchObject({ key: '2024-25', label: 'AY 2025-26' });
+            expect(complianceService.getPeriod(rule('GSTR-9'), date).label).toBe('FY 2024-25');
+        });
+    });
+
+    describe('getOccurrences', () => {
+        it('applies month and quarter overrides to the usual due date', () => {
+            expect(dueDates('TDS-PAYMENT', client, new Date(2025, 2, 1), new Date(2025, 4, 31))).toEqual([
+                '2025-02 2025-03-07',
+                '2025-03 2025-04-30',
+                '2025-04 2025-05-07',
+            ]);
+            expect(dueDates('TDS-26Q', client, new Date(2025, 0, 1), new Date(2025, 6, 31))).toEqual([
+                '2024-25-Q3 2025-01-31',
+                '2024-25-Q4 2025-05-31',
+                '2025-26-Q1 2025-07-31',
+            ]);
+        });
+
+        it('moves the quarterly GSTR-3B to the 24th in the listed states', () => {
+            const from = new Date(2025, 6, 1);
+            const to = new Date(2025, 6, 31);
+
+            expect(dueDates('GSTR-3B-QRMP', client, from, to)).toEqual(['2025-26-Q1 2025-07-22']);
+            expect(dueDates('GSTR-3B-QRMP', { ...client, state: ' delhi ' }, from, to)).toEqual(['2025-26-Q1 2025-07-24']);
+        });
+
+        it('falls back to the last day of a shorter month', () => {
+            const monthEnd = { code: 'MONTH-END', frequency: 'monthly', due: { monthsAfter: 1, day: 31 } };
+            const occurrences = complianceService.getOccurrences(monthEnd, client, new Date(2025, 1, 1), new Date(2025, 4, 31));
+
+            expect(occurrences.map((occurrence) => day(occurrence.dueDate))).toEqual(['2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+        });
+
+        it('lists advance tax instalments on their fixed dates across financial years', () => {
+            expect(dueDates('ADVANCE-TAX', client, new Date(2025, 0, 1), new Date(2025, 8, 30))).toEqual([
+                '2024-25-4 2025-03-15',
+                '2025-26-1 2025-06-15',
+                '2025-26-2 2025-09-15',
+            ]);
+        });
+    });
+
+    describe('getNextOccurrence', () => {
+        it('starts after the filing last generated', () => {
+            const gstr1 = rule('GSTR-1');
+
+            expect(complianceService.getNextOccurrence(gstr1, client, { from: new Date(2025, 4, 1) }).periodKey).toBe('2025-04');
+            expect(
+                complianceService.getNextOccurrence(gstr1, client, { from: new Date(2025, 4, 1), afterDueDate: new Date(2025, 4, 11) }).periodKey
+            ).toBe('2025-05');
+        });
+    });
+
+    describe('getGenerationDate', () => {
+        it('is the lead days before the due date', () => {
+            expect(day(complianceService.getGenerationDate({ dueDate: new Date(2025, 4, 11) }, 15))).toBe('2025-04-26');
+        });
+    });
+});
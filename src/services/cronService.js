@@ -1,9 +1,39 @@
-const cron = require('node-cron');
+const moment = require('moment');
 const CronJob = require('../models/CronJob');
+const CronJobRun = require('../models/CronJobRun');
 const Project = require('../models/Project');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const invoiceService = require('./invoiceService');
+const mailService = require('./mailService');
+const exchangeRateService = require('./exchangeRateService');
+const complianceService = require('./complianceService');
+const recurrenceService = require('./recurrenceService');
+const projectTemplateService = require('./projectTemplateService');
+const jobLockService = require('./jobLockService');
+const { getSupplyType } = require('../utils/gst');
+const { ErrorResponse } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 const ActivityTracker = require('../utils/activityTracker');
 
+// How often due recurring invoice templates are checked
+const RECURRING_INVOICE_SCHEDULE = '*/15 * * * *';
+const RECURRING_INVOICE_JOB_ID = 'recurring-invoices';
+
+// A run still marked running after this long was interrupted and can be retried
+const STALE_RUN_MINUTES = 30;
+
+// Length of one billing period per recurring invoice frequency
+const BILLING_PERIODS = {
+    weekly: { amount: 1, unit: 'weeks' },
+    monthly: { amount: 1, unit: 'months' },
+    quarterly: { amount: 3, unit: 'months' },
+    yearly: { amount: 1, unit: 'years' },
+};
+
 class CronService {
     constructor() {
         this.jobs = new Map();
@@ -25,34 +55,28 @@ class CronService {
                 deleted: { $ne: true }
             }).populate('client');
 
-            // Process all missed runs for each cron job
+            // Process all missed runs for each cron job, on one instance at a time
             const now = new Date();
             for (const cronJob of activeCronJobs) {
-                let missed = false;
-                while (
-                    cronJob.isActive &&
-                    cronJob.nextRun &&
-                    new Date(cronJob.nextRun) <= now
-                ) {
-                    logger.info(`Processing missed run for cron job: ${cronJob.name} (${cronJob._id}) at ${cronJob.nextRun}`);
-                    await this.executeCronJob(cronJob);
-                    // Refetch the cronJob to get updated nextRun
-                    await cronJob.populate('client');
-                    await cronJob.reload && await cronJob.reload(); // for mongoose 7+, otherwise refetch
-                    // If reload is not available, refetch from DB
-                    if (!cronJob.reload) {
-                        const updated = await CronJob.findById(cronJob._id).populate('client');
-                        if (updated) {
-                            cronJob.nextRun = updated.nextRun;
-                        } else {
+                await jobLockService.runExclusive(this.getLockName(cronJob._id), async () => {
+                    let missed = false;
+                    while (
+                        cronJob.isActive &&
+                        cronJob.nextRun &&
+                        new Date(cronJob.nextRun) <= now
+                    ) {
+                        logger.info(`Processing missed run for cron job: ${cronJob.name} (${cronJob._id}) at ${cronJob.nextRun}`);
+                        const run = await this.executeCronJob(cronJob, { trigger: 'catch-up' });
+                        // Failed runs are retried by the scheduler
+                        if (!run || run.status === 'failed') {
                             break;
                         }
+                        missed = true;
                     }
-                    missed = true;
-                }
-                if (missed) {
-                    logger.info(`All missed runs processed for cron job: ${cronJob.name} (${cronJob._id})`);
-                }
+                    if (missed) {
+                        logger.info(`All missed runs processed for cron job: ${cronJob.name} (${cronJob._id})`);
+                    }
+                });
             }
 
             // Schedule each active cron job
@@ -60,6 +84,10 @@ class CronService {
                 this.scheduleJob(cronJob);
             }
 
+            // Issue recurring invoices missed while the server was down
+            await jobLockService.runExclusive(RECURRING_INVOICE_JOB_ID, () => this.processRecurringInvoices());
+            this.scheduleRecurringInvoices();
+
             this.isInitialized = true;
             logger.info(`Cron service initialized with ${activeCronJobs.length} active jobs`);
         } catch (error) {
@@ -75,6 +103,11 @@ class CronService {
             // Stop existing job if it exists
             this.stopJob(cronJob._id.toString());
 
+            if (!cronJob.nextRun) {
+                logger.info(`Cron job ${cronJob.name} (${cronJob._id}) has no further runs scheduled`);
+                return;
+            }
+
             // Create cron expression based on frequency
             const cronExpression = this.getCronExpression(cronJob);
             
@@ -83,9 +116,16 @@ class CronService {
                 return;
             }
 
-            // Schedule the job
-            const job = cron.schedule(cronExpression, async () => {
-                await this.executeCronJob(cronJob);
+            // Schedule the job. Every instance schedules it and one of them runs
+            // each execution, with the cron job as currently saved.
+            const cronJobId = cronJob._id.toString();
+            const job = jobLockService.schedule(this.getLockName(cronJobId), cronExpression, async () => {
+                const latest = await CronJob.findById(cronJobId);
+                if (!latest || latest.deleted) {
+                    this.stopJob(cronJobId);
+                    return;
+                }
+                await this.executeCronJob(latest);
             }, {
                 scheduled: false
             });
@@ -96,12 +136,20 @@ class CronService {
             // Start the job
             job.start();
 
-            logger.info(`Scheduled cron job: ${cronJob.name} (${cronJob._id}) with frequency: ${cronJob.frequency}`);
+            const schedule = cronJob.complianceRule ? `compliance rule: ${cronJob.complianceRule}` : `frequency: ${cronJob.frequency}`;
+            logger.info(`Scheduled cron job: ${cronJob.name} (${cronJob._id}) with ${schedule}`);
         } catch (error) {
             logger.error(`Error scheduling cron job ${cronJob._id}:`, error);
         }
     }
 
+    /**
+     * Name of the lease that lets one instance at a time run a cron job
+     */
+    getLockName(cronJobId) {
+        return `cron-job:${cronJobId}`;
+    }
+
     /**
      * Stop a cron job
      */
@@ -119,112 +167,611 @@ class CronService {
      */
     getCronExpression(cronJob) {
         const startDate = new Date(cronJob.startDate);
-        const day = startDate.getDate();
-        const month = startDate.getMonth() + 1; // Cron months are 1-based
         const hour = startDate.getHours();
         const minute = startDate.getMinutes();
 
-        switch (cronJob.frequency) {
-            case 'weekly':
-                // Run weekly on the same day of the week
-                const dayOfWeek = startDate.getDay();
-                return `${minute} ${hour} * * ${dayOfWeek}`;
-            
-            case 'monthly':
-                // Run monthly on the same day of the month
-                return `${minute} ${hour} ${day} * *`;
-            
-            case 'yearly':
-                // Run yearly on the same day and month
-                return `${minute} ${hour} ${day} ${month} *`;
-            
-            default:
-                return null;
+        // Compliance jobs check daily whether the next filing is within its lead time
+        if (cronJob.complianceRule) {
+            return `${minute} ${hour} * * *`;
+        }
+
+        if (!recurrenceService.frequencies.includes(cronJob.frequency)) {
+            return null;
         }
+
+        return recurrenceService.getSchedulerExpression(cronJob);
     }
 
     /**
-     * Execute a cron job and create project
+     * Execute a cron job's pending occurrence if it is due
+     * @param {Object} cronJob - Cron job document
+     * @param {Object} [options] - trigger: schedule or catch-up
+     * @returns {Promise<Object|null>} The run, or null if nothing was due
      */
-    async executeCronJob(cronJob) {
+    async executeCronJob(cronJob, { trigger = 'schedule' } = {}) {
         try {
             // Prevent project creation for inactive cron jobs (section-only)
             if (!cronJob.isActive) {
                 logger.info(`Skipping project creation for inactive cron job: ${cronJob.name} (${cronJob._id})`);
-                return;
+                return null;
             }
             logger.info(`Executing cron job: ${cronJob.name} (${cronJob._id})`);
 
+            // Schedules past their end date or occurrence limit have no next run
+            if (!cronJob.nextRun) {
+                logger.info(`Cron job ${cronJob._id} has no further runs scheduled`);
+                return null;
+            }
+
             // Check if it's time to run (based on nextRun date)
             const now = new Date();
             const nextRun = new Date(cronJob.nextRun);
             
             if (now < nextRun) {
                 logger.info(`Cron job ${cronJob._id} not due yet. Next run: ${nextRun}`);
-                return;
+                return null;
             }
 
-            // Create project
-            const projectData = {
+            return await this.runPendingPeriod(cronJob, { trigger });
+        } catch (error) {
+            logger.error(`Error executing cron job ${cronJob._id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Run a cron job's pending occurrence now, whether or not it is due
+     * @param {Object} cronJob - Cron job document
+     * @param {Object} options - user running it; periodKey of the occurrence the user means to run
+     * @returns {Promise<Object>} The run (an earlier run when the occurrence was already run)
+     */
+    async runNow(cronJob, { user, periodKey } = {}) {
+        if (!cronJob.isActive) {
+            throw new ErrorResponse('Cron job is inactive', 400);
+        }
+
+        const done = await this.findFinishedRun(cronJob, periodKey);
+        if (done) return done;
+
+        return this.runPendingPeriod(cronJob, { trigger: 'manual', user, periodKey });
+    }
+
+    /**
+     * Skip a cron job's pending occurrence: record it as skipped without
+     * creating a project and move on to the following one. Skipped
+     * occurrences count towards the occurrence limit.
+     * @param {Object} cronJob - Cron job document
+     * @param {Object} options - user skipping it; periodKey of the occurrence the user means to skip
+     * @returns {Promise<Object>} The skipped run (or the earlier run when the occurrence was already run or skipped)
+     */
+    async skipNextRun(cronJob, { user, periodKey } = {}) {
+        const done = await this.findFinishedRun(cronJob, periodKey);
+        if (done) return done;
+
+        const period = await this.getPendingPeriod(cronJob, periodKey);
+        const { run, claimed } = await this.claimRun(cronJob, period, { trigger: 'skip', status: 'skipped', user });
+        if (claimed || run.status !== 'running') {
+            await this.advanceSchedule(cronJob, period, { ran: false });
+        }
+
+        logger.info(`Occurrence ${period.label} of cron job ${cronJob.name} (${cronJob._id}) skipped${user ? ` by ${user.name} (${user._id})` : ''}`);
+        return run;
+    }
+
+    /**
+     * A finished (successful or skipped) run of an occurrence, so that
+     * repeating a manual run or skip of that occurrence does nothing
+     */
+    async findFinishedRun(cronJob, periodKey) {
+        if (!periodKey) return null;
+        return CronJobRun.findOne({
+            cronJob: cronJob._id,
+            periodKey,
+            status: { $in: ['success', 'skipped'] },
+        });
+    }
+
+    /**
+     * The occurrence a cron job runs next: its scheduled time or, for
+     * compliance jobs, the filing period
+     * @param {Object} cronJob - Cron job document
+     * @param {String} [expectedKey] - Occurrence the caller expects to be pending
+     * @returns {Promise<Object>} key, label and scheduledFor, plus client and occurrence for compliance jobs
+     * @throws {ErrorResponse} 400 when nothing is scheduled, 404 when a compliance job's client is gone,
+     *   409 when another occurrence is pending
+     */
+    async getPendingPeriod(cronJob, expectedKey) {
+        if (!cronJob.nextRun) {
+            throw new ErrorResponse('Cron job has no further runs scheduled', 400);
+        }
+
+        const scheduledFor = new Date(cronJob.nextRun);
+        let period = {
+            key: moment(scheduledFor).format('YYYY-MM-DD HH:mm'),
+            label: moment(scheduledFor).format('DD MMM YYYY HH:mm'),
+            scheduledFor,
+        };
+
+        if (cronJob.complianceRule) {
+            const rule = complianceService.assertRule(cronJob.complianceRule);
+            const client = await Client.findById(cronJob.client._id || cronJob.client);
+            if (!client) {
+                throw new ErrorResponse(`Client ${cronJob.client._id || cronJob.client} of the cron job was not found`, 404);
+            }
+
+            const occurrence = complianceService.getNextOccurrence(rule, client, {
+                from: cronJob.startDate,
+                afterDueDate: cronJob.lastDueDate,
+            });
+            period = { key: occurrence.periodKey, label: occurrence.periodLabel, scheduledFor, rule, client, occurrence };
+        }
+
+        if (expectedKey && expectedKey !== period.key) {
+            throw new ErrorResponse(`Occurrence ${expectedKey} is not the next one of this cron job; the next is ${period.key}`, 409);
+        }
+        return period;
+    }
+
+    /**
+     * Record the start of a run of an occurrence. There is one run per
+     * occurrence: a failed run, or one left running by a process that
+     * stopped, is taken over to retry it.
+     * @returns {Promise<{run: Object, claimed: Boolean}>} claimed is false when
+     *   the occurrence was already run or skipped, or is running elsewhere
+     */
+    async claimRun(cronJob, period, { trigger, status = 'running', user }) {
+        const fields = {
+            periodLabel: period.label,
+            scheduledFor: period.scheduledFor,
+            trigger,
+            status,
+            startedAt: new Date(),
+        };
+        if (status !== 'running') fields.finishedAt = new Date();
+        if (user) fields.triggeredBy = user._id;
+
+        try {
+            const run = await CronJobRun.create({ cronJob: cronJob._id, periodKey: period.key, ...fields });
+            return { run, claimed: true };
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+
+        const retried = await CronJobRun.findOneAndUpdate(
+            {
+                cronJob: cronJob._id,
+                periodKey: period.key,
+                $or: [
+                    { status: 'failed' },
+                    { status: 'running', startedAt: { $lt: moment().subtract(STALE_RUN_MINUTES, 'minutes').toDate() } },
+                ],
+            },
+            { $set: fields, $unset: { error: 1 }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (retried) return { run: retried, claimed: true };
+
+        return {
+            run: await CronJobRun.findOne({ cronJob: cronJob._id, periodKey: period.key }),
+            claimed: false,
+        };
+    }
+
+    /**
+     * Run the pending occurrence: create its project and move the cron job
+     * on to the following occurrence. Occurrences that were already run are
+     * not run again.
+     * @returns {Promise<Object>} The run; a failed run is retried on the next attempt
+     */
+    async runPendingPeriod(cronJob, { trigger, user, periodKey }) {
+        const period = await this.getPendingPeriod(cronJob, periodKey);
+        const { run, claimed } = await this.claimRun(cronJob, period, { trigger, user });
+
+        if (!claimed) {
+            // Finished earlier but the cron job was not moved on (e.g. the process stopped in between)
+            if (run.status !== 'running') {
+                await this.advanceSchedule(cronJob, period, { ran: run.status === 'success' });
+            }
+            logger.info(`Occurrence ${period.label} of cron job ${cronJob.name} (${cronJob._id}) is already ${run.status}`);
+            return run;
+        }
+
+        try {
+            const project = await this.createProject(cronJob, period);
+            run.project = project._id;
+            run.status = 'success';
+        } catch (error) {
+            logger.error(`Error running occurrence ${period.label} of cron job ${cronJob._id}:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        }
+        run.finishedAt = new Date();
+        await run.save();
+
+        if (run.status === 'success') {
+            await this.advanceSchedule(cronJob, period, { ran: true });
+        }
+        return run;
+    }
+
+    /**
+     * Create the project of an occurrence. Recurring projects run until the
+     * following run date; compliance projects are due on the statutory due
+     * date. An occurrence or filing that already has a project (e.g. from a
+     * run that stopped before it was recorded) is not created again.
+     */
+    async createProject(cronJob, period) {
+        const clientId = cronJob.client._id || cronJob.client;
+        let project;
+
+        if (period.occurrence) {
+            const { rule, occurrence } = period;
+            project = await Project.findOne({
+                client: clientId,
+                'compliance.rule': rule.code,
+                'compliance.periodKey': occurrence.periodKey,
+                deleted: { $ne: true },
+            });
+            if (project) {
+                logger.info(`Project for ${rule.code} ${occurrence.periodLabel} already exists for cron job ${cronJob._id}: ${project.name} (${project._id})`);
+                return project;
+            }
+
+            project = await Project.create({
+                name: `${cronJob.name} - ${occurrence.periodLabel}`,
+                description: cronJob.description || `${rule.name} for ${occurrence.periodLabel}`,
+                client: clientId,
+                status: 'planning',
+                startDate: period.scheduledFor,
+                dueDate: occurrence.dueDate,
+                cronJob: cronJob._id,
+                cronPeriodKey: period.key,
+                compliance: {
+                    rule: rule.code,
+                    periodKey: occurrence.periodKey,
+                    periodLabel: occurrence.periodLabel,
+                    dueDate: occurrence.dueDate,
+                },
+                createdBy: cronJob.createdBy,
+            });
+        } else {
+            project = await Project.findOne({
+                cronJob: cronJob._id,
+                cronPeriodKey: period.key,
+                deleted: { $ne: true },
+            });
+            if (project) {
+                logger.info(`Project for ${period.label} already exists for cron job ${cronJob._id}: ${project.name} (${project._id})`);
+                return project;
+            }
+
+            project = await Project.create({
                 name: cronJob.name,
                 description: cronJob.description || `Auto-generated project from cron job: ${cronJob.name}`,
-                client: cronJob.client._id,
+                client: clientId,
                 status: 'planning',
-                startDate: nextRun,
+                startDate: period.scheduledFor,
+                // Each project runs until the following run date
+                dueDate: recurrenceService.getNextRun(cronJob, period.scheduledFor, { ignoreLimits: true }),
+                cronJob: cronJob._id,
+                cronPeriodKey: period.key,
                 createdBy: cronJob.createdBy,
+            });
+        }
+
+        await this.applyTemplate(cronJob, project);
+
+        // Track activity
+        try {
+            await ActivityTracker.trackCronJobExecuted(cronJob, project, cronJob.createdBy);
+            logger.info(`Activity tracked for cron job execution ${cronJob._id}`);
+        } catch (activityError) {
+            logger.error(`Failed to track activity for cron job execution ${cronJob._id}: ${activityError.message}`);
+        }
+
+        logger.info(`Project created from cron job: ${project.name} (${project._id}) for ${period.label} by cron job ${cronJob.name} (${cronJob._id})`);
+        return project;
+    }
+
+    /**
+     * Move a cron job on from an occurrence. The next run follows the
+     * scheduled run rather than the time it ran, so late or missed runs do
+     * not shift the schedule. Only moves on if the job is still at the
+     * occurrence, so concurrent runs cannot skip the following one.
+     * @param {Object} options - ran: false for a skipped occurrence (lastRun is left alone)
+     */
+    async advanceSchedule(cronJob, period, { ran }) {
+        const update = {};
+        if (ran) update.lastRun = new Date();
+
+        if (period.occurrence) {
+            update.lastPeriodKey = period.key;
+            update.lastDueDate = period.occurrence.dueDate;
+            update.nextRun = this.getComplianceNextRun(
+                { complianceRule: cronJob.complianceRule, startDate: cronJob.startDate, leadDays: cronJob.leadDays, lastDueDate: update.lastDueDate },
+                period.client
+            ) || null;
+        } else {
+            update.occurrences = (cronJob.occurrences || 0) + 1;
+            update.nextRun = recurrenceService.getNextRun({ ...recurrenceService.toSchedule(cronJob), occurrences: update.occurrences }, period.scheduledFor);
+        }
+
+        const updated = await CronJob.findOneAndUpdate(
+            { _id: cronJob._id, nextRun: period.scheduledFor },
+            { $set: update },
+            { new: true }
+        );
+        const latest = updated || (await CronJob.findById(cronJob._id));
+        if (latest) {
+            ['lastRun', 'nextRun', 'occurrences', 'lastPeriodKey', 'lastDueDate'].forEach((field) => {
+                cronJob[field] = latest[field];
+            });
+        }
+
+        if (!cronJob.nextRun) {
+            this.stopJob(cronJob._id.toString());
+            logger.info(`Cron job ${cronJob.name} (${cronJob._id}) has reached the end of its schedule`);
+        }
+    }
+
+    /**
+     * Create the tasks of a cron job's project template on a project it
+     * generated. A missing or inactive template leaves the project without
+     * tasks rather than failing the run.
+     */
+    async applyTemplate(cronJob, project) {
+        if (!cronJob.template) return;
+
+        try {
+            const template = await projectTemplateService.getActive(cronJob.template);
+            const creator = (await User.findById(cronJob.createdBy).select('name email')) || { _id: cronJob.createdBy };
+            await projectTemplateService.instantiate(template, project, creator);
+        } catch (error) {
+            logger.error(`Failed to create template tasks for project ${project._id} from cron job ${cronJob._id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * When a compliance cron job next creates a project: its lead days before
+     * the first filing due after the last one created, and not before the
+     * job's start date
+     * @param {Object} cronJob - Cron job with complianceRule, startDate, leadDays and lastDueDate
+     * @param {Object} client - Client document (its state can change the due date)
+     */
+    getComplianceNextRun(cronJob, client) {
+        const occurrence = complianceService.getNextOccurrence(
+            complianceService.assertRule(cronJob.complianceRule),
+            client,
+            { from: cronJob.startDate, afterDueDate: cronJob.lastDueDate }
+        );
+        return occurrence ? complianceService.getGenerationDate(occurrence, cronJob.leadDays || 0) : undefined;
+    }
+
+    /**
+     * Schedule the periodic check for due recurring invoices
+     */
+    scheduleRecurringInvoices() {
+        this.stopJob(RECURRING_INVOICE_JOB_ID);
+
+        const job = jobLockService.schedule(RECURRING_INVOICE_JOB_ID, RECURRING_INVOICE_SCHEDULE, async () => {
+            await this.processRecurringInvoices();
+        }, {
+            scheduled: false
+        });
+
+        this.jobs.set(RECURRING_INVOICE_JOB_ID, job);
+        job.start();
+
+        logger.info(`Scheduled recurring invoice check: ${RECURRING_INVOICE_SCHEDULE}`);
+    }
+
+    /**
+     * Issue date of the nth invoice of a recurring template (0 = first).
+     * Dates are always derived from the start date so month-end templates
+     * do not drift (31 Jan, 28 Feb, 31 Mar, ...).
+     */
+    getRecurringRunDate(template, occurrence) {
+        const period = BILLING_PERIODS[template.frequency];
+        return moment(template.startDate)
+            .add(period.amount * occurrence, period.unit)
+            .toDate();
+    }
+
+    /**
+     * Human readable billing period, e.g. "April 2024" for monthly templates
+     */
+    getBillingPeriodLabel(frequency, periodStart) {
+        const start = moment(periodStart);
+        switch (frequency) {
+            case 'weekly':
+                return `Week of ${start.format('DD MMM YYYY')}`;
+            case 'quarterly':
+                return `${start.format('MMM YYYY')} - ${start.clone().add(2, 'months').format('MMM YYYY')}`;
+            case 'yearly':
+                return `${start.format('DD MMM YYYY')} - ${start.clone().add(1, 'years').subtract(1, 'days').format('DD MMM YYYY')}`;
+            default:
+                return start.format('MMMM YYYY');
+        }
+    }
+
+    /**
+     * Recalculate the next run of a recurring template after its schedule
+     * was edited. Periods already invoiced are never issued again, nor are
+     * periods starting before `notBefore` (used when resuming a paused
+     * template). Does not save the template.
+     */
+    resetRecurringSchedule(template, notBefore) {
+        const lastPeriod = template.lastPeriodStart ? new Date(template.lastPeriodStart) : null;
+        const skip = (date) =>
+            (lastPeriod && date <= lastPeriod) || (notBefore && date < new Date(notBefore));
+
+        let occurrence = 0;
+        while (skip(this.getRecurringRunDate(template, occurrence))) {
+            occurrence += 1;
+        }
+
+        const nextRun = this.getRecurringRunDate(template, occurrence);
+        template.occurrences = occurrence;
+        template.nextRun = template.endDate && nextRun > new Date(template.endDate) ? undefined : nextRun;
+        return template;
+    }
+
+    /**
+     * Issue all recurring invoices that are due
+     * @returns {Promise<Number>} Number of invoices generated
+     */
+    async processRecurringInvoices() {
+        if (this.recurringInvoicesRunning) return 0;
+        this.recurringInvoicesRunning = true;
+
+        let generated = 0;
+        try {
+            const templates = await RecurringInvoice.find({
+                isActive: true,
+                deleted: { $ne: true },
+                nextRun: { $lte: new Date() }
+            });
+
+            for (const template of templates) {
+                generated += await this.catchUpRecurringInvoice(template);
+            }
+
+            if (generated > 0) {
+                logger.info(`Generated ${generated} recurring invoice(s)`);
+            }
+        } catch (error) {
+            logger.error('Error processing recurring invoices:', error);
+        } finally {
+            this.recurringInvoicesRunning = false;
+        }
+        return generated;
+    }
+
+    /**
+     * Issue every invoice of a template that is due, one per missed period
+     * @returns {Promise<Number>} Number of invoices generated
+     */
+    async catchUpRecurringInvoice(template) {
+        const now = new Date();
+        let generated = 0;
+
+        while (
+            template.isActive &&
+            !template.deleted &&
+            template.nextRun &&
+            new Date(template.nextRun) <= now
+        ) {
+            if (generated > 0) {
+                logger.info(`Processing missed run for recurring invoice: ${template.name} (${template._id}) at ${template.nextRun}`);
+            }
+            const invoice = await this.executeRecurringInvoice(template);
+            if (!invoice) break;
+            generated += 1;
+        }
+
+        return generated;
+    }
+
+    /**
+     * Generate the invoice for the template's next billing period and
+     * advance the template to the following period
+     * @returns {Promise<Object|null>} The invoice, or null if it could not be generated
+     */
+    async executeRecurringInvoice(template) {
+        const periodStart = new Date(template.nextRun);
+
+        try {
+            const client = await Client.findById(template.client);
+            if (!client) {
+                throw new Error(`Client ${template.client} not found`);
+            }
+
+            const settings = await Settings.findOne();
+            const label = this.getBillingPeriodLabel(template.frequency, periodStart);
+            const fillPeriod = (text) =>
+                (text || '')
+                    .replace(/\{PERIOD\}/g, label)
+                    .replace(/\{MONTH\}/g, moment(periodStart).format('MMMM'))
+                    .replace(/\{YEAR\}/g, moment(periodStart).format('YYYY'));
+
+            const isSent = template.invoiceStatus === 'sent';
+            const invoiceData = {
+                client: client._id,
+                recurringInvoice: template._id,
+                billingPeriodStart: periodStart,
+                issueDate: periodStart,
+                dueDate: moment(periodStart).add(template.dueInDays || 0, 'days').toDate(),
+                items: template.items.map((item) => ({
+                    description: fillPeriod(item.description),
+                    quantity: item.quantity,
+                    rate: item.rate,
+                    hsnSac: item.hsnSac,
+                    taxRate: item.taxRate,
+                })),
+                taxRate: template.taxRate,
+                discount: template.discount,
+                notes: fillPeriod(template.notes),
+                terms: template.terms,
+                supplyType: getSupplyType(settings?.company, client),
+                placeOfSupply: client.state || settings?.company?.address?.state || '',
+                ...(await exchangeRateService.resolveInvoiceCurrency({ client, settings, date: periodStart })),
+                status: isSent ? 'sent' : 'draft',
+                sentDate: isSent ? new Date() : undefined,
+                createdBy: template.createdBy,
             };
 
-            // Calculate due date based on frequency
-            const startDate = new Date(nextRun);
-            let dueDate = new Date(startDate);
-            
-            switch (cronJob.frequency) {
-                case 'weekly':
-                    dueDate.setDate(dueDate.getDate() + 7);
-                    break;
-                case 'monthly':
-                    dueDate.setMonth(dueDate.getMonth() + 1);
-                    break;
-                case 'yearly':
-                    dueDate.setFullYear(dueDate.getFullYear() + 1);
-                    break;
+            let invoice;
+            let created = false;
+            try {
+                invoice = await invoiceService.create(invoiceData);
+                created = true;
+            } catch (error) {
+                // Already generated by an earlier (interrupted) run or another process
+                if (error.code !== 11000 || !error.keyPattern?.recurringInvoice) throw error;
+                invoice = await Invoice.findOne({
+                    recurringInvoice: template._id,
+                    billingPeriodStart: periodStart
+                });
+                logger.info(`Invoice for ${label} already exists for recurring invoice ${template._id}: ${invoice?.invoiceNumber}`);
             }
-            
-            projectData.dueDate = dueDate;
 
-            const project = await Project.create(projectData);
+            // Advance to the next billing period
+            template.occurrences = (template.occurrences || 0) + 1;
+            template.lastRun = new Date();
+            template.lastPeriodStart = periodStart;
+            template.lastInvoice = invoice?._id;
+            template.lastError = undefined;
+            const nextRun = this.getRecurringRunDate(template, template.occurrences);
+            template.nextRun = template.endDate && nextRun > new Date(template.endDate) ? undefined : nextRun;
+            await template.save();
 
-            // Update cron job
-            cronJob.lastRun = now;
-            
-            // Calculate next run date
-            let newNextRun = new Date(now);
-            switch (cronJob.frequency) {
-                case 'weekly':
-                    newNextRun.setDate(newNextRun.getDate() + 7);
-                    break;
-                case 'monthly':
-                    newNextRun.setMonth(newNextRun.getMonth() + 1);
-                    break;
-                case 'yearly':
-                    newNextRun.setFullYear(newNextRun.getFullYear() + 1);
-                    break;
+            if (!created) return invoice;
+
+            if (isSent) {
+                try {
+                    await mailService.queueInvoiceEmail(invoice, client);
+                } catch (mailError) {
+                    logger.error(`Failed to queue email for invoice ${invoice._id}: ${mailError.message}`);
+                }
             }
-            
-            cronJob.nextRun = newNextRun;
-            await cronJob.save();
 
-            // Track activity
             try {
-                await ActivityTracker.trackCronJobExecuted(cronJob, project, cronJob.createdBy);
-                logger.info(`Activity tracked for cron job execution ${cronJob._id}`);
+                await ActivityTracker.trackRecurringInvoiceGenerated(template, invoice, template.createdBy);
             } catch (activityError) {
-                logger.error(`Failed to track activity for cron job execution ${cronJob._id}: ${activityError.message}`);
+                logger.error(`Failed to track activity for recurring invoice ${template._id}: ${activityError.message}`);
             }
 
-            logger.info(`Project created from cron job: ${project.name} (${project._id}) by cron job ${cronJob.name} (${cronJob._id})`);
+            logger.info(`Invoice ${invoice.invoiceNumber} (${invoice._id}) generated for ${label} by recurring invoice ${template.name} (${template._id})`);
+            return invoice;
         } catch (error) {
-            logger.error(`Error executing cron job ${cronJob._id}:`, error);
+            logger.error(`Error executing recurring invoice ${template._id}:`, error);
+            try {
+                template.lastError = error.message;
+                await template.save();
+            } catch (saveError) {
+                logger.error(`Failed to record error on recurring invoice ${template._id}: ${saveError.message}`);
+            }
+            return null;
         }
     }
 
@@ -0,0 +1,178 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const taskWorkflowService = require('./taskWorkflowService');
+const websocketService = require('../utils/websocket');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// A blocked task can stay in this state or be cancelled, but not be worked on
+const WAITING_STATUS = 'pending';
+
+const toIds = (values = []) => [...new Set(values.filter(Boolean).map((value) => (value._id || value).toString()))];
+
+class DependencyService {
+    /**
+     * Check the predecessors of a task: they must exist in the same project
+     * and must not (directly or indirectly) depend on the task itself
+     * @param {Object} task - Task gaining the dependencies (only _id is needed; none for a new task)
+     * @param {Array<String>} predecessorIds
+     * @param {String} projectId - Project of the task
+     * @returns {Promise<Array<String>>} Unique predecessor IDs
+     */
+    async validateDependencies(task, predecessorIds, projectId) {
+        const ids = toIds(predecessorIds);
+        if (!ids.length) return ids;
+
+        const taskId = task?._id?.toString();
+        if (taskId && ids.includes(taskId)) {
+            throw new ErrorResponse('A task cannot depend on itself', 400);
+        }
+
+        const predecessors = await Task.find({ _id: { $in: ids }, deleted: { $ne: true } }).select('title project');
+        if (predecessors.length !== ids.length) {
+            const found = predecessors.map((predecessor) => predecessor._id.toString());
+            throw new ErrorResponse(`Predecessor task(s) not found: ${ids.filter((id) => !found.includes(id)).join(', ')}`, 404);
+        }
+
+        const otherProject = predecessors.find((predecessor) => projectId && predecessor.project.toString() !== projectId.toString());
+        if (otherProject) {
+            throw new ErrorResponse(`Predecessor "${otherProject.title}" belongs to another project`, 400);
+        }
+
+        // Follow the predecessors' own dependencies; reaching the task would create a cycle
+        if (taskId) {
+            const visited = new Set();
+            let frontier = ids;
+            while (frontier.length) {
+                frontier.forEach((id) => visited.add(id));
+                const tasks = await Task.find({ _id: { $in: frontier } }).select('dependsOn').lean();
+                const next = toIds(tasks.flatMap((t) => t.dependsOn || []));
+                if (next.includes(taskId)) {
+                    throw new ErrorResponse('These dependencies would create a cycle', 400);
+                }
+                frontier = next.filter((id) => !visited.has(id));
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Predecessors of a task that are not finished yet
+     */
+    async getBlockers(task, workflow) {
+        const ids = toIds(task.dependsOn);
+        if (!ids.length) return [];
+
+        const flow = workflow || await taskWorkflowService.getWorkflow();
+        const predecessors = await Task.find({ _id: { $in: ids }, deleted: { $ne: true } }).select('title status').lean();
+        return predecessors.filter((predecessor) => !taskWorkflowService.isClosed(flow, predecessor.status));
+    }
+
+    /**
+     * A blocked task cannot move past pending until its predecessors finish
+     */
+    async assertCanSetStatus(task, status) {
+        if (status === WAITING_STATUS || status === task.status) return;
+
+        const workflow = await taskWorkflowService.getWorkflow();
+        if (taskWorkflowService.getState(workflow, status)?.category === 'cancelled') return;
+
+        const blockers = await this.getBlockers(task, workflow);
+        if (blockers.length) {
+            throw new ErrorResponse(
+                `Task is blocked by ${blockers.map((blocker) => `"${blocker.title}" (${blocker.status})`).join(', ')}`,
+                400
+            );
+        }
+    }
+
+    /**
+     * Add blocked and blockedBy to tasks for listing
+     * @param {Array<Object>} tasks - Task documents or plain objects
+     * @returns {Promise<Array<Object>>} Plain task objects
+     */
+    async annotateBlocked(tasks) {
+        const ids = toIds(tasks.flatMap((task) => task.dependsOn || []));
+        const workflow = ids.length ? await taskWorkflowService.getWorkflow() : null;
+        const predecessors = ids.length
+            ? await Task.find({ _id: { $in: ids }, deleted: { $ne: true } }).select('title status').lean()
+            : [];
+        const open = new Map(
+            predecessors
+                .filter((predecessor) => !taskWorkflowService.isClosed(workflow, predecessor.status))
+                .map((predecessor) => [predecessor._id.toString(), predecessor])
+        );
+
+        return tasks.map((task) => {
+            const data = typeof task.toObject === 'function' ? task.toObject() : task;
+            const blockedBy = toIds(task.dependsOn).filter((id) => open.has(id)).map((id) => open.get(id));
+            return { ...data, blocked: blockedBy.length > 0, blockedBy };
+        });
+    }
+
+    /**
+     * Tell the assignees of a finished task's successors that it is done,
+     * and whether they can now start
+     * @param {Object} task - Task that was just finished
+     * @param {Object} user - User who finished it
+     */
+    async notifySuccessors(task, user) {
+        const successors = await Task.find({
+            dependsOn: task._id,
+            deleted: { $ne: true },
+            assignedTo: { $exists: true, $ne: null },
+        }).select('title status assignedTo dependsOn priority project');
+        const workflow = await taskWorkflowService.getWorkflow();
+
+        for (const successor of successors) {
+            if (taskWorkflowService.isClosed(workflow, successor.status)) continue;
+
+            try {
+                const blockers = await this.getBlockers(successor, workflow);
+                const notification = await Notification.create({
+                    user: successor.assignedTo,
+                    sender: user.id,
+                    title: blockers.length ? `Predecessor Completed: ${task.title}` : `Task Ready to Start: ${successor.title}`,
+                    message: blockers.length
+                        ? `"${task.title}" is complete; "${successor.title}" is still waiting on ${blockers.length} task(s)`
+                        : `"${task.title}" is complete, so you can start "${successor.title}"`,
+                    type: 'TASK_UNBLOCKED',
+                });
+
+                websocketService.sendToUser(successor.assignedTo.toString(), {
+                    type: 'notification',
+                    data: {
+                        _id: notification._id,
+                        title: notification.title,
+                        message: notification.message,
+                        type: notification.type,
+                        read: notification.read,
+                        createdAt: notification.createdAt,
+                        sender: {
+                            _id: user._id,
+                            name: user.name,
+                            email: user.email,
+                        },
+                        taskId: successor._id,
+                        priority: successor.priority,
+                        status: successor.status,
+                        projectId: successor.project,
+                        blocked: blockers.length > 0,
+                    },
+                });
+            } catch (error) {
+                logger.error(`Failed to notify assignee of task ${successor._id} about predecessor ${task._id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Remove a deleted task from the dependencies of others
+     */
+    async removeTask(taskId) {
+        await Task.updateMany({ dependsOn: taskId }, { $pull: { dependsOn: taskId } });
+    }
+}
+
+module.exports = new DependencyService();
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Settings = require('../models/Settings');
+const dependencyService = require('./dependencyService');
+
+const projectId = new mongoose.Types.ObjectId();
+
+// In-memory tasks behind Task.find; the query supports the select/lean chain the service uses
+const useTasks = (...tasks) => {
+    jest.spyOn(Task, 'find').mockImplementation((filter) => {
+        const ids = filter._id.$in.map((id) => id.toString());
+        const found = tasks.filter((task) => ids.includes(task._id.toString()) && !task.deleted);
+        const query = {
+            select: () => query,
+            lean: () => query,
+            then: (resolve, reject) => Promise.resolve(found).then(resolve, reject),
+        };
+        return query;
+    });
+};
+
+const task = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Task',
+    project: projectId,
+    status: 'pending',
+    dependsOn: [],
+    ...fields,
+});
+
+describe('dependencyService', () => {
+    beforeEach(() => {
+        jest.spyOn(Settings, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('validateDependencies', () => {
+        it('returns the unique predecessor IDs', async () => {
+            const predecessor = task();
+            useTasks(predecessor);
+
+            const ids = await dependencyService.validateDependencies(task(), [predecessor._id, predecessor._id.toString()], projectId);
+
+            expect(ids).toEqual([predecessor._id.toString()]);
+        });
+
+        it('refuses a task depending on itself', async () => {
+            const self = task();
+            useTasks(self);
+
+            await expect(dependencyService.validateDependencies(self, [self._id], projectId)).rejects.toThrow('cannot depend on itself');
+        });
+
+        it('refuses missing predecessors and predecessors from another project', async () => {
+            const deleted = task({ deleted: true });
+            const elsewhere = task({ title: 'Elsewhere', project: new mongoose.Types.ObjectId() });
+            useTasks(deleted, elsewhere);
+
+            await expect(dependencyService.validateDependencies(task(), [deleted._id], projectId)).rejects.toMatchObject({
+                statusCode: 404,
+            });
+            await expect(dependencyService.validateDependencies(task(), [elsewhere._id], projectId)).rejects.toThrow(
+                'Predecessor "Elsewhere" belongs to another project'
+            );
+        });
+
+        it('refuses dependencies that would close a cycle through other tasks', async () => {
+            const first = task();
+            const second = task({ dependsOn: [first._id] });
+            const third = task({ dependsOn: [second._id] });
+            useTasks(first, second, third);
+
+            await expect(dependencyService.validateDependencies(first, [third._id], projectId)).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'These dependencies would create a cycle',
+            });
+        });
+
+        it('accepts shared predecessors that do not form a cycle', async () => {
+            const base = task();
+            const left = task({ dependsOn: [base._id] });
+            const right = task({ dependsOn: [base._id] });
+            useTasks(base, left, right);
+
+            await expect(dependencyService.validateDependencies(task(), [left._id, right._id], projectId)).resolves.toHaveLength(2);
+        });
+    });
+
+    describe('assertCanSetStatus', () => {
+        it('blocks a task while a predecessor is still open', async () => {
+            const open = task({ title: 'Collect documents', status: 'in-progress' });
+            const done = task({ status: 'completed' });
+            const blocked = task({ dependsOn: [open._id, done._id] });
+            useTasks(open, done, blocked);
+
+            await expect(dependencyService.assertCanSetStatus(blocked, 'in-progress')).rejects.toThrow(
+                'Task is blocked by "Collect documents" (in-progress)'
+            );
+        });
+
+        it('lets a blocked task stay pending or be cancelled', async () => {
+            const open = task({ status: 'in-progress' });
+            const blocked = task({ dependsOn: [open._id] });
+            useTasks(open, blocked);
+
+            await expect(dependencyService.assertCanSetStatus(blocked, 'pending')).resolves.toBeUndefined();
+            await expect(dependencyService.assertCanSetStatus(blocked, 'cancelled')).resolves.toBeUndefined();
+        });
+
+        it('treats cancelled predecessors as finished', async () => {
+            const cancelled = task({ status: 'cancelled' });
+            const successor = task({ dependsOn: [cancelled._id] });
+            useTasks(cancelled, successor);
+
+            await expect(dependencyService.assertCanSetStatus(successor, 'completed')).resolves.toBeUndefined();
+        });
+    });
+
+    describe('annotateBlocked', () => {
+        it('flags tasks with open predecessors', async () => {
+            const open = task({ title: 'Open', status: 'under-review' });
+            const blocked = task({ dependsOn: [open._id] });
+            const free = task();
+            useTasks(open, blocked, free);
+
+            const [first, second] = await dependencyService.annotateBlocked([blocked, free]);
+
+            expect(first).toMatchObject({ blocked: true, blockedBy: [expect.objectContaining({ title: 'Open' })] });
+            expect(second).toMatchObject({ blocked: false, blockedBy: [] });
+        });
+    });
+});
@@ -0,0 +1,248 @@
+const moment = require('moment');
+const Invoice = require('../models/Invoice');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const webhookService = require('./webhookService');
+const websocketService = require('../utils/websocket');
+const ActivityTracker = require('../utils/activityTracker');
+const { round2 } = require('../utils/gst');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_STEPS = [-3, 0, 7, 30];
+
+// Failed webhook deliveries of a step are retried on later runs up to this many times
+const MAX_WEBHOOK_ATTEMPTS = 3;
+
+// Outstanding = total less payments and credit notes
+const outstandingExpr = {
+    $gt: [
+        '$total',
+        {
+            $add: [
+                { $ifNull: ['$paidAmount', 0] },
+                { $ifNull: ['$creditedAmount', 0] },
+            ],
+        },
+    ],
+};
+
+const describeStep = (step) => {
+    if (step < 0) return `${-step} day${step === -1 ? '' : 's'} before due date`;
+    if (step === 0) return 'on due date';
+    return `${step} day${step === 1 ? '' : 's'} overdue`;
+};
+
+class DunningService {
+    /**
+     * Mark sent invoices that are past their due date and still unpaid as overdue
+     * @param {Date} [now]
+     * @returns {Promise<Number>} Number of invoices marked overdue
+     */
+    async markOverdueInvoices(now = new Date()) {
+        const today = moment(now).startOf('day').toDate();
+        const invoices = await Invoice.find({
+            status: 'sent',
+            dueDate: { $lt: today },
+            $expr: outstandingExpr,
+        }).select('invoiceNumber client createdBy dueDate');
+
+        let marked = 0;
+        for (const invoice of invoices) {
+            // Only update invoices still in "sent" so concurrent changes are not overwritten
+            const result = await Invoice.updateOne(
+                { _id: invoice._id, status: 'sent' },
+                { $set: { status: 'overdue', overdueDate: now } }
+            );
+            if (!result.modifiedCount) continue;
+            marked += 1;
+
+            try {
+                await ActivityTracker.track({
+                    type: 'invoice_overdue',
+                    title: 'Invoice Overdue',
+                    description: `Invoice ${invoice.invoiceNumber} is overdue (due ${moment(invoice.dueDate).format('DD MMM YYYY')})`,
+                    entityType: 'invoice',
+                    entityId: invoice._id,
+                    userId: invoice.createdBy,
+                    link: `/finance/invoices/${invoice._id}`,
+                });
+            } catch (activityError) {
+                logger.error(`Failed to track overdue activity for invoice ${invoice._id}: ${activityError.message}`);
+            }
+        }
+
+        if (marked > 0) {
+            logger.info(`Marked ${marked} invoice(s) as overdue`);
+        }
+        return marked;
+    }
+
+    /**
+     * The dunning step an invoice has reached: the latest configured step
+     * on or before today. Earlier steps that were missed (e.g. while the
+     * server was down) are not sent retroactively.
+     */
+    getCurrentStep(steps, daysFromDue) {
+        const reached = steps.filter((step) => step <= daysFromDue);
+        return reached.length > 0 ? Math.max(...reached) : null;
+    }
+
+    /**
+     * Send the reminders that are due for all unpaid invoices
+     * @param {Date} [now]
+     * @returns {Promise<Number>} Number of reminders sent
+     */
+    async sendReminders(now = new Date()) {
+        const settings = await Settings.findOne();
+        const dunning = settings?.dunning || {};
+        if (dunning.enabled === false) {
+            logger.info('Invoice dunning is disabled in settings');
+            return 0;
+        }
+
+        const steps = dunning.steps && dunning.steps.length > 0 ? [...dunning.steps] : DEFAULT_STEPS;
+        const today = moment(now).startOf('day');
+        const earliestStep = Math.min(...steps);
+
+        const invoices = await Invoice.find({
+            status: { $in: ['sent', 'overdue'] },
+            dueDate: { $lte: today.clone().subtract(earliestStep, 'days').endOf('day').toDate() },
+            $expr: outstandingExpr,
+        }).populate({ path: 'client', select: 'name contactName contactPhone' });
+
+        const financeTeam = await User.find({ role: 'finance', status: 'active' }).select('_id name');
+
+        let sent = 0;
+        for (const invoice of invoices) {
+            const daysFromDue = today.diff(moment(invoice.dueDate).startOf('day'), 'days');
+            const step = this.getCurrentStep(steps, daysFromDue);
+            if (step === null) continue;
+
+            const attempts = (invoice.reminders || []).filter((reminder) => reminder.step === step);
+            const done =
+                attempts.some((attempt) => attempt.webhookStatus !== 'failed') ||
+                attempts.length >= MAX_WEBHOOK_ATTEMPTS;
+            if (done) continue;
+
+            try {
+                await this.sendReminder(invoice, step, daysFromDue, {
+                    settings,
+                    financeTeam,
+                    notifyTeam: attempts.length === 0,
+                    notifyClient: dunning.notifyClient !== false,
+                });
+                sent += 1;
+            } catch (error) {
+                logger.error(`Failed to send reminder for invoice ${invoice._id}: ${error.message}`);
+            }
+        }
+
+        if (sent > 0) {
+            logger.info(`Sent ${sent} invoice reminder(s)`);
+        }
+        return sent;
+    }
+
+    /**
+     * Send one reminder attempt: webhook to the client, in-app notification
+     * to the finance team (first attempt only) and an Activity entry
+     */
+    async sendReminder(invoice, step, daysFromDue, { settings, financeTeam, notifyTeam, notifyClient }) {
+        const client = invoice.client || {};
+        const amountDue = round2((invoice.total || 0) - (invoice.paidAmount || 0) - (invoice.creditedAmount || 0));
+        const currency = invoice.currency || settings?.company?.currency || 'INR';
+        const stage = describeStep(step);
+
+        // Client reminder through the webhook
+        let webhookStatus = 'skipped';
+        let error;
+        if (!notifyClient) {
+            error = 'Client reminders disabled';
+        } else if (!client.contactPhone) {
+            error = 'Client has no phone number';
+        } else {
+            try {
+                await webhookService.sendInvoiceReminder({
+                    clientName: client.name,
+                    phoneNumber: client.contactPhone,
+                    invoiceNumber: invoice.invoiceNumber,
+                    amountDue,
+                    currency,
+                    dueDate: invoice.dueDate,
+                    daysOverdue: Math.max(daysFromDue, 0),
+                    stage,
+                });
+                webhookStatus = 'sent';
+            } catch (webhookError) {
+                webhookStatus = 'failed';
+                error = webhookError.message;
+            }
+        }
+
+        // In-app notification to the finance team
+        let notifiedUsers = 0;
+        if (notifyTeam) {
+            const title = step <= 0 ? 'Invoice Payment Due' : 'Invoice Overdue';
+            const message = `Payment reminder (${stage}): invoice ${invoice.invoiceNumber} for ${client.name || 'client'}, ${currency} ${amountDue} outstanding`;
+            for (const user of financeTeam) {
+                try {
+                    const notification = await Notification.create({
+                        user: user._id,
+                        title,
+                        message,
+                        type: 'INVOICE_OVERDUE',
+                    });
+                    websocketService.sendToUser(user._id.toString(), {
+                        type: 'notification',
+                        data: {
+                            _id: notification._id,
+                            title: notification.title,
+                            message: notification.message,
+                            type: notification.type,
+                            read: notification.read,
+                            createdAt: notification.createdAt,
+                            invoiceId: invoice._id,
+                        },
+                    });
+                    notifiedUsers += 1;
+                } catch (notificationError) {
+                    logger.error(`Failed to notify user ${user._id} about invoice ${invoice._id}: ${notificationError.message}`);
+                }
+            }
+        }
+
+        await Invoice.updateOne(
+            { _id: invoice._id },
+            { $push: { reminders: { step, sentAt: new Date(), webhookStatus, error, notifiedUsers } } }
+        );
+
+        try {
+            await ActivityTracker.track({
+                type: 'invoice_reminder_sent',
+                title: 'Invoice Reminder',
+                description: `Reminder for invoice ${invoice.invoiceNumber} (${stage}): client ${webhookStatus}${error ? ` - ${error}` : ''}, ${notifiedUsers} team member(s) notified`,
+                entityType: 'invoice',
+                entityId: invoice._id,
+                userId: invoice.createdBy,
+                link: `/finance/invoices/${invoice._id}`,
+            });
+        } catch (activityError) {
+            logger.error(`Failed to track reminder activity for invoice ${invoice._id}: ${activityError.message}`);
+        }
+
+        logger.info(`Invoice reminder ${invoice.invoiceNumber} (${stage}): webhook ${webhookStatus}, ${notifiedUsers} user(s) notified`);
+    }
+
+    /**
+     * Mark overdue invoices and send due reminders
+     * @returns {Promise<{overdue: Number, reminders: Number}>}
+     */
+    async run(now = new Date()) {
+        const overdue = await this.markOverdueInvoices(now);
+        const reminders = await this.sendReminders(now);
+        return { overdue, reminders };
+    }
+}
+
+module.exports = new DunningService();
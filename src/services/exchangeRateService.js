@@ -0,0 +1,103 @@
+const moment = require('moment');
+const ExchangeRate = require('../models/ExchangeRate');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+const ISO_CURRENCY = /^[A-Z]{3}$/;
+
+class ExchangeRateService {
+    /**
+     * Base (reporting) currency from settings
+     */
+    getBaseCurrency(settings) {
+        return (settings?.company?.currency || 'INR').toUpperCase();
+    }
+
+    /**
+     * Rate in force for a currency on a date: the latest rate dated on or
+     * before it
+     * @returns {Promise<{rate: Number, date: Date}|null>} 1 for the base currency, null if no rate is recorded
+     */
+    async getRate(currency, date, baseCurrency) {
+        if (!currency || currency === baseCurrency) {
+            return { rate: 1, date: null };
+        }
+
+        const rate = await ExchangeRate.findOne({
+            currency,
+            date: { $lte: moment(date).endOf('day').toDate() },
+        }).sort({ date: -1 });
+
+        return rate ? { rate: rate.rate, date: rate.date } : null;
+    }
+
+    /**
+     * Latest rate of each currency as of a date, for converting totals
+     * @param {Array<String>} currencies
+     * @returns {Promise<{rates: Object<String, Number>, missing: Array<String>}>}
+     */
+    async getRates(currencies, date, baseCurrency) {
+        const rates = {};
+        const missing = [];
+        for (const currency of currencies) {
+            const found = await this.getRate(currency, date, baseCurrency);
+            if (found) {
+                rates[currency || baseCurrency] = found.rate;
+            } else {
+                missing.push(currency);
+            }
+        }
+        return { rates, missing };
+    }
+
+    /**
+     * Currency and exchange rate of a new or changed invoice. The currency
+     * defaults to the client's currency; the rate, unless given, is taken
+     * from the rate table for the issue date.
+     * @param {Object} options - currency, exchangeRate, client, settings, date
+     * @returns {Promise<{currency: String, exchangeRate: Number, baseCurrency: String}>}
+     */
+    async resolveInvoiceCurrency({ currency, exchangeRate, client, settings, date }) {
+        const baseCurrency = this.getBaseCurrency(settings);
+        const clientCurrency = String(client?.currencyFormat || '').trim().toUpperCase();
+        const invoiceCurrency = (currency || (ISO_CURRENCY.test(clientCurrency) ? clientCurrency : baseCurrency)).toUpperCase();
+
+        if (invoiceCurrency === baseCurrency) {
+            return { currency: invoiceCurrency, exchangeRate: 1, baseCurrency };
+        }
+        if (exchangeRate) {
+            return { currency: invoiceCurrency, exchangeRate, baseCurrency };
+        }
+
+        const found = await this.getRate(invoiceCurrency, date || new Date(), baseCurrency);
+        if (!found) {
+            throw new ErrorResponse(
+                `No ${invoiceCurrency} exchange rate recorded on or before ${moment(date).format('DD MMM YYYY')}; add one or pass exchangeRate`,
+                400
+            );
+        }
+        return { currency: invoiceCurrency, exchangeRate: found.rate, baseCurrency };
+    }
+
+    /**
+     * Aggregation expression converting an amount field to the base currency
+     * using a document's currency and a rate table ({ USD: 83.1, ... })
+     */
+    toBaseExpression(field, rates, currencyField = '$currency') {
+        const branches = Object.entries(rates)
+            .filter(([, rate]) => rate !== 1)
+            .map(([currency, rate]) => ({ case: { $eq: [currencyField, currency] }, then: rate }));
+
+        if (branches.length === 0) return field;
+        return { $multiply: [field, { $switch: { branches, default: 1 } }] };
+    }
+
+    /**
+     * Aggregation expression converting an amount on an invoice or credit
+     * note to the base currency at the exchange rate stored on the document
+     */
+    atStoredRate(field) {
+        return { $multiply: [{ $ifNull: [field, 0] }, { $ifNull: ['$exchangeRate', 1] }] };
+    }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,90 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const exchangeRateService = require('./exchangeRateService');
+
+// Rate table behind ExchangeRate.findOne: the latest rate dated on or before the date asked for
+const useRates = (...rates) =>
+    jest.spyOn(ExchangeRate, 'findOne').mockImplementation((filter) => ({
+        sort: async () =>
+            rates
+                .filter((rate) => rate.currency === filter.currency && rate.date <= filter.date.$lte)
+                .sort((a, b) => b.date - a.date)[0] || null,
+    }));
+
+describe('exchangeRateService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getRate', () => {
+        it('uses the latest rate on or before the date, including rates recorded later that day', async () => {
+            useRates(
+                { currency: 'USD', date: new Date(2025, 4, 1), rate: 83.1 },
+                { currency: 'USD', date: new Date(2025, 4, 15, 17, 0), rate: 83.6 },
+                { currency: 'USD', date: new Date(2025, 5, 1), rate: 84 }
+            );
+
+            await expect(exchangeRateService.getRate('USD', new Date(2025, 4, 15, 9, 0), 'INR')).resolves.toEqual({
+                rate: 83.6,
+                date: new Date(2025, 4, 15, 17, 0),
+            });
+            await expect(exchangeRateService.getRate('USD', new Date(2025, 3, 30), 'INR')).resolves.toBeNull();
+            await expect(exchangeRateService.getRate('INR', new Date(2025, 3, 30), 'INR')).resolves.toEqual({ rate: 1, date: null });
+        });
+    });
+
+    describe('getRates', () => {
+        it('lists currencies without a rate', async () => {
+            useRates({ currency: 'USD', date: new Date(2025, 4, 1), rate: 83.1 });
+
+            await expect(exchangeRateService.getRates(['USD', 'EUR', null], new Date(2025, 4, 2), 'INR')).resolves.toEqual({
+                rates: { USD: 83.1, INR: 1 },
+                missing: ['EUR'],
+            });
+        });
+    });
+
+    describe('resolveInvoiceCurrency', () => {
+        const settings = { company: { currency: 'inr' } };
+
+        it('bills in the client\'s currency at the rate for the issue date', async () => {
+            useRates({ currency: 'USD', date: new Date(2025, 4, 1), rate: 83.1 });
+
+            await expect(
+                exchangeRateService.resolveInvoiceCurrency({ client: { currencyFormat: ' usd ' }, settings, date: new Date(2025, 4, 2) })
+            ).resolves.toEqual({ currency: 'USD', exchangeRate: 83.1, baseCurrency: 'INR' });
+        });
+
+        it('keeps a rate given with the invoice and ignores client formats that are not currency codes', async () => {
+            useRates();
+
+            await expect(exchangeRateService.resolveInvoiceCurrency({ currency: 'eur', exchangeRate: 90.5, settings })).resolves.toEqual({
+                currency: 'EUR',
+                exchangeRate: 90.5,
+                baseCurrency: 'INR',
+            });
+            await expect(exchangeRateService.resolveInvoiceCurrency({ client: { currencyFormat: 'en-IN' }, settings })).resolves.toEqual({
+                currency: 'INR',
+                exchangeRate: 1,
+                baseCurrency: 'INR',
+            });
+        });
+
+        it('refuses a foreign currency without a recorded rate', async () => {
+            useRates();
+
+            await expect(
+                exchangeRateService.resolveInvoiceCurrency({ currency: 'GBP', settings, date: new Date(2025, 4, 2) })
+            ).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'No GBP exchange rate recorded on or before 02 May 2025; add one or pass exchangeRate',
+            });
+        });
+    });
+
+    describe('toBaseExpression', () => {
+        it('multiplies by the rate of the document currency', () => {
+            expect(exchangeRateService.toBaseExpression('$total', { INR: 1 })).toBe('$total');
+            expect(exchangeRateService.toBaseExpression('$total', { INR: 1, USD: 83.1 })).toEqual({
+                $multiply: ['$total', { $switch: { branches: [{ case: { $eq: ['$currency', 'USD'] }, then: 83.1 }], default: 1 } }],
+            });
+        });
+    });
+});
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { amountToWords } = require('../utils/numberToWords');
+const { getSupplyType, calculateTax, getTaxLines } = require('../utils/gst');
+const { formatMoney, formatDate, toMomentFormat, formatAddress } = require('../utils/pdfHelpers');
+const { logger } = require('../utils/logger');
+const paymentService = require('./paymentService');
+
+const PAGE_MARGIN = 40;
+
+class InvoicePdfService {
+    /**
+     * Resolve the company logo to a local image file PDFKit can embed
+     * @param {String} logo - Logo path as stored in Settings.company.logo
+     * @returns {String|null} Absolute file path or null if unavailable
+     */
+    resolveLogo(logo) {
+        if (!logo || !/\.(png|jpe?g)$/i.test(logo)) {
+            return null;
+        }
+        const filePath = path.join(__dirname, '../../public', logo);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    /**
+     * Work out the tax lines shown on the invoice from the stored GST split.
+     * Invoices created before the split was stored are recalculated.
+     * @returns {Array<{label: String, rate: Number, amount: Number}>}
+     */
+    getTaxLines(invoice, company, client) {
+        const items = invoice.items || [];
+        const hasStoredSplit = items.every((item) => item.taxRate !== undefined && item.taxRate !== null);
+        if (hasStoredSplit && invoice.supplyType) {
+            return getTaxLines(items, invoice.supplyType);
+        }
+
+        const supplyType = invoice.supplyType || getSupplyType(company, client);
+        const tax = calculateTax(items, { taxRate: invoice.taxRate, supplyType });
+        return getTaxLines(tax.items, supplyType);
+    }
+
+    /**
+     * Render an invoice to PDF
+     * @param {Object} invoice - Invoice document
+     * @param {Object} client - Client document
+     * @param {Object} settings - Settings document (may be null)
+     * @returns {Promise<Buffer>} PDF file contents
+     */
+    generate(invoice, client, settings) {
+        return new Promise((resolve, reject) => {
+            try {
+                const company = settings?.company || {};
+                const baseCurrency = company.currency || 'INR';
+                const currency = invoice.currency || baseCurrency;
+                const dateFormat = toMomentFormat(company.dateFormat);
+
+                const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+                const chunks = [];
+                doc.on('data', (chunk) => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+                const right = PAGE_MARGIN + pageWidth;
+
+                // Header: logo, company details and title
+                let headerTop = PAGE_MARGIN;
+                const logoPath = this.resolveLogo(company.logo);
+                let textLeft = PAGE_MARGIN;
+                if (logoPath) {
+                    try {
+                        doc.image(logoPath, PAGE_MARGIN, headerTop, { fit: [70, 70] });
+                        textLeft = PAGE_MARGIN + 80;
+                    } catch (imageError) {
+                        logger.warn(`Could not embed company logo in invoice PDF: ${imageError.message}`);
+                    }
+                }
+
+                const address = company.address || {};
+                doc.font('Helvetica-Bold').fontSize(16).text(company.name || '', textLeft, headerTop, { width: 300 });
+                doc.font('Helvetica').fontSize(9);
+                doc.text(formatAddress([address.street, address.city, address.state, address.pin, address.country]), { width: 300 });
+                if (company.phone || company.contactEmail) {
+                    doc.text(formatAddress([company.phone, company.contactEmail]), { width: 300 });
+                }
+                if (company.taxId) {
+                    doc.text(`GSTIN: ${company.taxId}`, { width: 300 });
+                }
+
+                doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', PAGE_MARGIN, headerTop, { width: pageWidth, align: 'right' });
+                doc.font('Helvetica').fontSize(9);
+                doc.text(`Invoice No: ${invoice.invoiceNumber}`, { width: pageWidth, align: 'right' });
+                doc.text(`Invoice Date: ${formatDate(invoice.issueDate, dateFormat)}`, { width: pageWidth, align: 'right' });
+                doc.text(`Due Date: ${formatDate(invoice.dueDate, dateFormat)}`, { width: pageWidth, align: 'right' });
+
+                let y = Math.max(doc.y, headerTop + 80) + 10;
+                doc.moveTo(PAGE_MARGIN, y).lineTo(right, y).stroke();
+                y += 10;
+
+                // Bill to
+                doc.font('Helvetica-Bold').fontSize(10).text('Bill To', PAGE_MARGIN, y);
+                doc.font('Helvetica').fontSize(9);
+                doc.text(client?.name || '');
+                if (client?.contactName) doc.text(`Attn: ${client.contactName}`);
+                const clientAddress = formatAddress([client?.city, client?.state, client?.pin, client?.country]);
+                if (clientAddress) doc.text(clientAddress);
+                if (client?.gstin) doc.text(`GSTIN: ${client.gstin}`);
+                if (client?.pan) doc.text(`PAN: ${client.pan}`);
+                const placeOfSupply = invoice.placeOfSupply || client?.state;
+                if (placeOfSupply) doc.text(`Place of Supply: ${placeOfSupply}`);
+
+                // Line items table
+                y = doc.y + 15;
+                const columns = [
+                    { header: '#', width: 25, align: 'left' },
+                    { header: 'Description', width: pageWidth - 25 - 60 - 45 - 70 - 45 - 85, align: 'left' },
+                    { header: 'HSN/SAC', width: 60, align: 'left' },
+                    { header: 'Qty', width: 45, align: 'right' },
+                    { header: 'Rate', width: 70, align: 'right' },
+                    { header: 'GST %', width: 45, align: 'right' },
+                    { header: 'Amount', width: 85, align: 'right' },
+                ];
+
+                const drawRow = (values, rowY, bold) => {
+                    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+                    let x = PAGE_MARGIN;
+                    let height = 0;
+                    values.forEach((value, index) => {
+                        const column = columns[index];
+                        doc.text(String(value), x + 2, rowY, { width: column.width - 4, align: column.align });
+                        height = Math.max(height, doc.heightOfString(String(value), { width: column.width - 4 }));
+                        x += column.width;
+                    });
+                    return rowY + height + 6;
+                };
+
+                doc.rect(PAGE_MARGIN, y - 4, pageWidth, 18).fill('#f3f4f6').fillColor('#000');
+                y = drawRow(columns.map((c) => c.header), y, true);
+
+                (invoice.items || []).forEach((item, index) => {
+                    if (y > doc.page.height - 220) {
+                        doc.addPage();
+                        y = PAGE_MARGIN;
+                    }
+                    const amount = item.amount !== undefined ? item.amount : (item.quantity || 0) * (item.rate || 0);
+                    const itemTaxRate =
+                        item.taxRate !== undefined && item.taxRate !== null ? item.taxRate : invoice.taxRate || 0;
+                    y = drawRow(
+                        [
+                            index + 1,
+                            item.description,
+                            item.hsnSac || '-',
+                            item.quantity,
+                            formatMoney(item.rate),
+                            itemTaxRate,
+                            formatMoney(amount),
+                        ],
+                        y,
+                        false
+                    );
+                    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(right, y - 3).strokeColor('#e5e7eb').stroke().strokeColor('#000');
+                });
+
+                // Totals
+                if (y > doc.page.height - 200) {
+                    doc.addPage();
+                    y = PAGE_MARGIN;
+                }
+                y += 5;
+                const labelX = right - 250;
+                const totalRow = (label, value, bold) => {
+                    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+                    doc.text(label, labelX, y, { width: 150, align: 'right' });
+                    doc.text(value, labelX + 150, y, { width: 100, align: 'right' });
+                    y += 15;
+                };
+
+                totalRow('Subtotal', formatMoney(invoice.subtotal));
+                if (invoice.discount) {
+                    totalRow('Discount', `- ${formatMoney(invoice.discount)}`);
+                }
+                const taxLines = this.getTaxLines(invoice, company, client);
+                taxLines.forEach((line) => totalRow(`${line.label} @ ${line.rate}%`, formatMoney(line.amount)));
+                doc.moveTo(labelX, y - 2).lineTo(right, y - 2).stroke();
+                y += 3;
+                totalRow(`Total (${currency})`, formatMoney(invoice.total), true);
+                if (currency !== baseCurrency && invoice.exchangeRate) {
+                    totalRow(`Exchange rate (1 ${currency})`, `${baseCurrency} ${invoice.exchangeRate}`);
+                    totalRow(`Total (${baseCurrency})`, formatMoney(invoice.baseTotal ?? invoice.total * invoice.exchangeRate));
+                }
+                if (invoice.paidAmount || invoice.creditedAmount) {
+                    if (invoice.paidAmount) {
+                        totalRow('Amount Paid', formatMoney(invoice.paidAmount));
+                    }
+                    if (invoice.creditedAmount) {
+                        totalRow('Credited', formatMoney(invoice.creditedAmount));
+                    }
+                    totalRow('Balance Due', formatMoney(paymentService.getInvoiceBalance(invoice)), true);
+                }
+
+                y += 5;
+                doc.font('Helvetica-Bold').fontSize(9).text('Amount in words:', PAGE_MARGIN, y);
+                doc.font('Helvetica').text(amountToWords(invoice.total, currency), PAGE_MARGIN, doc.y, { width: pageWidth });
+
+                if (invoice.notes) {
+                    doc.moveDown();
+                    doc.font('Helvetica-Bold').text('Notes');
+                    doc.font('Helvetica').text(invoice.notes, { width: pageWidth });
+                }
+                if (invoice.terms) {
+                    doc.moveDown();
+                    doc.font('Helvetica-Bold').text('Terms & Conditions');
+                    doc.font('Helvetica').text(invoice.terms, { width: pageWidth });
+                }
+
+                // Signature block
+                doc.moveDown(3);
+                doc.font('Helvetica-Bold').text(`For ${company.name || ''}`, PAGE_MARGIN, doc.y, { width: pageWidth, align: 'right' });
+                doc.moveDown(2);
+                doc.font('Helvetica').text('Authorised Signatory', { width: pageWidth, align: 'right' });
+
+                doc.fontSize(8).fillColor('#6b7280').text(
+                    'This is a computer generated invoice.',
+                    PAGE_MARGIN,
+                    doc.page.height - PAGE_MARGIN - 10,
+                    { width: pageWidth, align: 'center', lineBreak: false }
+                );
+
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+module.exports = new InvoicePdfService();
@@ -0,0 +1,71 @@
+const Invoice = require('../models/Invoice');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const numberingService = require('./numberingService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+class InvoiceService {
+    /**
+     * Whether an invoice has its number from the financial year sequence
+     * (drafts carry a placeholder until they are issued)
+     */
+    isNumbered(invoice) {
+        return !Invoice.isDraftNumber(invoice.invoiceNumber);
+    }
+
+    /**
+     * Create an invoice. Drafts are created with a placeholder number so
+     * only issued invoices take a number from the sequence.
+     * @param {Object} data - Invoice fields, including status
+     * @returns {Promise<Object>} The created invoice
+     */
+    async create(data) {
+        if ((data.status || 'draft') === 'draft') {
+            return Invoice.create(data);
+        }
+        return numberingService.generate('invoice', data.issueDate || new Date(), (invoiceNumber) =>
+            Invoice.create({ ...data, invoiceNumber, sentDate: data.sentDate || new Date() })
+        );
+    }
+
+    /**
+     * Issue a draft: give it the next number in its financial year and move
+     * it to the new status. The draft is claimed with a conditional update,
+     * so issuing it twice concurrently does not use two numbers.
+     * @param {Object} invoice - Draft invoice document
+     * @param {String} [status] - Status after issue ('sent' or 'overdue')
+     * @returns {Promise<Object>} The issued invoice
+     */
+    async issue(invoice, status = 'sent') {
+        const draftNumber = invoice.invoiceNumber;
+
+        // Drafts numbered before numbering moved to issue keep their number
+        const update = (invoiceNumber) =>
+            Invoice.findOneAndUpdate(
+                { _id: invoice._id, status: 'draft' },
+                { $set: { invoiceNumber, status, sentDate: new Date() } },
+                { new: true }
+            ).then((issued) => {
+                if (!issued) {
+                    throw new ErrorResponse(`Invoice ${draftNumber} is no longer a draft`, 409);
+                }
+                return issued;
+            });
+
+        const issued = this.isNumbered(invoice)
+            ? await update(invoice.invoiceNumber)
+            : await numberingService.generate('invoice', invoice.issueDate || new Date(), update);
+
+        if (issued.invoiceNumber !== draftNumber) {
+            await Project.updateMany({ invoiceId: issued._id }, { invoiceNumber: issued.invoiceNumber });
+            await Task.updateMany(
+                { 'invoiceDetails.invoiceId': issued._id },
+                { 'invoiceDetails.invoiceNumber': issued.invoiceNumber }
+            );
+        }
+
+        return issued;
+    }
+}
+
+module.exports = new InvoiceService();
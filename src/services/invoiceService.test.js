@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const numberingService = require('./numberingService');
+const invoiceService = require('./invoiceService');
+
+// Sequence handed out by the stubbed numbering service, released like the real one on failure
+const useNumbering = () => {
+    const state = { seq: 0 };
+    jest.spyOn(numberingService, 'generate').mockImplementation(async (type, date, create) => {
+        state.seq += 1;
+        const seq = state.seq;
+        try {
+            return await create(`INV/2025-26/${String(seq).padStart(4, '0')}`);
+        } catch (error) {
+            if (state.seq === seq) state.seq -= 1;
+            throw error;
+        }
+    });
+    return state;
+};
+
+const draft = (fields = {}) => {
+    const _id = new mongoose.Types.ObjectId();
+    return { _id, status: 'draft', invoiceNumber: `DRAFT-${_id}`, issueDate: new Date(2025, 4, 1), ...fields };
+};
+
+describe('invoiceService', () => {
+    beforeEach(() => {
+        jest.spyOn(Project, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('create', () => {
+        it('creates drafts without taking a number', async () => {
+            const numbering = useNumbering();
+            jest.spyOn(Invoice, 'create').mockImplementation(async (data) => data);
+
+            await invoiceService.create({ status: 'draft', total: 100 });
+
+            expect(numbering.seq).toBe(0);
+            expect(Invoice.create).toHaveBeenCalledWith({ status: 'draft', total: 100 });
+        });
+
+        it('numbers invoices created as sent', async () => {
+            useNumbering();
+            jest.spyOn(Invoice, 'create').mockImplementation(async (data) => data);
+
+            const invoice = await invoiceService.create({ status: 'sent', total: 100 });
+
+            expect(invoice.invoiceNumber).toBe('INV/2025-26/0001');
+            expect(invoice.sentDate).toBeInstanceOf(Date);
+        });
+    });
+
+    describe('isNumbered', () => {
+        it('tells placeholder numbers from sequence numbers', () => {
+            expect(invoiceService.isNumbered(draft())).toBe(false);
+            expect(invoiceService.isNumbered({ invoiceNumber: 'INV/2025-26/0001' })).toBe(true);
+        });
+    });
+
+    describe('issue', () => {
+        it('gives a draft the next number and updates the projects and tasks billed on it', async () => {
+            useNumbering();
+            const invoice = draft();
+            jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: invoice._id, ...update.$set }));
+
+            const issued = await invoiceService.issue(invoice, 'sent');
+
+            expect(Invoice.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: invoice._id, status: 'draft' },
+                { $set: expect.objectContaining({ invoiceNumber: 'INV/2025-26/0001', status: 'sent' }) },
+                { new: true }
+            );
+            expect(issued.invoiceNumber).toBe('INV/2025-26/0001');
+            expect(Project.updateMany).toHaveBeenCalledWith({ invoiceId: invoice._id }, { invoiceNumber: 'INV/2025-26/0001' });
+            expect(Task.updateMany).toHaveBeenCalledWith(
+                { 'invoiceDetails.invoiceId': invoice._id },
+                { 'invoiceDetails.invoiceNumber': 'INV/2025-26/0001' }
+            );
+        });
+
+        it('uses one number when the same draft is issued twice at once', async () => {
+            const numbering = useNumbering();
+            const invoice = draft();
+            let claimed = false;
+            jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+                if (claimed) return null;
+                claimed = true;
+                return { _id: invoice._id, ...update.$set };
+            });
+
+            const results = await Promise.allSettled([invoiceService.issue(invoice), invoiceService.issue(invoice)]);
+
+            expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find((result) => result.status === 'rejected').reason.statusCode).toBe(409);
+            expect(numbering.seq).toBe(1);
+        });
+
+        it('keeps the number of a draft numbered before numbering moved to issue', async () => {
+            const numbering = useNumbering();
+            const invoice = draft({ invoiceNumber: 'INV/2024-25/0042' });
+            jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: invoice._id, ...update.$set }));
+
+            const issued = await invoiceService.issue(invoice, 'overdue');
+
+            expect(issued).toMatchObject({ invoiceNumber: 'INV/2024-25/0042', status: 'overdue' });
+            expect(numbering.seq).toBe(0);
+            expect(Project.updateMany).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JobLock = require('../models/JobLock');
+const { logger } = require('../utils/logger');
+
+// How long a lease lasts without being renewed
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+// Wait after a lease expires before taking the execution over
+const TAKEOVER_GRACE_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+class JobLockService {
+    constructor() {
+        // Identifies this process among the instances sharing the database
+        this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    /**
+     * Key of the scheduled execution happening now: the minute it was due,
+     * rounded so instances with slightly different clocks agree
+     */
+    getRunKey(date = new Date()) {
+        return new Date(Math.round(date.getTime() / 60000) * 60000).toISOString();
+    }
+
+    /**
+     * Take the lease on a job if no other instance holds it (or its lease
+     * has expired) and, with a run key, if that execution has not finished
+     * anywhere yet
+     * @param {String} name - Job name
+     * @param {Object} [options] - runKey: scheduled execution; leaseMs: lease length
+     * @returns {Promise<Boolean>} Whether this instance now holds the lease
+     */
+    async acquire(name, { runKey, leaseMs = DEFAULT_LEASE_MS } = {}) {
+        const now = new Date();
+        const filter = {
+            _id: name,
+            $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }],
+        };
+        if (runKey) filter.completedRunKey = { $ne: runKey };
+
+        const update = {
+            owner: this.owner,
+            acquiredAt: now,
+            lockedUntil: new Date(now.getTime() + leaseMs),
+        };
+        if (runKey) update.lastRunKey = runKey;
+
+        try {
+            await JobLock.findOneAndUpdate(filter, { $set: update }, { upsert: true });
+            return true;
+        } catch (error) {
+            // The lock exists but is held, or the execution already finished: the upsert collides on _id
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Extend this instance's lease on a job
+     * @returns {Promise<Boolean>} false if the lease was lost to another instance
+     */
+    async renew(name, leaseMs = DEFAULT_LEASE_MS) {
+        const result = await JobLock.updateOne(
+            { _id: name, owner: this.owner },
+            { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Record that a scheduled execution finished, so no instance repeats it
+     */
+    async complete(name, runKey) {
+        await JobLock.updateOne({ _id: name, owner: this.owner }, { $set: { completedRunKey: runKey } });
+    }
+
+    /**
+     * Give up this instance's lease on a job
+     */
+    async release(name) {
+        const now = new Date();
+        await JobLock.updateOne(
+            { _id: name, owner: this.owner },
+            { $set: { lockedUntil: now, releasedAt: now } }
+        );
+    }
+
+    /**
+     * Run a task while holding the lease on a job. The lease is renewed
+     * while the task runs; if this instance dies, it expires and another
+     * instance can take the job over.
+     * @param {String} name - Job name
+     * @param {Function} task - Async function to run
+     * @param {Object} [options] - runKey: scheduled execution, run at most once; leaseMs: lease length
+     * @returns {Promise<*>} The task's result, or undefined if another instance holds the job
+     */
+    async runExclusive(name, task, { runKey, leaseMs = DEFAULT_LEASE_MS } = {}) {
+        if (!(await this.acquire(name, { runKey, leaseMs }))) {
+            logger.debug(`Job ${name}${runKey ? ` (${runKey})` : ''} is running on another instance`);
+            return undefined;
+        }
+        return this.runHeld(name, task, { runKey, leaseMs });
+    }
+
+    /**
+     * Run a scheduled execution on one instance. Instances that lose the
+     * race wait on the holder: if it dies before finishing, its lease
+     * expires and one of them takes the execution over.
+     * @returns {Promise<*>} The task's result, or undefined if another instance ran it
+     */
+    async runScheduled(name, task, { runKey, leaseMs = DEFAULT_LEASE_MS }) {
+        for (;;) {
+            if (await this.acquire(name, { runKey, leaseMs })) {
+                return this.runHeld(name, task, { runKey, leaseMs });
+            }
+
+            const lock = await JobLock.findById(name).lean();
+            // Finished, or the holder is on another execution: nothing to take over
+            if (!lock || lock.completedRunKey === runKey || lock.lastRunKey !== runKey) {
+                logger.debug(`Job ${name} (${runKey}) ran on another instance`);
+                return undefined;
+            }
+            await sleep(Math.max(new Date(lock.lockedUntil).getTime() - Date.now(), 0) + TAKEOVER_GRACE_MS);
+        }
+    }
+
+    /**
+     * Run a task under a lease this instance already holds, renewing it
+     * while the task runs and marking the execution finished on success
+     */
+    async runHeld(name, task, { runKey, leaseMs = DEFAULT_LEASE_MS }) {
+        const heartbeat = setInterval(() => {
+            this.renew(name, leaseMs)
+                .then((renewed) => {
+                    if (!renewed) logger.warn(`Lost the lease on job ${name} to another instance`);
+                })
+                .catch((error) => logger.error(`Failed to renew the lease on job ${name}: ${error.message}`));
+        }, Math.floor(leaseMs / 3));
+        heartbeat.unref();
+
+        try {
+            const result = await task();
+            if (runKey) await this.complete(name, runKey);
+            return result;
+        } finally {
+            clearInterval(heartbeat);
+            try {
+                await this.release(name);
+            } catch (error) {
+                logger.error(`Failed to release the lease on job ${name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * node-cron schedule whose executions each run on one instance only.
+     * Executions are keyed by the minute, so expressions with a seconds
+     * field are refused.
+     * @param {String} name - Job name
+     * @param {String} expression - Five-field cron expression
+     * @param {Function} task - Async function run on each execution
+     * @param {Object} [options] - node-cron options, plus leaseMs
+     * @returns {Object} The node-cron scheduled task
+     */
+    schedule(name, expression, task, { leaseMs, ...options } = {}) {
+        if (String(expression).trim().split(/\s+/).length !== 5) {
+            throw new Error(`Job ${name}: cron expression "${expression}" must have five fields (no seconds)`);
+        }
+        return cron.schedule(expression, async () => {
+            try {
+                await this.runScheduled(name, task, { runKey: this.getRunKey(), leaseMs });
+            } catch (error) {
+                logger.error(`Scheduled job ${name} failed: ${error.message}`);
+            }
+        }, options);
+    }
+}
+
+module.exports = new JobLockService();
@@ -0,0 +1,172 @@
+const cron = require('node-cron');
+const JobLock = require('../models/JobLock');
+const jobLockService = require('./jobLockService');
+
+// In-memory stand-in for the job_locks collection, matching the filters the service uses
+const useLocks = () => {
+    const locks = new Map();
+    const matches = (lock, filter) => {
+        const now = filter.$or[0].lockedUntil.$lte;
+        if (lock.lockedUntil && lock.lockedUntil > now) return false;
+        return !(filter.completedRunKey && lock.completedRunKey === filter.completedRunKey.$ne);
+    };
+
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const lock = locks.get(filter._id);
+        if (lock && !matches(lock, filter)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        locks.set(filter._id, { _id: filter._id, ...lock, ...update.$set });
+        return locks.get(filter._id);
+    });
+    jest.spyOn(JobLock, 'updateOne').mockImplementation(async (filter, update) => {
+        const lock = locks.get(filter._id);
+        if (!lock || lock.owner !== filter.owner) return { matchedCount: 0 };
+        Object.assign(lock, update.$set);
+        return { matchedCount: 1 };
+    });
+    jest.spyOn(JobLock, 'findById').mockImplementation((id) => ({ lean: async () => (locks.has(id) ? { ...locks.get(id) } : null) }));
+    return locks;
+};
+
+describe('jobLockService', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('getRunKey', () => {
+        it('rounds to the minute so instances with slightly different clocks agree', () => {
+            expect(jobLockService.getRunKey(new Date('2025-06-01T10:00:20Z'))).toBe('2025-06-01T10:00:00.000Z');
+            expect(jobLockService.getRunKey(new Date('2025-06-01T09:59:40Z'))).toBe('2025-06-01T10:00:00.000Z');
+        });
+    });
+
+    describe('acquire', () => {
+        it('takes a free lease but not one another instance holds', async () => {
+            const locks = useLocks();
+
+            await expect(jobLockService.acquire('job')).resolves.toBe(true);
+            locks.get('job').owner = 'other-instance';
+            await expect(jobLockService.acquire('job')).resolves.toBe(false);
+        });
+
+        it('takes over a lease once it has expired', async () => {
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', owner: 'dead-instance', lockedUntil: new Date(Date.now() - 1000) });
+
+            await expect(jobLockService.acquire('job')).resolves.toBe(true);
+            expect(locks.get('job').owner).toBe(jobLockService.owner);
+        });
+
+        it('does not start an execution that already finished', async () => {
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', lockedUntil: new Date(0), completedRunKey: 'run-1' });
+
+            await expect(jobLockService.acquire('job', { runKey: 'run-1' })).resolves.toBe(false);
+            await expect(jobLockService.acquire('job', { runKey: 'run-2' })).resolves.toBe(true);
+        });
+    });
+
+    describe('runExclusive', () => {
+        it('runs the task under the lease and releases it afterwards', async () => {
+            const locks = useLocks();
+            const task = jest.fn(async () => {
+                expect(locks.get('job').lockedUntil > new Date()).toBe(true);
+                return 'done';
+            });
+
+            await expect(jobLockService.runExclusive('job', task)).resolves.toBe('done');
+            expect(locks.get('job').lockedUntil <= new Date()).toBe(true);
+        });
+
+        it('skips the task while another instance holds the lease', async () => {
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', owner: 'other-instance', lockedUntil: new Date(Date.now() + 60000) });
+            const task = jest.fn();
+
+            await expect(jobLockService.runExclusive('job', task)).resolves.toBeUndefined();
+            expect(task).not.toHaveBeenCalled();
+        });
+
+        it('marks a scheduled execution finished only when the task succeeds', async () => {
+            const locks = useLocks();
+
+            await expect(
+                jobLockService.runExclusive('job', async () => {
+                    throw new Error('failed');
+                }, { runKey: 'run-1' })
+            ).rejects.toThrow('failed');
+            expect(locks.get('job').completedRunKey).toBeUndefined();
+
+            await jobLockService.runExclusive('job', async () => {}, { runKey: 'run-1' });
+            expect(locks.get('job').completedRunKey).toBe('run-1');
+        });
+
+        it('renews the lease while the task runs', async () => {
+            jest.useFakeTimers();
+            const locks = useLocks();
+            let finish;
+            const running = jobLockService.runExclusive('job', () => new Promise((resolve) => { finish = resolve; }), { leaseMs: 3000 });
+            await jest.advanceTimersByTimeAsync(0);
+            const firstLease = locks.get('job').lockedUntil;
+
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect(locks.get('job').lockedUntil > firstLease).toBe(true);
+            finish();
+            await running;
+        });
+    });
+
+    describe('runScheduled', () => {
+        it('takes over an execution left unfinished when its holder died', async () => {
+            jest.useFakeTimers();
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', owner: 'dead-instance', lastRunKey: 'run-1', lockedUntil: new Date(Date.now() + 60000) });
+            const task = jest.fn(async () => 'recovered');
+
+            const waiting = jobLockService.runScheduled('job', task, { runKey: 'run-1' });
+            await jest.advanceTimersByTimeAsync(60000);
+            expect(task).not.toHaveBeenCalled();
+            await jest.advanceTimersByTimeAsync(5000);
+
+            await expect(waiting).resolves.toBe('recovered');
+            expect(locks.get('job')).toMatchObject({ owner: jobLockService.owner, completedRunKey: 'run-1' });
+        });
+
+        it('does not repeat an execution another instance finished while waiting', async () => {
+            jest.useFakeTimers();
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', owner: 'other-instance', lastRunKey: 'run-1', lockedUntil: new Date(Date.now() + 60000) });
+            const task = jest.fn();
+
+            const waiting = jobLockService.runScheduled('job', task, { runKey: 'run-1' });
+            await jest.advanceTimersByTimeAsync(0);
+            Object.assign(locks.get('job'), { completedRunKey: 'run-1', lockedUntil: new Date() });
+            await jest.advanceTimersByTimeAsync(65000);
+
+            await expect(waiting).resolves.toBeUndefined();
+            expect(task).not.toHaveBeenCalled();
+        });
+
+        it('leaves the execution alone while the holder is on another one', async () => {
+            const locks = useLocks();
+            locks.set('job', { _id: 'job', owner: 'other-instance', lastRunKey: 'run-0', lockedUntil: new Date(Date.now() + 60000) });
+            const task = jest.fn();
+
+            await expect(jobLockService.runScheduled('job', task, { runKey: 'run-1' })).resolves.toBeUndefined();
+            expect(task).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('schedule', () => {
+        it('refuses cron expressions with a seconds field', () => {
+            jest.spyOn(cron, 'schedule').mockReturnValue({});
+
+            expect(() => jobLockService.schedule('job', '*/10 * * * * *', jest.fn())).toThrow('must have five fields');
+            expect(() => jobLockService.schedule('job', '*/10 * * * *', jest.fn())).not.toThrow();
+            expect(cron.schedule).toHaveBeenCalledTimes(1);
+        });
+    });
+});
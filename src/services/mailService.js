@@ -0,0 +1,314 @@
+const nodemailer = require('nodemailer');
+const Settings = require('../models/Settings');
+const EmailOutbox = require('../models/EmailOutbox');
+const User = require('../models/User');
+const templates = require('../config/emailTemplates');
+const invoicePdfService = require('./invoicePdfService');
+const { logger } = require('../utils/logger');
+
+// Delay before retrying a failed delivery, indexed by attempt number (minutes)
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+
+// How long a claimed email may stay in "sending" before another run retries it
+const SENDING_LEASE_MINUTES = 10;
+
+class MailService {
+    constructor() {
+        this.transporter = null;
+        this.transporterKey = null;
+        this.batchSize = parseInt(process.env.MAIL_OUTBOX_BATCH_SIZE) || 20;
+    }
+
+    /**
+     * Resolve the SMTP configuration from Settings.system.mailServer,
+     * falling back to SMTP_* environment variables (e.g. a local SMTP sink)
+     * @param {Object} settings - Settings document
+     * @returns {Object|null} Mail server config or null if not configured
+     */
+    getMailServerConfig(settings) {
+        const mailServer = settings?.system?.mailServer || {};
+        const host = mailServer.host || process.env.SMTP_HOST;
+
+        if (!host) {
+            return null;
+        }
+
+        const user = mailServer.auth?.user || process.env.SMTP_USER || '';
+        const pass = mailServer.auth?.pass || process.env.SMTP_PASS || '';
+
+        return {
+            host,
+            port: Number(mailServer.host ? mailServer.port : process.env.SMTP_PORT) || 587,
+            secure: mailServer.host
+                ? Boolean(mailServer.secure)
+                : process.env.SMTP_SECURE === 'true',
+            auth: user ? { user, pass } : undefined,
+            from:
+                mailServer.from ||
+                process.env.MAIL_FROM ||
+                user ||
+                settings?.company?.contactEmail ||
+                'no-reply@localhost',
+        };
+    }
+
+    /**
+     * Get (and cache) a nodemailer transporter for the given config
+     */
+    getTransporter(config) {
+        const key = JSON.stringify(config);
+        if (!this.transporter || this.transporterKey !== key) {
+            this.transporter = nodemailer.createTransport({
+                host: config.host,
+                port: config.port,
+                secure: config.secure,
+                auth: config.auth,
+            });
+            this.transporterKey = key;
+        }
+        return this.transporter;
+    }
+
+    /**
+     * Check whether the settings allow sending the given template
+     */
+    isEnabled(settings, templateName) {
+        const system = settings?.system || {};
+        if (system.emailNotifications === false) {
+            return false;
+        }
+        const setting = templates[templateName]?.setting;
+        return !setting || system[setting] !== false;
+    }
+
+    /**
+     * Render a template with the company details merged into the context
+     */
+    render(templateName, settings, context) {
+        const template = templates[templateName];
+        if (!template) {
+            throw new Error(`Unknown email template: ${templateName}`);
+        }
+        const company = {
+            name: settings?.company?.name || 'CA-ERP',
+            currency: settings?.company?.currency || 'INR',
+        };
+        return template.render({ company, ...context });
+    }
+
+    /**
+     * Render a templated email and add it to the outbox, then try to deliver it.
+     * Emails disabled by the notification settings are skipped silently.
+     * @param {String} templateName - Key in config/emailTemplates
+     * @param {String} to - Recipient email address
+     * @param {Object} context - Values used by the template
+     * @param {Object} [options]
+     * @param {Array} [options.attachments] - nodemailer style attachments
+     * @param {String} [options.entityType] - Related entity type (task, invoice, ...)
+     * @param {String} [options.entityId] - Related entity ID
+     * @returns {Promise<Object|null>} Outbox entry or null if skipped
+     */
+    async queueEmail(templateName, to, context, options = {}) {
+        if (!to) {
+            logger.warn(`Email "${templateName}" skipped: no recipient address`);
+            return null;
+        }
+
+        const settings = await Settings.findOne();
+        if (!this.isEnabled(settings, templateName)) {
+            logger.info(`Email "${templateName}" to ${to} skipped: disabled in settings`);
+            return null;
+        }
+
+        const { subject, html, text } = this.render(templateName, settings, context);
+
+        const email = await EmailOutbox.create({
+            to,
+            subject,
+            html,
+            text,
+            template: templateName,
+            attachments: options.attachments || [],
+            entityType: options.entityType,
+            entityId: options.entityId,
+        });
+
+        logger.info(`Email queued: ${templateName} to ${to} (${email._id})`);
+
+        // Deliver in the background; failures are retried by processOutbox
+        this.deliver(email._id).catch((error) => {
+            logger.error(`Failed to deliver email ${email._id}: ${error.message}`);
+        });
+
+        return email;
+    }
+
+    /**
+     * Queue a templated email for a user, looking up their name and address.
+     * The user is available to the template as `user`.
+     * @param {String} userId - Recipient user ID
+     * @param {String} templateName - Key in config/emailTemplates
+     * @param {Object} context - Values used by the template
+     * @param {Object} [options] - See queueEmail
+     * @returns {Promise<Object|null>} Outbox entry or null if skipped
+     */
+    async queueEmailToUser(userId, templateName, context, options = {}) {
+        const user = await User.findById(userId).select('name email');
+        if (!user) {
+            logger.warn(`Email "${templateName}" skipped: user ${userId} not found`);
+            return null;
+        }
+        return this.queueEmail(templateName, user.email, { ...context, user }, options);
+    }
+
+    /**
+     * Queue the invoice email for a client with the invoice PDF attached
+     * @param {Object} invoice - Invoice document
+     * @param {Object} client - Client document
+     * @returns {Promise<Object|null>} Outbox entry or null if skipped
+     */
+    async queueInvoiceEmail(invoice, client) {
+        const settings = await Settings.findOne();
+        const pdf = await invoicePdfService.generate(invoice, client, settings);
+        return this.queueEmail(
+            'invoiceSent',
+            client.contactEmail,
+            { client, invoice },
+            {
+                entityType: 'invoice',
+                entityId: invoice._id,
+                attachments: [
+                    {
+                        filename: `${invoice.invoiceNumber.replace(/[^\w.-]+/g, '_')}.pdf`,
+                        contentType: 'application/pdf',
+                        content: pdf,
+                    },
+                ],
+            }
+        );
+    }
+
+    /**
+     * Claim and deliver a single outbox entry
+     * @param {String} emailId - Outbox entry ID
+     * @returns {Promise<Object|null>} Updated outbox entry or null if not claimable
+     */
+    async deliver(emailId) {
+        const now = new Date();
+
+        // Claim the entry so concurrent runs don't send it twice
+        const email = await EmailOutbox.findOneAndUpdate(
+            {
+                _id: emailId,
+                status: { $in: ['pending', 'sending'] },
+                nextAttemptAt: { $lte: now },
+            },
+            {
+                $set: {
+                    status: 'sending',
+                    nextAttemptAt: new Date(now.getTime() + SENDING_LEASE_MINUTES * 60 * 1000),
+                },
+                $inc: { attempts: 1 },
+            },
+            { new: true }
+        );
+
+        if (!email) {
+            return null;
+        }
+
+        try {
+            const settings = await Settings.findOne();
+            const config = this.getMailServerConfig(settings);
+            if (!config) {
+                throw new Error('Mail server is not configured');
+            }
+
+            const info = await this.getTransporter(config).sendMail({
+                from: config.from,
+                to: email.to,
+                subject: email.subject,
+                html: email.html,
+                text: email.text,
+                attachments: email.attachments.map((attachment) => ({
+                    filename: attachment.filename,
+                    contentType: attachment.contentType,
+                    content: attachment.content,
+                })),
+            });
+
+            email.status = 'sent';
+            email.sentAt = new Date();
+            email.messageId = info.messageId;
+            email.lastError = undefined;
+            await email.save();
+
+            logger.info(`Email sent: ${email.template} to ${email.to} (${email._id})`);
+        } catch (error) {
+            email.lastError = error.message;
+            if (email.attempts >= email.maxAttempts) {
+                email.status = 'failed';
+                logger.error(`Email ${email._id} failed permanently after ${email.attempts} attempts: ${error.message}`);
+            } else {
+                const delay =
+                    RETRY_DELAYS_MINUTES[Math.min(email.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+                email.status = 'pending';
+                email.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+                logger.warn(`Email ${email._id} attempt ${email.attempts} failed, retrying in ${delay} minute(s): ${error.message}`);
+            }
+            await email.save();
+        }
+
+        return email;
+    }
+
+    /**
+     * Deliver all outbox entries that are due (new, retrying or stale claims)
+     * @returns {Promise<Number>} Number of entries processed
+     */
+    async processOutbox() {
+        const due = await EmailOutbox.find({
+            status: { $in: ['pending', 'sending'] },
+            nextAttemptAt: { $lte: new Date() },
+        })
+            .sort({ nextAttemptAt: 1 })
+            .limit(this.batchSize)
+            .select('_id');
+
+        for (const email of due) {
+            await this.deliver(email._id);
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Send a test email directly (bypassing the outbox and notification toggles)
+     * @param {String} to - Recipient email address
+     * @returns {Promise<Object>} nodemailer send info
+     */
+    async sendTestEmail(to) {
+        const settings = await Settings.findOne();
+        const config = this.getMailServerConfig(settings);
+        if (!config) {
+            throw new Error('Mail server is not configured');
+        }
+
+        const { subject, html, text } = this.render('testEmail', settings, {});
+        const transporter = this.getTransporter(config);
+        await transporter.verify();
+
+        const info = await transporter.sendMail({
+            from: config.from,
+            to,
+            subject,
+            html,
+            text,
+        });
+
+        logger.info(`Test email sent to ${to} (${info.messageId})`);
+        return info;
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,155 @@
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { logger } = require('../utils/logger');
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// Default numbering patterns, overridable through Settings.numbering.<type>
+const DEFAULT_PATTERNS = {
+    invoice: { prefix: 'INV', format: '{PREFIX}/{FY}/{SEQ}', padding: 4 },
+    creditNote: { prefix: 'CN', format: '{PREFIX}/{FY}/{SEQ}', padding: 4 },
+};
+
+class NumberingService {
+    /**
+     * Parse Settings.company.financialYearStart into a month index (0-11).
+     * Accepts month names ("April", "Apr"), month numbers ("4") and dates
+     * ("2024-04-01"). Defaults to April.
+     */
+    parseFinancialYearStart(value) {
+        if (value === undefined || value === null || value === '') return 3;
+
+        const text = String(value).trim().toLowerCase();
+        const byName = MONTHS.findIndex((month) => month === text || month.slice(0, 3) === text.slice(0, 3));
+        if (/^[a-z]/.test(text) && byName !== -1) return byName;
+
+        if (/^\d{1,2}$/.test(text)) {
+            const month = parseInt(text, 10);
+            if (month >= 1 && month <= 12) return month - 1;
+        }
+
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) return date.getMonth();
+
+        return 3;
+    }
+
+    /**
+     * Get the financial year a date falls in
+     * @param {Date} date
+     * @param {Number} startMonth - Month index the financial year starts in
+     * @returns {Object} { label: '2025-26', startYear: 2025, start: Date, end: Date }
+     */
+    getFinancialYear(date, startMonth = 3) {
+        const d = new Date(date);
+        const startYear = d.getMonth() >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+        const start = new Date(startYear, startMonth, 1);
+        const end = new Date(startYear + 1, startMonth, 1);
+        end.setMilliseconds(-1);
+
+        // Calendar financial years (January start) are labelled by a single year
+        const label =
+            startMonth === 0
+                ? String(startYear)
+                : `${startYear}-${String(startYear + 1).slice(-2)}`;
+
+        return { label, startYear, start, end };
+    }
+
+    /**
+     * Build a document number from a pattern. Supported tokens:
+     * {PREFIX}, {FY} (2025-26), {FYS} (2526), {YYYY}, {YY}, {MM}, {SEQ}
+     */
+    formatNumber(pattern, { prefix, financialYear, seq, padding, date }) {
+        const d = new Date(date);
+        const fyShort = financialYear.label.replace(/^\d{2}(\d{2})-?/, '$1');
+        return pattern
+            .replace(/\{PREFIX\}/g, prefix || '')
+            .replace(/\{FY\}/g, financialYear.label)
+            .replace(/\{FYS\}/g, fyShort)
+            .replace(/\{YYYY\}/g, String(d.getFullYear()))
+            .replace(/\{YY\}/g, String(d.getFullYear()).slice(-2))
+            .replace(/\{MM\}/g, String(d.getMonth() + 1).padStart(2, '0'))
+            .replace(/\{SEQ\}/g, String(seq).padStart(padding || 1, '0'));
+    }
+
+    /**
+     * Resolve the numbering pattern and financial year for a document type
+     */
+    async getConfig(type, date) {
+        const settings = await Settings.findOne();
+        const configured = settings?.numbering?.[type] || {};
+        const defaults = DEFAULT_PATTERNS[type] || DEFAULT_PATTERNS.invoice;
+        const startMonth = this.parseFinancialYearStart(settings?.company?.financialYearStart);
+
+        return {
+            prefix: configured.prefix || defaults.prefix,
+            format: configured.format || defaults.format,
+            padding: configured.padding || defaults.padding,
+            financialYear: this.getFinancialYear(date, startMonth),
+        };
+    }
+
+    /**
+     * Allocate the next number for a document type and create the document
+     * with it. The counter is incremented atomically so concurrent requests
+     * never receive the same number. If creating the document fails the
+     * number is released again (when it is still the latest one issued) so
+     * the sequence stays gap-free.
+     * @param {String} type - Document type (e.g. 'invoice')
+     * @param {Date} date - Document date, used to pick the financial year
+     * @param {Function} create - async (number) => document
+     * @returns {Promise<Object>} The created document
+     */
+    async generate(type, date, create) {
+        const config = await this.getConfig(type, date || new Date());
+        const key = `${type}:${config.financialYear.label}`;
+
+        const counter = await Counter.findOneAndUpdate(
+            { key },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        const number = this.formatNumber(config.format, {
+            prefix: config.prefix,
+            financialYear: config.financialYear,
+            seq: counter.seq,
+            padding: config.padding,
+            date: date || new Date(),
+        });
+
+        try {
+            return await create(number);
+        } catch (error) {
+            const released = await Counter.findOneAndUpdate(
+                { key, seq: counter.seq },
+                { $inc: { seq: -1 } }
+            );
+            if (!released) {
+                logger.error(`Number ${number} (${key}) could not be released after a failed create; the sequence has a gap`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Preview the next number for a document type without allocating it
+     */
+    async peek(type, date = new Date()) {
+        const config = await this.getConfig(type, date);
+        const counter = await Counter.findOne({ key: `${type}:${config.financialYear.label}` });
+        return this.formatNumber(config.format, {
+            prefix: config.prefix,
+            financialYear: config.financialYear,
+            seq: (counter?.seq || 0) + 1,
+            padding: config.padding,
+            date,
+        });
+    }
+}
+
+module.exports = new NumberingService();
@@ -0,0 +1,117 @@
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const numberingService = require('./numberingService');
+
+// In-memory stand-in for the counters collection
+const useCounters = () => {
+    const counters = new Map();
+    jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const seq = counters.get(filter.key) || 0;
+        if (filter.seq !== undefined && filter.seq !== seq) return null;
+        counters.set(filter.key, seq + update.$inc.seq);
+        return { key: filter.key, seq: counters.get(filter.key) };
+    });
+    jest.spyOn(Counter, 'findOne').mockImplementation(async ({ key }) =>
+        counters.has(key) ? { key, seq: counters.get(key) } : null
+    );
+    return counters;
+};
+
+const useSettings = (settings) => jest.spyOn(Settings, 'findOne').mockResolvedValue(settings);
+
+describe('numberingService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('parseFinancialYearStart', () => {
+        it('accepts month names, numbers and dates, defaulting to April', () => {
+            expect(numberingService.parseFinancialYearStart('April')).toBe(3);
+            expect(numberingService.parseFinancialYearStart('jan')).toBe(0);
+            expect(numberingService.parseFinancialYearStart('7')).toBe(6);
+            expect(numberingService.parseFinancialYearStart('2024-10-01')).toBe(9);
+            expect(numberingService.parseFinancialYearStart(undefined)).toBe(3);
+            expect(numberingService.parseFinancialYearStart('13')).toBe(3);
+        });
+    });
+
+    describe('getFinancialYear', () => {
+        it('puts January to March in the financial year that started the April before', () => {
+            expect(numberingService.getFinancialYear(new Date(2025, 2, 31)).label).toBe('2024-25');
+            expect(numberingService.getFinancialYear(new Date(2025, 3, 1)).label).toBe('2025-26');
+        });
+
+        it('labels calendar financial years by a single year', () => {
+            const fy = numberingService.getFinancialYear(new Date(2025, 11, 31), 0);
+
+            expect(fy.label).toBe('2025');
+            expect(fy.start).toEqual(new Date(2025, 0, 1));
+            expect(fy.end).toEqual(new Date(2026, 0, 1, 0, 0, 0, -1));
+        });
+    });
+
+    describe('formatNumber', () => {
+        it('fills in every token', () => {
+            const financialYear = numberingService.getFinancialYear(new Date(2025, 5, 15));
+            const number = numberingService.formatNumber('{PREFIX}-{FY}-{FYS}-{YYYY}{YY}{MM}-{SEQ}', {
+                prefix: 'INV',
+                financialYear,
+                seq: 7,
+                padding: 4,
+                date: new Date(2025, 5, 15),
+            });
+
+            expect(number).toBe('INV-2025-26-2526-20252506-0007');
+        });
+    });
+
+    describe('generate', () => {
+        it('numbers documents in sequence and starts again in each financial year', async () => {
+            useSettings({ company: { financialYearStart: 'April' } });
+            useCounters();
+            const create = async (number) => ({ number });
+
+            const march = await numberingService.generate('invoice', new Date(2025, 2, 31), create);
+            const april = await numberingService.generate('invoice', new Date(2025, 3, 1), create);
+            const may = await numberingService.generate('invoice', new Date(2025, 4, 1), create);
+
+            expect([march.number, april.number, may.number]).toEqual(['INV/2024-25/0001', 'INV/2025-26/0001', 'INV/2025-26/0002']);
+        });
+
+        it('keeps separate sequences per document type and uses the configured pattern', async () => {
+            useSettings({ numbering: { creditNote: { prefix: 'CR', format: '{PREFIX}{SEQ}', padding: 2 } } });
+            useCounters();
+            const create = async (number) => number;
+
+            await numberingService.generate('invoice', new Date(2025, 4, 1), create);
+
+            await expect(numberingService.generate('creditNote', new Date(2025, 4, 1), create)).resolves.toBe('CR01');
+        });
+
+        it('releases the number when creating the document fails', async () => {
+            useSettings(null);
+            const counters = useCounters();
+
+            await expect(
+                numberingService.generate('invoice', new Date(2025, 4, 1), async () => {
+                    throw new Error('validation failed');
+                })
+            ).rejects.toThrow('validation failed');
+
+            expect(counters.get('invoice:2025-26')).toBe(0);
+            await expect(numberingService.peek('invoice', new Date(2025, 4, 1))).resolves.toBe('INV/2025-26/0001');
+        });
+
+        it('does not release a number once a later one has been issued', async () => {
+            useSettings(null);
+            const counters = useCounters();
+
+            await expect(
+                numberingService.generate('invoice', new Date(2025, 4, 1), async () => {
+                    await numberingService.generate('invoice', new Date(2025, 4, 1), async (number) => number);
+                    throw new Error('validation failed');
+                })
+            ).rejects.toThrow('validation failed');
+
+            expect(counters.get('invoice:2025-26')).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,488 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Project = require('../models/Project');
+const BankTransaction = require('../models/BankTransaction');
+const Settings = require('../models/Settings');
+const exchangeRateService = require('./exchangeRateService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { round2 } = require('../utils/gst');
+const { logger } = require('../utils/logger');
+
+// Invoices that can still receive payments
+const PAYABLE_STATUSES = ['sent', 'overdue'];
+
+// Tolerance for rounding when comparing amounts
+const EPSILON = 0.005;
+
+class PaymentService {
+    /**
+     * Amount still due on an invoice (total less payments and credit notes)
+     */
+    getInvoiceBalance(invoice) {
+        return round2((invoice.total || 0) - (invoice.paidAmount || 0) - (invoice.creditedAmount || 0));
+    }
+
+    /**
+     * Split an amount paid against an invoice across the projects on it.
+     * Projects track their taxable value, so only the pre-tax part of the
+     * payment is credited to them, in proportion to their invoice lines.
+     */
+    splitAcrossProjects(invoice, amount) {
+        const weights = new Map();
+        invoice.items.forEach((item) => {
+            if (item.project) {
+                const key = item.project.toString();
+                weights.set(key, (weights.get(key) || 0) + (item.amount || 0));
+            }
+        });
+        if (weights.size === 0 && invoice.project) {
+            weights.set(invoice.project.toString(), 1);
+        }
+
+        const totalWeight = [...weights.values()].reduce((sum, value) => sum + value, 0);
+        if (!totalWeight || !invoice.total) return [];
+
+        const taxable = round2(amount * ((invoice.subtotal || 0) - (invoice.discount || 0)) / invoice.total);
+        const projects = [...weights.entries()];
+        let remaining = taxable;
+
+        // The last project takes the rounding difference
+        return projects.map(([project, weight], index) => {
+            const share = index === projects.length - 1 ? remaining : round2((taxable * weight) / totalWeight);
+            remaining = round2(remaining - share);
+            return { project, amount: share };
+        });
+    }
+
+    /**
+     * Base (reporting) currency from settings
+     */
+    async getBaseCurrency() {
+        const settings = await Settings.findOne().select('company.currency');
+        return exchangeRateService.getBaseCurrency(settings);
+    }
+
+    /**
+     * Check allocations against the client's invoices and projects. A
+     * payment is in one currency, so everything it settles must be too.
+     * @param {String} clientId
+     * @param {Array<{invoice?: String, project?: String, amount: Number}>} allocations
+     * @param {String} [currency] - Payment currency; taken from the allocations if not given
+     * @returns {Promise<{allocations: Array, currency: String}>} Allocations with the project split of each invoice
+     */
+    async prepareAllocations(clientId, allocations = [], currency) {
+        const baseCurrency = await this.getBaseCurrency();
+        const seen = new Set();
+        const prepared = [];
+        let paymentCurrency = currency;
+
+        const checkCurrency = (itemCurrency, label) => {
+            const allocationCurrency = itemCurrency || baseCurrency;
+            if (paymentCurrency && allocationCurrency !== paymentCurrency) {
+                throw new ErrorResponse(`${label} is in ${allocationCurrency} and cannot be settled by a ${paymentCurrency} payment`, 400);
+            }
+            paymentCurrency = allocationCurrency;
+        };
+
+        for (const allocation of allocations) {
+            const amount = round2(Number(allocation.amount));
+            if (!(amount > 0)) {
+                throw new ErrorResponse('Allocated amounts must be greater than 0', 400);
+            }
+
+            const key = allocation.invoice ? `invoice:${allocation.invoice}` : `project:${allocation.project}`;
+            if (seen.has(key)) {
+                throw new ErrorResponse(`The same ${allocation.invoice ? 'invoice' : 'project'} is allocated more than once`, 400);
+            }
+            seen.add(key);
+
+            if (allocation.invoice) {
+                const invoice = await Invoice.findById(allocation.invoice);
+                if (!invoice) {
+                    throw new ErrorResponse(`Invoice not found with id of ${allocation.invoice}`, 404);
+                }
+                if (invoice.client.toString() !== clientId.toString()) {
+                    throw new ErrorResponse(`Invoice ${invoice.invoiceNumber} does not belong to this client`, 400);
+                }
+                if (!PAYABLE_STATUSES.includes(invoice.status)) {
+                    throw new ErrorResponse(`Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot receive payments`, 400);
+                }
+                checkCurrency(invoice.currency, `Invoice ${invoice.invoiceNumber}`);
+                const balance = this.getInvoiceBalance(invoice);
+                if (amount > balance + EPSILON) {
+                    throw new ErrorResponse(`Allocation of ${amount} exceeds the ${balance} due on invoice ${invoice.invoiceNumber}`, 400);
+                }
+
+                prepared.push({
+                    invoice: invoice._id,
+                    amount,
+                    projectShares: this.splitAcrossProjects(invoice, amount),
+                });
+            } else {
+                const project = await Project.findOne({ _id: allocation.project, deleted: { $ne: true } });
+                if (!project) {
+                    throw new ErrorResponse(`Project not found with id of ${allocation.project}`, 404);
+                }
+                if (project.client.toString() !== clientId.toString()) {
+                    throw new ErrorResponse(`Project ${project.name} does not belong to this client`, 400);
+                }
+                // Invoiced projects are paid through their invoice so both stay in step
+                if (project.invoiceId) {
+                    throw new ErrorResponse(
+                        `Project ${project.name} is invoiced under ${project.invoiceNumber || 'an invoice'}; allocate the payment to the invoice instead`,
+                        400
+                    );
+                }
+                if (amount > (project.balanceAmount || 0) + EPSILON) {
+                    throw new ErrorResponse(`Allocation of ${amount} exceeds the ${project.balanceAmount || 0} due on project ${project.name}`, 400);
+                }
+                checkCurrency(project.currency, `Project ${project.name}`);
+
+                prepared.push({ project: project._id, amount, projectShares: [] });
+            }
+        }
+
+        return { allocations: prepared, currency: paymentCurrency || baseCurrency };
+    }
+
+    /**
+     * Add a payment to a project's received amount and payment history
+     */
+    async creditProject(projectId, amount, payment, userId) {
+        const project = await Project.findById(projectId);
+        if (!project) return;
+
+        project.receivedAmount = round2((project.receivedAmount || 0) + amount);
+        project.paymentHistory.push({
+            amount,
+            method: payment.method,
+            reference: payment.reference || '',
+            notes: payment.notes || '',
+            recordedBy: userId,
+            recordedAt: payment.date,
+            payment: payment._id,
+        });
+        if (!project.lastPaymentDate || payment.date > project.lastPaymentDate) {
+            project.lastPaymentDate = payment.date;
+        }
+
+        // Pre-save middleware updates the balance and payment status
+        await project.save();
+    }
+
+    /**
+     * Remove a payment entry from a project
+     */
+    async debitProject(projectId, amount, payment) {
+        const project = await Project.findById(projectId);
+        if (!project) return;
+
+        project.receivedAmount = round2(Math.max((project.receivedAmount || 0) - amount, 0));
+        const entry = project.paymentHistory.find(
+            (item) => item.payment && item.payment.equals(payment._id) && Math.abs(item.amount - amount) < EPSILON
+        );
+        if (entry) {
+            project.paymentHistory.pull(entry._id);
+        }
+        const dates = project.paymentHistory.map((item) => item.recordedAt).filter(Boolean);
+        project.lastPaymentDate = dates.length > 0 ? new Date(Math.max(...dates)) : undefined;
+
+        await project.save();
+    }
+
+    /**
+     * Apply one allocation: update the invoice and the projects it covers
+     */
+    async applyAllocation(payment, allocation, userId) {
+        if (allocation.invoice) {
+            // Guard against the invoice being settled by a concurrent request
+            const invoice = await Invoice.findOneAndUpdate(
+                {
+                    _id: allocation.invoice,
+                    status: { $in: PAYABLE_STATUSES },
+                    $expr: {
+                        $gte: [
+                            {
+                                $subtract: [
+                                    '$total',
+                                    { $add: [{ $ifNull: ['$paidAmount', 0] }, { $ifNull: ['$creditedAmount', 0] }] },
+                                ],
+                            },
+                            allocation.amount - EPSILON,
+                        ],
+                    },
+                },
+                { $inc: { paidAmount: allocation.amount } },
+                { new: true }
+            );
+            if (!invoice) {
+                throw new ErrorResponse('Invoice balance changed while the payment was being recorded; please retry', 409);
+            }
+
+            if (this.getInvoiceBalance(invoice) <= EPSILON) {
+                await Invoice.updateOne({ _id: invoice._id }, { $set: { status: 'paid', paidDate: payment.date } });
+            }
+        }
+
+        const shares = allocation.invoice
+            ? allocation.projectShares
+            : [{ project: allocation.project, amount: allocation.amount }];
+        for (const share of shares) {
+            await this.creditProject(share.project, share.amount, payment, userId);
+        }
+    }
+
+    /**
+     * Undo an allocation applied by applyAllocation
+     */
+    async reverseAllocation(payment, allocation) {
+        if (allocation.invoice) {
+            const invoice = await Invoice.findByIdAndUpdate(
+                allocation.invoice,
+                { $inc: { paidAmount: -allocation.amount } },
+                { new: true }
+            );
+            if (invoice && invoice.status === 'paid' && this.getInvoiceBalance(invoice) > EPSILON) {
+                const overdue = moment(invoice.dueDate).isBefore(moment().startOf('day'));
+                await Invoice.updateOne(
+                    { _id: invoice._id },
+                    { $set: { status: overdue ? 'overdue' : 'sent' }, $unset: { paidDate: 1 } }
+                );
+            }
+        }
+
+        const shares = allocation.invoice
+            ? allocation.projectShares
+            : [{ project: allocation.project, amount: allocation.amount }];
+        for (const share of shares) {
+            await this.debitProject(share.project, share.amount, payment);
+        }
+    }
+
+    /**
+     * Apply allocations, undoing the ones already applied if any fails
+     */
+    async applyAllocations(payment, allocations, userId) {
+        const applied = [];
+        try {
+            for (const allocation of allocations) {
+                await this.applyAllocation(payment, allocation, userId);
+                applied.push(allocation);
+            }
+        } catch (error) {
+            for (const allocation of applied.reverse()) {
+                try {
+                    await this.reverseAllocation(payment, allocation);
+                } catch (reverseError) {
+                    logger.error(`Failed to reverse allocation of payment ${payment._id}: ${reverseError.message}`);
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Record a payment from a client and allocate it; whatever is not
+     * allocated is held as client advance
+     * @param {Object} data - client, date, amount, currency, tdsAmount, method, reference, notes, allocations
+     * @param {Object} user - User recording the payment
+     * @returns {Promise<Object>} Payment document
+     */
+    async create(data, user) {
+        const { allocations = [], ...details } = data;
+        const settled = round2(Number(details.amount) + Number(details.tdsAmount || 0));
+        const total = round2(allocations.reduce((sum, allocation) => sum + Number(allocation.amount), 0));
+        if (total > settled + EPSILON) {
+            throw new ErrorResponse(`Allocations (${total}) exceed the amount received plus TDS (${settled})`, 400);
+        }
+
+        const { allocations: prepared, currency } = await this.prepareAllocations(
+            details.client,
+            allocations,
+            details.currency && details.currency.toUpperCase()
+        );
+
+        const payment = await Payment.create({
+            ...details,
+            currency,
+            allocations: prepared.map((allocation) => ({ ...allocation, allocatedBy: user._id })),
+            createdBy: user._id,
+        });
+
+        try {
+            await this.applyAllocations(payment, payment.allocations, user._id);
+        } catch (error) {
+            await Payment.deleteOne({ _id: payment._id });
+            throw error;
+        }
+
+        return payment;
+    }
+
+    /**
+     * Allocate the unallocated part (client advance) of a payment
+     */
+    async allocate(payment, allocations, user) {
+        if (payment.status !== 'active') {
+            throw new ErrorResponse('A void payment cannot be allocated', 400);
+        }
+
+        const total = round2(allocations.reduce((sum, allocation) => sum + Number(allocation.amount), 0));
+        if (total > payment.unallocatedAmount + EPSILON) {
+            throw new ErrorResponse(`Allocations (${total}) exceed the unallocated amount (${payment.unallocatedAmount})`, 400);
+        }
+
+        const { allocations: prepared } = await this.prepareAllocations(
+            payment.client,
+            allocations,
+            payment.currency || (await this.getBaseCurrency())
+        );
+        const start = payment.allocations.length;
+        prepared.forEach((allocation) => payment.allocations.push({ ...allocation, allocatedBy: user._id }));
+        await payment.save();
+
+        const added = payment.allocations.slice(start);
+        try {
+            await this.applyAllocations(payment, added, user._id);
+        } catch (error) {
+            added.forEach((allocation) => payment.allocations.pull(allocation._id));
+            await payment.save();
+            throw error;
+        }
+
+        return payment;
+    }
+
+    /**
+     * Void a payment, reversing everything it settled
+     */
+    async void(payment, reason, user) {
+        if (payment.status === 'void') {
+            throw new ErrorResponse('Payment is already void', 400);
+        }
+
+        for (const allocation of payment.allocations) {
+            await this.reverseAllocation(payment, allocation);
+        }
+
+        payment.status = 'void';
+        payment.voidedAt = new Date();
+        payment.voidedBy = user._id;
+        payment.voidReason = reason;
+        await payment.save();
+
+        // A bank credit matched to the payment goes back to the reconciliation queue
+        await BankTransaction.updateMany(
+            { payment: payment._id },
+            { $set: { status: 'unmatched' }, $unset: { payment: 1, matchedBy: 1, matchedAt: 1 } }
+        );
+
+        return payment;
+    }
+
+    /**
+     * How much more of each invoice was unsettled on a date than is now:
+     * allocations made since, less allocations in place then whose payment
+     * has since been voided
+     * @param {Array<ObjectId>} invoiceIds
+     * @param {Date} asOf
+     * @returns {Promise<Map<String, Number>>} Invoice ID to the amount to add back to its current balance
+     */
+    async getSettledSince(invoiceIds, asOf) {
+        const payments = await Payment.find({
+            'allocations.invoice': { $in: invoiceIds },
+            $or: [{ status: 'active' }, { status: 'void', voidedAt: { $gt: asOf } }],
+        })
+            .select('status allocations')
+            .lean();
+
+        const settled = new Map();
+        for (const payment of payments) {
+            for (const allocation of payment.allocations) {
+                if (!allocation.invoice) continue;
+                const madeSince = new Date(allocation.allocatedAt) > asOf;
+                let amount = 0;
+                if (payment.status === 'active' && madeSince) amount = allocation.amount;
+                if (payment.status === 'void' && !madeSince) amount = -allocation.amount;
+                if (amount) {
+                    const key = allocation.invoice.toString();
+                    settled.set(key, round2((settled.get(key) || 0) + amount));
+                }
+            }
+        }
+        return settled;
+    }
+
+    /**
+     * Unallocated payment amounts held as advance, per client and currency
+     * @param {String} [clientId] - Limit to one client
+     * @param {Date} [asOf] - Advances as they stood at the end of this date rather than now
+     * @returns {Promise<Array<{client: ObjectId, currency: String, advance: Number, payments: Number}>>}
+     */
+    async getClientAdvances(clientId, asOf) {
+        const baseCurrency = await this.getBaseCurrency();
+        if (asOf) {
+            return this.getClientAdvancesOn(clientId, asOf, baseCurrency);
+        }
+
+        const match = { status: 'active', unallocatedAmount: { $gt: 0 } };
+        if (clientId) {
+            match.client = new mongoose.Types.ObjectId(clientId.toString());
+        }
+
+        const advances = await Payment.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { client: '$client', currency: { $ifNull: ['$currency', baseCurrency] } },
+                    advance: { $sum: '$unallocatedAmount' },
+                    payments: { $sum: 1 },
+                },
+            },
+        ]);
+
+        return advances.map((row) => ({
+            client: row._id.client,
+            currency: row._id.currency,
+            advance: round2(row.advance),
+            payments: row.payments,
+        }));
+    }
+
+    /**
+     * Advances as they stood on a date: what payments standing then had
+     * not yet had allocated
+     */
+    async getClientAdvancesOn(clientId, asOf, baseCurrency) {
+        // Received by then and not void at the time
+        const filter = {
+            date: { $lte: asOf },
+            $or: [{ status: 'active' }, { status: 'void', voidedAt: { $gt: asOf } }],
+        };
+        if (clientId) {
+            filter.client = clientId;
+        }
+        const payments = await Payment.find(filter).select('client currency amount tdsAmount allocations').lean();
+
+        const advances = new Map();
+        for (const payment of payments) {
+            const allocated = payment.allocations
+                .filter((allocation) => new Date(allocation.allocatedAt) <= asOf)
+                .reduce((sum, allocation) => sum + allocation.amount, 0);
+            const advance = round2((payment.amount || 0) + (payment.tdsAmount || 0) - allocated);
+            if (advance <= EPSILON) continue;
+
+            const currency = payment.currency || baseCurrency;
+            const key = `${payment.client}:${currency}`;
+            const row = advances.get(key) || { client: payment.client, currency, advance: 0, payments: 0 };
+            row.advance = round2(row.advance + advance);
+            row.payments += 1;
+            advances.set(key, row);
+        }
+        return [...advances.values()];
+    }
+}
+
+module.exports = new PaymentService();
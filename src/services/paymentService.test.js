@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Project = require('../models/Project');
+const BankTransaction = require('../models/BankTransaction');
+const Settings = require('../models/Settings');
+const paymentService = require('./paymentService');
+
+const clientId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// In-memory invoices behind the Invoice model calls the service makes
+const useInvoices = (...invoices) => {
+    const store = new Map(invoices.map((invoice) => [invoice._id.toString(), invoice]));
+    const balance = (invoice) => invoice.total - (invoice.paidAmount || 0) - (invoice.creditedAmount || 0);
+
+    jest.spyOn(Invoice, 'findById').mockImplementation(async (id) => store.get(id.toString()) || null);
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const invoice = store.get(filter._id.toString());
+        const amount = update.$inc.paidAmount;
+        if (!invoice || !filter.status.$in.includes(invoice.status) || balance(invoice) < amount - 0.005) return null;
+        invoice.paidAmount = (invoice.paidAmount || 0) + amount;
+        return { ...invoice };
+    });
+    jest.spyOn(Invoice, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+        const invoice = store.get(id.toString());
+        invoice.paidAmount += update.$inc.paidAmount;
+        return { ...invoice };
+    });
+    jest.spyOn(Invoice, 'updateOne').mockImplementation(async (filter, update) => {
+        const invoice = store.get(filter._id.toString());
+        Object.assign(invoice, update.$set);
+        Object.keys(update.$unset || {}).forEach((field) => delete invoice[field]);
+    });
+    return store;
+};
+
+const invoice = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    invoiceNumber: 'INV/2025-26/0001',
+    client: clientId,
+    status: 'sent',
+    currency: 'INR',
+    items: [],
+    subtotal: 1000,
+    total: 1180,
+    paidAmount: 0,
+    creditedAmount: 0,
+    dueDate: moment().add(10, 'days').toDate(),
+    ...fields,
+});
+
+describe('paymentService', () => {
+    beforeEach(() => {
+        jest.spyOn(Settings, 'findOne').mockReturnValue({ select: async () => ({ company: { currency: 'INR' } }) });
+        jest.spyOn(Project, 'findById').mockResolvedValue(null);
+        jest.spyOn(Payment, 'create').mockImplementation(async (data) => ({
+            ...data,
+            _id: new mongoose.Types.ObjectId(),
+            status: 'active',
+            allocations: data.allocations.map((allocation) => ({ ...allocation, _id: new mongoose.Types.ObjectId() })),
+            save: jest.fn(),
+        }));
+        jest.spyOn(Payment, 'deleteOne').mockResolvedValue({});
+        jest.spyOn(BankTransaction, 'updateMany').mockResolvedValue({});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getInvoiceBalance', () => {
+        it('takes payments and credit notes off the total', () => {
+            expect(paymentService.getInvoiceBalance({ total: 1180, paidAmount: 500.1, creditedAmount: 100.2 })).toBe(579.7);
+        });
+    });
+
+    describe('splitAcrossProjects', () => {
+        it('credits only the pre-tax part, in proportion to the project lines, rounding on the last', () => {
+            const [a, b] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+            const shares = paymentService.splitAcrossProjects(
+                {
+                    items: [
+                        { project: a, amount: 1 },
+                        { project: b, amount: 2 },
+                    ],
+                    subtotal: 3,
+                    total: 3.54,
+                },
+                3.54
+            );
+
+            expect(shares).toEqual([
+                { project: a.toString(), amount: 1 },
+                { project: b.toString(), amount: 2 },
+            ]);
+            expect(paymentService.splitAcrossProjects({ items: [{ project: a, amount: 1 }], subtotal: 100, total: 118 }, 100)).toEqual([
+                { project: a.toString(), amount: 84.75 },
+            ]);
+        });
+    });
+
+    describe('create', () => {
+        it('allocates a payment across invoices and marks the settled ones paid', async () => {
+            const first = invoice({ total: 1000 });
+            const second = invoice({ invoiceNumber: 'INV/2025-26/0002', total: 2000 });
+            const store = useInvoices(first, second);
+
+            const payment = await paymentService.create(
+                {
+                    client: clientId,
+                    date: new Date(),
+                    amount: 2700,
+                    tdsAmount: 300,
+                    allocations: [
+                        { invoice: first._id, amount: 1000 },
+                        { invoice: second._id, amount: 1500 },
+                    ],
+                },
+                user
+            );
+
+            expect(payment.currency).toBe('INR');
+            expect(store.get(first._id.toString())).toMatchObject({ paidAmount: 1000, status: 'paid' });
+            expect(store.get(second._id.toString())).toMatchObject({ paidAmount: 1500, status: 'sent' });
+        });
+
+        it('refuses allocations beyond the amount received plus TDS', async () => {
+            const due = invoice();
+            useInvoices(due);
+
+            await expect(
+                paymentService.create({ client: clientId, amount: 100, tdsAmount: 10, allocations: [{ invoice: due._id, amount: 111 }] }, user)
+            ).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it.each([
+            ['more than the balance due', { paidAmount: 1000 }, /exceeds the 180 due/],
+            ['another client', { client: new mongoose.Types.ObjectId() }, /does not belong to this client/],
+            ['a draft', { status: 'draft' }, /is draft and cannot receive payments/],
+            ['another currency', { currency: 'USD' }, /is in USD and cannot be settled by a INR payment/],
+        ])('refuses to allocate %s', async (label, fields, message) => {
+            const due = invoice(fields);
+            useInvoices(due);
+
+            await expect(
+                paymentService.create(
+                    { client: clientId, amount: 500, currency: 'INR', allocations: [{ invoice: due._id, amount: 500 }] },
+                    user
+                )
+            ).rejects.toThrow(message);
+            expect(Payment.create).not.toHaveBeenCalled();
+        });
+
+        it('undoes the allocations already applied and removes the payment when one fails', async () => {
+            const first = invoice({ total: 1000 });
+            const second = invoice({ invoiceNumber: 'INV/2025-26/0002', total: 1000 });
+            const store = useInvoices(first, second);
+            // The second invoice is settled by someone else between the checks and the update
+            Invoice.findById.mockImplementationOnce(async (id) => store.get(id.toString()));
+            Invoice.findById.mockImplementationOnce(async (id) => {
+                const found = store.get(id.toString());
+                const checked = { ...found };
+                found.paidAmount = 1000;
+                return checked;
+            });
+
+            await expect(
+                paymentService.create(
+                    {
+                        client: clientId,
+                        amount: 2000,
+                        allocations: [
+                            { invoice: first._id, amount: 1000 },
+                            { invoice: second._id, amount: 1000 },
+                        ],
+                    },
+                    user
+                )
+            ).rejects.toMatchObject({ statusCode: 409 });
+            expect(store.get(first._id.toString())).toMatchObject({ paidAmount: 0, status: 'sent' });
+            expect(Payment.deleteOne).toHaveBeenCalled();
+        });
+    });
+
+    describe('void', () => {
+        it('reverses the allocations, reopens paid invoices and returns the bank credit to the queue', async () => {
+            const paid = invoice({ total: 1000, dueDate: moment().subtract(5, 'days').toDate() });
+            const store = useInvoices(paid);
+            const payment = await paymentService.create(
+                { client: clientId, amount: 1000, allocations: [{ invoice: paid._id, amount: 1000 }] },
+                user
+            );
+            expect(store.get(paid._id.toString()).status).toBe('paid');
+
+            await paymentService.void(payment, 'Cheque bounced', user);
+
+            expect(store.get(paid._id.toString())).toMatchObject({ paidAmount: 0, status: 'overdue' });
+            expect(store.get(paid._id.toString())).not.toHaveProperty('paidDate');
+            expect(payment).toMatchObject({ status: 'void', voidReason: 'Cheque bounced' });
+            expect(BankTransaction.updateMany).toHaveBeenCalledWith(
+                { payment: payment._id },
+                expect.objectContaining({ $set: { status: 'unmatched' } })
+            );
+            await expect(paymentService.void(payment, 'again', user)).rejects.toThrow('already void');
+        });
+    });
+});
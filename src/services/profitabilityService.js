@@ -0,0 +1,272 @@
+const moment = require('moment');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Incentive = require('../models/Incentive');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Settings = require('../models/Settings');
+const paymentService = require('./paymentService');
+const exchangeRateService = require('./exchangeRateService');
+const { round2 } = require('../utils/gst');
+
+// Invoices that count as billed
+const BILLED_STATUSES = ['sent', 'paid', 'overdue'];
+
+// Amounts summed when rolling projects up by client or manager
+const SUM_FIELDS = ['fee', 'estimatedHours', 'hours', 'approvedHours', 'unratedHours', 'labourCost', 'incentives', 'cost', 'billed', 'received'];
+
+const percent = (part, whole) => (whole ? round2((part / whole) * 100) : null);
+
+const emptySums = () => SUM_FIELDS.reduce((acc, field) => ({ ...acc, [field]: 0 }), {});
+
+class ProfitabilityService {
+    /**
+     * Hourly cost rate in force on a date
+     * @param {Array<{rate: Number, effectiveFrom: Date}>} costRates
+     * @returns {Number|null} null if no rate applies yet
+     */
+    getCostRate(costRates = [], date) {
+        const rate = costRates
+            .filter((entry) => new Date(entry.effectiveFrom) <= new Date(date))
+            .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+        return rate ? rate.rate : null;
+    }
+
+    /**
+     * Mongo date condition for an optional from / to range
+     */
+    dateFilter({ from, to }) {
+        if (!from && !to) return undefined;
+        const filter = {};
+        if (from) filter.$gte = moment(from).startOf('day').toDate();
+        if (to) filter.$lte = moment(to).endOf('day').toDate();
+        return filter;
+    }
+
+    inRange(date, { from, to }) {
+        if (from && moment(date).isBefore(moment(from).startOf('day'))) return false;
+        if (to && moment(date).isAfter(moment(to).endOf('day'))) return false;
+        return true;
+    }
+
+    /**
+     * Margin and budget figures derived from the summed amounts
+     */
+    withMargins(row) {
+        row.cost = round2(row.labourCost + row.incentives);
+        row.margin = round2(row.billed - row.cost);
+        row.marginPercent = percent(row.margin, row.billed);
+        row.budgetMargin = round2(row.fee - row.cost);
+        row.budgetUsedPercent = percent(row.cost, row.fee);
+        row.hoursVariance = round2(row.hours - row.estimatedHours);
+        return row;
+    }
+
+    /**
+     * Effort, cost, billing and receipts of projects. Amounts are in the
+     * base currency: labour at each user's cost rate on the day the time was
+     * logged, billing at the invoice rate, and project fees and receipts in
+     * another currency at the latest recorded rate.
+     * @param {Array<Object>} projects - Lean projects with client and manager populated
+     * @param {Object} range - Optional from / to dates for time, incentives, invoices and receipts
+     */
+    async calculate(projects, range = {}) {
+        const settings = await Settings.findOne().select('company.currency');
+        const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+        const currencies = [...new Set(projects.map((project) => project.currency).filter((currency) => currency && currency !== baseCurrency))];
+        const { rates, missing: missingRates } = await exchangeRateService.getRates(currencies, new Date(), baseCurrency);
+        const toBase = (amount, currency) => round2((amount || 0) * (rates[currency] || 1));
+
+        const projectIds = projects.map((project) => project._id);
+        const dates = this.dateFilter(range);
+
+        const rows = new Map(
+            projects.map((project) => [
+                project._id.toString(),
+                {
+                    project: { _id: project._id, name: project.name, status: project.status, currency: project.currency || baseCurrency },
+                    client: project.client ? { _id: project.client._id, name: project.client.name } : null,
+                    manager: project.manager ? { _id: project.manager._id, name: project.manager.name } : null,
+                    fee: toBase(project.amount, project.currency),
+                    estimatedHours: 0,
+                    hours: 0,
+                    approvedHours: 0,
+                    unratedHours: 0,
+                    labourCost: 0,
+                    incentives: 0,
+                    billed: 0,
+                    received: round2(
+                        (project.paymentHistory || [])
+                            .filter((entry) => this.inRange(entry.recordedAt, range))
+                            .reduce((sum, entry) => sum + toBase(entry.amount, project.currency), 0)
+                    ),
+                },
+            ])
+        );
+
+        // Logged hours at the user's cost rate
+        const tasks = await Task.find({ project: { $in: projectIds }, deleted: { $ne: true } })
+            .select('project estimatedHours timeTracking.entries')
+            .lean();
+        const userIds = [...new Set(tasks.flatMap((task) => (task.timeTracking?.entries || []).map((entry) => entry.user?.toString())).filter(Boolean))];
+        const users = await User.find({ _id: { $in: userIds } }).select('name +costRates').lean();
+        const costRates = new Map(users.map((user) => [user._id.toString(), user.costRates || []]));
+        const unratedUsers = new Map();
+
+        const taskProjects = new Map();
+        tasks.forEach((task) => {
+            const row = rows.get(task.project.toString());
+            if (!row) return;
+            taskProjects.set(task._id.toString(), row);
+            row.estimatedHours += task.estimatedHours || 0;
+
+            (task.timeTracking?.entries || [])
+                .filter((entry) => this.inRange(entry.date, range))
+                .forEach((entry) => {
+                    const hours = entry.hours || 0;
+                    row.hours += hours;
+                    if (entry.approved) row.approvedHours += hours;
+                    const rate = this.getCostRate(costRates.get(entry.user?.toString()), entry.date);
+                    if (rate === null) {
+                        row.unratedHours += hours;
+                        const user = users.find((u) => u._id.toString() === entry.user?.toString());
+                        unratedUsers.set(entry.user?.toString(), user ? user.name : 'Unknown user');
+                    } else {
+                        row.labourCost += hours * rate;
+                    }
+                });
+        });
+
+        // Incentives paid on the projects' tasks
+        const incentiveFilter = {
+            $or: [{ projectId: { $in: projectIds } }, { taskId: { $in: [...taskProjects.keys()] } }],
+        };
+        if (dates) incentiveFilter.date = dates;
+        const incentives = await Incentive.find(incentiveFilter).select('projectId taskId incentiveAmount').lean();
+        incentives.forEach((incentive) => {
+            const row = (incentive.projectId && rows.get(incentive.projectId.toString())) || taskProjects.get(incentive.taskId?.toString());
+            if (row) row.incentives += incentive.incentiveAmount || 0;
+        });
+
+        // Billed: the taxable value of each invoice split across its projects, less credit notes
+        const invoiceFilter = {
+            status: { $in: BILLED_STATUSES },
+            $or: [{ 'items.project': { $in: projectIds } }, { project: { $in: projectIds } }],
+        };
+        if (dates) invoiceFilter.issueDate = dates;
+        const invoices = await Invoice.find(invoiceFilter)
+            .select('project items.project items.amount subtotal discount total exchangeRate')
+            .lean();
+        invoices.forEach((invoice) => {
+            paymentService.splitAcrossProjects(invoice, invoice.total).forEach((share) => {
+                const row = rows.get(share.project.toString());
+                if (row) row.billed += share.amount * (invoice.exchangeRate || 1);
+            });
+        });
+
+        const creditFilter = { 'projectAllocations.project': { $in: projectIds } };
+        if (dates) creditFilter.issueDate = dates;
+        const creditNotes = await CreditNote.find(creditFilter).select('projectAllocations exchangeRate').lean();
+        creditNotes.forEach((creditNote) => {
+            creditNote.projectAllocations.forEach((allocation) => {
+                const row = allocation.project && rows.get(allocation.project.toString());
+                if (row) row.billed -= (allocation.amount || 0) * (creditNote.exchangeRate || 1);
+            });
+        });
+
+        const results = [...rows.values()].map((row) => {
+            SUM_FIELDS.forEach((field) => {
+                row[field] = round2(row[field]);
+            });
+            return this.withMargins(row);
+        });
+
+        return {
+            baseCurrency,
+            missingRates,
+            // Users who logged time without a cost rate in force; their hours carry no cost
+            unratedUsers: [...unratedUsers.entries()].map(([_id, name]) => ({ _id, name })),
+            projects: results,
+        };
+    }
+
+    /**
+     * Totals of project rows, with margins
+     */
+    total(rows, fields = {}) {
+        const totals = rows.reduce((acc, row) => {
+            SUM_FIELDS.forEach((field) => {
+                acc[field] = round2(acc[field] + row[field]);
+            });
+            return acc;
+        }, { ...fields, projectCount: rows.length, ...emptySums() });
+        return this.withMargins(totals);
+    }
+
+    /**
+     * Roll project rows up by client or manager
+     * @param {Array<Object>} rows - Project rows from calculate()
+     * @param {String} key - 'client' or 'manager'
+     */
+    summarize(rows, key) {
+        const groups = new Map();
+        rows.forEach((row) => {
+            const id = row[key]?._id?.toString() || 'none';
+            if (!groups.has(id)) groups.set(id, []);
+            groups.get(id).push(row);
+        });
+
+        return [...groups.values()]
+            .map((group) => this.total(group, { [key]: group[0][key] || null }))
+            .sort((a, b) => b.margin - a.margin);
+    }
+
+    /**
+     * Profitability of a single project
+     */
+    async getProjectProfitability(projectId, range = {}) {
+        const project = await Project.findOne({ _id: projectId, deleted: { $ne: true } })
+            .select('name status client manager amount currency paymentHistory')
+            .populate({ path: 'client', select: 'name' })
+            .populate({ path: 'manager', select: 'name' })
+            .lean();
+        if (!project) return null;
+
+        const result = await this.calculate([project], range);
+        return { ...result.projects[0], baseCurrency: result.baseCurrency, missingRates: result.missingRates, unratedUsers: result.unratedUsers };
+    }
+
+    /**
+     * Firm-wide profitability by project, client and manager
+     * @param {Object} options - from, to, client, manager, status
+     */
+    async getReport({ from, to, client, manager, status } = {}) {
+        const filter = { deleted: { $ne: true } };
+        if (client) filter.client = client;
+        if (manager) filter.manager = manager;
+        if (status) filter.status = status;
+
+        const projects = await Project.find(filter)
+            .select('name status client manager amount currency paymentHistory')
+            .populate({ path: 'client', select: 'name' })
+            .populate({ path: 'manager', select: 'name' })
+            .lean();
+
+        const result = await this.calculate(projects, { from, to });
+
+        return {
+            from: from || null,
+            to: to || null,
+            baseCurrency: result.baseCurrency,
+            missingRates: result.missingRates,
+            unratedUsers: result.unratedUsers,
+            totals: this.total(result.projects),
+            clients: this.summarize(result.projects, 'client'),
+            managers: this.summarize(result.projects, 'manager'),
+            projects: result.projects.sort((a, b) => b.margin - a.margin),
+        };
+    }
+}
+
+module.exports = new ProfitabilityService();
@@ -0,0 +1,129 @@
+const moment = require('moment');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const mailService = require('./mailService');
+const websocketService = require('../utils/websocket');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class ProjectTemplateService {
+    /**
+     * Template that can be used for new projects
+     * @throws {ErrorResponse} 404 if not found, 400 if inactive
+     */
+    async getActive(id) {
+        const template = await ProjectTemplate.findOne({ _id: id, deleted: { $ne: true } });
+        if (!template) {
+            throw new ErrorResponse(`Project template not found with id of ${id}`, 404);
+        }
+        if (!template.isActive) {
+            throw new ErrorResponse(`Project template "${template.name}" is inactive`, 400);
+        }
+        return template;
+    }
+
+    /**
+     * Due date of a template task, counted from the project's start or due date
+     */
+    getTaskDueDate(templateTask, project) {
+        if (templateTask.dueDays === undefined || templateTask.dueDays === null) return undefined;
+        const from = templateTask.dueFrom === 'due' ? project.dueDate : project.startDate;
+        return from ? moment(from).add(templateTask.dueDays, 'days').toDate() : undefined;
+    }
+
+    /**
+     * Create a template's tasks on a project. Default assignees who are
+     * still active join the project team and are notified; the project
+     * amount becomes the total of the task amounts.
+     * @param {Object} template - ProjectTemplate document
+     * @param {Object} project - Saved project document
+     * @param {Object} user - User creating the project (the cron job's creator for scheduled runs)
+     * @returns {Promise<Array<Object>>} The created tasks
+     */
+    async instantiate(template, project, user) {
+        const assigneeIds = [...new Set(template.tasks.map((task) => task.assignedTo?.toString()).filter(Boolean))];
+        const activeAssignees = new Set(
+            (await User.find({ _id: { $in: assigneeIds }, status: 'active' }).select('_id')).map((assignee) => assignee._id.toString())
+        );
+
+        const tasks = await Task.create(
+            template.tasks.map((templateTask) => ({
+                title: templateTask.title,
+                description: templateTask.description,
+                project: project._id,
+                department: templateTask.department,
+                priority: templateTask.priority,
+                dueDate: this.getTaskDueDate(templateTask, project),
+                estimatedHours: templateTask.estimatedHours,
+                assignedTo: activeAssignees.has(templateTask.assignedTo?.toString()) ? templateTask.assignedTo : undefined,
+                amount: templateTask.amount,
+                taskIncentivePercentage: templateTask.taskIncentivePercentage,
+                verificationIncentivePercentage: templateTask.verificationIncentivePercentage,
+                tags: templateTask.tags,
+                createdBy: user._id,
+            }))
+        );
+
+        project.template = template._id;
+        project.tasks.push(...tasks.map((task) => task._id));
+        activeAssignees.forEach((assigneeId) => {
+            if (!project.team.some((member) => member.toString() === assigneeId)) {
+                project.team.push(assigneeId);
+            }
+        });
+        project.amount = tasks.reduce((sum, task) => sum + (task.amount || 0), 0);
+        await project.save();
+
+        for (const task of tasks.filter((created) => created.assignedTo)) {
+            await this.notifyAssignee(task, user);
+        }
+
+        logger.info(`${tasks.length} task(s) created from template ${template.name} (${template._id}) on project ${project.name} (${project._id})`);
+        return tasks;
+    }
+
+    async notifyAssignee(task, user) {
+        try {
+            const notification = await Notification.create({
+                user: task.assignedTo,
+                sender: user._id,
+                title: `New Task Assigned: ${task.title}`,
+                message: `You have been assigned a new task "${task.title}"`,
+                type: 'TASK_ASSIGNED',
+            });
+
+            websocketService.sendToUser(task.assignedTo.toString(), {
+                type: 'notification',
+                data: {
+                    _id: notification._id,
+                    title: notification.title,
+                    message: notification.message,
+                    type: notification.type,
+                    read: notification.read,
+                    createdAt: notification.createdAt,
+                    taskId: task._id,
+                    priority: task.priority,
+                    status: task.status,
+                    projectId: task.project,
+                },
+            });
+        } catch (notificationError) {
+            logger.error(`Failed to create notification for task ${task._id}: ${notificationError.message}`);
+        }
+
+        try {
+            await mailService.queueEmailToUser(
+                task.assignedTo,
+                'taskAssigned',
+                { task, assignedBy: user },
+                { entityType: 'task', entityId: task._id }
+            );
+        } catch (mailError) {
+            logger.error(`Failed to queue assignment email for task ${task._id}: ${mailError.message}`);
+        }
+    }
+}
+
+module.exports = new ProjectTemplateService();
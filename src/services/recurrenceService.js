@@ -0,0 +1,208 @@
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const moment = require('moment');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Fixed-length recurrences, counted from the start date so runs never drift
+const INTERVALS = {
+    weekly: { amount: 7, unit: 'days' },
+    monthly: { amount: 1, unit: 'months' },
+    quarterly: { amount: 3, unit: 'months' },
+    'half-yearly': { amount: 6, unit: 'months' },
+    yearly: { amount: 1, unit: 'years' },
+};
+
+const FREQUENCIES = [...Object.keys(INTERVALS), 'every-n-days', 'last-business-day', 'custom'];
+
+// How far ahead a cron expression is searched for its next match
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const MAX_PREVIEW = 50;
+
+class RecurrenceService {
+    get frequencies() {
+        return FREQUENCIES;
+    }
+
+    /**
+     * Recurrence fields of a cron job document or request body
+     */
+    toSchedule(source) {
+        const { frequency, interval, cronExpression, startDate, endDate, maxOccurrences, occurrences } = source;
+        return { frequency, interval, cronExpression, startDate, endDate, maxOccurrences, occurrences };
+    }
+
+    /**
+     * Check a recurrence before it is saved or previewed
+     * @param {Object} schedule - frequency, interval, cronExpression, startDate, endDate, maxOccurrences
+     * @throws {ErrorResponse} 400 describing the first problem found
+     */
+    validate({ frequency, interval, cronExpression, startDate, endDate, maxOccurrences }) {
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new ErrorResponse(`Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`, 400);
+        }
+        if (frequency === 'every-n-days' && !(Number.isInteger(Number(interval)) && Number(interval) >= 1)) {
+            throw new ErrorResponse('Every-n-days schedules need an interval of at least 1 day', 400);
+        }
+        // Runs are tracked by the minute, so a seconds field is not accepted
+        if (
+            frequency === 'custom' &&
+            !(cronExpression && cronExpression.trim().split(/\s+/).length === 5 && cron.validate(cronExpression))
+        ) {
+            throw new ErrorResponse(`Invalid cron expression: ${cronExpression || '(empty)'} (five fields: minute hour day month weekday)`, 400);
+        }
+        if (!startDate || isNaN(new Date(startDate).getTime())) {
+            throw new ErrorResponse('Invalid start date', 400);
+        }
+        if (endDate && new Date(endDate) < new Date(startDate)) {
+            throw new ErrorResponse('End date cannot be before the start date', 400);
+        }
+        if (maxOccurrences !== undefined && maxOccurrences !== null && !(Number.isInteger(Number(maxOccurrences)) && Number(maxOccurrences) >= 1)) {
+            throw new ErrorResponse('Occurrence limit must be at least 1', 400);
+        }
+    }
+
+    /**
+     * node-cron expression that wakes the scheduler on every possible run.
+     * Interval recurrences check daily at the start time, as month ends
+     * and every-n-days runs cannot be expressed as a single cron pattern.
+     */
+    getSchedulerExpression(schedule) {
+        if (schedule.frequency === 'custom') {
+            return schedule.cronExpression;
+        }
+        const start = moment(schedule.startDate);
+        return `${start.minute()} ${start.hour()} * * *`;
+    }
+
+    /**
+     * Last Monday to Friday of a month, at a time of day taken from the start date
+     */
+    lastBusinessDay(month, start) {
+        const day = month.clone().endOf('month').startOf('day');
+        while (day.isoWeekday() > 5) {
+            day.subtract(1, 'day');
+        }
+        return day.hour(start.hour()).minute(start.minute()).second(0).millisecond(0);
+    }
+
+    /**
+     * First match of a cron expression after a date (node-cron semantics:
+     * day of month and day of week must both match)
+     */
+    nextCronMatch(expression, after) {
+        const {
+            minute: minutes,
+            hour: hours,
+            dayOfMonth: days,
+            month: months,
+            dayOfWeek: weekDays,
+        } = cronParser.parseExpression(expression).fields;
+        const candidate = moment(after).add(1, 'minute').second(0).millisecond(0);
+
+        for (let i = 0; i < MAX_SEARCH_DAYS; i += 1) {
+            if (months.includes(candidate.month() + 1) && days.includes(candidate.date()) && weekDays.includes(candidate.day())) {
+                const fromMinutes = candidate.hour() * 60 + candidate.minute();
+                const match = hours
+                    .flatMap((hour) => minutes.map((minute) => hour * 60 + minute))
+                    .sort((a, b) => a - b)
+                    .find((time) => time >= fromMinutes);
+                if (match !== undefined) {
+                    return candidate.clone().startOf('day').add(match, 'minutes').toDate();
+                }
+            }
+            candidate.add(1, 'day').startOf('day');
+        }
+        return null;
+    }
+
+    /**
+     * Run dates of a recurrence in order, ignoring the end date and occurrence
+     * limit. With a date, only the runs after it are listed; they are found
+     * from that date rather than by stepping through every earlier run.
+     * @param {Object} schedule - Recurrence fields
+     * @param {Date} [after] - List runs after this date; omitted to list from the first run
+     */
+    * runDates(schedule, after) {
+        const start = moment(schedule.startDate);
+        const from = after && moment(after).isSameOrAfter(start) ? moment(after) : null;
+
+        if (schedule.frequency === 'custom') {
+            let run = this.nextCronMatch(schedule.cronExpression, from || start.clone().subtract(1, 'minute'));
+            while (run) {
+                yield run;
+                run = this.nextCronMatch(schedule.cronExpression, run);
+            }
+            return;
+        }
+
+        if (schedule.frequency === 'last-business-day') {
+            for (let month = (from || start).clone().startOf('month'); ; month.add(1, 'month')) {
+                const run = this.lastBusinessDay(month, start);
+                if (!run.isBefore(start) && !(from && run.isSameOrBefore(from))) yield run.toDate();
+            }
+        }
+
+        const step = schedule.frequency === 'every-n-days'
+            ? { amount: Number(schedule.interval), unit: 'days' }
+            : INTERVALS[schedule.frequency];
+        const runAt = (occurrence) => start.clone().add(step.amount * occurrence, step.unit);
+
+        // Jump to the first occurrence after the date; the estimate can be one
+        // step out where months are shorter than the start day or clocks change
+        let occurrence = 0;
+        if (from) {
+            occurrence = Math.max(Math.floor(from.diff(start, step.unit) / step.amount), 0);
+            while (occurrence > 0 && runAt(occurrence - 1).isAfter(from)) occurrence -= 1;
+            while (runAt(occurrence).isSameOrBefore(from)) occurrence += 1;
+        }
+        for (; ; occurrence += 1) {
+            yield runAt(occurrence).toDate();
+        }
+    }
+
+    /**
+     * Next run after a date (or the first run), within the end date and occurrence limit
+     * @param {Object} schedule - Recurrence fields and occurrences (runs made so far)
+     * @param {Date} [after] - Last run date; omitted for the first run
+     * @param {Object} [options] - ignoreLimits: the date the run would have had past the end of the schedule
+     * @returns {Date|null} null once the schedule has ended
+     */
+    getNextRun(schedule, after, { ignoreLimits = false } = {}) {
+        if (!ignoreLimits && schedule.maxOccurrences && (schedule.occurrences || 0) >= schedule.maxOccurrences) {
+            return null;
+        }
+
+        for (const run of this.runDates(schedule, after)) {
+            if (after && run <= new Date(after)) continue;
+            if (!ignoreLimits && schedule.endDate && run > moment(schedule.endDate).endOf('day').toDate()) return null;
+            return run;
+        }
+        return null;
+    }
+
+    /**
+     * The next run dates of a recurrence, within its end date and occurrence limit
+     * @param {Object} schedule - Recurrence fields and occurrences (runs made so far)
+     * @param {Date} [after] - Last run date; omitted to list from the first run
+     * @param {Number} [count] - Number of dates (at most 50)
+     */
+    preview(schedule, after, count = 10) {
+        const limit = Math.min(Math.max(parseInt(count, 10) || 10, 1), MAX_PREVIEW);
+        const runs = [];
+        const base = this.toSchedule(schedule);
+        let occurrences = base.occurrences || 0;
+        let last = after;
+
+        while (runs.length < limit) {
+            const run = this.getNextRun({ ...base, occurrences }, last);
+            if (!run) break;
+            runs.push(run);
+            occurrences += 1;
+            last = run;
+        }
+        return runs;
+    }
+}
+
+module.exports = new RecurrenceService();
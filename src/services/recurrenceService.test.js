@@ -0,0 +1,135 @@
+const moment = require('moment');
+const recurrenceService = require('./recurrenceService');
+
+const format = (dates) => dates.map((date) => moment(date).format('YYYY-MM-DD HH:mm ddd'));
+
+describe('recurrenceService', () => {
+    describe('validate', () => {
+        const valid = { frequency: 'monthly', startDate: '2025-01-01' };
+
+        it('accepts a complete recurrence', () => {
+            expect(() => recurrenceService.validate(valid)).not.toThrow();
+            expect(() => recurrenceService.validate({ ...valid, frequency: 'custom', cronExpression: '30 9 * * 1-5' })).not.toThrow();
+        });
+
+        it.each([
+            [{ frequency: 'fortnightly' }, /Invalid frequency/],
+            [{ frequency: 'every-n-days', interval: 0 }, /interval of at least 1 day/],
+            [{ frequency: 'custom', cronExpression: '61 * * * *' }, /Invalid cron expression/],
+            [{ frequency: 'custom', cronExpression: '0 30 9 * * *' }, /five fields/],
+            [{ startDate: 'not a date' }, /Invalid start date/],
+            [{ endDate: '2024-12-31' }, /End date cannot be before the start date/],
+            [{ maxOccurrences: 0 }, /Occurrence limit/],
+        ])('rejects %o', (change, message) => {
+            let error;
+            try {
+                recurrenceService.validate({ ...valid, ...change });
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toMatch(message);
+        });
+    });
+
+    describe('getSchedulerExpression', () => {
+        it('wakes custom schedules on their own expression and others daily at the start time', () => {
+            expect(recurrenceService.getSchedulerExpression({ frequency: 'custom', cronExpression: '0 9 * * 1' })).toBe('0 9 * * 1');
+            expect(recurrenceService.getSchedulerExpression({ frequency: 'quarterly', startDate: new Date(2025, 0, 1, 10, 15) })).toBe('15 10 * * *');
+        });
+    });
+
+    describe('preview', () => {
+        it('keeps month-end runs on the last day of shorter months without drifting', () => {
+            const runs = recurrenceService.preview({ frequency: 'monthly', startDate: new Date(2024, 0, 31, 9, 0) }, undefined, 5);
+
+            expect(format(runs)).toEqual([
+                '2024-01-31 09:00 Wed',
+                '2024-02-29 09:00 Thu',
+                '2024-03-31 09:00 Sun',
+                '2024-04-30 09:00 Tue',
+                '2024-05-31 09:00 Fri',
+            ]);
+        });
+
+        it('steps quarterly, half-yearly and yearly schedules from the start date', () => {
+            const start = new Date(2024, 10, 30);
+            const dates = (frequency) => format(recurrenceService.preview({ frequency, startDate: start }, undefined, 3)).map((run) => run.slice(0, 10));
+
+            expect(dates('quarterly')).toEqual(['2024-11-30', '2025-02-28', '2025-05-30']);
+            expect(dates('half-yearly')).toEqual(['2024-11-30', '2025-05-30', '2025-11-30']);
+            expect(dates('yearly')).toEqual(['2024-11-30', '2025-11-30', '2026-11-30']);
+        });
+
+        it('runs every n days', () => {
+            const runs = recurrenceService.preview({ frequency: 'every-n-days', interval: 10, startDate: new Date(2025, 1, 25) }, undefined, 3);
+
+            expect(format(runs).map((run) => run.slice(0, 10))).toEqual(['2025-02-25', '2025-03-07', '2025-03-17']);
+        });
+
+        it('runs on the last Monday to Friday of each month at the start time', () => {
+            const runs = recurrenceService.preview({ frequency: 'last-business-day', startDate: new Date(2025, 4, 1, 18, 30) }, undefined, 4);
+
+            expect(format(runs)).toEqual(['2025-05-30 18:30 Fri', '2025-06-30 18:30 Mon', '2025-07-31 18:30 Thu', '2025-08-29 18:30 Fri']);
+        });
+
+        it('skips a last business day that falls before the start date', () => {
+            const runs = recurrenceService.preview({ frequency: 'last-business-day', startDate: new Date(2025, 4, 31) }, undefined, 1);
+
+            expect(format(runs)).toEqual(['2025-06-30 00:00 Mon']);
+        });
+
+        it('follows cron expressions, requiring both day of month and day of week to match', () => {
+            const weekdays = recurrenceService.preview(
+                { frequency: 'custom', cronExpression: '0 9 * * 1-5', startDate: new Date(2025, 4, 30, 12, 0) },
+                undefined,
+                2
+            );
+            const fridayThe13th = recurrenceService.preview(
+                { frequency: 'custom', cronExpression: '0 9 13 * 5', startDate: new Date(2025, 0, 1) },
+                undefined,
+                2
+            );
+
+            expect(format(weekdays)).toEqual(['2025-06-02 09:00 Mon', '2025-06-03 09:00 Tue']);
+            expect(format(fridayThe13th)).toEqual(['2025-06-13 09:00 Fri', '2026-02-13 09:00 Fri']);
+        });
+
+        it('stops at the end date and the occurrence limit', () => {
+            const start = new Date(2025, 0, 1);
+
+            expect(recurrenceService.preview({ frequency: 'monthly', startDate: start, endDate: new Date(2025, 2, 1) }, undefined, 10)).toHaveLength(3);
+            expect(recurrenceService.preview({ frequency: 'monthly', startDate: start, maxOccurrences: 5, occurrences: 3 }, undefined, 10)).toHaveLength(2);
+        });
+    });
+
+    describe('getNextRun', () => {
+        const schedule = { frequency: 'monthly', startDate: new Date(2020, 0, 31, 9, 0) };
+
+        it('catches up one missed run at a time from the last scheduled run', () => {
+            const missed = [];
+            let last = new Date(2020, 2, 31, 9, 0);
+            for (let i = 0; i < 3; i += 1) {
+                last = recurrenceService.getNextRun(schedule, last);
+                missed.push(last);
+            }
+
+            expect(format(missed)).toEqual(['2020-04-30 09:00 Thu', '2020-05-31 09:00 Sun', '2020-06-30 09:00 Tue']);
+        });
+
+        it('finds the next run far from the start without walking every earlier run', () => {
+            const every = { frequency: 'every-n-days', interval: 3, startDate: new Date(2000, 0, 1, 6, 0) };
+
+            expect(format([recurrenceService.getNextRun(every, new Date(2025, 5, 15, 6, 0))])).toEqual(['2025-06-18 06:00 Wed']);
+        });
+
+        it('returns the run past the end of the schedule only when limits are ignored', () => {
+            const ended = { ...schedule, endDate: new Date(2020, 1, 15) };
+
+            expect(recurrenceService.getNextRun(ended, new Date(2020, 0, 31, 9, 0))).toBeNull();
+            expect(format([recurrenceService.getNextRun(ended, new Date(2020, 0, 31, 9, 0), { ignoreLimits: true })])).toEqual([
+                '2020-02-29 09:00 Sat',
+            ]);
+        });
+    });
+});
@@ -0,0 +1,357 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Project = require('../models/Project');
+const Payment = require('../models/Payment');
+const numberingService = require('./numberingService');
+const { round2 } = require('../utils/gst');
+const { toCsv } = require('../utils/csv');
+const { formatMoney, formatDate, toMomentFormat, formatAddress } = require('../utils/pdfHelpers');
+
+const PAGE_MARGIN = 40;
+
+// Order of entries posted on the same day
+const ENTRY_ORDER = { invoice: 0, credit_note: 1, payment: 2, tds: 3 };
+
+const ENTRY_LABELS = { invoice: 'Invoice', credit_note: 'Credit note', payment: 'Payment', tds: 'TDS' };
+
+class StatementService {
+    /**
+     * Default statement period: start of the current financial year to today
+     */
+    getDefaultPeriod(settings) {
+        const startMonth = numberingService.parseFinancialYearStart(settings?.company?.financialYearStart);
+        const financialYear = numberingService.getFinancialYear(new Date(), startMonth);
+        return { from: financialYear.start, to: new Date() };
+    }
+
+    /**
+     * Collect every ledger entry for a client: issued invoices (debit),
+     * credit notes, payments with the TDS withheld on them, and older
+     * payments recorded directly on the client's projects (credit), each in
+     * the currency of its document
+     */
+    async getEntries(clientId, baseCurrency) {
+        const invoices = await Invoice.find({ client: clientId, status: { $ne: 'draft' } })
+            .select('invoiceNumber issueDate dueDate currency total status')
+            .lean();
+
+        const creditNotes = await CreditNote.find({ client: clientId })
+            .select('creditNoteNumber invoice issueDate currency total reason')
+            .populate({ path: 'invoice', select: 'invoiceNumber' })
+            .lean();
+
+        const payments = await Payment.find({ client: clientId, status: 'active' })
+            .select('date amount currency tdsAmount tdsSection method reference unallocatedAmount')
+            .lean();
+
+        // Project payment entries created from a Payment are covered above
+        const projects = await Project.find({ client: clientId, 'paymentHistory.0': { $exists: true } })
+            .select('name currency paymentHistory')
+            .lean();
+
+        const entries = [
+            ...invoices.map((invoice) => ({
+                date: invoice.issueDate,
+                type: 'invoice',
+                reference: invoice.invoiceNumber,
+                description: `Invoice${invoice.status === 'cancelled' ? ' (cancelled)' : ''}, due ${moment(invoice.dueDate).format('DD MMM YYYY')}`,
+                currency: invoice.currency || baseCurrency,
+                debit: invoice.total || 0,
+                credit: 0,
+                entityId: invoice._id,
+            })),
+            ...creditNotes.map((creditNote) => ({
+                date: creditNote.issueDate,
+                type: 'credit_note',
+                reference: creditNote.creditNoteNumber,
+                description: `Credit note against ${creditNote.invoice?.invoiceNumber || 'invoice'}: ${creditNote.reason}`,
+                currency: creditNote.currency || baseCurrency,
+                debit: 0,
+                credit: creditNote.total || 0,
+                entityId: creditNote._id,
+            })),
+            ...payments.flatMap((payment) => [
+                {
+                    date: payment.date,
+                    type: 'payment',
+                    reference: payment.reference || '',
+                    description: `Payment received (${payment.method})${payment.unallocatedAmount > 0 ? `, ${formatMoney(payment.unallocatedAmount)} held as advance` : ''}`,
+                    currency: payment.currency || baseCurrency,
+                    debit: 0,
+                    credit: payment.amount || 0,
+                    entityId: payment._id,
+                },
+                ...(payment.tdsAmount > 0
+                    ? [{
+                        date: payment.date,
+                        type: 'tds',
+                        reference: payment.reference || '',
+                        description: `TDS deducted by client${payment.tdsSection ? ` u/s ${payment.tdsSection}` : ''}`,
+                        currency: payment.currency || baseCurrency,
+                        debit: 0,
+                        credit: payment.tdsAmount,
+                        entityId: payment._id,
+                    }]
+                    : []),
+            ]),
+            ...projects.flatMap((project) =>
+                project.paymentHistory.filter((payment) => !payment.payment).map((payment) => ({
+                    date: payment.recordedAt,
+                    type: 'payment',
+                    reference: payment.reference || '',
+                    description: `Payment received (${payment.method}) - ${project.name}`,
+                    currency: project.currency || baseCurrency,
+                    debit: 0,
+                    credit: payment.amount || 0,
+                    entityId: project._id,
+                }))
+            ),
+        ];
+
+        return entries.sort(
+            (a, b) => new Date(a.date) - new Date(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+        );
+    }
+
+    /**
+     * Build a statement of account with a running balance
+     * (positive balance = amount owed by the client). Amounts in different
+     * currencies are not added up: the statement covers one currency, by
+     * default the client's only one or else the base currency, and lists
+     * the other currencies the client has entries in.
+     * @param {Object} client - Client document
+     * @param {Date} from - Period start
+     * @param {Date} to - Period end (inclusive)
+     * @param {Object} options - baseCurrency; currency: statement currency
+     * @returns {Promise<Object>} Statement
+     */
+    async build(client, from, to, { baseCurrency, currency } = {}) {
+        const start = moment(from).startOf('day');
+        const end = moment(to).endOf('day');
+        const allEntries = await this.getEntries(client._id, baseCurrency);
+        const currencies = [...new Set(allEntries.map((entry) => entry.currency))].sort();
+        const statementCurrency = currency || (currencies.length === 1 ? currencies[0] : baseCurrency);
+        const entries = allEntries.filter((entry) => entry.currency === statementCurrency);
+
+        const openingBalance = round2(
+            entries
+                .filter((entry) => moment(entry.date).isBefore(start))
+                .reduce((sum, entry) => sum + entry.debit - entry.credit, 0)
+        );
+
+        let balance = openingBalance;
+        let totalDebit = 0;
+        let totalCredit = 0;
+        const periodEntries = entries
+            .filter((entry) => moment(entry.date).isBetween(start, end, null, '[]'))
+            .map((entry) => {
+                balance += entry.debit - entry.credit;
+                totalDebit += entry.debit;
+                totalCredit += entry.credit;
+                return { ...entry, balance: round2(balance) };
+            });
+
+        return {
+            client: {
+                _id: client._id,
+                name: client.name,
+                contactName: client.contactName,
+                gstin: client.gstin,
+                pan: client.pan,
+                city: client.city,
+                state: client.state,
+                pin: client.pin,
+                country: client.country,
+            },
+            from: start.toDate(),
+            to: end.toDate(),
+            currency: statementCurrency,
+            currencies,
+            openingBalance,
+            entries: periodEntries,
+            totalDebit: round2(totalDebit),
+            totalCredit: round2(totalCredit),
+            closingBalance: round2(openingBalance + totalDebit - totalCredit),
+        };
+    }
+
+    /**
+     * Render a statement as CSV
+     */
+    toCsv(statement) {
+        const rows = [
+            { date: statement.from, type: '', reference: '', description: 'Opening balance', balance: statement.openingBalance },
+            ...statement.entries,
+            {
+                date: statement.to,
+                type: '',
+                reference: '',
+                description: 'Closing balance',
+                debit: statement.totalDebit,
+                credit: statement.totalCredit,
+                balance: statement.closingBalance,
+            },
+        ];
+
+        return toCsv(
+            [
+                { header: 'Date', value: (row) => moment(row.date).format('YYYY-MM-DD') },
+                { header: 'Type', value: (row) => ENTRY_LABELS[row.type] || '' },
+                { header: 'Reference', value: 'reference' },
+                { header: 'Description', value: 'description' },
+                { header: 'Debit', value: (row) => (row.debit ? round2(row.debit) : '') },
+                { header: 'Credit', value: (row) => (row.credit ? round2(row.credit) : '') },
+                { header: 'Balance', value: 'balance' },
+            ],
+            rows
+        );
+    }
+
+    /**
+     * Render a statement as PDF
+     * @param {Object} statement - Result of build()
+     * @param {Object} settings - Settings document (may be null)
+     * @returns {Promise<Buffer>} PDF file contents
+     */
+    toPdf(statement, settings) {
+        return new Promise((resolve, reject) => {
+            try {
+                const company = settings?.company || {};
+                const currency = statement.currency || company.currency || 'INR';
+                const dateFormat = toMomentFormat(company.dateFormat);
+
+                const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+                const chunks = [];
+                doc.on('data', (chunk) => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+                const right = PAGE_MARGIN + pageWidth;
+
+                // Header
+                const address = company.address || {};
+                doc.font('Helvetica-Bold').fontSize(16).text(company.name || '', PAGE_MARGIN, PAGE_MARGIN, { width: 300 });
+                doc.font('Helvetica').fontSize(9);
+                doc.text(formatAddress([address.street, address.city, address.state, address.pin, address.country]), { width: 300 });
+                if (company.taxId) doc.text(`GSTIN: ${company.taxId}`, { width: 300 });
+
+                doc.font('Helvetica-Bold').fontSize(16).text('STATEMENT OF ACCOUNT', PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth, align: 'right' });
+                doc.font('Helvetica').fontSize(9);
+                doc.text(
+                    `Period: ${formatDate(statement.from, dateFormat)} to ${formatDate(statement.to, dateFormat)}`,
+                    { width: pageWidth, align: 'right' }
+                );
+                doc.text(`Currency: ${currency}`, { width: pageWidth, align: 'right' });
+
+                let y = Math.max(doc.y, PAGE_MARGIN + 60) + 10;
+                doc.moveTo(PAGE_MARGIN, y).lineTo(right, y).stroke();
+                y += 10;
+
+                // Client
+                const client = statement.client;
+                doc.font('Helvetica-Bold').fontSize(10).text('Statement For', PAGE_MARGIN, y);
+                doc.font('Helvetica').fontSize(9);
+                doc.text(client.name || '');
+                if (client.contactName) doc.text(`Attn: ${client.contactName}`);
+                const clientAddress = formatAddress([client.city, client.state, client.pin, client.country]);
+                if (clientAddress) doc.text(clientAddress);
+                if (client.gstin) doc.text(`GSTIN: ${client.gstin}`);
+
+                // Ledger table
+                y = doc.y + 15;
+                const columns = [
+                    { header: 'Date', width: 60, align: 'left' },
+                    { header: 'Reference', width: 85, align: 'left' },
+                    { header: 'Description', width: pageWidth - 60 - 85 - 75 - 75 - 80, align: 'left' },
+                    { header: 'Debit', width: 75, align: 'right' },
+                    { header: 'Credit', width: 75, align: 'right' },
+                    { header: 'Balance', width: 80, align: 'right' },
+                ];
+
+                const drawRow = (values, rowY, bold) => {
+                    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+                    let x = PAGE_MARGIN;
+                    let height = 0;
+                    values.forEach((value, index) => {
+                        const column = columns[index];
+                        doc.text(String(value), x + 2, rowY, { width: column.width - 4, align: column.align });
+                        height = Math.max(height, doc.heightOfString(String(value), { width: column.width - 4 }));
+                        x += column.width;
+                    });
+                    return rowY + height + 5;
+                };
+
+                const drawHeader = (rowY) => {
+                    doc.rect(PAGE_MARGIN, rowY - 4, pageWidth, 16).fill('#f3f4f6').fillColor('#000');
+                    return drawRow(columns.map((c) => c.header), rowY, true);
+                };
+
+                y = drawHeader(y);
+                y = drawRow(
+                    [formatDate(statement.from, dateFormat), '', 'Opening balance', '', '', formatMoney(statement.openingBalance)],
+                    y,
+                    true
+                );
+
+                statement.entries.forEach((entry) => {
+                    if (y > doc.page.height - 100) {
+                        doc.addPage();
+                        y = drawHeader(PAGE_MARGIN);
+                    }
+                    y = drawRow(
+                        [
+                            formatDate(entry.date, dateFormat),
+                            entry.reference || '-',
+                            entry.description,
+                            entry.debit ? formatMoney(entry.debit) : '',
+                            entry.credit ? formatMoney(entry.credit) : '',
+                            formatMoney(entry.balance),
+                        ],
+                        y,
+                        false
+                    );
+                    doc.moveTo(PAGE_MARGIN, y - 2).lineTo(right, y - 2).strokeColor('#e5e7eb').stroke().strokeColor('#000');
+                });
+
+                if (y > doc.page.height - 100) {
+                    doc.addPage();
+                    y = PAGE_MARGIN;
+                }
+                doc.moveTo(PAGE_MARGIN, y).lineTo(right, y).stroke();
+                y = drawRow(
+                    [
+                        formatDate(statement.to, dateFormat),
+                        '',
+                        'Closing balance',
+                        formatMoney(statement.totalDebit),
+                        formatMoney(statement.totalCredit),
+                        formatMoney(statement.closingBalance),
+                    ],
+                    y + 4,
+                    true
+                );
+
+                doc.moveDown(2);
+                doc.font('Helvetica').fontSize(9).text(
+                    statement.closingBalance >= 0
+                        ? `Balance due from ${client.name}: ${currency} ${formatMoney(statement.closingBalance)}`
+                        : `Balance in favour of ${client.name}: ${currency} ${formatMoney(-statement.closingBalance)}`,
+                    PAGE_MARGIN,
+                    doc.y,
+                    { width: pageWidth }
+                );
+                doc.moveDown();
+                doc.text('Please review this statement and confirm the balance, or report any differences to us.', { width: pageWidth });
+
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+module.exports = new StatementService();
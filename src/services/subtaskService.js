@@ -0,0 +1,139 @@
+const Task = require('../models/Task');
+const taskWorkflowService = require('./taskWorkflowService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { round2 } = require('../utils/gst');
+
+const loggedHours = (task) => (task.timeTracking?.entries || []).reduce((total, entry) => total + (entry.hours || 0), 0);
+
+class SubtaskService {
+    /**
+     * Check a task can be placed under a parent: the parent must exist, be in
+     * the same project and not be the task itself or one of its subtasks
+     * @param {Object} task - Task being moved (only _id is needed for a new task)
+     * @param {String} parentId
+     * @param {String} projectId - Project of the task
+     * @returns {Promise<Object>} The parent task
+     */
+    async validateParent(task, parentId, projectId) {
+        const parent = await Task.findOne({ _id: parentId, deleted: { $ne: true } }).select('title project parent status');
+        if (!parent) {
+            throw new ErrorResponse(`Parent task not found with id of ${parentId}`, 404);
+        }
+
+        if (projectId && parent.project.toString() !== projectId.toString()) {
+            throw new ErrorResponse('A subtask must belong to the same project as its parent', 400);
+        }
+
+        if (task?._id) {
+            // Walk up from the new parent; reaching the task would create a loop
+            let ancestor = parent;
+            while (ancestor) {
+                if (ancestor._id.toString() === task._id.toString()) {
+                    throw new ErrorResponse('A task cannot be placed under itself or one of its subtasks', 400);
+                }
+                ancestor = ancestor.parent
+                    ? await Task.findById(ancestor.parent).select('parent')
+                    : null;
+            }
+        }
+
+        return parent;
+    }
+
+    /**
+     * Subtasks of a task that are neither done nor cancelled
+     */
+    async getOpenSubtasks(taskId, workflow) {
+        return Task.find({
+            parent: taskId,
+            deleted: { $ne: true },
+            status: { $nin: taskWorkflowService.statusesIn(workflow, ['done', 'cancelled']) },
+        }).select('title status');
+    }
+
+    /**
+     * A parent cannot be moved to a done state while any of its subtasks are open
+     */
+    async assertCanSetStatus(task, status) {
+        const workflow = await taskWorkflowService.getWorkflow();
+        if (!taskWorkflowService.isDone(workflow, status) || taskWorkflowService.isDone(workflow, task.status)) return;
+
+        const open = await this.getOpenSubtasks(task._id, workflow);
+        if (open.length) {
+            throw new ErrorResponse(
+                `Task has ${open.length} open subtask(s): ${open.map((subtask) => subtask.title).join(', ')}`,
+                400
+            );
+        }
+    }
+
+    /**
+     * Recalculate the rollup of a task from its subtasks, then of each of its
+     * ancestors. Hours include the task's own; progress is the share of
+     * subtasks done, counting part-done nested subtasks by their own progress.
+     * @param {String} taskId
+     */
+    async refreshRollup(taskId) {
+        let id = taskId;
+        const seen = new Set();
+        const workflow = await taskWorkflowService.getWorkflow();
+        const isDone = (status) => taskWorkflowService.isDone(workflow, status);
+
+        while (id && !seen.has(id.toString())) {
+            seen.add(id.toString());
+
+            const task = await Task.findById(id).select('status parent estimatedHours timeTracking.entries deleted').lean();
+            if (!task) return;
+
+            const subtasks = await Task.find({ parent: id, deleted: { $ne: true } })
+                .select('status estimatedHours timeTracking.entries rollup')
+                .lean();
+
+            const rollup = {
+                subtasks: subtasks.length,
+                completedSubtasks: 0,
+                estimatedHours: task.estimatedHours || 0,
+                actualHours: loggedHours(task),
+            };
+
+            let progressTotal = 0;
+            let progressCount = 0;
+            subtasks.forEach((subtask) => {
+                const hasRollup = subtask.rollup && subtask.rollup.subtasks !== undefined;
+                rollup.estimatedHours += hasRollup ? subtask.rollup.estimatedHours : subtask.estimatedHours || 0;
+                rollup.actualHours += hasRollup ? subtask.rollup.actualHours : loggedHours(subtask);
+
+                if (taskWorkflowService.getState(workflow, subtask.status)?.category === 'cancelled') return;
+                if (isDone(subtask.status)) {
+                    rollup.completedSubtasks += 1;
+                    progressTotal += 100;
+                } else {
+                    progressTotal += hasRollup && subtask.rollup.subtasks ? subtask.rollup.progress : 0;
+                }
+                progressCount += 1;
+            });
+
+            rollup.estimatedHours = round2(rollup.estimatedHours);
+            rollup.actualHours = round2(rollup.actualHours);
+            rollup.progress = progressCount
+                ? round2(progressTotal / progressCount)
+                : isDone(task.status) ? 100 : 0;
+
+            await Task.updateOne({ _id: id }, { $set: { rollup } });
+
+            id = task.parent;
+        }
+    }
+
+    /**
+     * Refresh several tasks' rollups, e.g. the old and new parent of a moved task
+     */
+    async refreshRollups(taskIds) {
+        const ids = [...new Set(taskIds.filter(Boolean).map((taskId) => taskId.toString()))];
+        for (const taskId of ids) {
+            await this.refreshRollup(taskId);
+        }
+    }
+}
+
+module.exports = new SubtaskService();
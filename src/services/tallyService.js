@@ -0,0 +1,333 @@
+const moment = require('moment');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const exchangeRateService = require('./exchangeRateService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { round2 } = require('../utils/gst');
+
+const DEFAULT_LEDGERS = {
+    sales: 'Professional Fees',
+    cgst: 'Output CGST',
+    sgst: 'Output SGST',
+    igst: 'Output IGST',
+    discount: 'Discount Allowed',
+    roundOff: 'Round Off',
+    bank: 'Bank Account',
+    cash: 'Cash',
+    tds: 'TDS Receivable',
+};
+
+const DEFAULT_VOUCHER_TYPES = {
+    sales: 'Sales',
+    creditNote: 'Credit Note',
+    receipt: 'Receipt',
+};
+
+const VOUCHER_KINDS = ['invoices', 'creditNotes', 'payments'];
+
+const escapeXml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+const tallyDate = (date) => moment(date).format('YYYYMMDD');
+
+// Tally books are kept in the base currency
+const toBase = (amount, rate) => round2((amount || 0) * rate);
+
+// Narration note for a voucher converted from another currency
+const forexNote = (currency, amount, rate) =>
+    rate === 1 ? '' : ` (${currency} ${(amount || 0).toFixed(2)} at ${rate})`;
+
+/**
+ * Tally ledger entry. Tally posts debits as negative amounts flagged
+ * ISDEEMEDPOSITIVE and credits as positive amounts.
+ */
+const ledgerEntry = ({ ledger, debit = 0, credit = 0, bills = [] }) => {
+    const isDebit = debit > 0;
+    const amount = isDebit ? -round2(debit) : round2(credit);
+    const billLines = bills.map(
+        (bill) => [
+            '<BILLALLOCATIONS.LIST>',
+            `<NAME>${escapeXml(bill.name)}</NAME>`,
+            `<BILLTYPE>${escapeXml(bill.type)}</BILLTYPE>`,
+            `<AMOUNT>${(isDebit ? -round2(bill.amount) : round2(bill.amount)).toFixed(2)}</AMOUNT>`,
+            '</BILLALLOCATIONS.LIST>',
+        ].join('')
+    );
+
+    return [
+        '<ALLLEDGERENTRIES.LIST>',
+        `<LEDGERNAME>${escapeXml(ledger)}</LEDGERNAME>`,
+        `<ISDEEMEDPOSITIVE>${isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+        `<ISPARTYLEDGER>${bills.length > 0 ? 'Yes' : 'No'}</ISPARTYLEDGER>`,
+        `<AMOUNT>${amount.toFixed(2)}</AMOUNT>`,
+        ...billLines,
+        '</ALLLEDGERENTRIES.LIST>',
+    ].join('\n');
+};
+
+class TallyService {
+    /**
+     * Voucher kinds that can be exported
+     */
+    get voucherKinds() {
+        return VOUCHER_KINDS;
+    }
+
+    /**
+     * Ledger and voucher type names from settings, falling back to defaults
+     */
+    getMapping(settings) {
+        const tally = settings?.tally || {};
+        const partyLedgers = new Map(
+            (tally.partyLedgers || [])
+                .filter((mapping) => mapping.client && mapping.ledger)
+                .map((mapping) => [mapping.client.toString(), mapping.ledger])
+        );
+        const pick = (configured = {}, defaults) =>
+            Object.keys(defaults).reduce((acc, key) => ({ ...acc, [key]: configured[key] || defaults[key] }), {});
+
+        return {
+            companyName: tally.companyName || settings?.company?.name || '',
+            ledgers: pick(tally.ledgers, DEFAULT_LEDGERS),
+            voucherTypes: pick(tally.voucherTypes, DEFAULT_VOUCHER_TYPES),
+            partyLedger: (client) =>
+                partyLedgers.get(client?._id?.toString()) || client?.name || 'Sundry Debtors',
+        };
+    }
+
+    /**
+     * Balance a voucher: any rounding difference goes to the round-off ledger
+     */
+    balance(entries, roundOffLedger) {
+        const difference = round2(
+            entries.reduce((sum, entry) => sum + (entry.debit || 0) - (entry.credit || 0), 0)
+        );
+        if (difference > 0) entries.push({ ledger: roundOffLedger, credit: difference });
+        if (difference < 0) entries.push({ ledger: roundOffLedger, debit: -difference });
+        return entries;
+    }
+
+    /**
+     * Voucher XML. REMOTEID lets Tally recognise a voucher exported twice.
+     */
+    voucher({ remoteId, type, date, number, party, reference, narration, entries }) {
+        return [
+            `<VOUCHER REMOTEID="${escapeXml(remoteId)}" VCHTYPE="${escapeXml(type)}" ACTION="Create">`,
+            `<DATE>${tallyDate(date)}</DATE>`,
+            `<EFFECTIVEDATE>${tallyDate(date)}</EFFECTIVEDATE>`,
+            `<VOUCHERTYPENAME>${escapeXml(type)}</VOUCHERTYPENAME>`,
+            `<VOUCHERNUMBER>${escapeXml(number)}</VOUCHERNUMBER>`,
+            `<PARTYLEDGERNAME>${escapeXml(party)}</PARTYLEDGERNAME>`,
+            reference ? `<REFERENCE>${escapeXml(reference)}</REFERENCE>` : '',
+            `<NARRATION>${escapeXml(narration)}</NARRATION>`,
+            ...entries.map(ledgerEntry),
+            '</VOUCHER>',
+        ]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * Sales voucher: client debited with the invoice total, sales and GST ledgers credited
+     */
+    invoiceVoucher(invoice, mapping) {
+        const { ledgers } = mapping;
+        const party = mapping.partyLedger(invoice.client);
+        const rate = invoice.exchangeRate || 1;
+        const total = toBase(invoice.total, rate);
+        const entries = [
+            { ledger: party, debit: total, bills: [{ name: invoice.invoiceNumber, type: 'New Ref', amount: total }] },
+            { ledger: ledgers.sales, credit: toBase(invoice.subtotal, rate) },
+            { ledger: ledgers.cgst, credit: toBase(invoice.cgstAmount, rate) },
+            { ledger: ledgers.sgst, credit: toBase(invoice.sgstAmount, rate) },
+            { ledger: ledgers.igst, credit: toBase(invoice.igstAmount, rate) },
+            { ledger: ledgers.discount, debit: toBase(invoice.discount, rate) },
+        ].filter((entry) => entry.debit > 0 || entry.credit > 0);
+
+        return this.voucher({
+            remoteId: `ca-erp-invoice-${invoice._id}`,
+            type: mapping.voucherTypes.sales,
+            date: invoice.issueDate,
+            number: invoice.invoiceNumber,
+            party,
+            reference: invoice.invoiceNumber,
+            narration: `Invoice ${invoice.invoiceNumber}${invoice.placeOfSupply ? `, place of supply ${invoice.placeOfSupply}` : ''}${forexNote(invoice.currency, invoice.total, rate)}`,
+            entries: this.balance(entries, ledgers.roundOff),
+        });
+    }
+
+    /**
+     * Credit note voucher: the reverse of the sales voucher, against the invoice
+     */
+    creditNoteVoucher(creditNote, mapping) {
+        const { ledgers } = mapping;
+        const party = mapping.partyLedger(creditNote.client);
+        const invoiceNumber = creditNote.invoice?.invoiceNumber;
+        const rate = creditNote.exchangeRate || 1;
+        const total = toBase(creditNote.total, rate);
+        const entries = [
+            {
+                ledger: party,
+                credit: total,
+                bills: [{ name: invoiceNumber || creditNote.creditNoteNumber, type: invoiceNumber ? 'Agst Ref' : 'New Ref', amount: total }],
+            },
+            { ledger: ledgers.sales, debit: toBase(creditNote.subtotal, rate) },
+            { ledger: ledgers.cgst, debit: toBase(creditNote.cgstAmount, rate) },
+            { ledger: ledgers.sgst, debit: toBase(creditNote.sgstAmount, rate) },
+            { ledger: ledgers.igst, debit: toBase(creditNote.igstAmount, rate) },
+            { ledger: ledgers.discount, credit: toBase(creditNote.discount, rate) },
+        ].filter((entry) => entry.debit > 0 || entry.credit > 0);
+
+        return this.voucher({
+            remoteId: `ca-erp-credit-note-${creditNote._id}`,
+            type: mapping.voucherTypes.creditNote,
+            date: creditNote.issueDate,
+            number: creditNote.creditNoteNumber,
+            party,
+            reference: invoiceNumber,
+            narration: `Credit note ${creditNote.creditNoteNumber}${invoiceNumber ? ` against ${invoiceNumber}` : ''}: ${creditNote.reason}${forexNote(creditNote.currency, creditNote.total, rate)}`,
+            entries: this.balance(entries, ledgers.roundOff),
+        });
+    }
+
+    /**
+     * Receipt voucher: bank/cash and TDS receivable debited, client credited
+     * against the invoices the payment was allocated to (rest as advance)
+     * @param {Number} [rate] - Base currency amount for one unit of the payment currency on its date
+     */
+    paymentVoucher(payment, mapping, rate = 1) {
+        const { ledgers } = mapping;
+        const party = mapping.partyLedger(payment.client);
+        const amount = toBase(payment.amount, rate);
+        const tdsAmount = toBase(payment.tdsAmount, rate);
+        const bills = payment.allocations
+            .filter((allocation) => allocation.invoice)
+            .map((allocation) => ({ name: allocation.invoice.invoiceNumber, type: 'Agst Ref', amount: toBase(allocation.amount, rate) }));
+        const onAccount = round2(amount + tdsAmount - bills.reduce((sum, bill) => sum + bill.amount, 0));
+        if (onAccount > 0) {
+            bills.push({ name: payment.reference || `Advance ${tallyDate(payment.date)}`, type: 'Advance', amount: onAccount });
+        }
+
+        const entries = [
+            { ledger: /cash/i.test(payment.method) ? ledgers.cash : ledgers.bank, debit: amount },
+            { ledger: ledgers.tds, debit: tdsAmount },
+            { ledger: party, credit: round2(amount + tdsAmount), bills },
+        ].filter((entry) => entry.debit > 0 || entry.credit > 0);
+
+        return this.voucher({
+            remoteId: `ca-erp-payment-${payment._id}`,
+            type: mapping.voucherTypes.receipt,
+            date: payment.date,
+            number: payment.reference || String(payment._id),
+            party,
+            reference: payment.reference,
+            narration: [
+                `Received via ${payment.method}`,
+                payment.reference ? `ref ${payment.reference}` : '',
+                payment.tdsAmount > 0 ? `TDS ${payment.tdsAmount.toFixed(2)}${payment.tdsSection ? ` u/s ${payment.tdsSection}` : ''}` : '',
+                payment.notes,
+                rate !== 1 ? `${payment.currency} ${payment.amount.toFixed(2)} at ${rate}` : '',
+            ]
+                .filter(Boolean)
+                .join(', '),
+            entries: this.balance(entries, ledgers.roundOff),
+        });
+    }
+
+    /**
+     * Build a Tally import file with the vouchers dated in a range. Amounts
+     * are exported in the base currency: invoices and credit notes at their
+     * stored rate, payments at the rate in force on the payment date.
+     * @param {Object} options
+     * @param {Date} options.from
+     * @param {Date} options.to
+     * @param {Array<String>} [options.types] - invoices, creditNotes and/or payments
+     * @param {Object} options.settings - Settings document
+     * @returns {Promise<{xml: String, counts: Object}>}
+     */
+    async buildExport({ from, to, types = VOUCHER_KINDS, settings }) {
+        const mapping = this.getMapping(settings);
+        const baseCurrency = exchangeRateService.getBaseCurrency(settings);
+        const range = { $gte: moment(from).startOf('day').toDate(), $lte: moment(to).endOf('day').toDate() };
+        const vouchers = [];
+        const counts = {};
+
+        if (types.includes('invoices')) {
+            // Invoices cancelled before they were issued never reached the
+            // books; those cancelled by a credit note stay, as the credit note
+            // voucher reverses them
+            const invoices = await Invoice.find({
+                $or: [{ status: { $nin: ['draft', 'cancelled'] } }, { status: 'cancelled', creditedAmount: { $gt: 0 } }],
+                issueDate: range,
+            })
+                .populate({ path: 'client', select: 'name' })
+                .sort({ issueDate: 1, invoiceNumber: 1 })
+                .lean();
+            invoices.forEach((invoice) => vouchers.push(this.invoiceVoucher(invoice, mapping)));
+            counts.invoices = invoices.length;
+        }
+
+        if (types.includes('creditNotes')) {
+            const creditNotes = await CreditNote.find({ issueDate: range })
+                .populate({ path: 'client', select: 'name' })
+                .populate({ path: 'invoice', select: 'invoiceNumber' })
+                .sort({ issueDate: 1, creditNoteNumber: 1 })
+                .lean();
+            creditNotes.forEach((creditNote) => vouchers.push(this.creditNoteVoucher(creditNote, mapping)));
+            counts.creditNotes = creditNotes.length;
+        }
+
+        if (types.includes('payments')) {
+            const payments = await Payment.find({ status: 'active', date: range })
+                .populate({ path: 'client', select: 'name' })
+                .populate({ path: 'allocations.invoice', select: 'invoiceNumber' })
+                .sort({ date: 1 })
+                .lean();
+            for (const payment of payments) {
+                const found = await exchangeRateService.getRate(payment.currency, payment.date, baseCurrency);
+                if (!found) {
+                    throw new ErrorResponse(
+                        `No ${payment.currency} exchange rate recorded on or before ${moment(payment.date).format('DD MMM YYYY')} for payment ${payment.reference || payment._id}`,
+                        400
+                    );
+                }
+                vouchers.push(this.paymentVoucher(payment, mapping, found.rate));
+            }
+            counts.payments = payments.length;
+        }
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<ENVELOPE>',
+            '<HEADER>',
+            '<TALLYREQUEST>Import Data</TALLYREQUEST>',
+            '</HEADER>',
+            '<BODY>',
+            '<IMPORTDATA>',
+            '<REQUESTDESC>',
+            '<REPORTNAME>Vouchers</REPORTNAME>',
+            mapping.companyName
+                ? `<STATICVARIABLES><SVCURRENTCOMPANY>${escapeXml(mapping.companyName)}</SVCURRENTCOMPANY></STATICVARIABLES>`
+                : '',
+            '</REQUESTDESC>',
+            '<REQUESTDATA>',
+            ...vouchers.map((voucher) => `<TALLYMESSAGE xmlns:UDF="TallyUDF">\n${voucher}\n</TALLYMESSAGE>`),
+            '</REQUESTDATA>',
+            '</IMPORTDATA>',
+            '</BODY>',
+            '</ENVELOPE>',
+        ]
+            .filter(Boolean)
+            .join('\n');
+
+        return { xml: `${xml}\n`, counts };
+    }
+}
+
+module.exports = new TallyService();
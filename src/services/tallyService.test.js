@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const exchangeRateService = require('./exchangeRateService');
+const tallyService = require('./tallyService');
+
+const client = { _id: new mongoose.Types.ObjectId(), name: 'Shah & Sons <LLP>' };
+const mapping = tallyService.getMapping({ company: { name: 'Mehta Associates' } });
+
+// Ledger name to signed amount for each entry of a voucher
+const ledgerAmounts = (xml) =>
+    [...xml.matchAll(/<LEDGERNAME>(.*?)<\/LEDGERNAME>[\s\S]*?<AMOUNT>(.*?)<\/AMOUNT>/g)].reduce(
+        (acc, [, ledger, amount]) => ({ ...acc, [ledger]: Number(amount) }),
+        {}
+    );
+
+// Query stand-in for the populate/sort/lean chains the export builds
+const query = (result) => {
+    const chain = {
+        populate: () => chain,
+        sort: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const invoice = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    invoiceNumber: 'INV/2025-26/0001',
+    client,
+    issueDate: new Date(2025, 5, 10),
+    currency: 'INR',
+    exchangeRate: 1,
+    subtotal: 999.99,
+    cgstAmount: 90,
+    sgstAmount: 90,
+    igstAmount: 0,
+    discount: 0,
+    total: 1180,
+    ...fields,
+});
+
+describe('tallyService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getMapping', () => {
+        it('uses configured ledgers and party ledgers, falling back to defaults and the client name', () => {
+            const mapped = tallyService.getMapping({
+                tally: { ledgers: { sales: 'Audit Fees' }, partyLedgers: [{ client: client._id, ledger: 'Shah and Sons' }] },
+            });
+
+            expect(mapped.ledgers).toMatchObject({ sales: 'Audit Fees', cgst: 'Output CGST' });
+            expect(mapped.voucherTypes.receipt).toBe('Receipt');
+            expect(mapped.partyLedger(client)).toBe('Shah and Sons');
+            expect(mapped.partyLedger({ _id: new mongoose.Types.ObjectId(), name: 'Iyer Traders' })).toBe('Iyer Traders');
+        });
+    });
+
+    describe('invoiceVoucher', () => {
+        it('debits the client and credits sales and GST, balancing through round off', () => {
+            const sale = invoice();
+            const xml = tallyService.invoiceVoucher(sale, mapping);
+
+            expect(ledgerAmounts(xml)).toEqual({
+                'Shah &amp; Sons &lt;LLP&gt;': -1180,
+                'Professional Fees': 999.99,
+                'Output CGST': 90,
+                'Output SGST': 90,
+                'Round Off': 0.01,
+            });
+            expect(xml).toContain('<BILLTYPE>New Ref</BILLTYPE><AMOUNT>-1180.00</AMOUNT>');
+            expect(xml).toContain('<DATE>20250610</DATE>');
+            expect(xml).toContain(`<VOUCHER REMOTEID="ca-erp-invoice-${sale._id}" VCHTYPE="Sales" ACTION="Create">`);
+        });
+
+        it('escapes text and exports foreign currency invoices at their stored rate', () => {
+            const xml = tallyService.invoiceVoucher(
+                invoice({
+                    currency: 'USD',
+                    exchangeRate: 83.25,
+                    subtotal: 100,
+                    cgstAmount: 0,
+                    sgstAmount: 0,
+                    total: 100,
+                    placeOfSupply: "Other Territory (O'seas)",
+                }),
+                mapping
+            );
+
+            expect(ledgerAmounts(xml)).toEqual({ 'Shah &amp; Sons &lt;LLP&gt;': -8325, 'Professional Fees': 8325 });
+            expect(xml).toContain(
+                '<NARRATION>Invoice INV/2025-26/0001, place of supply Other Territory (O&apos;seas) (USD 100.00 at 83.25)</NARRATION>'
+            );
+        });
+    });
+
+    describe('creditNoteVoucher', () => {
+        it('reverses the sales voucher against the invoice', () => {
+            const xml = tallyService.creditNoteVoucher(
+                {
+                    _id: new mongoose.Types.ObjectId(),
+                    creditNoteNumber: 'CN/2025-26/0001',
+                    client,
+                    invoice: { invoiceNumber: 'INV/2025-26/0001' },
+                    issueDate: new Date(2025, 5, 20),
+                    reason: 'Fee revised',
+                    subtotal: 100,
+                    igstAmount: 18,
+                    total: 118,
+                },
+                mapping
+            );
+
+            expect(ledgerAmounts(xml)).toEqual({ 'Shah &amp; Sons &lt;LLP&gt;': 118, 'Professional Fees': -100, 'Output IGST': -18 });
+            expect(xml).toContain('<NAME>INV/2025-26/0001</NAME><BILLTYPE>Agst Ref</BILLTYPE><AMOUNT>118.00</AMOUNT>');
+            expect(xml).toContain('<NARRATION>Credit note CN/2025-26/0001 against INV/2025-26/0001: Fee revised</NARRATION>');
+        });
+    });
+
+    describe('paymentVoucher', () => {
+        it('debits bank and TDS and credits the client against the invoices, keeping the rest as an advance', () => {
+            const xml = tallyService.paymentVoucher(
+                {
+                    _id: new mongoose.Types.ObjectId(),
+                    client,
+                    date: new Date(2025, 5, 25),
+                    method: 'bank_transfer',
+                    reference: 'UTR123',
+                    amount: 900,
+                    tdsAmount: 100,
+                    tdsSection: '194J',
+                    allocations: [{ invoice: { invoiceNumber: 'INV/2025-26/0001' }, amount: 800 }],
+                },
+                mapping
+            );
+
+            expect(ledgerAmounts(xml)).toEqual({ 'Bank Account': -900, 'TDS Receivable': -100, 'Shah &amp; Sons &lt;LLP&gt;': 1000 });
+            expect(xml).toContain('<BILLTYPE>Agst Ref</BILLTYPE><AMOUNT>800.00</AMOUNT>');
+            expect(xml).toContain('<NAME>UTR123</NAME><BILLTYPE>Advance</BILLTYPE><AMOUNT>200.00</AMOUNT>');
+            expect(xml).toContain('<NARRATION>Received via bank_transfer, ref UTR123, TDS 100.00 u/s 194J</NARRATION>');
+        });
+
+        it('posts cash receipts to the cash ledger and converts foreign payments', () => {
+            const xml = tallyService.paymentVoucher(
+                { _id: new mongoose.Types.ObjectId(), client, date: new Date(2025, 5, 25), method: 'cash', currency: 'USD', amount: 10, allocations: [] },
+                mapping,
+                83.5
+            );
+
+            expect(ledgerAmounts(xml)).toEqual({ Cash: -835, 'Shah &amp; Sons &lt;LLP&gt;': 835 });
+            expect(xml).toContain('USD 10.00 at 83.5');
+        });
+    });
+
+    describe('buildExport', () => {
+        it('wraps the vouchers for import into the configured company', async () => {
+            jest.spyOn(Invoice, 'find').mockReturnValue(query([invoice()]));
+            jest.spyOn(CreditNote, 'find').mockReturnValue(query([]));
+            jest.spyOn(Payment, 'find').mockReturnValue(query([]));
+
+            const { xml, counts } = await tallyService.buildExport({
+                from: new Date(2025, 5, 1),
+                to: new Date(2025, 5, 30),
+                settings: { company: { name: 'Mehta & Co' } },
+            });
+
+            expect(counts).toEqual({ invoices: 1, creditNotes: 0, payments: 0 });
+            expect(xml).toContain('<SVCURRENTCOMPANY>Mehta &amp; Co</SVCURRENTCOMPANY>');
+            expect(xml.match(/<VOUCHER /g)).toHaveLength(1);
+            expect(Invoice.find.mock.calls[0][0].$or).toEqual([
+                { status: { $nin: ['draft', 'cancelled'] } },
+                { status: 'cancelled', creditedAmount: { $gt: 0 } },
+            ]);
+        });
+
+        it('refuses to export a foreign payment without an exchange rate', async () => {
+            jest.spyOn(Payment, 'find').mockReturnValue(
+                query([{ _id: new mongoose.Types.ObjectId(), currency: 'USD', date: new Date(2025, 5, 25), reference: 'SWIFT9', amount: 10, allocations: [] }])
+            );
+            jest.spyOn(exchangeRateService, 'getRate').mockResolvedValue(null);
+
+            await expect(
+                tallyService.buildExport({ from: new Date(2025, 5, 1), to: new Date(2025, 5, 30), types: ['payments'], settings: {} })
+            ).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'No USD exchange rate recorded on or before 25 Jun 2025 for payment SWIFT9',
+            });
+        });
+    });
+});
@@ -0,0 +1,242 @@
+const Settings = require('../models/Settings');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// States the system sets itself (invoicing, incentives, verification); they cannot be removed
+const SYSTEM_STATES = {
+    pending: 'open',
+    completed: 'done',
+    invoiceable: 'done',
+    invoiced: 'done',
+    cancelled: 'cancelled',
+};
+
+// Old status names still found on tasks and sent by clients
+const STATUS_ALIASES = {
+    review: 'under-review',
+};
+
+// Fields a transition can require, and how each is checked on the task
+const REQUIRED_FIELDS = {
+    rating: (task) => task.rating > 0,
+    assignedTo: (task) => !!task.assignedTo,
+    dueDate: (task) => !!task.dueDate,
+    estimatedHours: (task) => task.estimatedHours > 0,
+    timeEntries: (task) => (task.timeTracking?.entries || []).length > 0,
+    attachments: (task) => (task.attachments || []).length > 0,
+    comments: (task) => (task.comments || []).length > 0,
+};
+
+const DEFAULT_WORKFLOW = {
+    states: [
+        { key: 'pending', label: 'Pending', category: 'open' },
+        { key: 'in-progress', label: 'In Progress', category: 'open' },
+        { key: 'under-review', label: 'Under Review', category: 'open' },
+        { key: 'completed', label: 'Completed', category: 'done' },
+        { key: 'invoiceable', label: 'Invoiceable', category: 'done' },
+        { key: 'invoiced', label: 'Invoiced', category: 'done' },
+        { key: 'cancelled', label: 'Cancelled', category: 'cancelled' },
+    ],
+    transitions: [
+        { from: 'pending', to: 'in-progress', roles: [], requiredFields: [] },
+        { from: 'pending', to: 'cancelled', roles: ['admin', 'manager'], requiredFields: [] },
+        // Verification tasks are completed by rating them
+        { from: 'pending', to: 'completed', roles: [], requiredFields: ['rating'] },
+        { from: 'in-progress', to: 'pending', roles: [], requiredFields: [] },
+        { from: 'in-progress', to: 'under-review', roles: [], requiredFields: [] },
+        { from: 'in-progress', to: 'completed', roles: [], requiredFields: [] },
+        { from: 'in-progress', to: 'cancelled', roles: ['admin', 'manager'], requiredFields: [] },
+        { from: 'under-review', to: 'in-progress', roles: [], requiredFields: [] },
+        { from: 'under-review', to: 'completed', roles: [], requiredFields: [] },
+        { from: 'completed', to: 'in-progress', roles: ['admin', 'manager'], requiredFields: [] },
+        { from: 'completed', to: 'invoiceable', roles: ['admin', 'manager', 'finance'], requiredFields: [] },
+        { from: 'invoiceable', to: 'invoiced', roles: ['admin', 'finance'], requiredFields: [] },
+        { from: 'cancelled', to: 'pending', roles: ['admin', 'manager'], requiredFields: [] },
+    ],
+};
+
+class TaskWorkflowService {
+    get defaultWorkflow() {
+        return DEFAULT_WORKFLOW;
+    }
+
+    /**
+     * The configured task workflow, or the default one
+     * @returns {Promise<{states: Array<Object>, transitions: Array<Object>, isDefault: Boolean}>}
+     */
+    async getWorkflow() {
+        const settings = await Settings.findOne().select('taskWorkflow').lean();
+        const workflow = settings?.taskWorkflow;
+
+        if (!workflow?.states?.length) {
+            return { ...DEFAULT_WORKFLOW, isDefault: true };
+        }
+
+        return { states: workflow.states, transitions: workflow.transitions || [], isDefault: false };
+    }
+
+    // Field names a transition can require
+    get requiredFields() {
+        return Object.keys(REQUIRED_FIELDS);
+    }
+
+    normalize(status) {
+        return STATUS_ALIASES[status] || status;
+    }
+
+    getState(workflow, status) {
+        return workflow.states.find((state) => state.key === this.normalize(status));
+    }
+
+    label(workflow, status) {
+        return this.getState(workflow, status)?.label || status;
+    }
+
+    /**
+     * Keys of the states in the given categories ('open', 'done', 'cancelled'),
+     * with the old names that map to them
+     */
+    statusesIn(workflow, categories) {
+        const keys = workflow.states.filter((state) => categories.includes(state.category)).map((state) => state.key);
+        const aliases = Object.keys(STATUS_ALIASES).filter((alias) => keys.includes(STATUS_ALIASES[alias]));
+        return [...keys, ...aliases];
+    }
+
+    isDone(workflow, status) {
+        return this.getState(workflow, status)?.category === 'done';
+    }
+
+    isClosed(workflow, status) {
+        return ['done', 'cancelled'].includes(this.getState(workflow, status)?.category);
+    }
+
+    /**
+     * Check a status is one of the workflow's states
+     * @returns {String} The status, with old names mapped to their state
+     */
+    assertKnownStatus(workflow, status) {
+        if (!this.getState(workflow, status)) {
+            throw new ErrorResponse(
+                `Unknown task status "${status}". Valid statuses: ${workflow.states.map((state) => state.key).join(', ')}`,
+                400
+            );
+        }
+        return this.normalize(status);
+    }
+
+    /**
+     * Transitions the user can make from a status
+     */
+    getAllowedTransitions(workflow, status, user) {
+        const from = this.normalize(status);
+        return workflow.transitions.filter(
+            (transition) => transition.from === from
+                && (!transition.roles?.length || user.role === 'admin' || transition.roles.includes(user.role))
+        );
+    }
+
+    /**
+     * Check a user may move a task to a status under the workflow. Admins can
+     * make any transition the workflow defines; other roles only those open
+     * to everyone or to their role.
+     * @param {Object} workflow - From getWorkflow()
+     * @param {Object} task - Task with any changes made in the same request applied
+     * @param {String} status - New status
+     * @param {Object} user - User making the change
+     * @returns {String} The new status, with old names mapped to their state
+     */
+    assertTransition(workflow, task, status, user) {
+        const to = this.assertKnownStatus(workflow, status);
+        const from = this.normalize(task.status);
+        if (from === to) return to;
+
+        const transitions = workflow.transitions.filter((transition) => transition.from === from);
+        const transition = transitions.find((candidate) => candidate.to === to);
+        const fromLabel = this.label(workflow, from);
+        const toLabel = this.label(workflow, to);
+
+        if (!transition) {
+            const allowed = transitions.map((candidate) => this.label(workflow, candidate.to));
+            throw new ErrorResponse(
+                `A task cannot move from "${fromLabel}" to "${toLabel}". ${allowed.length ? `Allowed: ${allowed.join(', ')}` : 'No moves are allowed from this status'}`,
+                400
+            );
+        }
+
+        if (transition.roles?.length && user.role !== 'admin' && !transition.roles.includes(user.role)) {
+            throw new ErrorResponse(
+                `Only ${transition.roles.join(', ')} can move a task from "${fromLabel}" to "${toLabel}"`,
+                403
+            );
+        }
+
+        const missing = (transition.requiredFields || []).filter((field) => REQUIRED_FIELDS[field] && !REQUIRED_FIELDS[field](task));
+        if (missing.length) {
+            throw new ErrorResponse(
+                `Moving a task from "${fromLabel}" to "${toLabel}" requires: ${missing.join(', ')}`,
+                400
+            );
+        }
+
+        return to;
+    }
+
+    /**
+     * Check a workflow before saving it: unique state keys, the system
+     * states with their categories, and transitions between known states
+     * @param {Object} workflow - states and transitions
+     * @returns {Object} The workflow to store
+     */
+    validate({ states, transitions }) {
+        const keys = states.map((state) => state.key);
+        const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+        if (duplicate) {
+            throw new ErrorResponse(`Duplicate workflow state "${duplicate}"`, 400);
+        }
+
+        Object.entries(SYSTEM_STATES).forEach(([key, category]) => {
+            const state = states.find((candidate) => candidate.key === key);
+            if (!state) {
+                throw new ErrorResponse(`The workflow must include the "${key}" state`, 400);
+            }
+            if (state.category !== category) {
+                throw new ErrorResponse(`The "${key}" state must be in the "${category}" category`, 400);
+            }
+        });
+
+        const alias = keys.find((key) => STATUS_ALIASES[key]);
+        if (alias) {
+            throw new ErrorResponse(`"${alias}" is an old name for "${STATUS_ALIASES[alias]}" and cannot be used as a state`, 400);
+        }
+
+        const seen = new Set();
+        transitions.forEach((transition) => {
+            [transition.from, transition.to].forEach((key) => {
+                if (!keys.includes(key)) {
+                    throw new ErrorResponse(`Transition refers to unknown state "${key}"`, 400);
+                }
+            });
+            if (transition.from === transition.to) {
+                throw new ErrorResponse(`Transition from "${transition.from}" to itself is not needed`, 400);
+            }
+            const unknown = (transition.requiredFields || []).find((field) => !REQUIRED_FIELDS[field]);
+            if (unknown) {
+                throw new ErrorResponse(
+                    `Unknown required field "${unknown}". Supported: ${Object.keys(REQUIRED_FIELDS).join(', ')}`,
+                    400
+                );
+            }
+            const id = `${transition.from}>${transition.to}`;
+            if (seen.has(id)) {
+                throw new ErrorResponse(`Duplicate transition from "${transition.from}" to "${transition.to}"`, 400);
+            }
+            seen.add(id);
+        });
+
+        return {
+            states: states.map(({ key, label, category }) => ({ key, label: label || key, category })),
+            transitions: transitions.map(({ from, to, roles = [], requiredFields = [] }) => ({ from, to, roles, requiredFields })),
+        };
+    }
+}
+
+module.exports = new TaskWorkflowService();
@@ -0,0 +1,125 @@
+const Settings = require('../models/Settings');
+const taskWorkflowService = require('./taskWorkflowService');
+
+const workflow = taskWorkflowService.defaultWorkflow;
+const staff = { role: 'staff' };
+
+const errorOf = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('taskWorkflowService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getWorkflow', () => {
+        it('falls back to the default workflow when none is configured', async () => {
+            jest.spyOn(Settings, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ taskWorkflow: { states: [] } }) }) });
+
+            const current = await taskWorkflowService.getWorkflow();
+
+            expect(current.isDefault).toBe(true);
+            expect(current.states).toBe(workflow.states);
+        });
+    });
+
+    describe('assertTransition', () => {
+        it('allows transitions the workflow defines and returns the new status', () => {
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'pending' }, 'in-progress', staff)).toBe('in-progress');
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'completed' }, 'completed', staff)).toBe('completed');
+        });
+
+        it('refuses transitions the workflow does not define, listing the allowed ones', () => {
+            const error = errorOf(() => taskWorkflowService.assertTransition(workflow, { status: 'invoiced' }, 'pending', staff));
+
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toBe('A task cannot move from "Invoiced" to "Pending". No moves are allowed from this status');
+            expect(errorOf(() => taskWorkflowService.assertTransition(workflow, { status: 'pending' }, 'invoiced', staff)).message).toMatch(
+                /Allowed: In Progress, Cancelled, Completed/
+            );
+        });
+
+        it('refuses unknown statuses', () => {
+            const error = errorOf(() => taskWorkflowService.assertTransition(workflow, { status: 'pending' }, 'done', staff));
+
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toMatch(/Unknown task status "done"/);
+        });
+
+        it('limits transitions to their roles, letting admins make any of them', () => {
+            const task = { status: 'in-progress' };
+
+            expect(errorOf(() => taskWorkflowService.assertTransition(workflow, task, 'cancelled', staff)).statusCode).toBe(403);
+            expect(taskWorkflowService.assertTransition(workflow, task, 'cancelled', { role: 'manager' })).toBe('cancelled');
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'invoiceable' }, 'invoiced', { role: 'admin' })).toBe('invoiced');
+        });
+
+        it('requires the fields the transition names', () => {
+            const error = errorOf(() => taskWorkflowService.assertTransition(workflow, { status: 'pending' }, 'completed', staff));
+
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toBe('Moving a task from "Pending" to "Completed" requires: rating');
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'pending', rating: 4 }, 'completed', staff)).toBe('completed');
+        });
+
+        it('maps old status names to their state', () => {
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'in-progress' }, 'review', staff)).toBe('under-review');
+            expect(taskWorkflowService.assertTransition(workflow, { status: 'review' }, 'completed', staff)).toBe('completed');
+        });
+    });
+
+    describe('getAllowedTransitions', () => {
+        it('lists only the moves open to the user', () => {
+            const targets = (user) => taskWorkflowService.getAllowedTransitions(workflow, 'completed', user).map((transition) => transition.to);
+
+            expect(targets(staff)).toEqual([]);
+            expect(targets({ role: 'finance' })).toEqual(['invoiceable']);
+            expect(targets({ role: 'admin' })).toEqual(['in-progress', 'invoiceable']);
+        });
+    });
+
+    describe('statusesIn', () => {
+        it('includes the old names of matching states', () => {
+            expect(taskWorkflowService.statusesIn(workflow, ['open'])).toEqual(['pending', 'in-progress', 'under-review', 'review']);
+        });
+    });
+
+    describe('validate', () => {
+        const states = workflow.states.map(({ key, category }) => ({ key, category }));
+
+        it('fills in defaults for labels, roles and required fields', () => {
+            const saved = taskWorkflowService.validate({ states, transitions: [{ from: 'pending', to: 'completed' }] });
+
+            expect(saved.states[0]).toEqual({ key: 'pending', label: 'pending', category: 'open' });
+            expect(saved.transitions).toEqual([{ from: 'pending', to: 'completed', roles: [], requiredFields: [] }]);
+        });
+
+        it.each([
+            ['a duplicate state', { states: [...states, { key: 'pending', category: 'open' }] }, /Duplicate workflow state "pending"/],
+            ['a missing system state', { states: states.filter((state) => state.key !== 'invoiced') }, /must include the "invoiced" state/],
+            [
+                'a system state in the wrong category',
+                { states: states.map((state) => (state.key === 'cancelled' ? { ...state, category: 'done' } : state)) },
+                /"cancelled" state must be in the "cancelled" category/,
+            ],
+            ['an old status name as a state', { states: [...states, { key: 'review', category: 'open' }] }, /old name for "under-review"/],
+            ['a transition to an unknown state', { transitions: [{ from: 'pending', to: 'archived' }] }, /unknown state "archived"/],
+            ['a transition to the same state', { transitions: [{ from: 'pending', to: 'pending' }] }, /to itself is not needed/],
+            ['an unknown required field', { transitions: [{ from: 'pending', to: 'completed', requiredFields: ['budget'] }] }, /Unknown required field "budget"/],
+            [
+                'a duplicate transition',
+                { transitions: [{ from: 'pending', to: 'completed' }, { from: 'pending', to: 'completed' }] },
+                /Duplicate transition from "pending" to "completed"/,
+            ],
+        ])('rejects %s', (label, change, message) => {
+            const error = errorOf(() => taskWorkflowService.validate({ states, transitions: [], ...change }));
+
+            expect(error.statusCode).toBe(400);
+            expect(error.message).toMatch(message);
+        });
+    });
+});
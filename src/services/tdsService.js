@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Payment = require('../models/Payment');
+const Client = require('../models/Client');
+const Form26ASEntry = require('../models/Form26ASEntry');
+const numberingService = require('./numberingService');
+const { round2 } = require('../utils/gst');
+const { parseCsv, findHeaderRow } = require('../utils/csv');
+
+// TDS returns and Form 26AS always follow the April-March financial year
+const TDS_YEAR_START_MONTH = 3;
+
+// Differences up to this amount are treated as rounding
+const MATCH_TOLERANCE = 1;
+
+// Accepted Form 26AS column headings (compared without case, spaces or punctuation)
+const FORM_26AS_COLUMNS = {
+    deductorName: ['nameofdeductor', 'deductorname', 'deductor'],
+    deductorTan: ['tanofdeductor', 'deductortan', 'tan'],
+    section: ['section', 'section1', 'sectioncode'],
+    transactionDate: ['transactiondate', 'dateofpaymentcredit', 'dateofpayment', 'date'],
+    bookingStatus: ['statusofbooking', 'bookingstatus', 'status'],
+    amountPaid: ['amountpaidcredited', 'amountpaid', 'amountcredited'],
+    tdsAmount: ['taxdeducted', 'tdsdeducted', 'tdsamount', 'tds', 'taxdeposited', 'tdsdeposited'],
+};
+
+const DATE_FORMATS = ['DD-MMM-YYYY', 'DD/MM/YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD', 'DD MMM YYYY'];
+
+const parseAmount = (value) => {
+    const amount = parseFloat(String(value || '').replace(/[,\s]/g, ''));
+    return Number.isNaN(amount) ? null : amount;
+};
+
+class TdsService {
+    /**
+     * Financial year and quarter (Q1 = Apr-Jun) a date falls in
+     * @returns {{financialYear: String, quarter: String}}
+     */
+    getQuarter(date) {
+        const financialYear = numberingService.getFinancialYear(date, TDS_YEAR_START_MONTH);
+        const months = moment(date).diff(moment(financialYear.start), 'months');
+        return { financialYear: financialYear.label, quarter: `Q${Math.floor(months / 3) + 1}` };
+    }
+
+    /**
+     * Date range of a financial year label such as 2024-25
+     */
+    getFinancialYearRange(label) {
+        const startYear = parseInt(String(label).slice(0, 4), 10);
+        if (!/^\d{4}-\d{2}$/.test(String(label)) || Number.isNaN(startYear)) return null;
+        return numberingService.getFinancialYear(new Date(startYear, TDS_YEAR_START_MONTH, 1), TDS_YEAR_START_MONTH);
+    }
+
+    /**
+     * Parse a Form 26AS (Part I) export saved as CSV
+     * @param {Buffer|String} file - CSV contents
+     * @returns {{entries: Array<Object>, errors: Array<{row: Number, message: String}>}}
+     */
+    parseForm26AS(file) {
+        const rows = parseCsv(file.toString('utf8'));
+        const errors = [];
+
+        const header = findHeaderRow(rows, FORM_26AS_COLUMNS, ['deductorTan', 'transactionDate', 'tdsAmount']);
+        if (!header) {
+            return {
+                entries: [],
+                errors: [{ row: 0, message: 'Header row not found; expected TAN of Deductor, Transaction Date and Tax Deducted columns' }],
+            };
+        }
+
+        const { index: headerIndex, columns } = header;
+        const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] || '').trim());
+
+        const entries = [];
+        rows.slice(headerIndex + 1).forEach((row, index) => {
+            const rowNumber = headerIndex + index + 2;
+            const tan = cell(row, 'deductorTan').toUpperCase();
+            const date = moment(cell(row, 'transactionDate'), DATE_FORMATS, true);
+            const tdsAmount = parseAmount(cell(row, 'tdsAmount'));
+
+            // Totals and section headings in the export have no TAN or date
+            if (!tan && !date.isValid()) return;
+
+            if (!/^[A-Z]{4}\d{5}[A-Z]$/.test(tan)) {
+                errors.push({ row: rowNumber, message: `Invalid TAN "${tan}"` });
+                return;
+            }
+            if (!date.isValid()) {
+                errors.push({ row: rowNumber, message: `Invalid transaction date "${cell(row, 'transactionDate')}"` });
+                return;
+            }
+            if (tdsAmount === null) {
+                errors.push({ row: rowNumber, message: `Invalid tax deducted "${cell(row, 'tdsAmount')}"` });
+                return;
+            }
+
+            entries.push({
+                deductorTan: tan,
+                deductorName: cell(row, 'deductorName'),
+                section: cell(row, 'section').toUpperCase(),
+                transactionDate: date.toDate(),
+                amountPaid: parseAmount(cell(row, 'amountPaid')) || 0,
+                tdsAmount,
+                bookingStatus: cell(row, 'bookingStatus'),
+                ...this.getQuarter(date.toDate()),
+            });
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * Import Form 26AS entries, matching deductors to clients by TAN.
+     * Entries already imported are updated rather than duplicated.
+     */
+    async importForm26AS(file, user) {
+        const { entries, errors } = this.parseForm26AS(file);
+        const importBatch = crypto.randomBytes(8).toString('hex');
+
+        const tans = [...new Set(entries.map((entry) => entry.deductorTan))];
+        const clients = await Client.find({ tan: { $in: tans } }).select('_id tan');
+        const clientByTan = new Map(clients.map((client) => [client.tan, client._id]));
+
+        let inserted = 0;
+        let updated = 0;
+        if (entries.length > 0) {
+            const result = await Form26ASEntry.bulkWrite(
+                entries.map((entry) => ({
+                    updateOne: {
+                        filter: {
+                            deductorTan: entry.deductorTan,
+                            section: entry.section,
+                            transactionDate: entry.transactionDate,
+                            amountPaid: entry.amountPaid,
+                            tdsAmount: entry.tdsAmount,
+                        },
+                        update: {
+                            $set: {
+                                ...entry,
+                                client: clientByTan.get(entry.deductorTan) || null,
+                                importBatch,
+                                importedBy: user._id,
+                            },
+                        },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+            inserted = result.upsertedCount;
+            updated = result.matchedCount;
+        }
+
+        return {
+            importBatch,
+            rows: entries.length,
+            inserted,
+            updated,
+            unmatchedTans: tans.filter((tan) => !clientByTan.has(tan)),
+            errors,
+        };
+    }
+
+    /**
+     * TDS receivable per client and quarter: TDS deducted on payments we
+     * recorded against the TDS reported in the imported Form 26AS
+     * @param {String} financialYear - e.g. 2024-25
+     * @param {String} [clientId]
+     */
+    async getReceivableReport(financialYear, clientId) {
+        const range = this.getFinancialYearRange(financialYear);
+
+        const paymentFilter = {
+            status: 'active',
+            tdsAmount: { $gt: 0 },
+            date: { $gte: range.start, $lte: range.end },
+        };
+        const entryFilter = { financialYear: range.label };
+        if (clientId) {
+            const client = await Client.findById(clientId).select('tan');
+            paymentFilter.client = clientId;
+            entryFilter.$or = [{ client: clientId }, ...(client?.tan ? [{ deductorTan: client.tan }] : [])];
+        }
+
+        const payments = await Payment.find(paymentFilter)
+            .select('client date amount tdsAmount tdsSection')
+            .populate({ path: 'client', select: 'name tan' })
+            .lean();
+        const entries = await Form26ASEntry.find(entryFilter)
+            .populate({ path: 'client', select: 'name tan' })
+            .lean();
+
+        // Entries imported before the client's TAN was recorded
+        const unmatchedTans = [...new Set(entries.filter((entry) => !entry.client).map((entry) => entry.deductorTan))];
+        if (unmatchedTans.length > 0) {
+            const clients = await Client.find({ tan: { $in: unmatchedTans } }).select('name tan').lean();
+            entries.forEach((entry) => {
+                entry.client = entry.client || clients.find((client) => client.tan === entry.deductorTan);
+            });
+        }
+
+        const rows = new Map();
+        const getRow = (client, quarter) => {
+            const key = `${client._id}:${quarter}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    client: { _id: client._id, name: client.name, tan: client.tan },
+                    quarter,
+                    payments: 0,
+                    amountReceived: 0,
+                    tdsBooked: 0,
+                    form26asEntries: 0,
+                    form26asAmountPaid: 0,
+                    tds26AS: 0,
+                });
+            }
+            return rows.get(key);
+        };
+
+        payments.forEach((payment) => {
+            if (!payment.client) return;
+            const row = getRow(payment.client, this.getQuarter(payment.date).quarter);
+            row.payments += 1;
+            row.amountReceived = round2(row.amountReceived + payment.amount + payment.tdsAmount);
+            row.tdsBooked = round2(row.tdsBooked + payment.tdsAmount);
+        });
+
+        const unmatched = [];
+        entries.forEach((entry) => {
+            if (!entry.client) {
+                unmatched.push(entry);
+                return;
+            }
+            const row = getRow(entry.client, entry.quarter);
+            row.form26asEntries += 1;
+            row.form26asAmountPaid = round2(row.form26asAmountPaid + entry.amountPaid);
+            row.tds26AS = round2(row.tds26AS + entry.tdsAmount);
+        });
+
+        const clients = [...rows.values()]
+            .map((row) => {
+                const difference = round2(row.tdsBooked - row.tds26AS);
+                let status = 'matched';
+                if (difference > MATCH_TOLERANCE) status = row.tds26AS > 0 ? 'short' : 'missing';
+                if (difference < -MATCH_TOLERANCE) status = 'excess';
+                return { ...row, difference, status };
+            })
+            .sort((a, b) => a.client.name.localeCompare(b.client.name) || a.quarter.localeCompare(b.quarter));
+
+        const totals = clients.reduce(
+            (sum, row) => ({
+                tdsBooked: round2(sum.tdsBooked + row.tdsBooked),
+                tds26AS: round2(sum.tds26AS + row.tds26AS),
+                difference: round2(sum.difference + row.difference),
+            }),
+            { tdsBooked: 0, tds26AS: 0, difference: 0 }
+        );
+
+        return { financialYear: range.label, clients, totals, unmatched };
+    }
+}
+
+module.exports = new TdsService();
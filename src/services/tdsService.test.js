@@ -0,0 +1,130 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Client = require('../models/Client');
+const Form26ASEntry = require('../models/Form26ASEntry');
+const tdsService = require('./tdsService');
+
+// Query stand-in for the select/populate/lean chains the report builds
+const query = (result) => {
+    const chain = {
+        select: () => chain,
+        populate: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const client = (name, tan) => ({ _id: new mongoose.Types.ObjectId(), name, tan });
+
+describe('tdsService', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getQuarter', () => {
+        it('uses April to March quarters', () => {
+            expect(tdsService.getQuarter(new Date(2025, 3, 1))).toEqual({ financialYear: '2025-26', quarter: 'Q1' });
+            expect(tdsService.getQuarter(new Date(2025, 11, 31))).toEqual({ financialYear: '2025-26', quarter: 'Q3' });
+            expect(tdsService.getQuarter(new Date(2026, 2, 31, 23, 59))).toEqual({ financialYear: '2025-26', quarter: 'Q4' });
+        });
+    });
+
+    describe('getFinancialYearRange', () => {
+        it('accepts only labels like 2024-25', () => {
+            const range = tdsService.getFinancialYearRange('2024-25');
+
+            expect(range.start).toEqual(new Date(2024, 3, 1));
+            expect(moment(range.end).format('YYYY-MM-DD HH:mm')).toBe('2025-03-31 23:59');
+            expect(tdsService.getFinancialYearRange('2024')).toBeNull();
+        });
+    });
+
+    describe('parseForm26AS', () => {
+        it('reads Part I rows and reports invalid ones, ignoring headings and totals', () => {
+            const csv = [
+                'PART I - Details of Tax Deducted at Source',
+                'Sr. No.,Name of Deductor,TAN of Deductor,Section,Transaction Date,Status of Booking,Amount Paid / Credited,Tax Deducted,TDS Deposited',
+                '1,IYER TRADERS PVT LTD,chei12345a,194j,15-May-2025,F,"50,000.00","5,000.00","5,000.00"',
+                '2,RAO EXPORTS,BADTAN,194J,15-May-2025,F,100,10,10',
+                '3,RAO EXPORTS,MUMR12345B,194J,31/02/2025,F,100,10,10',
+                ',,,,,Total,"50,100.00","5,010.00",',
+            ].join('\n');
+
+            const { entries, errors } = tdsService.parseForm26AS(Buffer.from(csv));
+
+            expect(entries).toEqual([
+                expect.objectContaining({
+                    deductorTan: 'CHEI12345A',
+                    deductorName: 'IYER TRADERS PVT LTD',
+                    section: '194J',
+                    amountPaid: 50000,
+                    tdsAmount: 5000,
+                    bookingStatus: 'F',
+                    financialYear: '2025-26',
+                    quarter: 'Q1',
+                }),
+            ]);
+            expect(errors).toEqual([
+                { row: 4, message: 'Invalid TAN "BADTAN"' },
+                { row: 5, message: 'Invalid transaction date "31/02/2025"' },
+            ]);
+        });
+
+        it('reports a file without the required columns', () => {
+            expect(tdsService.parseForm26AS('Name,Amount\nA,1').errors[0].message).toMatch(/Header row not found/);
+        });
+    });
+
+    describe('getReceivableReport', () => {
+        it('compares TDS booked on payments with Form 26AS per client and quarter', async () => {
+            const iyer = client('Iyer Traders', 'CHEI12345A');
+            const rao = client('Rao Exports', 'MUMR12345B');
+            const shah = client('Shah & Sons', 'DELS12345C');
+            jest.spyOn(Payment, 'find').mockReturnValue(
+                query([
+                    { client: iyer, date: new Date(2025, 4, 15), amount: 45000, tdsAmount: 5000 },
+                    { client: rao, date: new Date(2025, 4, 20), amount: 9000, tdsAmount: 1000 },
+                    { client: shah, date: new Date(2025, 7, 1), amount: 1800, tdsAmount: 200 },
+                ])
+            );
+            jest.spyOn(Form26ASEntry, 'find').mockReturnValue(
+                query([
+                    { client: iyer, deductorTan: iyer.tan, quarter: 'Q1', amountPaid: 50000, tdsAmount: 4999.5 },
+                    { client: null, deductorTan: rao.tan, quarter: 'Q1', amountPaid: 5000, tdsAmount: 500 },
+                    { client: null, deductorTan: 'BLRX12345D', quarter: 'Q2', amountPaid: 100, tdsAmount: 10 },
+                ])
+            );
+            // Rao's TAN was recorded after the Form 26AS was imported
+            jest.spyOn(Client, 'find').mockReturnValue(query([rao]));
+
+            const report = await tdsService.getReceivableReport('2025-26');
+
+            expect(Payment.find.mock.calls[0][0].date).toEqual({ $gte: new Date(2025, 3, 1), $lte: expect.any(Date) });
+            expect(report.clients.map((row) => [row.client.name, row.quarter, row.tdsBooked, row.tds26AS, row.status])).toEqual([
+                ['Iyer Traders', 'Q1', 5000, 4999.5, 'matched'],
+                ['Rao Exports', 'Q1', 1000, 500, 'short'],
+                ['Shah & Sons', 'Q2', 200, 0, 'missing'],
+            ]);
+            expect(report.clients[0].amountReceived).toBe(50000);
+            expect(report.totals).toEqual({ tdsBooked: 6200, tds26AS: 5499.5, difference: 700.5 });
+            expect(report.unmatched.map((entry) => entry.deductorTan)).toEqual(['BLRX12345D']);
+        });
+
+        it('marks TDS reported in Form 26AS beyond what was booked as excess', async () => {
+            const iyer = client('Iyer Traders', 'CHEI12345A');
+            jest.spyOn(Client, 'findById').mockReturnValue(query(iyer));
+            jest.spyOn(Payment, 'find').mockReturnValue(query([]));
+            jest.spyOn(Form26ASEntry, 'find').mockReturnValue(
+                query([{ client: iyer, deductorTan: iyer.tan, quarter: 'Q2', amountPaid: 20000, tdsAmount: 2000 }])
+            );
+
+            const report = await tdsService.getReceivableReport('2025-26', iyer._id);
+
+            expect(Form26ASEntry.find).toHaveBeenCalledWith({
+                financialYear: '2025-26',
+                $or: [{ client: iyer._id }, { deductorTan: iyer.tan }],
+            });
+            expect(report.clients).toEqual([expect.objectContaining({ quarter: 'Q2', difference: -2000, status: 'excess' })]);
+        });
+    });
+});
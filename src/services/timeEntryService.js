@@ -0,0 +1,87 @@
+const Task = require('../models/Task');
+const timesheetService = require('./timesheetService');
+const subtaskService = require('./subtaskService');
+const ActivityTracker = require('../utils/activityTracker');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+class TimeEntryService {
+    /**
+     * Only admins and the assignee can log time on a task
+     */
+    assertCanLogTime(task, user) {
+        if (user.role !== 'admin' && task.assignedTo?.toString() !== user.id.toString()) {
+            throw new ErrorResponse('User not authorized to update this task', 403);
+        }
+    }
+
+    /**
+     * Add a time entry to a task for a user, with its task_time_entry
+     * activity. Entries cannot be added to weeks whose timesheet is
+     * submitted or approved.
+     * @param {Object} task - Task document
+     * @param {Object} data - hours, description, date
+     * @param {Object} user - User the time is logged for
+     * @returns {Promise<{entry: Object, totalActualHours: Number, estimatedHours: Number}>}
+     */
+    async addEntry(task, { hours, description, date }, user) {
+        await timesheetService.assertUnlocked(user.id, date || new Date());
+
+        // Add time entry
+        const timeEntry = {
+            hours: parseFloat(hours),
+            description,
+            date: date || Date.now(),
+            user: user.id,
+        };
+
+        task.timeTracking.entries.push(timeEntry);
+
+        // Update total actual hours
+        task.timeTracking.actualHours = task.timeTracking.entries.reduce(
+            (total, entry) => total + entry.hours,
+            0
+        );
+
+        task.updatedBy = user.id;
+
+        await task.save();
+        await subtaskService.refreshRollup(task._id);
+
+        // Populate the user in the newly added time entry
+        const populatedTask = await Task.findById(task._id).populate({
+            path: 'timeTracking.entries.user',
+            select: 'name email',
+        });
+
+        // Get the newly added time entry
+        const newEntry = populatedTask.timeTracking.entries[populatedTask.timeTracking.entries.length - 1];
+
+        // Log the time entry addition
+        logger.info(`Time entry added to task ${task.title} (${task._id}) by ${user.name} (${user._id}): ${hours} hours`);
+
+        // Activity log for time entry
+        try {
+            await ActivityTracker.track({
+                type: 'task_time_entry',
+                title: 'Time Entry Added',
+                description: `Time entry of ${hours} hour(s) added to task "${task.title}": ${description}`,
+                entityType: 'task',
+                entityId: task._id,
+                userId: user._id,
+                link: `/tasks/${task._id}`,
+                project: task.project,
+            });
+        } catch (activityError) {
+            logger.error(`Failed to track activity for time entry: ${activityError.message}`);
+        }
+
+        return {
+            entry: newEntry,
+            totalActualHours: task.timeTracking.actualHours,
+            estimatedHours: task.timeTracking.estimatedHours,
+        };
+    }
+}
+
+module.exports = new TimeEntryService();
@@ -0,0 +1,207 @@
+const TaskTimer = require('../models/TaskTimer');
+const Task = require('../models/Task');
+const timeEntryService = require('./timeEntryService');
+const websocketService = require('../utils/websocket');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/gst');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+class TimerService {
+    constructor() {
+        // Clients get the current timer as soon as they (re)connect
+        websocketService.onConnection((userId) => this.sendState(userId));
+    }
+
+    /**
+     * Milliseconds tracked by a timer, including the current running stretch
+     */
+    elapsed(timer, now = new Date()) {
+        const running = timer.status === 'running' && timer.resumedAt
+            ? now - new Date(timer.resumedAt)
+            : 0;
+        return timer.elapsedMs + Math.max(running, 0);
+    }
+
+    toState(timer, now = new Date()) {
+        const elapsedMs = this.elapsed(timer, now);
+        return {
+            _id: timer._id,
+            task: timer.task,
+            status: timer.status,
+            startedAt: timer.startedAt,
+            resumedAt: timer.resumedAt || null,
+            elapsedMs,
+            hours: round2(elapsedMs / MS_PER_HOUR),
+            description: timer.description,
+        };
+    }
+
+    /**
+     * The user's active timer, or null
+     */
+    async getState(userId) {
+        const timer = await TaskTimer.findOne({ user: userId })
+            .populate({ path: 'task', select: 'title project status' })
+            .lean();
+        return timer ? this.toState(timer) : null;
+    }
+
+    /**
+     * Push the user's timer state over the websocket
+     */
+    async sendState(userId) {
+        try {
+            websocketService.sendToUser(userId.toString(), {
+                type: 'timer',
+                data: await this.getState(userId),
+            });
+        } catch (error) {
+            logger.error(`Failed to send timer state to user ${userId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a timer on a task, or resume it if paused. A timer running on
+     * another task is stopped and its time logged first.
+     * @returns {Promise<{timer: Object, stopped: Object|null}>} stopped is the result of stopping the previous timer
+     */
+    async start(task, user, description) {
+        let stopped = null;
+        const existing = await TaskTimer.findOne({ user: user.id });
+
+        if (existing && existing.task.toString() === task._id.toString()) {
+            if (existing.status === 'running') {
+                throw new ErrorResponse('Timer is already running on this task', 400);
+            }
+
+            const resumed = await TaskTimer.findOneAndUpdate(
+                { _id: existing._id, status: 'paused' },
+                {
+                    $set: {
+                        status: 'running',
+                        resumedAt: new Date(),
+                        ...(description ? { description } : {}),
+                    },
+                },
+                { new: true }
+            );
+            if (!resumed) {
+                throw new ErrorResponse('Timer is already running on this task', 400);
+            }
+
+            logger.info(`Timer resumed on task ${task.title} (${task._id}) by ${user.name} (${user._id})`);
+            await this.sendState(user.id);
+            return { timer: this.toState(resumed), stopped };
+        }
+
+        if (existing) {
+            stopped = await this.stop(user);
+        }
+
+        const now = new Date();
+        let timer;
+        try {
+            timer = await TaskTimer.create({
+                user: user.id,
+                task: task._id,
+                status: 'running',
+                startedAt: now,
+                resumedAt: now,
+                elapsedMs: 0,
+                description,
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ErrorResponse('A timer is already active for this user', 400);
+            }
+            throw error;
+        }
+
+        logger.info(`Timer started on task ${task.title} (${task._id}) by ${user.name} (${user._id})`);
+        await this.sendState(user.id);
+        return { timer: this.toState(timer), stopped };
+    }
+
+    /**
+     * Pause the user's running timer
+     */
+    async pause(user) {
+        const timer = await TaskTimer.findOne({ user: user.id, status: 'running' });
+        if (!timer) {
+            throw new ErrorResponse('No running timer to pause', 400);
+        }
+
+        const now = new Date();
+        // Matching on resumedAt keeps a concurrent pause from counting the stretch twice
+        const paused = await TaskTimer.findOneAndUpdate(
+            { _id: timer._id, status: 'running', resumedAt: timer.resumedAt },
+            {
+                $set: { status: 'paused', elapsedMs: this.elapsed(timer, now) },
+                $unset: { resumedAt: 1 },
+            },
+            { new: true }
+        );
+        if (!paused) {
+            throw new ErrorResponse('No running timer to pause', 400);
+        }
+
+        logger.info(`Timer paused on task ${timer.task} by ${user.name} (${user._id})`);
+        await this.sendState(user.id);
+        return this.toState(paused);
+    }
+
+    /**
+     * Stop the user's timer and log its time as a time entry on the task
+     * @param {Object} user - Timer owner
+     * @param {String} description - Work description; defaults to the one given on start
+     * @returns {Promise<{timer: Object, entry: Object|null, totalActualHours: Number, estimatedHours: Number}>}
+     */
+    async stop(user, description) {
+        const current = await TaskTimer.findOne({ user: user.id });
+        if (!current) {
+            throw new ErrorResponse('No active timer to stop', 400);
+        }
+
+        const workDone = description || current.description;
+        if (!workDone) {
+            throw new ErrorResponse('Please provide a description of the work done', 400);
+        }
+
+        // Removing the timer first means only one stop can log its time
+        const timer = await TaskTimer.findOneAndDelete({ _id: current._id });
+        if (!timer) {
+            throw new ErrorResponse('No active timer to stop', 400);
+        }
+
+        const now = new Date();
+        const state = this.toState(timer, now);
+        let result = { entry: null };
+
+        const task = await Task.findOne({ _id: timer.task, deleted: { $ne: true } });
+        if (!task) {
+            logger.info(`Timer on deleted task ${timer.task} discarded by ${user.name} (${user._id})`);
+        } else if (state.hours > 0) {
+            try {
+                result = await timeEntryService.addEntry(
+                    task,
+                    { hours: state.hours, description: workDone, date: now },
+                    user
+                );
+            } catch (error) {
+                // Keep the timer so the time is not lost
+                await TaskTimer.create(timer.toObject()).catch((restoreError) => {
+                    logger.error(`Failed to restore timer ${timer._id}: ${restoreError.message}`);
+                });
+                throw error;
+            }
+        }
+
+        logger.info(`Timer stopped on task ${timer.task} by ${user.name} (${user._id}): ${state.hours} hours`);
+        await this.sendState(user.id);
+        return { timer: state, ...result };
+    }
+}
+
+module.exports = new TimerService();
@@ -0,0 +1,349 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const websocketService = require('../utils/websocket');
+const mailService = require('./mailService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { round2 } = require('../utils/gst');
+const { logger } = require('../utils/logger');
+
+// Timesheets in these states lock the week's time entries
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+// Roles notified of submitted timesheets to review
+const REVIEWER_ROLES = ['admin', 'manager'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+class TimesheetService {
+    /**
+     * Monday to Sunday week containing a date
+     * @returns {{weekStart: Date, weekEnd: Date}}
+     */
+    getWeek(date) {
+        const start = moment(date).startOf('isoWeek');
+        return { weekStart: start.toDate(), weekEnd: start.clone().endOf('isoWeek').toDate() };
+    }
+
+    /**
+     * A user's time entries logged on tasks during a week
+     * @returns {Promise<Array<Object>>} Entries with the task and project populated, oldest first
+     */
+    async collectEntries(userId, weekStart, weekEnd) {
+        const user = toObjectId(userId);
+        const tasks = await Task.find({
+            'timeTracking.entries': { $elemMatch: { user, date: { $gte: weekStart, $lte: weekEnd } } },
+        })
+            .select('title project timeTracking.entries')
+            .populate({ path: 'project', select: 'name' })
+            .lean();
+
+        return tasks
+            .flatMap((task) =>
+                task.timeTracking.entries
+                    .filter((entry) => entry.user?.toString() === user.toString() && entry.date >= weekStart && entry.date <= weekEnd)
+                    .map((entry) => ({
+                        entryId: entry._id,
+                        task: { _id: task._id, title: task.title },
+                        project: task.project || null,
+                        date: entry.date,
+                        hours: entry.hours || 0,
+                        description: entry.description,
+                        approved: entry.approved || false,
+                    }))
+            )
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Hours per day of the week and in total
+     */
+    summarize(entries, weekStart) {
+        const days = Array.from({ length: 7 }, (value, index) => {
+            const day = moment(weekStart).add(index, 'days');
+            const hours = entries
+                .filter((entry) => moment(entry.date).isSame(day, 'day'))
+                .reduce((sum, entry) => sum + entry.hours, 0);
+            return { date: day.toDate(), hours: round2(hours) };
+        });
+        return { days, totalHours: round2(entries.reduce((sum, entry) => sum + entry.hours, 0)) };
+    }
+
+    /**
+     * A user's week: the submitted entries once the week is submitted or
+     * approved, the live entries from tasks otherwise
+     */
+    async getWeekView(userId, date) {
+        const { weekStart, weekEnd } = this.getWeek(date);
+        const timesheet = await Timesheet.findOne({ user: userId, weekStart })
+            .populate({ path: 'entries.task', select: 'title' })
+            .populate({ path: 'entries.project', select: 'name' })
+            .populate({ path: 'reviewedBy', select: 'name' });
+
+        const locked = Boolean(timesheet && LOCKED_STATUSES.includes(timesheet.status));
+        const entries = locked
+            ? timesheet.entries.map((entry) => ({ ...entry.toObject(), approved: timesheet.status === 'approved' }))
+            : await this.collectEntries(userId, weekStart, weekEnd);
+
+        return {
+            user: userId,
+            weekStart,
+            weekEnd,
+            status: timesheet ? timesheet.status : 'draft',
+            locked,
+            timesheet: timesheet
+                ? {
+                    _id: timesheet._id,
+                    notes: timesheet.notes,
+                    submittedAt: timesheet.submittedAt,
+                    reviewedBy: timesheet.reviewedBy,
+                    reviewedAt: timesheet.reviewedAt,
+                    rejectionReason: timesheet.rejectionReason,
+                    history: timesheet.history,
+                }
+                : null,
+            entries,
+            ...this.summarize(entries, weekStart),
+        };
+    }
+
+    /**
+     * Throw if the user's timesheet for the week of the date is submitted or approved
+     */
+    async assertUnlocked(userId, date) {
+        const { weekStart } = this.getWeek(date || new Date());
+        const timesheet = await Timesheet.findOne({ user: userId, weekStart, status: { $in: LOCKED_STATUSES } }).select('status');
+        if (timesheet) {
+            throw new ErrorResponse(
+                `The timesheet for the week of ${moment(weekStart).format('DD MMM YYYY')} is ${timesheet.status}; its time entries can no longer be changed`,
+                400
+            );
+        }
+    }
+
+    /**
+     * Throw if replacing a task's time entries would add, change or remove
+     * an entry in a locked week
+     * @param {Array<Object>} before - Current entries
+     * @param {Array<Object>} after - Entries about to be saved
+     */
+    async assertEntriesEditable(before = [], after = []) {
+        const key = (entry) =>
+            [entry._id || '', entry.user, moment(entry.date).toISOString(), Number(entry.hours), entry.description || ''].join('|');
+        const beforeKeys = new Set(before.map(key));
+        const afterKeys = new Set(after.map(key));
+        const changed = [
+            ...before.filter((entry) => !afterKeys.has(key(entry))),
+            ...after.filter((entry) => !beforeKeys.has(key(entry))),
+        ];
+
+        const checked = new Set();
+        for (const entry of changed) {
+            if (!entry.user) continue;
+            const week = `${entry.user}|${this.getWeek(entry.date).weekStart.getTime()}`;
+            if (checked.has(week)) continue;
+            checked.add(week);
+            await this.assertUnlocked(entry.user, entry.date);
+        }
+    }
+
+    /**
+     * Notify a user in-app (and over the websocket)
+     */
+    async notify(userId, title, message, type, timesheetId) {
+        try {
+            const notification = await Notification.create({ user: userId, title, message, type });
+            websocketService.sendToUser(userId.toString(), {
+                type: 'notification',
+                data: {
+                    _id: notification._id,
+                    title: notification.title,
+                    message: notification.message,
+                    type: notification.type,
+                    read: notification.read,
+                    createdAt: notification.createdAt,
+                    timesheetId,
+                },
+            });
+        } catch (error) {
+            logger.error(`Failed to notify user ${userId} about timesheet ${timesheetId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Submit a user's week for approval. The week's entries are recorded on
+     * the timesheet and locked until it is rejected.
+     * @param {Object} user - User submitting their own timesheet
+     * @param {Date} date - Any day of the week
+     * @param {String} [notes]
+     */
+    async submit(user, date, notes) {
+        const { weekStart, weekEnd } = this.getWeek(date);
+        if (weekStart > new Date()) {
+            throw new ErrorResponse('A timesheet cannot be submitted before its week has started', 400);
+        }
+
+        const entries = await this.collectEntries(user._id, weekStart, weekEnd);
+        const { totalHours } = this.summarize(entries, weekStart);
+
+        let timesheet;
+        try {
+            timesheet = await Timesheet.findOneAndUpdate(
+                { user: user._id, weekStart, status: { $nin: LOCKED_STATUSES } },
+                {
+                    $set: {
+                        weekEnd,
+                        status: 'submitted',
+                        entries: entries.map((entry) => ({ ...entry, task: entry.task._id, project: entry.project?._id })),
+                        totalHours,
+                        notes,
+                        submittedAt: new Date(),
+                    },
+                    $unset: { reviewedBy: 1, reviewedAt: 1, rejectionReason: 1 },
+                    $push: { history: { action: 'submitted', by: user._id, comment: notes } },
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+        } catch (error) {
+            // The upsert collides with the existing locked timesheet
+            if (error.code !== 11000) throw error;
+            const existing = await Timesheet.findOne({ user: user._id, weekStart }).select('status');
+            throw new ErrorResponse(`The timesheet for the week of ${moment(weekStart).format('DD MMM YYYY')} is already ${existing ? existing.status : 'submitted'}`, 400);
+        }
+
+        const reviewers = await User.find({ role: { $in: REVIEWER_ROLES }, status: 'active', _id: { $ne: user._id } }).select('_id');
+        for (const reviewer of reviewers) {
+            await this.notify(
+                reviewer._id,
+                'Timesheet Submitted',
+                `${user.name} submitted the timesheet for the week of ${moment(weekStart).format('DD MMM YYYY')} (${totalHours} hours)`,
+                'TIMESHEET_SUBMITTED',
+                timesheet._id
+            );
+        }
+
+        return timesheet;
+    }
+
+    /**
+     * Approve or reject a submitted timesheet. Approval marks the week's
+     * time entries on the tasks as approved; rejection unlocks them.
+     * @param {Object} timesheet - Timesheet document
+     * @param {Object} reviewer - User reviewing
+     * @param {Boolean} approve
+     * @param {String} [reason] - Required when rejecting
+     */
+    async review(timesheet, reviewer, approve, reason) {
+        if (timesheet.user.toString() === reviewer._id.toString() && reviewer.role !== 'admin') {
+            throw new ErrorResponse('You cannot review your own timesheet', 403);
+        }
+
+        const status = approve ? 'approved' : 'rejected';
+        const reviewed = await Timesheet.findOneAndUpdate(
+            { _id: timesheet._id, status: 'submitted' },
+            {
+                $set: {
+                    status,
+                    reviewedBy: reviewer._id,
+                    reviewedAt: new Date(),
+                    ...(approve ? {} : { rejectionReason: reason }),
+                },
+                $push: { history: { action: status, by: reviewer._id, comment: reason } },
+            },
+            { new: true }
+        );
+        if (!reviewed) {
+            throw new ErrorResponse(`Only submitted timesheets can be reviewed; this one is ${timesheet.status}`, 400);
+        }
+
+        if (approve) {
+            const entryIds = reviewed.entries.map((entry) => entry.entryId).filter(Boolean);
+            await Task.updateMany(
+                { 'timeTracking.entries._id': { $in: entryIds } },
+                { $set: { 'timeTracking.entries.$[entry].approved': true } },
+                { arrayFilters: [{ 'entry._id': { $in: entryIds } }] }
+            );
+        }
+
+        const week = moment(reviewed.weekStart).format('DD MMM YYYY');
+        await this.notify(
+            reviewed.user,
+            `Timesheet ${approve ? 'Approved' : 'Rejected'}`,
+            `Your timesheet for the week of ${week} was ${status} by ${reviewer.name}${reason ? `: ${reason}` : ''}`,
+            'TIMESHEET_REVIEWED',
+            reviewed._id
+        );
+        try {
+            await mailService.queueEmailToUser(
+                reviewed.user,
+                'timesheetReviewed',
+                { timesheet: reviewed, reviewer },
+                { entityType: 'timesheet', entityId: reviewed._id }
+            );
+        } catch (mailError) {
+            logger.error(`Failed to queue review email for timesheet ${reviewed._id}: ${mailError.message}`);
+        }
+
+        return reviewed;
+    }
+
+    /**
+     * Remind users who have not submitted last week's timesheet. Users are
+     * reminded at most once a day, so the job can safely run again.
+     * @returns {Promise<{weekStart: Date, reminded: Number}>}
+     */
+    async sendReminders(now = new Date()) {
+        const { weekStart, weekEnd } = this.getWeek(moment(now).subtract(1, 'week'));
+        const submitted = await Timesheet.find({ weekStart, status: { $in: LOCKED_STATUSES } }).distinct('user');
+        const remindedToday = await Timesheet.find({
+            weekStart,
+            lastReminderAt: { $gte: moment(now).startOf('day').toDate() },
+        }).distinct('user');
+
+        const users = await User.find({
+            status: 'active',
+            role: { $ne: 'admin' },
+            _id: { $nin: [...submitted, ...remindedToday] },
+        }).select('_id name');
+
+        const week = moment(weekStart).format('DD MMM YYYY');
+        let reminded = 0;
+        for (const user of users) {
+            try {
+                const timesheet = await Timesheet.findOneAndUpdate(
+                    { user: user._id, weekStart },
+                    {
+                        $set: { lastReminderAt: now },
+                        $setOnInsert: { weekEnd, status: 'draft' },
+                        $push: { history: { action: 'reminded', at: now } },
+                    },
+                    { new: true, upsert: true }
+                );
+                await this.notify(
+                    user._id,
+                    'Timesheet Reminder',
+                    `Please submit your timesheet for the week of ${week}`,
+                    'TIMESHEET_REMINDER',
+                    timesheet._id
+                );
+                await mailService.queueEmailToUser(
+                    user._id,
+                    'timesheetReminder',
+                    { weekStart, weekEnd, timesheet },
+                    { entityType: 'timesheet', entityId: timesheet._id }
+                );
+                reminded += 1;
+            } catch (error) {
+                logger.error(`Failed to send timesheet reminder to user ${user._id}: ${error.message}`);
+            }
+        }
+
+        logger.info(`Timesheet reminders for the week of ${week}: ${reminded} user(s) reminded`);
+        return { weekStart, reminded };
+    }
+}
+
+module.exports = new TimesheetService();
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const websocketService = require('../utils/websocket');
+const mailService = require('./mailService');
+const timesheetService = require('./timesheetService');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Query stand-in for the select/populate/lean chains the service builds
+const query = (result) => {
+    const chain = {
+        select: () => chain,
+        populate: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+// Timesheet.findOne answering from the given locked weeks
+const useLockedWeeks = (...weeks) =>
+    jest.spyOn(Timesheet, 'findOne').mockImplementation((filter) => {
+        const week = weeks.find(
+            (locked) => locked.user.toString() === filter.user.toString() && locked.weekStart.getTime() === filter.weekStart.getTime()
+        );
+        return query(week && filter.status.$in.includes(week.status) ? week : null);
+    });
+
+const entry = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    date: new Date(2025, 5, 4, 10, 0),
+    hours: 2,
+    description: 'Ledger scrutiny',
+    ...fields,
+});
+
+describe('timesheetService', () => {
+    beforeEach(() => {
+        jest.spyOn(Notification, 'create').mockImplementation(async (data) => ({ ...data, _id: new mongoose.Types.ObjectId() }));
+        jest.spyOn(websocketService, 'sendToUser').mockReturnValue(undefined);
+        jest.spyOn(mailService, 'queueEmailToUser').mockResolvedValue(undefined);
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getWeek', () => {
+        it('runs from Monday to the end of Sunday', () => {
+            const { weekStart, weekEnd } = timesheetService.getWeek(new Date(2025, 5, 8, 23, 0));
+
+            expect(weekStart).toEqual(new Date(2025, 5, 2));
+            expect(weekEnd).toEqual(new Date(2025, 5, 8, 23, 59, 59, 999));
+        });
+    });
+
+    describe('summarize', () => {
+        it('totals hours per day and for the week', () => {
+            const { days, totalHours } = timesheetService.summarize(
+                [entry({ hours: 1.25 }), entry({ hours: 0.5 }), entry({ date: new Date(2025, 5, 8, 9, 0), hours: 3 })],
+                new Date(2025, 5, 2)
+            );
+
+            expect(days.map((day) => day.hours)).toEqual([0, 0, 1.75, 0, 0, 0, 3]);
+            expect(totalHours).toBe(4.75);
+        });
+    });
+
+    describe('assertUnlocked', () => {
+        it('refuses changes in a submitted or approved week only', async () => {
+            useLockedWeeks(
+                { user: userId, weekStart: new Date(2025, 5, 2), status: 'submitted' },
+                { user: userId, weekStart: new Date(2025, 5, 9), status: 'rejected' }
+            );
+
+            await expect(timesheetService.assertUnlocked(userId, new Date(2025, 5, 4))).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'The timesheet for the week of 02 Jun 2025 is submitted; its time entries can no longer be changed',
+            });
+            await expect(timesheetService.assertUnlocked(userId, new Date(2025, 5, 10))).resolves.toBeUndefined();
+        });
+    });
+
+    describe('assertEntriesEditable', () => {
+        beforeEach(() => {
+            useLockedWeeks({ user: userId, weekStart: new Date(2025, 5, 2), status: 'approved' });
+        });
+
+        it('allows saving a task whose entries in locked weeks are unchanged', async () => {
+            const locked = entry();
+            const added = entry({ date: new Date(2025, 5, 10) });
+
+            await expect(timesheetService.assertEntriesEditable([locked], [{ ...locked }, added])).resolves.toBeUndefined();
+        });
+
+        it.each([
+            ['adding', [], [entry()]],
+            ['removing', [entry()], []],
+            ['changing the hours of', [entry({ _id: 'e1' })], [entry({ _id: 'e1', hours: 3 })]],
+            ['moving out', [entry({ _id: 'e1' })], [entry({ _id: 'e1', date: new Date(2025, 5, 10) })]],
+        ])('refuses %s an entry in a locked week', async (label, before, after) => {
+            await expect(timesheetService.assertEntriesEditable(before, after)).rejects.toThrow('approved');
+        });
+    });
+
+    describe('submit', () => {
+        const user = { _id: userId, name: 'Asha' };
+
+        it('records the week\'s entries on the timesheet and tells the reviewers', async () => {
+            const reviewer = { _id: new mongoose.Types.ObjectId() };
+            const logged = entry({ date: new Date(2025, 5, 3, 10, 0), hours: 1.5 });
+            jest.spyOn(Task, 'find').mockReturnValue(
+                query([{ _id: new mongoose.Types.ObjectId(), title: 'Audit', project: null, timeTracking: { entries: [logged] } }])
+            );
+            jest.spyOn(Timesheet, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: new mongoose.Types.ObjectId(), ...update.$set }));
+            jest.spyOn(User, 'find').mockReturnValue(query([reviewer]));
+
+            const timesheet = await timesheetService.submit(user, new Date(2025, 5, 5));
+
+            expect(Timesheet.findOneAndUpdate.mock.calls[0][0]).toEqual({
+                user: userId,
+                weekStart: new Date(2025, 5, 2),
+                status: { $nin: ['submitted', 'approved'] },
+            });
+            expect(timesheet).toMatchObject({ status: 'submitted', totalHours: 1.5, entries: [expect.objectContaining({ entryId: logged._id })] });
+            expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: reviewer._id, type: 'TIMESHEET_SUBMITTED' }));
+        });
+
+        it('refuses a week that is already locked', async () => {
+            jest.spyOn(Task, 'find').mockReturnValue(query([]));
+            jest.spyOn(Timesheet, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+            jest.spyOn(Timesheet, 'findOne').mockReturnValue(query({ status: 'approved' }));
+
+            await expect(timesheetService.submit(user, new Date(2025, 5, 5))).rejects.toThrow(
+                'The timesheet for the week of 02 Jun 2025 is already approved'
+            );
+        });
+
+        it('refuses a week that has not started', async () => {
+            const nextWeek = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+
+            await expect(timesheetService.submit(user, nextWeek)).rejects.toThrow('before its week has started');
+        });
+    });
+
+    describe('review', () => {
+        const submitted = { _id: new mongoose.Types.ObjectId(), user: userId, status: 'submitted' };
+        const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager', name: 'Ravi' };
+
+        it('approves the time entries recorded on the timesheet', async () => {
+            const entryId = new mongoose.Types.ObjectId();
+            jest.spyOn(Timesheet, 'findOneAndUpdate').mockResolvedValue({
+                ...submitted,
+                status: 'approved',
+                weekStart: new Date(2025, 5, 2),
+                entries: [{ entryId }],
+            });
+            jest.spyOn(Task, 'updateMany').mockResolvedValue({});
+
+            await timesheetService.review(submitted, manager, true);
+
+            expect(Task.updateMany).toHaveBeenCalledWith(
+                { 'timeTracking.entries._id': { $in: [entryId] } },
+                { $set: { 'timeTracking.entries.$[entry].approved': true } },
+                { arrayFilters: [{ 'entry._id': { $in: [entryId] } }] }
+            );
+            expect(mailService.queueEmailToUser).toHaveBeenCalledWith(userId, 'timesheetReviewed', expect.anything(), expect.anything());
+        });
+
+        it('does not let users other than admins review their own timesheet', async () => {
+            await expect(timesheetService.review(submitted, { _id: userId, role: 'manager' }, true)).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        it('only reviews submitted timesheets', async () => {
+            jest.spyOn(Timesheet, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await expect(timesheetService.review({ ...submitted, status: 'approved' }, manager, false, 'Missing hours')).rejects.toThrow(
+                'Only submitted timesheets can be reviewed; this one is approved'
+            );
+        });
+    });
+});
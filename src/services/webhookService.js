@@ -39,12 +39,7 @@ class WebhookService {
                 sentBy: payload.reminderSentBy
             });
 
-            const response = await axios.post(this.webhookUrl, payload, {
-                timeout: this.timeout,
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+            const response = await this.post(payload);
 
             logger.info('Client reminder webhook sent successfully', {
                 status: response.status,
@@ -65,16 +60,89 @@ class WebhookService {
                 stack: error.stack
             });
 
-            if (error.code === 'ECONNABORTED') {
-                throw new Error('Webhook request timed out');
-            } else if (error.response) {
-                throw new Error(`Webhook responded with status ${error.response.status}: ${error.response.statusText}`);
-            } else if (error.request) {
-                throw new Error('No response received from webhook');
-            } else {
-                throw new Error(`Webhook request failed: ${error.message}`);
+            throw this.toError(error);
+        }
+    }
+
+    /**
+     * Send an invoice payment reminder through webhook
+     * @param {Object} reminderData - Data for the reminder
+     * @returns {Promise<Object>} Webhook response
+     */
+    async sendInvoiceReminder(reminderData) {
+        try {
+            if (!this.webhookUrl) {
+                throw new Error('Webhook URL not configured');
+            }
+
+            const payload = {
+                type: 'invoice_reminder',
+                clientName: reminderData.clientName,
+                phoneNumber: reminderData.phoneNumber,
+                invoiceNumber: reminderData.invoiceNumber,
+                amountDue: reminderData.amountDue,
+                currency: reminderData.currency,
+                dueDate: reminderData.dueDate,
+                daysOverdue: reminderData.daysOverdue,
+                stage: reminderData.stage,
+                reminderSentBy: reminderData.reminderSentBy || 'System',
+                reminderSentAt: new Date().toISOString()
+            };
+
+            logger.info('Sending invoice reminder webhook', {
+                clientName: payload.clientName,
+                invoiceNumber: payload.invoiceNumber,
+                stage: payload.stage
+            });
+
+            const response = await this.post(payload);
+
+            logger.info('Invoice reminder webhook sent successfully', {
+                status: response.status,
+                invoiceNumber: payload.invoiceNumber
+            });
+
+            return {
+                success: true,
+                status: response.status,
+                data: response.data
+            };
+
+        } catch (error) {
+            logger.error('Failed to send invoice reminder webhook', {
+                error: error.message,
+                invoiceNumber: reminderData?.invoiceNumber,
+                stack: error.stack
+            });
+
+            throw this.toError(error);
+        }
+    }
+
+    /**
+     * POST a JSON payload to the reminder webhook
+     */
+    post(payload) {
+        return axios.post(this.webhookUrl, payload, {
+            timeout: this.timeout,
+            headers: {
+                'Content-Type': 'application/json'
             }
+        });
+    }
+
+    /**
+     * Convert an axios error into a readable error
+     */
+    toError(error) {
+        if (error.code === 'ECONNABORTED') {
+            return new Error('Webhook request timed out');
+        } else if (error.response) {
+            return new Error(`Webhook responded with status ${error.response.status}: ${error.response.statusText}`);
+        } else if (error.request) {
+            return new Error('No response received from webhook');
         }
+        return new Error(`Webhook request failed: ${error.message}`);
     }
 }
 
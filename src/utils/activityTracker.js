@@ -172,6 +172,18 @@ class ActivityTracker {
       link: `/projects/${project._id}`
     });
   }
+
+  static async trackRecurringInvoiceGenerated(template, invoice, userId) {
+    return this.track({
+      type: 'invoice_generated',
+      title: 'Recurring Invoice Generated',
+      description: `Invoice ${invoice.invoiceNumber} was generated from recurring invoice "${template.name}"`,
+      entityType: 'invoice',
+      entityId: invoice._id,
+      userId,
+      link: `/finance/invoices/${invoice._id}`
+    });
+  }
 }
 
 module.exports = ActivityTracker;
\ No newline at end of file
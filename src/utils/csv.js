@@ -0,0 +1,131 @@
+/**
+ * Minimal CSV helpers for report exports and file imports
+ */
+
+// Quote a value when needed. Values starting with a formula character are
+// prefixed so spreadsheet applications do not evaluate them.
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: String, value: Function|String}>} columns - Column
+ *   header and either a property name or a function (row) => value
+ * @param {Array<Object>} rows - Rows to export
+ * @returns {String} CSV text with a header line
+ */
+const toCsv = (columns, rows) => {
+    const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(
+            columns
+                .map((column) =>
+                    escapeCsvValue(typeof column.value === 'function' ? column.value(row) : row[column.value])
+                )
+                .join(',')
+        );
+    }
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send a CSV document as a file download
+ * @param {Object} res - Express response
+ * @param {String} filename - Download file name
+ * @param {String} csv - CSV text
+ */
+const sendCsv = (res, filename, csv) => {
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(csv);
+};
+
+/**
+ * Parse CSV text into rows of string values. Handles quoted values with
+ * embedded commas, quotes and line breaks, CRLF line endings and a UTF-8 BOM.
+ * Blank lines are skipped.
+ * @param {String} text - CSV text
+ * @param {String} [delimiter=','] - Value separator
+ * @returns {Array<Array<String>>} Rows
+ */
+const parseCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(value);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        value = '';
+    };
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+/**
+ * Locate the header row of an imported file by its column names, so title
+ * lines above it are ignored. Headings are compared without case, spaces
+ * or punctuation.
+ * @param {Array<Array<String>>} rows - Parsed CSV rows
+ * @param {Object<String, Array<String>>} aliases - Field name to accepted normalized headings
+ * @param {Array<String>} required - Fields the header row must contain
+ * @returns {{index: Number, columns: Object<String, Number>}|null} Header row index and column index per field
+ */
+const findHeaderRow = (rows, aliases, required) => {
+    const normalize = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    for (let index = 0; index < rows.length; index += 1) {
+        const headers = rows[index].map(normalize);
+        const columns = {};
+        Object.entries(aliases).forEach(([field, names]) => {
+            const column = headers.findIndex((header) => names.includes(header));
+            if (column !== -1) columns[field] = column;
+        });
+        if (required.every((field) => columns[field] !== undefined)) {
+            return { index, columns };
+        }
+    }
+    return null;
+};
+
+module.exports = { escapeCsvValue, toCsv, sendCsv, parseCsv, findHeaderRow };
@@ -0,0 +1,87 @@
+const { escapeCsvValue, toCsv, sendCsv, parseCsv, findHeaderRow } = require('./csv');
+
+describe('csv', () => {
+    describe('escapeCsvValue', () => {
+        it('quotes separators, quotes and line breaks', () => {
+            expect(escapeCsvValue('Shah, Mehta & Co')).toBe('"Shah, Mehta & Co"');
+            expect(escapeCsvValue('12" display')).toBe('"12"" display"');
+            expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+            expect(escapeCsvValue(null)).toBe('');
+            expect(escapeCsvValue(new Date(Date.UTC(2025, 4, 1)))).toBe('2025-05-01');
+        });
+
+        it('stops spreadsheets evaluating text that looks like a formula, but not negative numbers', () => {
+            expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+            expect(escapeCsvValue('-10')).toBe("'-10");
+            expect(escapeCsvValue(-10)).toBe('-10');
+        });
+    });
+
+    describe('toCsv', () => {
+        it('writes a header line and a CRLF-terminated line per row', () => {
+            const csv = toCsv(
+                [
+                    { header: 'Client', value: 'name' },
+                    { header: 'Balance', value: (row) => row.total - row.paid },
+                ],
+                [{ name: 'Iyer Traders', total: 1180, paid: 180 }]
+            );
+
+            expect(csv).toBe('Client,Balance\r\nIyer Traders,1000\r\n');
+        });
+    });
+
+    describe('sendCsv', () => {
+        it('sends the text as a download', () => {
+            const res = { set: jest.fn(), status: jest.fn(() => res), send: jest.fn() };
+
+            sendCsv(res, 'ageing.csv', 'a\r\n');
+
+            expect(res.set).toHaveBeenCalledWith({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': 'attachment; filename="ageing.csv"',
+            });
+            expect(res.send).toHaveBeenCalledWith('a\r\n');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('reads quoted values, CRLF endings and a byte order mark, skipping blank lines', () => {
+            const text = '\uFEFFName,Notes\r\n"Shah, Mehta","said ""hi""\nthen left"\r\n\r\n,\nlast,row';
+
+            expect(parseCsv(text)).toEqual([
+                ['Name', 'Notes'],
+                ['Shah, Mehta', 'said "hi"\nthen left'],
+                ['', ''],
+                ['last', 'row'],
+            ]);
+        });
+
+        it('reads what toCsv writes', () => {
+            const rows = [{ name: 'A "quoted", name' }, { name: 'plain' }];
+
+            expect(parseCsv(toCsv([{ header: 'Name', value: 'name' }], rows))).toEqual([['Name'], ['A "quoted", name'], ['plain']]);
+        });
+
+        it('accepts another delimiter', () => {
+            expect(parseCsv('a;b\n1;2', ';')).toEqual([
+                ['a', 'b'],
+                ['1', '2'],
+            ]);
+        });
+    });
+
+    describe('findHeaderRow', () => {
+        const aliases = { date: ['date', 'txndate'], amount: ['amount', 'depositamt'], reference: ['refno'] };
+
+        it('skips title lines and maps each field to its column', () => {
+            const rows = [['Statement of account'], ['Ref No.', 'Txn Date', 'Deposit Amt']];
+
+            expect(findHeaderRow(rows, aliases, ['date', 'amount'])).toEqual({ index: 1, columns: { date: 1, amount: 2, reference: 0 } });
+        });
+
+        it('returns null when a required column is missing', () => {
+            expect(findHeaderRow([['Date', 'Narration']], aliases, ['date', 'amount'])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * GST helpers for splitting invoice tax into CGST + SGST (intra-state supply)
+ * or IGST (inter-state supply)
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// First two characters of a GSTIN are the state code
+const gstinStateCode = (gstin) => {
+    const match = /^(\d{2})[A-Z0-9]{13}$/i.exec((gstin || '').trim());
+    return match ? match[1] : null;
+};
+
+/**
+ * Determine whether a supply is intra-state or inter-state.
+ * GSTIN state codes are preferred when both are available, otherwise the
+ * state names are compared. Supplies to clients outside India are inter-state;
+ * when the client's state is unknown the supply is treated as intra-state
+ * (place of supply defaults to the supplier's location).
+ * @param {Object} company - Settings.company
+ * @param {Object} client - Client document
+ * @returns {String} 'intra-state' or 'inter-state'
+ */
+const getSupplyType = (company, client) => {
+    const clientCountry = normalize(client?.country);
+    if (clientCountry && clientCountry !== 'india' && clientCountry !== 'in') {
+        return 'inter-state';
+    }
+
+    const companyCode = gstinStateCode(company?.taxId);
+    const clientCode = gstinStateCode(client?.gstin);
+    if (companyCode && clientCode) {
+        return companyCode === clientCode ? 'intra-state' : 'inter-state';
+    }
+
+    const companyState = normalize(company?.address?.state);
+    const clientState = normalize(client?.state);
+    if (!companyState || !clientState) {
+        return 'intra-state';
+    }
+    return companyState === clientState ? 'intra-state' : 'inter-state';
+};
+
+/**
+ * Calculate line amounts and the CGST/SGST/IGST split for invoice items.
+ * Items without their own taxRate use the invoice level default rate.
+ * @param {Array} items - Invoice items ({ quantity, rate, taxRate })
+ * @param {Object} options
+ * @param {Number} [options.taxRate=0] - Default tax rate (%)
+ * @param {String} [options.supplyType='intra-state'] - Supply type
+ * @returns {Object} { items, subtotal, cgstAmount, sgstAmount, igstAmount, taxAmount }
+ */
+const calculateTax = (items = [], { taxRate = 0, supplyType = 'intra-state' } = {}) => {
+    const intraState = supplyType !== 'inter-state';
+    const totals = { subtotal: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, taxAmount: 0 };
+
+    const calculatedItems = items.map((item) => {
+        const amount = round2((Number(item.quantity) || 0) * (Number(item.rate) || 0));
+        const rate =
+            item.taxRate !== undefined && item.taxRate !== null ? Number(item.taxRate) : Number(taxRate) || 0;
+        const tax = round2((amount * rate) / 100);
+        const cgstAmount = intraState ? round2(tax / 2) : 0;
+        const sgstAmount = intraState ? round2(tax - cgstAmount) : 0;
+        const igstAmount = intraState ? 0 : tax;
+
+        totals.subtotal += amount;
+        totals.cgstAmount += cgstAmount;
+        totals.sgstAmount += sgstAmount;
+        totals.igstAmount += igstAmount;
+        totals.taxAmount += tax;
+
+        return { amount, taxRate: rate, cgstAmount, sgstAmount, igstAmount, taxAmount: tax };
+    });
+
+    Object.keys(totals).forEach((key) => {
+        totals[key] = round2(totals[key]);
+    });
+
+    return { items: calculatedItems, ...totals };
+};
+
+/**
+ * Group tax by rate for display, e.g. [{ label: 'CGST', rate: 9, amount: 900 }]
+ * @param {Array} items - Invoice items with calculated tax fields
+ * @param {String} supplyType - 'intra-state' or 'inter-state'
+ * @returns {Array<{label: String, rate: Number, amount: Number}>}
+ */
+const getTaxLines = (items = [], supplyType = 'intra-state') => {
+    const byRate = new Map();
+    for (const item of items) {
+        if (!item.taxRate) continue;
+        const current = byRate.get(item.taxRate) || { cgst: 0, sgst: 0, igst: 0 };
+        current.cgst += item.cgstAmount || 0;
+        current.sgst += item.sgstAmount || 0;
+        current.igst += item.igstAmount || 0;
+        byRate.set(item.taxRate, current);
+    }
+
+    const lines = [];
+    for (const [rate, amounts] of [...byRate.entries()].sort((a, b) => a[0] - b[0])) {
+        if (supplyType === 'inter-state') {
+            lines.push({ label: 'IGST', rate, amount: round2(amounts.igst) });
+        } else {
+            lines.push({ label: 'CGST', rate: rate / 2, amount: round2(amounts.cgst) });
+            lines.push({ label: 'SGST', rate: rate / 2, amount: round2(amounts.sgst) });
+        }
+    }
+    return lines;
+};
+
+module.exports = {
+    round2,
+    getSupplyType,
+    calculateTax,
+    getTaxLines,
+};
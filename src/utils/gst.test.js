@@ -0,0 +1,88 @@
+const { round2, getSupplyType, calculateTax, getTaxLines } = require('./gst');
+
+describe('gst', () => {
+    describe('round2', () => {
+        it('rounds half up to two decimals', () => {
+            expect(round2(1.005)).toBe(1.01);
+            expect(round2(2.675)).toBe(2.68);
+            expect(round2('10.499')).toBe(10.5);
+        });
+    });
+
+    describe('getSupplyType', () => {
+        const company = { taxId: '27AAACA1234A1Z5', address: { state: 'Maharashtra' } };
+
+        it('compares GSTIN state codes when both are known', () => {
+            expect(getSupplyType(company, { gstin: '27AAACB1234B1Z5', state: 'Karnataka' })).toBe('intra-state');
+            expect(getSupplyType(company, { gstin: '29AAACB1234B1Z5', state: 'Maharashtra' })).toBe('inter-state');
+        });
+
+        it('falls back to state names', () => {
+            expect(getSupplyType(company, { state: ' maharashtra ' })).toBe('intra-state');
+            expect(getSupplyType(company, { state: 'Karnataka' })).toBe('inter-state');
+        });
+
+        it('treats clients outside India as inter-state', () => {
+            expect(getSupplyType(company, { country: 'United States', state: 'Maharashtra' })).toBe('inter-state');
+        });
+
+        it('treats an unknown client state as intra-state', () => {
+            expect(getSupplyType({ address: { state: 'Maharashtra' } }, {})).toBe('intra-state');
+        });
+    });
+
+    describe('calculateTax', () => {
+        it('splits intra-state tax into CGST and SGST without losing a paisa', () => {
+            const result = calculateTax([{ quantity: 1, rate: 100.05, taxRate: 18 }], { supplyType: 'intra-state' });
+
+            expect(result.items[0]).toMatchObject({ amount: 100.05, taxAmount: 18.01, cgstAmount: 9.01, sgstAmount: 9 });
+            expect(result.cgstAmount + result.sgstAmount).toBeCloseTo(result.taxAmount, 10);
+            expect(result.igstAmount).toBe(0);
+        });
+
+        it('charges IGST on inter-state supplies', () => {
+            const result = calculateTax([{ quantity: 2, rate: 500, taxRate: 18 }], { supplyType: 'inter-state' });
+
+            expect(result).toMatchObject({ subtotal: 1000, igstAmount: 180, cgstAmount: 0, sgstAmount: 0, taxAmount: 180 });
+        });
+
+        it('uses the invoice rate for items without their own, and keeps a zero item rate', () => {
+            const result = calculateTax(
+                [
+                    { quantity: 1, rate: 1000 },
+                    { quantity: 1, rate: 1000, taxRate: 0 },
+                    { quantity: 3, rate: 33.33, taxRate: 5 },
+                ],
+                { taxRate: 12 }
+            );
+
+            expect(result.items.map((item) => item.taxRate)).toEqual([12, 0, 5]);
+            expect(result.subtotal).toBe(2099.99);
+            expect(result.taxAmount).toBe(125);
+        });
+    });
+
+    describe('getTaxLines', () => {
+        it('groups tax by rate, halving the rate for CGST and SGST', () => {
+            const { items } = calculateTax([
+                { quantity: 1, rate: 100, taxRate: 18 },
+                { quantity: 1, rate: 200, taxRate: 18 },
+                { quantity: 1, rate: 100, taxRate: 5 },
+                { quantity: 1, rate: 100, taxRate: 0 },
+            ]);
+
+            expect(getTaxLines(items, 'intra-state')).toEqual([
+                { label: 'CGST', rate: 2.5, amount: 2.5 },
+                { label: 'SGST', rate: 2.5, amount: 2.5 },
+                { label: 'CGST', rate: 9, amount: 27 },
+                { label: 'SGST', rate: 9, amount: 27 },
+            ]);
+        });
+
+        it('shows one IGST line per rate on inter-state supplies', () => {
+            const { items } = calculateTax([{ quantity: 1, rate: 100, taxRate: 18 }], { supplyType: 'inter-state' });
+
+            expect(getTaxLines(items, 'inter-state')).toEqual([{ label: 'IGST', rate: 18, amount: 18 }]);
+        });
+    });
+});
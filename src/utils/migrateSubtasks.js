@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const subtaskService = require('../services/subtaskService');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+// The embedded subtasks used 'in progress' rather than the task status 'in-progress'
+const STATUS_MAP = {
+    pending: 'pending',
+    'in progress': 'in-progress',
+    completed: 'completed',
+};
+
+/**
+ * Turn the embedded `subtasks` array of each task into child tasks that
+ * reference it through `parent`. Tasks are processed one at a time and the
+ * array is removed once its children exist. Subtasks that already have a
+ * child task of the same title (from a run that stopped before removing
+ * the array) are not created again, so the migration can be re-run.
+ */
+const migrateSubtasks = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        await mongoose.connect(process.env.MONGODB_URI);
+    }
+
+    // The subtasks array is no longer in the schema, so read it from the collection
+    const cursor = Task.collection.find({ 'subtasks.0': { $exists: true } });
+    let parents = 0;
+    let created = 0;
+
+    for await (const doc of cursor) {
+        // Titles of children already created, counted so repeated titles are matched one for one
+        const existing = new Map();
+        (await Task.find({ parent: doc._id }).select('title').lean()).forEach((child) => {
+            existing.set(child.title, (existing.get(child.title) || 0) + 1);
+        });
+
+        const children = doc.subtasks
+            .filter((subtask) => subtask.title)
+            .filter((subtask) => {
+                const title = subtask.title.slice(0, 100);
+                if (!existing.get(title)) return true;
+                existing.set(title, existing.get(title) - 1);
+                return false;
+            })
+            .map((subtask) => ({
+                title: subtask.title.slice(0, 100),
+                project: doc.project,
+                parent: doc._id,
+                status: STATUS_MAP[subtask.status] || 'pending',
+                assignedTo: doc.assignedTo,
+                dueDate: doc.dueDate,
+                createdBy: doc.createdBy,
+            }));
+
+        if (children.length) {
+            await Task.create(children);
+        }
+        await Task.collection.updateOne({ _id: doc._id }, { $unset: { subtasks: '' } });
+        await subtaskService.refreshRollup(doc._id);
+
+        parents += 1;
+        created += children.length;
+        logger.info(`Migrated ${children.length} subtask(s) of task ${doc._id}`);
+    }
+
+    return { parents, created };
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+    migrateSubtasks()
+        .then((result) => {
+            console.log(`✅ Migrated ${result.created} subtask(s) of ${result.parents} task(s)`);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Subtask migration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateSubtasks };
@@ -0,0 +1,75 @@
+const ONES = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+    'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+    'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Convert a number below 1000 to words
+const belowThousand = (n) => {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+};
+
+/**
+ * Convert a whole number to words using the Indian numbering system
+ * (thousand, lakh, crore)
+ * @param {Number} num - Non-negative integer
+ * @returns {String} Number in words, e.g. "One Lakh Twenty Thousand"
+ */
+const numberToWords = (num) => {
+    num = Math.floor(Math.abs(Number(num) || 0));
+    if (num === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(num / 10000000);
+    num %= 10000000;
+    const lakh = Math.floor(num / 100000);
+    num %= 100000;
+    const thousand = Math.floor(num / 1000);
+    num %= 1000;
+
+    if (crore) parts.push(`${numberToWords(crore)} Crore`);
+    if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+    if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+    if (num) parts.push(belowThousand(num));
+
+    return parts.join(' ');
+};
+
+/**
+ * Convert an amount to words with the major and minor currency units,
+ * e.g. 1250.5 => "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+ * @param {Number} amount - Amount to convert
+ * @param {String} [currency='INR'] - ISO currency code
+ * @returns {String} Amount in words
+ */
+const amountToWords = (amount, currency = 'INR') => {
+    const units = {
+        INR: ['Rupees', 'Paise'],
+        USD: ['Dollars', 'Cents'],
+        EUR: ['Euros', 'Cents'],
+        GBP: ['Pounds', 'Pence'],
+    }[currency] || [currency, 'Cents'];
+
+    const rounded = Math.round(Math.abs(Number(amount) || 0) * 100);
+    const major = Math.floor(rounded / 100);
+    const minor = rounded % 100;
+
+    let words = `${units[0]} ${numberToWords(major)}`;
+    if (minor) {
+        words += ` and ${numberToWords(minor)} ${units[1]}`;
+    }
+    return `${words} Only`;
+};
+
+module.exports = { numberToWords, amountToWords };
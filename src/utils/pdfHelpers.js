@@ -0,0 +1,20 @@
+const moment = require('moment');
+
+/**
+ * Formatting helpers shared by the PDF documents (invoices, statements)
+ */
+
+const formatMoney = (value) =>
+    Number(value || 0).toLocaleString('en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+
+const formatDate = (date, format) => (date ? moment(date).format(format) : '-');
+
+// Convert Settings.company.dateFormat (e.g. DD/MM/YYYY) to a moment format
+const toMomentFormat = (dateFormat) => (dateFormat || 'DD/MM/YYYY').replace(/d/g, 'D').replace(/y/g, 'Y');
+
+const formatAddress = (parts) => parts.filter((part) => part && String(part).trim()).join(', ');
+
+module.exports = { formatMoney, formatDate, toMomentFormat, formatAddress };
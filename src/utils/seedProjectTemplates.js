@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Department = require('../models/department.model');
+const User = require('../models/User');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+// The task presets that used to be matched by project name in createProject
+const PRESETS = [
+    {
+        name: 'GST',
+        tasks: [
+            { title: 'Collect Client Details', department: 'Accounts', priority: 'high' },
+            { title: 'Prepare GST Form', department: 'Finance', priority: 'medium' },
+            { title: 'File Return', department: 'Finance', priority: 'high' },
+        ],
+    },
+    {
+        name: 'Project',
+        tasks: [
+            { title: 'Requirement Gathering', department: 'Development', priority: 'medium' },
+            { title: 'Design UI', department: 'UI/UX', priority: 'medium' },
+            { title: 'Database Setup', department: 'Backend', priority: 'high' },
+        ],
+    },
+];
+
+/**
+ * Create a project template for each former task preset that has no
+ * template of the same name yet. Departments are matched by name and left
+ * empty when they do not exist.
+ */
+const seedProjectTemplates = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        await mongoose.connect(process.env.MONGODB_URI);
+    }
+
+    const admin = await User.findOne({ role: 'admin' }).select('_id');
+    if (!admin) {
+        throw new Error('An admin user is needed to own the templates');
+    }
+
+    const departments = await Department.find({}).select('name');
+    const departmentId = (name) => departments.find((department) => department.name === name)?._id;
+
+    let created = 0;
+    for (const preset of PRESETS) {
+        const exists = await ProjectTemplate.exists({ name: preset.name, deleted: { $ne: true } });
+        if (exists) continue;
+
+        await ProjectTemplate.create({
+            name: preset.name,
+            tasks: preset.tasks.map((task) => ({ ...task, department: departmentId(task.department) })),
+            createdBy: admin._id,
+        });
+        created += 1;
+        logger.info(`Project template created from task preset ${preset.name}`);
+    }
+
+    return { created };
+};
+
+// Run the seed if this file is executed directly
+if (require.main === module) {
+    seedProjectTemplates()
+        .then((result) => {
+            console.log(`✅ Created ${result.created} project template(s)`);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Project template seed failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { seedProjectTemplates };
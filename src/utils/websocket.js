@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 require("dotenv").config();
 
 let wss = null;
+const connectionListeners = [];
 
 const websocketService = {
   init: (server) => {
@@ -45,6 +46,13 @@ const websocketService = {
           message: 'Connected successfully'
         }));
 
+        // Let services send the user's current state (e.g. a running timer)
+        connectionListeners.forEach((listener) => {
+          Promise.resolve(listener(ws.userId)).catch((error) => {
+            console.error('WebSocket connection listener error:', error);
+          });
+        });
+
       } catch (error) {
         console.error('WebSocket authentication error:', error);
         ws.close(1008, 'Authentication failed');
@@ -89,6 +97,11 @@ const websocketService = {
 
   getWss: () => wss,
 
+  // Register a callback run with the user ID of each authenticated connection
+  onConnection: (listener) => {
+    connectionListeners.push(listener);
+  },
+
   broadcast: (data) => {
     if (wss) {
       wss.broadcast(data);